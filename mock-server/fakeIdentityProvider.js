@@ -0,0 +1,160 @@
+/**
+ * FakeIdentityProvider
+ *
+ * Local stand-in for an external SSO identity provider (Okta / Entra ID
+ * style). The Jira stand-in redirects SSO logins here; after a successful
+ * sign-in the browser is sent back to the stand-in with a one-time ticket
+ * that the stand-in redeems in-process.
+ *
+ * Runs on its own port, so the browser sees a different host from Jira and
+ * the login flow has to follow a real redirect chain.
+ */
+const crypto = require('crypto');
+const http = require('http');
+const views = require('./views');
+
+const FAKE_IDP_DEFAULTS = {
+  PORT: 4011,
+};
+
+class FakeIdentityProvider {
+  /**
+   * Constructor
+   * @param {Object} options - Server options
+   * @param {Object[]} options.users - Accounts that may sign in ({ username, password })
+   */
+  constructor({ users = [] } = {}) {
+    this.users = users;
+    this.tickets = new Map();
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.stack);
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 picks a free port)
+   * @param {string} host - Interface to bind
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  async start(port = FAKE_IDP_DEFAULTS.PORT, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    return this.url;
+  }
+
+  /**
+   * Stop listening and drop open connections
+   */
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string} e.g. http://127.0.0.1:4011
+   */
+  get url() {
+    const { address, port } = this.server.address();
+    return `http://${address}:${port}`;
+  }
+
+  /**
+   * URL that starts a sign-in and returns to a service afterwards
+   * @param {string} returnTo - Absolute URL the ticket is sent back to
+   * @param {string} loginHint - Username to prefill
+   * @returns {string} Authorize URL
+   */
+  authorizeUrl(returnTo, loginHint = '') {
+    const params = new URLSearchParams({ return_to: returnTo, login_hint: loginHint });
+    return `${this.url}/authorize?${params}`;
+  }
+
+  /**
+   * Exchange a one-time ticket for the username that signed in
+   * @param {string} ticket - Ticket from the return_to URL
+   * @returns {string|null} Username, or null if the ticket is unknown or used
+   */
+  redeemTicket(ticket) {
+    const username = this.tickets.get(ticket) || null;
+    this.tickets.delete(ticket);
+    return username;
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://fake-idp');
+
+    if (url.pathname === '/health') {
+      return send(res, 200, 'ok', 'text/plain');
+    }
+    if (url.pathname !== '/authorize') {
+      return send(res, 404, 'Not found', 'text/plain');
+    }
+
+    if (req.method !== 'POST') {
+      return send(
+        res,
+        200,
+        views.identityProviderPage({
+          returnTo: url.searchParams.get('return_to') || '',
+          username: url.searchParams.get('login_hint') || '',
+        })
+      );
+    }
+
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    const form = new URLSearchParams(body);
+    const username = form.get('username') || '';
+    const returnTo = form.get('return_to') || '';
+
+    const user = this.users.find(
+      (u) => u.username === username && u.password === form.get('password')
+    );
+    if (!user) {
+      return send(
+        res,
+        401,
+        views.identityProviderPage({
+          returnTo,
+          username,
+          error: 'Sign-in failed. Check your username and password.',
+        })
+      );
+    }
+
+    const ticket = crypto.randomBytes(16).toString('hex');
+    this.tickets.set(ticket, user.username);
+    const target = new URL(returnTo);
+    target.searchParams.set('ticket', ticket);
+    res.writeHead(302, { Location: target.toString() });
+    res.end();
+  }
+}
+
+/**
+ * Write a complete response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {string} body - Response body
+ * @param {string} contentType - Content type (default: HTML)
+ */
+function send(res, status, body, contentType = 'text/html; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+module.exports = { FakeIdentityProvider, FAKE_IDP_DEFAULTS };
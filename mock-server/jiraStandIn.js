@@ -0,0 +1,1272 @@
+/**
+ * JiraStandIn
+ *
+ * Local Node HTTP server that stands in for a Jira Cloud site so the page
+ * objects and filter workflow specs can run offline. It serves:
+ * - The two-step login form and a cookie-based session, optionally followed
+ *   by a TOTP verification step, or an SSO redirect to a FakeIdentityProvider
+ * - The "Your work" home page and Filters navigation
+ * - The "View all filters" directory
+ * - Issue search with the basic search criteria (Project, Type, Status...
+ *   and "More +" fields), a paged results table with its result count and
+ *   sortable columns, and the JQL editor, seeded from a fixture file of issues
+ * - Saved filters: save as, details and share permissions, star, delete
+ * - A slice of the REST API (v3) for test data: create, read, transition and
+ *   delete issues, JQL search and result counts, statuses, and read and
+ *   delete saved filters
+ *
+ * Started by playwright.config.js as a webServer when JIRA_STAND_IN is set,
+ * or directly with `node mock-server/jiraStandIn.js`.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const views = require('./views');
+const { verifyTotp } = require('../utils/auth/totp');
+const { parseJql, getFieldConstraint, JqlSyntaxError } = require('../utils/jql');
+const { normalizeField } = require('../utils/jql/JqlBuilder');
+const { compareText, compareNaturalKeys, compareDates, compareByPosition } = require('../utils/sortOrder');
+const { FakeIdentityProvider, FAKE_IDP_DEFAULTS } = require('./fakeIdentityProvider');
+const { SavedFilterStore, toRestFilter } = require('./savedFilters');
+
+const SESSION_COOKIE = 'tenant.session.token';
+const PENDING_VERIFICATION_COOKIE = 'stand-in.pending-verification';
+const TRUSTED_DEVICE_COOKIE = 'atl.trusted-device';
+
+// Failed password attempts before Atlassian-style CAPTCHA and account lock
+const CAPTCHA_AFTER_FAILURES = 3;
+const LOCK_AFTER_FAILURES = 5;
+
+// Status workflow of the stand-in: the statuses each status can move to.
+// New issues start in To Do; some statuses take several transitions to reach.
+// In Review and Won't Do stand in for custom workflow statuses.
+const STAND_IN_WORKFLOW = {
+  'To Do': ['In Progress', 'Done', "Won't Do"],
+  Open: ['In Progress', 'Closed'],
+  'In Progress': ['To Do', 'Done', 'Closed', 'In Review'],
+  Done: ['To Do'],
+  Closed: ['Open'],
+  'In Review': ['In Progress', 'Done'],
+  "Won't Do": ['To Do'],
+};
+const INITIAL_STATUS = 'To Do';
+
+// Status category key of each workflow status, as /rest/api/3/status reports it
+const STAND_IN_STATUS_CATEGORIES = {
+  'To Do': 'new',
+  Open: 'new',
+  'In Progress': 'indeterminate',
+  'In Review': 'indeterminate',
+  Done: 'done',
+  Closed: 'done',
+  "Won't Do": 'done',
+};
+const STATUS_CATEGORY_NAMES = { new: 'To Do', indeterminate: 'In Progress', done: 'Done' };
+
+// Priorities from lowest to highest, the order ORDER BY priority ASC lists them in
+const STAND_IN_PRIORITIES = ['Lowest', 'Low', 'Medium', 'High', 'Highest'];
+
+// Sort order basic mode starts with, like Jira's
+const BASIC_SEARCH_ORDER = { field: 'created', direction: 'DESC' };
+
+// Defaults shared with playwright.config.js when running against the stand-in
+const STAND_IN_DEFAULTS = {
+  PORT: 4010,
+  PROJECT: 'QA',
+  USERNAME: 'qa.engineer@example.com',
+  PASSWORD: 'stand-in-password',
+  API_TOKEN: 'stand-in-api-token',
+  FIXTURE: path.join(__dirname, 'fixtures', 'issues.json'),
+  PAGE_SIZE: 50,
+};
+
+// Extra accounts for role-based tests; the default account above is the member
+const STAND_IN_ROLE_USERS = {
+  admin: {
+    username: 'qa.admin@example.com',
+    password: 'stand-in-admin-password',
+    apiToken: 'stand-in-admin-api-token',
+  },
+  viewer: {
+    username: 'qa.viewer@example.com',
+    password: 'stand-in-viewer-password',
+    apiToken: 'stand-in-viewer-api-token',
+  },
+};
+
+/**
+ * Load seeded issues from a JSON fixture file
+ * @param {string} fixturePath - Path to a JSON array of issues
+ * @returns {Object[]} Issues
+ */
+function loadIssues(fixturePath = STAND_IN_DEFAULTS.FIXTURE) {
+  const issues = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  if (!Array.isArray(issues)) {
+    throw new Error(`Issue fixture must be a JSON array: ${fixturePath}`);
+  }
+  return issues;
+}
+
+/**
+ * Statuses a query limits its results to, which basic mode shows checked in
+ * the Status criterion. Queries that do not limit the status to a list of
+ * values, or do not parse, check none.
+ * @param {string} jql - JQL query
+ * @returns {string[]} Status names as the query writes them, in query order
+ */
+function getSelectedStatuses(jql = '') {
+  try {
+    const constraint = getFieldConstraint(jql, 'status');
+    return constraint.kind === 'only' ? [...constraint.values.values()] : [];
+  } catch (error) {
+    if (error instanceof JqlSyntaxError) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Fields the stand-in can search on, mapped to an issue's values
+const SEARCHABLE_FIELDS = {
+  key: (issue) => [issue.key],
+  project: (issue) => [getProjectKey(issue)],
+  issuetype: (issue) => [issue.type],
+  status: (issue) => [issue.status],
+  summary: (issue) => [issue.summary],
+  priority: (issue) => [issue.priority],
+  assignee: (issue) => (issue.assignee ? [issue.assignee] : []),
+  reporter: (issue) => (issue.reporter ? [issue.reporter] : []),
+  labels: (issue) => issue.labels || [],
+  team: (issue) => (issue.team ? [issue.team] : []),
+  created: (issue) => [issue.created],
+  updated: (issue) => [issue.updated],
+  duedate: (issue) => (issue.due ? [issue.due] : []),
+};
+const DATE_FIELDS = ['created', 'updated', 'duedate'];
+
+// Units of relative date values such as -7d, as JQL writes them
+const RELATIVE_DATE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Time a JQL date value stands for: a date (time), or a time relative to
+ * now such as -7d or -2w
+ * @param {string} value - Date value from a query
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {number} Time in ms, NaN if the value is not a date
+ */
+function parseDateValue(value, now = Date.now()) {
+  const relative = value.trim().match(/^([-+]?)(\d+)([mhdw])$/i);
+  if (relative) {
+    const [, sign, amount, unit] = relative;
+    return now + (sign === '-' ? -1 : 1) * Number(amount) * RELATIVE_DATE_UNITS[unit.toLowerCase()];
+  }
+  return Date.parse(value);
+}
+
+// Basic search criteria, in pill order. Those marked `more` are added through
+// "More +"; Team stands in for a custom field. Date criteria pick a date range
+// instead of values. `jqlField` is the name used in the JQL that "Switch to
+// JQL" shows.
+const FILTER_CRITERIA = [
+  { field: 'project', label: 'Project', jqlField: 'project', values: SEARCHABLE_FIELDS.project },
+  { field: 'type', label: 'Type', jqlField: 'type', values: SEARCHABLE_FIELDS.issuetype },
+  { field: 'status', label: 'Status', jqlField: 'status', values: SEARCHABLE_FIELDS.status },
+  {
+    field: 'assignee',
+    label: 'Assignee',
+    jqlField: 'assignee',
+    values: SEARCHABLE_FIELDS.assignee,
+    emptyText: 'Unassigned',
+  },
+  { field: 'reporter', label: 'Reporter', jqlField: 'reporter', values: SEARCHABLE_FIELDS.reporter, more: true },
+  { field: 'priority', label: 'Priority', jqlField: 'priority', values: SEARCHABLE_FIELDS.priority, more: true },
+  { field: 'labels', label: 'Labels', jqlField: 'labels', values: SEARCHABLE_FIELDS.labels, more: true },
+  { field: 'team', label: 'Team', jqlField: 'Team', values: SEARCHABLE_FIELDS.team, more: true },
+  {
+    field: 'created',
+    label: 'Created',
+    jqlField: 'created',
+    values: SEARCHABLE_FIELDS.created,
+    more: true,
+    date: true,
+  },
+  {
+    field: 'updated',
+    label: 'Updated',
+    jqlField: 'updated',
+    values: SEARCHABLE_FIELDS.updated,
+    more: true,
+    date: true,
+  },
+  { field: 'due', label: 'Due', jqlField: 'due', values: SEARCHABLE_FIELDS.duedate, more: true, date: true },
+];
+
+/**
+ * Parse JQL and check it only uses what the stand-in can search on.
+ * Errors read like the ones Jira shows under the JQL editor.
+ * @param {string} jql - JQL query
+ * @returns {Object} { query, errors } - query is null when errors is not empty
+ */
+function checkJql(jql = '') {
+  let query;
+  try {
+    query = parseJql(jql);
+  } catch (error) {
+    if (error instanceof JqlSyntaxError) {
+      return { query: null, errors: [`Error in the JQL Query: ${error.message}`] };
+    }
+    throw error;
+  }
+
+  const errors = [];
+  const checkField = (field) => {
+    if (!SEARCHABLE_FIELDS[field]) {
+      errors.push(`Field '${field}' does not exist or you do not have permission to view it.`);
+      return false;
+    }
+    return true;
+  };
+  const visit = (node) => {
+    if (node.type !== 'clause') {
+      (node.clauses || [node.clause]).forEach(visit);
+      return;
+    }
+    if (!checkField(node.field)) {
+      return;
+    }
+    const operands = node.operand.type === 'list' ? node.operand.values : [node.operand];
+    const fn = operands.find((operand) => operand.type === 'function');
+    if (fn) {
+      errors.push(`The stand-in does not support the function '${fn.name}'.`);
+    } else if (node.operator.startsWith('was')) {
+      errors.push(`The stand-in keeps no history, so the operator '${node.operator}' cannot be used.`);
+    } else if (['>', '>=', '<', '<='].includes(node.operator)) {
+      if (!DATE_FIELDS.includes(node.field)) {
+        errors.push(`The operator '${node.operator}' is not supported by the '${node.field}' field.`);
+      } else if (Number.isNaN(parseDateValue(node.operand.value))) {
+        errors.push(`Date value '${node.operand.value}' for field '${node.field}' is invalid.`);
+      }
+    }
+  };
+  if (query.where) {
+    visit(query.where);
+  }
+  query.orderBy.forEach(({ field }) => checkField(field));
+
+  return errors.length > 0 ? { query: null, errors: [...new Set(errors)] } : { query, errors };
+}
+
+/**
+ * Check an issue against a JQL query that passed checkJql().
+ * Values compare case-insensitively; != and NOT IN, like in Jira, do not
+ * match issues where the field is empty.
+ * @param {Object} issue - Stand-in issue
+ * @param {Object} query - Query from checkJql()
+ * @returns {boolean} True if the issue matches
+ */
+function matchesJql(issue, query) {
+  const matches = (node) => {
+    if (node.type === 'and') {
+      return node.clauses.every(matches);
+    }
+    if (node.type === 'or') {
+      return node.clauses.some(matches);
+    }
+    if (node.type === 'not') {
+      return !matches(node.clause);
+    }
+
+    const values = SEARCHABLE_FIELDS[node.field](issue).map((value) => value.toLowerCase());
+    const operands = (node.operand.type === 'list' ? node.operand.values : [node.operand]).map((operand) =>
+      (operand.value || '').toLowerCase()
+    );
+    const equalsAny = values.some((value) => operands.includes(value));
+    const contains = values.some((value) => value.includes(operands[0]));
+    const time = values.length > 0 ? Date.parse(values[0]) : NaN;
+    switch (node.operator) {
+      case '=':
+      case 'in':
+        return equalsAny;
+      case '!=':
+      case 'not in':
+        return values.length > 0 && !equalsAny;
+      case 'is':
+        return values.length === 0;
+      case 'is not':
+        return values.length > 0;
+      case '~':
+        return contains;
+      case '!~':
+        return !contains;
+      case '>':
+        return time > parseDateValue(node.operand.value);
+      case '>=':
+        return time >= parseDateValue(node.operand.value);
+      case '<':
+        return time < parseDateValue(node.operand.value);
+      default:
+        return time <= parseDateValue(node.operand.value);
+    }
+  };
+  return !query.where || matches(query.where);
+}
+
+/**
+ * Comparator ORDER BY sorts a field's values by, as Jira does: keys naturally
+ * (QA-9 before QA-10), statuses by workflow position, priorities from lowest
+ * to highest, dates by time and anything else as text. Empty values come first.
+ * @param {string} field - Searchable field
+ * @returns {Function} Comparator of two values
+ */
+function getFieldComparator(field) {
+  if (field === 'key') {
+    return compareNaturalKeys;
+  }
+  if (field === 'status') {
+    return compareByPosition(Object.keys(STAND_IN_WORKFLOW), 'status');
+  }
+  if (field === 'priority') {
+    return compareByPosition(STAND_IN_PRIORITIES, 'priority');
+  }
+  return DATE_FIELDS.includes(field) ? compareDates : compareText;
+}
+
+/**
+ * Issues matching a checked query, in its ORDER BY order (see getFieldComparator)
+ * @param {Object[]} issues - Stand-in issues
+ * @param {Object} query - Query from checkJql()
+ * @returns {Object[]} Matching issues
+ */
+function searchIssues(issues, query) {
+  const keys = query.orderBy.map(({ field, direction }) => ({ field, direction, compare: getFieldComparator(field) }));
+  const compare = (a, b) => {
+    for (const { field, direction, compare: compareValues } of keys) {
+      const order = compareValues(SEARCHABLE_FIELDS[field](a)[0] || '', SEARCHABLE_FIELDS[field](b)[0] || '');
+      if (order !== 0) {
+        return direction === 'DESC' ? -order : order;
+      }
+    }
+    return 0;
+  };
+  return issues.filter((issue) => matchesJql(issue, query)).sort(compare);
+}
+
+/**
+ * Project key of an issue (the part of the key before the dash)
+ * @param {Object} issue - Stand-in issue
+ * @returns {string} Project key
+ */
+function getProjectKey(issue) {
+  return issue.key.split('-')[0];
+}
+
+/**
+ * Shape a workflow status like a Jira REST status
+ * @param {string} name - Status name
+ * @returns {Object} { id, name, statusCategory: { key, name } }
+ */
+function toRestStatus(name) {
+  const key = STAND_IN_STATUS_CATEGORIES[name];
+  return {
+    id: String(1 + Object.keys(STAND_IN_WORKFLOW).indexOf(name)),
+    name,
+    statusCategory: { key, name: STATUS_CATEGORY_NAMES[key] },
+  };
+}
+
+/**
+ * Resolution of an issue: Done once its status is in the Done category,
+ * cleared again when it is reopened
+ * @param {Object} issue - Stand-in issue
+ * @returns {string|null} Resolution name, or null while unresolved
+ */
+function getResolution(issue) {
+  return STAND_IN_STATUS_CATEGORIES[issue.status] === 'done' ? 'Done' : null;
+}
+
+/**
+ * Shape a stand-in issue like a Jira REST issue
+ * @param {Object} issue - Stand-in issue
+ * @returns {Object} { id, key, fields }
+ */
+function toRestIssue(issue) {
+  return {
+    id: String(10000 + Number(issue.key.split('-')[1])),
+    key: issue.key,
+    fields: {
+      project: { key: getProjectKey(issue) },
+      issuetype: { name: issue.type },
+      summary: issue.summary,
+      status: toRestStatus(issue.status),
+      resolution: getResolution(issue) ? { name: getResolution(issue) } : null,
+      priority: { name: issue.priority },
+      assignee: issue.assignee ? { displayName: issue.assignee } : null,
+      reporter: issue.reporter ? { displayName: issue.reporter } : null,
+      labels: issue.labels || [],
+      created: issue.created,
+      updated: issue.updated,
+    },
+  };
+}
+
+class JiraStandIn {
+  /**
+   * Constructor
+   * @param {Object} options - Server options
+   * @param {Object[]} options.issues - Seeded issues
+   * @param {string} options.username - Accepted login email of the member account
+   * @param {string} options.password - Accepted login password of the member account
+   * @param {string} options.apiToken - Accepted API token of the member account
+   * @param {Object<string, Object>} options.roleUsers - Extra accounts keyed by role
+   *   ({ username, password, apiToken })
+   * @param {string} options.totpSecret - Base32 TOTP secret; enables two-step verification when set
+   * @param {FakeIdentityProvider} options.identityProvider - Sends every login through this IdP when set
+   * @param {number} options.captchaAfterFailures - Failed attempts before a CAPTCHA is shown
+   * @param {number} options.lockAfterFailures - Failed attempts before the account is locked
+   * @param {number} options.pageSize - Search results per page
+   */
+  constructor({
+    issues = loadIssues(),
+    username = STAND_IN_DEFAULTS.USERNAME,
+    password = STAND_IN_DEFAULTS.PASSWORD,
+    apiToken = STAND_IN_DEFAULTS.API_TOKEN,
+    roleUsers = STAND_IN_ROLE_USERS,
+    totpSecret = null,
+    identityProvider = null,
+    captchaAfterFailures = CAPTCHA_AFTER_FAILURES,
+    lockAfterFailures = LOCK_AFTER_FAILURES,
+    pageSize = STAND_IN_DEFAULTS.PAGE_SIZE,
+  } = {}) {
+    this.issues = issues;
+    this.users = [
+      { role: 'member', username, password, apiToken },
+      ...Object.entries(roleUsers).map(([role, user]) => ({ role, ...user })),
+    ];
+    this.totpSecret = totpSecret;
+    this.identityProvider = identityProvider;
+    this.captchaAfterFailures = captchaAfterFailures;
+    this.lockAfterFailures = lockAfterFailures;
+    this.pageSize = pageSize;
+    this.failedAttempts = new Map();
+    this.sessions = new Map();
+    this.pendingVerifications = new Map();
+    this.trustedDevices = new Set();
+    this.savedFilters = new SavedFilterStore();
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.stack);
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port - Port to listen on (0 picks a free port)
+   * @param {string} host - Interface to bind
+   * @returns {Promise<string>} Base URL of the running server
+   */
+  async start(port = STAND_IN_DEFAULTS.PORT, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    return this.url;
+  }
+
+  /**
+   * Stop listening and drop open connections
+   */
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string} e.g. http://127.0.0.1:4010
+   */
+  get url() {
+    const { address, port } = this.server.address();
+    return `http://${address}:${port}`;
+  }
+
+  /**
+   * Basic search criteria with their options and each issue's values.
+   * Options are the distinct values across the seeded issues, in first-seen
+   * order (date criteria have none).
+   * @param {string} jql - Query whose statuses are preselected
+   * @returns {Object[]} { field, label, jqlField, more, date, emptyText, sortField, options, selected, issueValues }
+   */
+  getFilterCriteria(jql) {
+    return FILTER_CRITERIA.map(({ values, ...criterion }) => ({
+      ...criterion,
+      more: Boolean(criterion.more),
+      date: Boolean(criterion.date),
+      emptyText: criterion.emptyText || '',
+      sortField: normalizeField(criterion.jqlField),
+      options: criterion.date ? [] : [...new Set(this.issues.flatMap(values))],
+      selected: criterion.field === 'status' ? getSelectedStatuses(jql) : [],
+      issueValues: Object.fromEntries(this.issues.map((issue) => [issue.key, values(issue)])),
+    }));
+  }
+
+  /**
+   * Issue keys in ascending order of each searchable field, for sorting in
+   * the browser; ties keep the seeded order
+   * @returns {Object} Keys by field, e.g. { priority: ['QA-4', 'QA-8', 'QA-2', ...] }
+   */
+  getSortOrders() {
+    return Object.fromEntries(
+      Object.keys(SEARCHABLE_FIELDS).map((field) => [
+        field,
+        searchIssues(this.issues, { where: null, orderBy: [{ field, direction: 'ASC' }] }).map((issue) => issue.key),
+      ])
+    );
+  }
+
+  /**
+   * Check whether a request carries a valid session cookie
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} True if authenticated
+   */
+  isAuthenticated(req) {
+    return this.getSessionUser(req) !== null;
+  }
+
+  /**
+   * Get the account behind a request's session cookie
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object|null} Account, or null if there is no valid session
+   */
+  getSessionUser(req) {
+    return this.sessions.get(readCookies(req)[SESSION_COOKIE]) || null;
+  }
+
+  /**
+   * Get the account behind a request's basic auth header (email + API token)
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Object|null} Account, or null if the header is missing or wrong
+   */
+  getBasicAuthUser(req) {
+    const [scheme, encoded = ''] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Basic') {
+      return null;
+    }
+    const [username, apiToken] = Buffer.from(encoded, 'base64').toString().split(':');
+    return this.users.find((u) => u.username === username && u.apiToken === apiToken) || null;
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://stand-in');
+
+    if (url.pathname === '/health') {
+      return send(res, 200, 'ok', 'text/plain');
+    }
+
+    if (url.pathname === '/login') {
+      return req.method === 'POST'
+        ? this.handleLogin(req, res)
+        : send(
+            res,
+            200,
+            views.loginPage({
+              continueTo: url.searchParams.get('continue') || '',
+              sso: Boolean(this.identityProvider),
+            })
+          );
+    }
+
+    if (url.pathname === '/signup') {
+      return send(res, 200, views.signupPage({ email: url.searchParams.get('email') || '' }));
+    }
+
+    if (url.pathname === '/login/sso/callback') {
+      return this.handleSsoCallback(req, res, url);
+    }
+
+    if (url.pathname === '/login/verify') {
+      return this.handleVerification(req, res);
+    }
+
+    if (url.pathname === '/rest/api/3/myself') {
+      return this.handleMyself(req, res);
+    }
+
+    if (url.pathname.startsWith('/rest/api/3/')) {
+      return this.handleRest(req, res, url);
+    }
+
+    if (!this.isAuthenticated(req)) {
+      const continueTo = url.pathname === '/' ? '' : `?continue=${encodeURIComponent(req.url)}`;
+      return redirect(res, `/login${continueTo}`);
+    }
+
+    if (url.pathname === '/jira/filters' && req.method === 'POST') {
+      return this.handleSaveFilter(req, res);
+    }
+    const filterAction = url.pathname.match(/^\/jira\/filters\/([^/]+)\/(\w+)$/);
+    if (filterAction && req.method === 'POST') {
+      return this.handleFilterAction(req, res, decodeURIComponent(filterAction[1]), filterAction[2]);
+    }
+
+    switch (url.pathname) {
+      case '/':
+      case '/jira':
+      case '/jira/':
+        return redirect(res, '/jira/your-work');
+      case '/jira/your-work':
+        return send(res, 200, views.homePage());
+      case '/jira/filters':
+        return this.handleFiltersDirectory(req, res, url);
+      case '/jira/issues':
+        return this.handleIssueSearchPage(req, res, url);
+      default:
+        return send(res, 404, 'Not found', 'text/plain');
+    }
+  }
+
+  /**
+   * Validate posted credentials and start a session
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleLogin(req, res) {
+    const form = new URLSearchParams(await readBody(req));
+    const username = form.get('username') || '';
+    const continueTo = form.get('continue') || '';
+
+    // SSO sites hand the email step over to the identity provider
+    if (this.identityProvider) {
+      const returnTo = new URL('/login/sso/callback', `http://${req.headers.host}`);
+      returnTo.searchParams.set('continue', continueTo);
+      return redirect(res, this.identityProvider.authorizeUrl(returnTo.toString(), username));
+    }
+
+    // Unknown emails are offered a sign-up, like Atlassian does
+    const user = this.users.find((u) => u.username === username);
+    if (!user) {
+      return redirect(res, `/signup?email=${encodeURIComponent(username)}`);
+    }
+
+    const failures = this.failedAttempts.get(username) || 0;
+    if (failures >= this.lockAfterFailures) {
+      return send(
+        res,
+        403,
+        views.loginPage({
+          username,
+          continueTo,
+          error: 'Your account has been locked after too many failed login attempts.',
+        })
+      );
+    }
+    if (failures >= this.captchaAfterFailures) {
+      this.failedAttempts.set(username, failures + 1);
+      return send(res, 401, views.loginPage({ username, continueTo, captcha: true }));
+    }
+
+    if (user.password !== form.get('password')) {
+      this.failedAttempts.set(username, failures + 1);
+      return send(
+        res,
+        401,
+        views.loginPage({
+          username,
+          continueTo,
+          error: 'Incorrect email address and / or password.',
+        })
+      );
+    }
+    this.failedAttempts.delete(username);
+
+    const trusted = this.trustedDevices.has(readCookies(req)[TRUSTED_DEVICE_COOKIE]);
+    if (this.totpSecret && !trusted) {
+      const pendingToken = crypto.randomBytes(16).toString('hex');
+      this.pendingVerifications.set(pendingToken, { user, continueTo });
+      appendCookie(res, `${PENDING_VERIFICATION_COOKIE}=${pendingToken}; Path=/login; HttpOnly`);
+      return redirect(res, '/login/verify');
+    }
+
+    this.startSession(res, user);
+    return redirect(res, continueTo.startsWith('/') ? continueTo : '/jira/your-work');
+  }
+
+  /**
+   * Two-step verification: show the code form, or check a submitted code
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleVerification(req, res) {
+    const pendingToken = readCookies(req)[PENDING_VERIFICATION_COOKIE];
+    if (!this.pendingVerifications.has(pendingToken)) {
+      return redirect(res, '/login');
+    }
+    if (req.method !== 'POST') {
+      return send(res, 200, views.verificationPage());
+    }
+
+    const form = new URLSearchParams(await readBody(req));
+    if (!verifyTotp(form.get('otpCode') || '', this.totpSecret)) {
+      return send(
+        res,
+        401,
+        views.verificationPage({ error: "That code didn't work. Check the code and try again." })
+      );
+    }
+
+    const { user, continueTo } = this.pendingVerifications.get(pendingToken);
+    this.pendingVerifications.delete(pendingToken);
+    if (form.get('rememberDevice')) {
+      const deviceToken = crypto.randomBytes(16).toString('hex');
+      this.trustedDevices.add(deviceToken);
+      appendCookie(res, `${TRUSTED_DEVICE_COOKIE}=${deviceToken}; Path=/; Max-Age=2592000; HttpOnly`);
+    }
+    this.startSession(res, user);
+    return redirect(res, continueTo.startsWith('/') ? continueTo : '/jira/your-work');
+  }
+
+  /**
+   * Return from the identity provider: redeem the ticket and start a session
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   */
+  async handleSsoCallback(req, res, url) {
+    const username =
+      this.identityProvider && this.identityProvider.redeemTicket(url.searchParams.get('ticket'));
+    const user = this.users.find((u) => u.username === username);
+    if (!user) {
+      return send(res, 403, 'Single sign-on ticket was rejected', 'text/plain');
+    }
+
+    const continueTo = url.searchParams.get('continue') || '';
+    this.startSession(res, user);
+    return redirect(res, continueTo.startsWith('/') ? continueTo : '/jira/your-work');
+  }
+
+  /**
+   * Current user endpoint. Accepts a session cookie, or basic auth with the
+   * API token, in which case a session cookie is issued like Jira Cloud does.
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleMyself(req, res) {
+    let user = this.getSessionUser(req);
+    if (!user) {
+      user = this.getBasicAuthUser(req);
+      if (!user) {
+        return send(res, 401, JSON.stringify({ errorMessages: ['Unauthorized'] }), 'application/json');
+      }
+      this.startSession(res, user);
+    }
+
+    return send(
+      res,
+      200,
+      JSON.stringify({
+        accountId: `stand-in-${user.role}`,
+        emailAddress: user.username,
+        displayName: user.username,
+        active: true,
+      }),
+      'application/json'
+    );
+  }
+
+  /**
+   * REST API for test data. Accepts a session cookie or basic auth with the API token.
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Parsed request URL
+   */
+  async handleRest(req, res, url) {
+    if (!this.getSessionUser(req) && !this.getBasicAuthUser(req)) {
+      return sendJson(res, 401, { errorMessages: ['Unauthorized'] });
+    }
+
+    const body = req.method === 'POST' ? await readBody(req) : '';
+    let json;
+    try {
+      json = body ? JSON.parse(body) : {};
+    } catch (error) {
+      return sendJson(res, 400, { errorMessages: [`The request body is not valid JSON: ${error.message}`] });
+    }
+
+    if (url.pathname === '/rest/api/3/status') {
+      return sendJson(res, 200, Object.keys(STAND_IN_WORKFLOW).map(toRestStatus));
+    }
+    if (url.pathname === '/rest/api/3/search/jql') {
+      return this.handleSearch(res, req.method === 'POST' ? json : Object.fromEntries(url.searchParams));
+    }
+    if (url.pathname === '/rest/api/3/search/approximate-count' && req.method === 'POST') {
+      return this.handleCount(res, json);
+    }
+    if (url.pathname === '/rest/api/3/issue' && req.method === 'POST') {
+      return this.handleCreateIssue(res, json.fields || {});
+    }
+
+    const filterMatch = url.pathname.match(/^\/rest\/api\/3\/filter\/([^/]+)$/);
+    if (filterMatch) {
+      return this.handleRestFilter(req, res, decodeURIComponent(filterMatch[1]));
+    }
+
+    const match = url.pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)(\/transitions)?$/);
+    const issue = match && this.issues.find((i) => i.key === decodeURIComponent(match[1]));
+    if (!match) {
+      return sendJson(res, 404, { errorMessages: ['Not found'] });
+    }
+    if (!issue) {
+      return sendJson(res, 404, { errorMessages: ['Issue does not exist or you do not have permission to see it.'] });
+    }
+
+    if (match[2]) {
+      return req.method === 'POST'
+        ? this.handleTransition(res, issue, json)
+        : sendJson(res, 200, { transitions: this.getTransitions(issue) });
+    }
+    if (req.method === 'DELETE') {
+      this.issues = this.issues.filter((i) => i !== issue);
+      return sendJson(res, 204);
+    }
+    return sendJson(res, 200, toRestIssue(issue));
+  }
+
+  /**
+   * Issue search page. `?jql=` preselects statuses in basic mode; with
+   * `mode=advanced` the JQL editor is open and the query is run as typed,
+   * showing its errors under the editor. `?filter=<id>` opens a saved filter
+   * (its own JQL unless `jql` is given too).
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Request URL
+   */
+  handleIssueSearchPage(req, res, url) {
+    const filterId = url.searchParams.get('filter');
+    const filter = filterId === null ? null : this.savedFilters.get(filterId);
+    if (filterId !== null && !(filter && this.savedFilters.canView(filter, this.getSessionUser(req).username))) {
+      return send(res, 404, views.filterNotFoundPage());
+    }
+
+    const jql = url.searchParams.get('jql') ?? (filter ? filter.jql : '');
+    const advanced = Boolean(filter) || url.searchParams.get('mode') === 'advanced';
+    return send(res, 200, this.renderIssueSearch(req, { jql, advanced, filter }));
+  }
+
+  /**
+   * Render the issue search page
+   * @param {http.IncomingMessage} req - Request
+   * @param {Object} options - { jql, advanced, filter, filterError, saveAs }
+   * @returns {string} Issue search HTML
+   */
+  renderIssueSearch(req, { jql, advanced, filter = null, filterError = '', saveAs = null }) {
+    const { query, errors } = advanced ? checkJql(jql) : { query: null, errors: [] };
+    const user = this.getSessionUser(req);
+    // Advanced results are in the query's order; the column headers show its first sort key
+    const [firstKey] = query ? query.orderBy : [];
+
+    return views.issueSearchPage({
+      issues: this.issues.map((issue) => ({ ...issue, resolution: getResolution(issue) })),
+      criteria: this.getFilterCriteria(jql),
+      advancedSearch: advanced
+        ? { jql, errors, matchingKeys: query ? searchIssues(this.issues, query).map((issue) => issue.key) : [] }
+        : null,
+      savedFilter: filter && {
+        id: filter.id,
+        name: filter.name,
+        description: filter.description,
+        jql: filter.jql,
+        starred: filter.starredBy.has(user.username),
+        viewers: filter.viewers,
+        editors: filter.editors,
+        error: filterError,
+      },
+      saveAs,
+      pageSize: this.pageSize,
+      sorting: {
+        active: advanced
+          ? firstKey && { field: firstKey.field, direction: firstKey.direction || 'ASC' }
+          : BASIC_SEARCH_ORDER,
+        basic: BASIC_SEARCH_ORDER,
+        orders: this.getSortOrders(),
+      },
+    });
+  }
+
+  /**
+   * "View all filters" directory: tabs, search fields and sorting from the query string
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {URL} url - Request URL
+   */
+  handleFiltersDirectory(req, res, url) {
+    const param = (key, fallback = '') => url.searchParams.get(key) || fallback;
+    const { username } = this.getSessionUser(req);
+    const tab = ['all', 'my', 'starred'].includes(param('tab')) ? param('tab') : 'all';
+    const criteria = { name: param('name'), owner: param('owner'), project: param('project'), group: param('group') };
+    const sort = {
+      key: ['name', 'owner', 'favourites'].includes(param('sortKey')) ? param('sortKey') : 'name',
+      order: param('sortOrder') === 'DESC' ? 'DESC' : 'ASC',
+    };
+
+    const filters = this.savedFilters
+      .search(username, { tab, ...criteria, sortKey: sort.key, sortOrder: sort.order })
+      .map((filter) => ({
+        id: filter.id,
+        name: filter.name,
+        owner: filter.owner,
+        starred: filter.starredBy.has(username),
+        favouriteCount: filter.starredBy.size,
+      }));
+    return send(res, 200, views.filtersDirectoryPage({ filters, tab, criteria, sort }));
+  }
+
+  /**
+   * "Save as": save the current search as a new filter and open it
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleSaveFilter(req, res) {
+    const form = new URLSearchParams(await readBody(req));
+    const details = {
+      name: form.get('name') || '',
+      description: form.get('description') || '',
+      jql: form.get('jql') || '',
+    };
+
+    try {
+      const filter = this.savedFilters.create({ ...details, owner: this.getSessionUser(req).username });
+      return redirect(res, `/jira/issues?filter=${filter.id}`);
+    } catch (error) {
+      return send(
+        res,
+        400,
+        this.renderIssueSearch(req, { jql: details.jql, advanced: true, saveAs: { ...details, error: error.message } })
+      );
+    }
+  }
+
+  /**
+   * Change an open saved filter: details, jql, star, unstar, share, unshare or delete
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} id - Filter id
+   * @param {string} action - What to change
+   */
+  async handleFilterAction(req, res, id, action) {
+    const { username } = this.getSessionUser(req);
+    const filter = this.savedFilters.get(id);
+    if (!filter || !this.savedFilters.canView(filter, username)) {
+      return send(res, 404, views.filterNotFoundPage());
+    }
+    const form = new URLSearchParams(await readBody(req));
+
+    // Anyone who can see a filter may star it; changing it takes edit
+    // permission, and deleting it ownership
+    let denied = '';
+    if (action === 'delete' && filter.owner !== username) {
+      denied = 'Only the owner of this filter can delete it.';
+    } else if (!['star', 'unstar', 'delete'].includes(action) && !this.savedFilters.canEdit(filter, username)) {
+      denied = 'You do not have permission to edit this filter.';
+    }
+    if (denied) {
+      return send(
+        res,
+        403,
+        this.renderIssueSearch(req, { jql: filter.jql, advanced: true, filter, filterError: denied })
+      );
+    }
+
+    try {
+      switch (action) {
+        case 'details':
+          this.savedFilters.update(filter, {
+            name: form.get('name') || '',
+            description: form.get('description') || '',
+          });
+          break;
+        case 'jql':
+          this.savedFilters.update(filter, { jql: form.get('jql') || '' });
+          break;
+        case 'star':
+        case 'unstar':
+          this.savedFilters.setStarred(filter, username, action === 'star');
+          break;
+        case 'share':
+          this.savedFilters.share(filter, form.get('role'), {
+            type: form.get('type'),
+            value: form.get('value') || '',
+          });
+          break;
+        case 'unshare':
+          this.savedFilters.unshare(filter, form.get('role'), Number(form.get('index')));
+          break;
+        case 'delete':
+          this.savedFilters.delete(filter);
+          return redirect(res, '/jira/filters');
+        default:
+          return send(res, 404, 'Not found', 'text/plain');
+      }
+    } catch (error) {
+      return send(
+        res,
+        400,
+        this.renderIssueSearch(req, { jql: filter.jql, advanced: true, filter, filterError: error.message })
+      );
+    }
+    return redirect(res, `/jira/issues?filter=${filter.id}`);
+  }
+
+  /**
+   * Read or delete a saved filter
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} id - Filter id
+   */
+  handleRestFilter(req, res, id) {
+    const { username } = this.getSessionUser(req) || this.getBasicAuthUser(req);
+    const filter = this.savedFilters.get(id);
+    if (!filter || !this.savedFilters.canView(filter, username)) {
+      return sendJson(res, 404, {
+        errorMessages: ['The selected filter is not available to you, perhaps it has been deleted or had its permissions changed.'],
+      });
+    }
+    if (req.method === 'DELETE') {
+      if (filter.owner !== username) {
+        return sendJson(res, 403, { errorMessages: ['Only the owner of this filter can delete it.'] });
+      }
+      this.savedFilters.delete(filter);
+      return sendJson(res, 204);
+    }
+    return sendJson(res, 200, toRestFilter(filter, username));
+  }
+
+  /**
+   * JQL search, paged with nextPageToken like /rest/api/3/search/jql
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} params - { jql, maxResults, nextPageToken }
+   */
+  handleSearch(res, { jql = '', maxResults = 50, nextPageToken = '0' }) {
+    const { query, errors } = checkJql(jql);
+    if (errors.length > 0) {
+      return sendJson(res, 400, { errorMessages: errors, warningMessages: [] });
+    }
+    const matches = searchIssues(this.issues, query);
+    const start = Number(nextPageToken) || 0;
+    const end = start + Number(maxResults);
+    return sendJson(res, 200, {
+      issues: matches.slice(start, end).map(toRestIssue),
+      isLast: end >= matches.length,
+      ...(end < matches.length ? { nextPageToken: String(end) } : {}),
+    });
+  }
+
+  /**
+   * Number of issues a JQL query matches, like /rest/api/3/search/approximate-count
+   * (exact here, since the stand-in has few issues)
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} params - { jql }
+   */
+  handleCount(res, { jql = '' }) {
+    const { query, errors } = checkJql(jql);
+    if (errors.length > 0) {
+      return sendJson(res, 400, { errorMessages: errors, warningMessages: [] });
+    }
+    return sendJson(res, 200, { count: searchIssues(this.issues, query).length });
+  }
+
+  /**
+   * Create an issue in an existing project; it starts in the initial status
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} fields - REST issue fields
+   */
+  handleCreateIssue(res, fields) {
+    const project = fields.project && fields.project.key;
+    const numbers = this.issues.filter((i) => getProjectKey(i) === project).map((i) => Number(i.key.split('-')[1]));
+    if (numbers.length === 0 || !fields.issuetype || !fields.summary) {
+      return sendJson(res, 400, {
+        errors: { project: 'Give an existing project, an issue type and a summary.' },
+      });
+    }
+
+    const now = new Date().toISOString();
+    const issue = {
+      key: `${project}-${Math.max(...numbers) + 1}`,
+      summary: fields.summary,
+      type: fields.issuetype.name,
+      status: INITIAL_STATUS,
+      priority: 'Medium',
+      assignee: null,
+      reporter: null,
+      labels: fields.labels || [],
+      created: now,
+      updated: now,
+    };
+    this.issues.push(issue);
+    const { id, key } = toRestIssue(issue);
+    return sendJson(res, 201, { id, key });
+  }
+
+  /**
+   * Workflow transitions out of an issue's current status
+   * @param {Object} issue - Stand-in issue
+   * @returns {Object[]} Transitions ({ id, name, to: { name } })
+   */
+  getTransitions(issue) {
+    const statuses = Object.keys(STAND_IN_WORKFLOW);
+    return (STAND_IN_WORKFLOW[issue.status] || []).map((to) => ({
+      id: String(11 + statuses.indexOf(to)),
+      name: to,
+      to: { name: to },
+    }));
+  }
+
+  /**
+   * Move an issue along one of its available transitions
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} issue - Stand-in issue
+   * @param {Object} body - { transition: { id } }
+   */
+  handleTransition(res, issue, body) {
+    const transition = this.getTransitions(issue).find((t) => t.id === String(body.transition && body.transition.id));
+    if (!transition) {
+      return sendJson(res, 400, { errorMessages: [`Transition is not valid from status "${issue.status}".`] });
+    }
+    issue.status = transition.to.name;
+    issue.updated = new Date().toISOString();
+    return sendJson(res, 204);
+  }
+
+  /**
+   * Issue a new session cookie on the response
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} user - Account the session belongs to
+   */
+  startSession(res, user) {
+    const token = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(token, user);
+    appendCookie(res, `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax`);
+  }
+}
+
+/**
+ * Write a complete response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {string} body - Response body
+ * @param {string} contentType - Content type (default: HTML)
+ */
+function send(res, status, body, contentType = 'text/html; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Body to serialize (omitted for 204)
+ */
+function sendJson(res, status, body) {
+  if (status === 204) {
+    res.writeHead(204);
+    return res.end();
+  }
+  return send(res, status, JSON.stringify(body), 'application/json');
+}
+
+/**
+ * Redirect with 302 Found
+ * @param {http.ServerResponse} res - Response
+ * @param {string} location - Target path
+ */
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+/**
+ * Add a Set-Cookie header without replacing ones already set
+ * @param {http.ServerResponse} res - Response
+ * @param {string} cookie - Cookie definition
+ */
+function appendCookie(res, cookie) {
+  const existing = res.getHeader('Set-Cookie') || [];
+  res.setHeader('Set-Cookie', [...existing, cookie]);
+}
+
+/**
+ * Parse the Cookie header
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Object<string, string>} Cookie values by name
+ */
+function readCookies(req) {
+  return Object.fromEntries(
+    (req.headers.cookie || '')
+      .split(';')
+      .map((pair) => pair.trim().split('='))
+      .filter(([name]) => name)
+  );
+}
+
+/**
+ * Read a request body as text
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string>} Body
+ */
+async function readBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return body;
+}
+
+if (require.main === module) {
+  const main = async () => {
+    // JIRA_STAND_IN_SSO sends logins through a fake identity provider on its own port
+    let identityProvider = null;
+    const standIn = new JiraStandIn({
+      issues: loadIssues(process.env.JIRA_STAND_IN_FIXTURE || STAND_IN_DEFAULTS.FIXTURE),
+      username: process.env.JIRA_USERNAME || STAND_IN_DEFAULTS.USERNAME,
+      password: process.env.JIRA_PASSWORD || STAND_IN_DEFAULTS.PASSWORD,
+      apiToken: process.env.JIRA_API_TOKEN || STAND_IN_DEFAULTS.API_TOKEN,
+      totpSecret: process.env.JIRA_TOTP_SECRET || null,
+      pageSize: Number(process.env.JIRA_STAND_IN_PAGE_SIZE) || STAND_IN_DEFAULTS.PAGE_SIZE,
+    });
+    if (process.env.JIRA_STAND_IN_SSO) {
+      identityProvider = new FakeIdentityProvider({ users: standIn.users });
+      standIn.identityProvider = identityProvider;
+      const idpUrl = await identityProvider.start(
+        Number(process.env.JIRA_STAND_IN_IDP_PORT) || FAKE_IDP_DEFAULTS.PORT
+      );
+      console.log(`Fake identity provider listening on ${idpUrl}`);
+    }
+
+    const url = await standIn.start(Number(process.env.JIRA_STAND_IN_PORT) || STAND_IN_DEFAULTS.PORT);
+    console.log(`Jira stand-in listening on ${url}`);
+  };
+  // A taken port or an unreadable fixture ends the process with an error, not an unhandled rejection
+  main().catch((error) => {
+    console.error(`❌ Jira stand-in could not start: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  JiraStandIn,
+  STAND_IN_DEFAULTS,
+  STAND_IN_ROLE_USERS,
+  STAND_IN_WORKFLOW,
+  SESSION_COOKIE,
+  loadIssues,
+  getSelectedStatuses,
+  checkJql,
+  searchIssues,
+};
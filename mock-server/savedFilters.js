@@ -0,0 +1,271 @@
+/**
+ * SavedFilterStore
+ *
+ * In-memory saved filters for the Jira stand-in: name, description, JQL,
+ * owner, star and share permissions. Filter ids count up from 10000 like
+ * Jira's do.
+ *
+ * Share permissions are { type, value } entries in a viewers and an editors
+ * list, with type one of:
+ * - organization: anyone logged in to the site (no value)
+ * - project: members of the project with key `value`
+ * - group: members of the group named `value`
+ * - user: the account with email `value`
+ * A filter with no viewers is private to its owner. Editors may change a
+ * filter's details, JQL and shares; only the owner may delete it.
+ */
+
+const FIRST_FILTER_ID = 10000;
+const SHARE_TYPES = ['organization', 'project', 'group', 'user'];
+const SHARE_ROLES = ['viewers', 'editors'];
+
+class SavedFilterStore {
+  constructor() {
+    this.filters = new Map();
+    this.nextId = FIRST_FILTER_ID;
+  }
+
+  /**
+   * Save a new filter
+   * @param {Object} details - { name, description, jql, owner }
+   * @returns {Object} The saved filter
+   * @throws {Error} If the name is empty or the owner already has a filter with that name
+   */
+  create({ name = '', description = '', jql = '', owner }) {
+    this.checkName(name, owner);
+    const filter = {
+      id: String(this.nextId++),
+      name: name.trim(),
+      description,
+      jql,
+      owner,
+      starredBy: new Set([owner]),
+      viewers: [],
+      editors: [],
+    };
+    this.filters.set(filter.id, filter);
+    return filter;
+  }
+
+  /**
+   * Get a filter by id
+   * @param {string} id - Filter id
+   * @returns {Object|null} Filter, or null if there is none
+   */
+  get(id) {
+    return this.filters.get(String(id)) || null;
+  }
+
+  /**
+   * Filters in id order
+   * @returns {Object[]} Filters
+   */
+  list() {
+    return [...this.filters.values()];
+  }
+
+  /**
+   * Filters for the "View all filters" directory.
+   * A user sees their own filters and those shared with them; the stand-in
+   * counts every account as a member of every project and group.
+   * @param {string} username - Account email of the viewer
+   * @param {Object} options - Search options
+   * @param {string} options.tab - all, my (owned by the viewer) or starred (by the viewer)
+   * @param {string} options.name - Part of the filter name
+   * @param {string} options.owner - Part of the owner's email
+   * @param {string} options.project - Project key the filter is shared with
+   * @param {string} options.group - Group the filter is shared with
+   * @param {string} options.sortKey - name, owner or favourites
+   * @param {string} options.sortOrder - ASC or DESC
+   * @returns {Object[]} Matching filters, sorted
+   */
+  search(
+    username,
+    { tab = 'all', name = '', owner = '', project = '', group = '', sortKey = 'name', sortOrder = 'ASC' } = {}
+  ) {
+    const contains = (text, part) => text.toLowerCase().includes(part.trim().toLowerCase());
+    const sharedWith = (filter, type, value) =>
+      filter.viewers.some((p) => p.type === type && p.value.toLowerCase() === value.trim().toLowerCase());
+    const sortValue = {
+      name: (filter) => filter.name.toLowerCase(),
+      owner: (filter) => filter.owner.toLowerCase(),
+      favourites: (filter) => filter.starredBy.size,
+    }[sortKey] || ((filter) => filter.name.toLowerCase());
+
+    return this.list()
+      .filter((filter) => this.canView(filter, username))
+      .filter((filter) => tab !== 'my' || filter.owner === username)
+      .filter((filter) => tab !== 'starred' || filter.starredBy.has(username))
+      .filter((filter) => contains(filter.name, name) && contains(filter.owner, owner))
+      .filter((filter) => !project.trim() || sharedWith(filter, 'project', project))
+      .filter((filter) => !group.trim() || sharedWith(filter, 'group', group))
+      .sort((a, b) => {
+        const [x, y] = [sortValue(a), sortValue(b)];
+        const order = x < y ? -1 : x > y ? 1 : Number(a.id) - Number(b.id);
+        return sortOrder === 'DESC' ? -order : order;
+      });
+  }
+
+  /**
+   * Check whether a user may open a filter: its owner, its editors, and
+   * anyone it is shared with (every account is in every project and group)
+   * @param {Object} filter - Filter from get()
+   * @param {string} username - Account email
+   * @returns {boolean} True if the filter is visible to the user
+   */
+  canView(filter, username) {
+    return this.canEdit(filter, username) || filter.viewers.some((p) => includesUser(p, username));
+  }
+
+  /**
+   * Check whether a user may change a filter: its owner and its editors
+   * @param {Object} filter - Filter from get()
+   * @param {string} username - Account email
+   * @returns {boolean} True if the user may edit the filter
+   */
+  canEdit(filter, username) {
+    return filter.owner === username || filter.editors.some((p) => includesUser(p, username));
+  }
+
+  /**
+   * Change a filter's name, description or JQL
+   * @param {Object} filter - Filter from get()
+   * @param {Object} changes - Any of { name, description, jql }
+   */
+  update(filter, { name, description, jql }) {
+    if (name !== undefined) {
+      this.checkName(name, filter.owner, filter);
+      filter.name = name.trim();
+    }
+    if (description !== undefined) {
+      filter.description = description;
+    }
+    if (jql !== undefined) {
+      filter.jql = jql;
+    }
+  }
+
+  /**
+   * Star or unstar a filter for a user
+   * @param {Object} filter - Filter from get()
+   * @param {string} username - Account email
+   * @param {boolean} starred - True to star
+   */
+  setStarred(filter, username, starred) {
+    if (starred) {
+      filter.starredBy.add(username);
+    } else {
+      filter.starredBy.delete(username);
+    }
+  }
+
+  /**
+   * Add a share permission
+   * @param {Object} filter - Filter from get()
+   * @param {string} role - 'viewers' or 'editors'
+   * @param {Object} permission - { type, value }
+   * @throws {Error} On an unknown role or type, or a missing value
+   */
+  share(filter, role, { type, value = '' }) {
+    if (!SHARE_ROLES.includes(role)) {
+      throw new Error(`Unknown share role "${role}"`);
+    }
+    if (!SHARE_TYPES.includes(type)) {
+      throw new Error(`Unknown share type "${type}"`);
+    }
+    if (type !== 'organization' && !value.trim()) {
+      throw new Error(`Sharing with a ${type} needs a ${type} name`);
+    }
+    const permission = type === 'organization' ? { type } : { type, value: value.trim() };
+    if (!filter[role].some((p) => p.type === permission.type && p.value === permission.value)) {
+      filter[role].push(permission);
+    }
+  }
+
+  /**
+   * Remove a share permission
+   * @param {Object} filter - Filter from get()
+   * @param {string} role - 'viewers' or 'editors'
+   * @param {number} index - Position in the list
+   */
+  unshare(filter, role, index) {
+    if (SHARE_ROLES.includes(role)) {
+      filter[role].splice(index, 1);
+    }
+  }
+
+  /**
+   * Delete a filter
+   * @param {Object} filter - Filter from get()
+   */
+  delete(filter) {
+    this.filters.delete(filter.id);
+  }
+
+  /**
+   * Check a filter name is given and not used by another of the owner's filters
+   * @param {string} name - Proposed name
+   * @param {string} owner - Account email
+   * @param {Object} self - Filter being renamed (ignored in the check)
+   */
+  checkName(name, owner, self = null) {
+    if (!name.trim()) {
+      throw new Error('You must specify a name for this filter.');
+    }
+    const taken = this.list().some(
+      (filter) => filter !== self && filter.owner === owner && filter.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    if (taken) {
+      throw new Error('Filter with same name already exists.');
+    }
+  }
+}
+
+/**
+ * Check whether a share permission covers an account
+ * @param {Object} permission - { type, value }
+ * @param {string} username - Account email
+ * @returns {boolean} True for organization, project and group shares, and a user share naming the account
+ */
+function includesUser({ type, value }, username) {
+  return type !== 'user' || value === username;
+}
+
+/**
+ * Shape a share permission like the Jira REST API does
+ * @param {Object} permission - { type, value }
+ * @returns {Object} REST share permission
+ */
+function toRestPermission({ type, value }) {
+  switch (type) {
+    case 'organization':
+      return { type: 'loggedin' };
+    case 'project':
+      return { type: 'project', project: { key: value } };
+    case 'group':
+      return { type: 'group', group: { name: value } };
+    default:
+      return { type: 'user', user: { emailAddress: value } };
+  }
+}
+
+/**
+ * Shape a filter like GET /rest/api/3/filter/{id}
+ * @param {Object} filter - Filter from the store
+ * @param {string} username - Account asking (for `favourite`)
+ * @returns {Object} REST filter
+ */
+function toRestFilter(filter, username) {
+  return {
+    id: filter.id,
+    name: filter.name,
+    description: filter.description,
+    jql: filter.jql,
+    owner: { emailAddress: filter.owner },
+    favourite: filter.starredBy.has(username),
+    sharePermissions: filter.viewers.map(toRestPermission),
+    editPermissions: filter.editors.map(toRestPermission),
+  };
+}
+
+module.exports = { SavedFilterStore, SHARE_TYPES, SHARE_ROLES, toRestFilter };
@@ -0,0 +1,990 @@
+/**
+ * Jira stand-in views
+ *
+ * HTML templates served by the Jira stand-in server. The markup only mirrors
+ * the parts of Jira Cloud that the page objects rely on:
+ * - Atlassian two-step login form (#username, #password, #login-submit)
+ * - Two-step verification code screen
+ * - External identity provider (SSO) sign-in form
+ * - "Your work" home page with the Filters navigation menu
+ * - "View all filters" directory with the "Create filter" action
+ * - Issue search with the status dropdown, results table and JQL toggle
+ */
+
+/**
+ * Escape a value for safe use inside HTML text and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serialize data for embedding inside a <script> block
+ * @param {*} data - JSON-serializable data
+ * @returns {string} JSON that cannot terminate the surrounding script tag
+ */
+function embedJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Wrap page content in the common document shell
+ * @param {string} title - Document title
+ * @param {string} body - Body markup
+ * @returns {string} Full HTML document
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} - Jira</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; }
+    header { display: flex; gap: 16px; padding: 8px 16px; border-bottom: 1px solid #ddd; }
+    main { padding: 16px; }
+    [hidden] { display: none !important; }
+    [role="listbox"] { border: 1px solid #ccc; padding: 8px; background: #fff; }
+    table { border-collapse: collapse; margin-top: 16px; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+    .error { color: #ae2a19; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * Top navigation shared by all authenticated pages.
+ * The Filters menu listbox is only attached to the DOM while open, so it
+ * never competes with other [role="listbox"] elements on the page.
+ * @returns {string} Navigation markup
+ */
+function navigation() {
+  return `<header>
+  <a href="/jira/your-work">Your work</a>
+  <button type="button" id="filters-menu-trigger">Filters</button>
+</header>
+<script>
+  (function () {
+    const trigger = document.getElementById('filters-menu-trigger');
+    let menu = null;
+    function closeMenu() {
+      if (menu) {
+        menu.remove();
+        menu = null;
+      }
+    }
+    trigger.addEventListener('click', function () {
+      if (menu) {
+        closeMenu();
+        return;
+      }
+      menu = document.createElement('div');
+      menu.setAttribute('role', 'listbox');
+      menu.innerHTML = '<a role="option" href="/jira/filters">View all filters</a>';
+      trigger.insertAdjacentElement('afterend', menu);
+    });
+    document.addEventListener('keydown', function (event) {
+      if (event.key === 'Escape') closeMenu();
+    });
+  })();
+</script>`;
+}
+
+/**
+ * Atlassian-style two-step login page. The password step is revealed after
+ * the first #login-submit click, and the second click posts the form.
+ * With SSO the first click posts the email alone, and the server redirects
+ * to the identity provider.
+ * @param {Object} options - Render options
+ * @param {string} [options.username] - Username to prefill after a failed attempt
+ * @param {string} [options.error] - Error message to display
+ * @param {string} [options.continueTo] - Path to return to after login
+ * @param {boolean} [options.sso] - Post the email step to the server
+ * @param {boolean} [options.captcha] - Show a CAPTCHA challenge
+ * @returns {string} Login page HTML
+ */
+function loginPage({ username = '', error = '', continueTo = '', sso = false, captcha = false } = {}) {
+  const passwordStep = username ? '' : 'hidden';
+  return layout(
+    'Log in',
+    `<main>
+  <h1>Log in to continue</h1>
+  ${error ? `<p class="error" data-testid="form-error">${escapeHtml(error)}</p>` : ''}
+  ${captcha ? `<div id="captcha" data-testid="captcha">Verify you're not a robot</div>` : ''}
+  <form id="login-form" method="post" action="/login">
+    <input type="hidden" name="continue" value="${escapeHtml(continueTo)}">
+    <label>Email <input id="username" name="username" type="email" value="${escapeHtml(username)}"></label>
+    <div id="password-step" ${passwordStep}>
+      <label>Password <input id="password" name="password" type="password"></label>
+    </div>
+    <button type="button" id="login-submit">Continue</button>
+  </form>
+</main>
+<script>
+  (function () {
+    const form = document.getElementById('login-form');
+    const passwordStep = document.getElementById('password-step');
+    const sso = ${sso};
+    document.getElementById('login-submit').addEventListener('click', function () {
+      if (sso) {
+        form.submit();
+        return;
+      }
+      if (passwordStep.hidden) {
+        if (document.getElementById('username').value) passwordStep.hidden = false;
+        return;
+      }
+      form.submit();
+    });
+  })();
+</script>`
+  );
+}
+
+/**
+ * Sign-up page Atlassian shows for an email without an account
+ * @param {Object} options - Render options
+ * @param {string} [options.email] - Email entered on the login form
+ * @returns {string} Sign-up page HTML
+ */
+function signupPage({ email = '' } = {}) {
+  return layout(
+    'Sign up',
+    `<main>
+  <h1>Sign up to continue</h1>
+  <label>Email <input id="email" name="email" type="email" value="${escapeHtml(email)}"></label>
+</main>`
+  );
+}
+
+/**
+ * Two-step verification page shown after the password step for accounts
+ * with an authenticator app enrolled
+ * @param {Object} options - Render options
+ * @param {string} [options.error] - Error message for a rejected code
+ * @returns {string} Verification page HTML
+ */
+function verificationPage({ error = '' } = {}) {
+  return layout(
+    'Two-step verification',
+    `<main>
+  <h1>Enter the 6-digit code from your authenticator app</h1>
+  ${error ? `<p class="error" data-testid="otp-error">${escapeHtml(error)}</p>` : ''}
+  <form method="post" action="/login/verify">
+    <label>Verification code
+      <input id="two-step-verification-otp-code-input" name="otpCode" inputmode="numeric" autocomplete="one-time-code">
+    </label>
+    <label><input type="checkbox" id="remember-device-checkbox" name="rememberDevice"> Remember this device</label>
+    <button type="submit" id="two-step-verification-submit">Verify</button>
+  </form>
+</main>`
+  );
+}
+
+/**
+ * Sign-in form of the fake identity provider. Identifier-first like Okta:
+ * #idp-next reveals the password step, #idp-submit posts the form.
+ * @param {Object} options - Render options
+ * @param {string} options.returnTo - URL to send the ticket back to
+ * @param {string} [options.username] - Username to prefill (login hint)
+ * @param {string} [options.error] - Error message for rejected credentials
+ * @returns {string} Identity provider page HTML
+ */
+function identityProviderPage({ returnTo, username = '', error = '' }) {
+  return layout(
+    'Sign in',
+    `<main>
+  <h1>Sign in with your organisation account</h1>
+  ${error ? `<p class="error" data-testid="idp-error">${escapeHtml(error)}</p>` : ''}
+  <form id="idp-form" method="post" action="/authorize">
+    <input type="hidden" name="return_to" value="${escapeHtml(returnTo)}">
+    <label>Username <input id="idp-username" name="username" value="${escapeHtml(username)}"></label>
+    <button type="button" id="idp-next">Next</button>
+    <div id="idp-password-step" hidden>
+      <label>Password <input id="idp-password" name="password" type="password"></label>
+      <button type="submit" id="idp-submit">Sign in</button>
+    </div>
+  </form>
+</main>
+<script>
+  document.getElementById('idp-next').addEventListener('click', function () {
+    document.getElementById('idp-password-step').hidden = false;
+  });
+</script>`
+  );
+}
+
+/**
+ * "Your work" home page
+ * @returns {string} Home page HTML
+ */
+function homePage() {
+  return layout(
+    'Your work',
+    `${navigation()}
+<main>
+  <h1>Your work</h1>
+  <p>Recently viewed issues appear here.</p>
+</main>`
+  );
+}
+
+/**
+ * Page shown for a filter id that does not exist (or was deleted)
+ * @returns {string} Not found HTML
+ */
+function filterNotFoundPage() {
+  return layout(
+    'Filter not found',
+    `${navigation()}
+<main>
+  <p role="alert" data-testid="filter.not-found">The requested filter doesn't exist or is private.</p>
+</main>`
+  );
+}
+
+// Directory tabs and sortable columns, in display order
+const DIRECTORY_TABS = { all: 'All filters', my: 'My filters', starred: 'Starred' };
+const DIRECTORY_COLUMNS = { name: 'Name', owner: 'Owner', favourites: 'Starred by' };
+
+/**
+ * "View all filters" directory page.
+ *
+ * Searching, switching tabs and sorting are links and GET forms, so the URL
+ * always holds the current view: `tab`, `name`, `owner`, `project`, `group`,
+ * `sortKey` and `sortOrder`.
+ *
+ * @param {Object} options - Render options
+ * @param {Object[]} options.filters - Rows to show ({ id, name, owner, starred, favouriteCount })
+ * @param {string} options.tab - Selected tab (all, my or starred)
+ * @param {Object} options.criteria - Search fields ({ name, owner, project, group })
+ * @param {Object} options.sort - { key, order } with order ASC or DESC
+ * @returns {string} Filters directory HTML
+ */
+function filtersDirectoryPage({
+  filters = [],
+  tab = 'all',
+  criteria = {},
+  sort = { key: 'name', order: 'ASC' },
+} = {}) {
+  const link = (changes) => {
+    const params = new URLSearchParams({ tab, ...criteria, sortKey: sort.key, sortOrder: sort.order, ...changes });
+    [...params.keys()].filter((key) => !params.get(key)).forEach((key) => params.delete(key));
+    return escapeHtml(`/jira/filters?${params}`);
+  };
+  const tabs = Object.entries(DIRECTORY_TABS)
+    .map(
+      ([key, label]) =>
+        `<a role="tab" data-testid="filters.tab.${key}" aria-selected="${key === tab}" href="${link({ tab: key })}">${label}</a>`
+    )
+    .join('\n    ');
+  const headers = Object.entries(DIRECTORY_COLUMNS)
+    .map(([key, label]) => {
+      const sorted = key === sort.key;
+      const ariaSort = sorted ? ` aria-sort="${sort.order === 'ASC' ? 'ascending' : 'descending'}"` : '';
+      const nextOrder = sorted && sort.order === 'ASC' ? 'DESC' : 'ASC';
+      return `<th data-testid="filters.column.${key}"${ariaSort}><a href="${link({ sortKey: key, sortOrder: nextOrder })}">${label}</a></th>`;
+    })
+    .join('');
+  const searchField = (key, label) =>
+    `<label>${label} <input name="${key}" data-testid="filters.search.${key}" value="${escapeHtml(criteria[key] || '')}"></label>`;
+  const rows = filters
+    .map(
+      (filter) => `<tr data-testid="filters.row" data-filter-id="${escapeHtml(filter.id)}">
+        <td><span data-testid="filters.row.starred" data-starred="${filter.starred}" aria-label="${
+          filter.starred ? 'Starred' : 'Not starred'
+        }">${
+          filter.starred ? '&#9733;' : '&#9734;'
+        }</span></td>
+        <td data-testid="filters.row.name"><a href="/jira/issues?filter=${escapeHtml(filter.id)}">${escapeHtml(filter.name)}</a></td>
+        <td data-testid="filters.row.owner">${escapeHtml(filter.owner)}</td>
+        <td data-testid="filters.row.favourites">${filter.favouriteCount}</td>
+      </tr>`
+    )
+    .join('\n      ');
+
+  return layout(
+    'Filters',
+    `${navigation()}
+<main>
+  <h1>Filters</h1>
+  <a href="/jira/issues" role="button">Create filter</a>
+  <nav role="tablist">
+    ${tabs}
+  </nav>
+  <form method="get" action="/jira/filters">
+    <input type="hidden" name="tab" value="${escapeHtml(tab)}">
+    <input type="hidden" name="sortKey" value="${escapeHtml(sort.key)}">
+    <input type="hidden" name="sortOrder" value="${escapeHtml(sort.order)}">
+    ${searchField('name', 'Search filters')}
+    ${searchField('owner', 'Owner')}
+    ${searchField('project', 'Project')}
+    ${searchField('group', 'Group')}
+    <button type="submit" data-testid="filters.search.submit">Search</button>
+  </form>
+  <table data-testid="filters.table">
+    <thead><tr><th>Star</th>${headers}</tr></thead>
+    <tbody>
+      ${rows}
+    </tbody>
+  </table>
+  ${filters.length === 0 ? '<p data-testid="filters.empty">No filters were found that match your search</p>' : ''}
+</main>`
+  );
+}
+
+/**
+ * Label a share permission the way Jira lists it
+ * @param {Object} permission - { type, value }
+ * @returns {string} e.g. "Group: jira-users"
+ */
+function permissionLabel({ type, value }) {
+  const labels = { organization: 'My organization', project: 'Project', group: 'Group', user: 'User' };
+  return value ? `${labels[type]}: ${value}` : labels[type];
+}
+
+/**
+ * "Save as" dialog: name and description for a new filter from the current search.
+ * The page script copies the current JQL into the form when it is submitted.
+ * @param {Object} saveAs - { error, name, description } after a failed save, or null
+ * @returns {string} Dialog markup
+ */
+function saveFilterDialog(saveAs) {
+  const { error = '', name = '', description = '' } = saveAs || {};
+  return `<div id="save-filter-dialog" role="dialog" aria-label="Save filter"${saveAs ? '' : ' hidden'}>
+    <form id="save-filter-form" method="post" action="/jira/filters">
+      <input type="hidden" name="jql">
+      <label>Name <input name="name" data-testid="filter.name-input" value="${escapeHtml(name)}"></label>
+      <label>Description <textarea name="description" data-testid="filter.description-input">${escapeHtml(description)}</textarea></label>
+      ${error ? `<p class="error" role="alert" data-testid="filter.save-error">${escapeHtml(error)}</p>` : ''}
+      <button type="submit" data-testid="filter.save-submit">Save</button>
+      <button type="button" data-closes="save-filter-dialog">Cancel</button>
+    </form>
+  </div>`;
+}
+
+/**
+ * Header, details dialog and delete confirmation of an open saved filter
+ * @param {Object} savedFilter - { id, name, description, jql, starred, viewers, editors, error }
+ * @param {string} currentJql - JQL of the search on screen
+ * @returns {string} Saved filter markup
+ */
+function savedFilterSection(savedFilter, currentJql) {
+  const { id, name, description, starred, error } = savedFilter;
+  const action = (path) => `/jira/filters/${encodeURIComponent(id)}/${path}`;
+  const permissionList = (role) =>
+    savedFilter[role]
+      .map(
+        (permission, index) => `<li data-testid="filter.permission" data-type="${permission.type}"
+          data-value="${escapeHtml(permission.value || '')}">
+          ${escapeHtml(permissionLabel(permission))}
+          <form method="post" action="${action('unshare')}">
+            <input type="hidden" name="role" value="${role}">
+            <input type="hidden" name="index" value="${index}">
+            <button type="submit" data-testid="filter.permission-remove">Remove</button>
+          </form>
+        </li>`
+      )
+      .join('\n        ');
+  const shareForm = (role, title) => `<section data-testid="filter.${role}">
+      <h3>${title}</h3>
+      <ul>
+        ${permissionList(role)}
+      </ul>
+      <form method="post" action="${action('share')}">
+        <input type="hidden" name="role" value="${role}">
+        <select name="type" data-testid="filter.${role}-type">
+          <option value="organization">My organization</option>
+          <option value="project">Project</option>
+          <option value="group">Group</option>
+          <option value="user">User</option>
+        </select>
+        <input name="value" data-testid="filter.${role}-value" placeholder="Project key, group or email">
+        <button type="submit" data-testid="filter.${role}-add">Add</button>
+      </form>
+    </section>`;
+
+  return `<section data-testid="filter.header">
+    <h1 data-testid="filter.title">${escapeHtml(name)}</h1>
+    <p data-testid="filter.description">${escapeHtml(description)}</p>
+    <form method="post" action="${action(starred ? 'unstar' : 'star')}">
+      <button type="submit" data-testid="filter.star" aria-pressed="${starred}">${starred ? 'Unstar' : 'Star'}</button>
+    </form>
+    ${
+      currentJql !== savedFilter.jql
+        ? `<form method="post" action="${action('jql')}">
+      <input type="hidden" name="jql" value="${escapeHtml(currentJql)}">
+      <button type="submit" data-testid="filter.save">Save filter</button>
+    </form>`
+        : ''
+    }
+    <button type="button" data-testid="filter.details" data-opens="filter-details-dialog">Filter details</button>
+    <button type="button" data-testid="filter.delete" data-opens="delete-filter-dialog">Delete filter</button>
+    ${error ? `<p class="error" role="alert" data-testid="filter.error">${escapeHtml(error)}</p>` : ''}
+  </section>
+  <div id="filter-details-dialog" role="dialog" aria-label="Filter details"${error ? '' : ' hidden'}>
+    <form method="post" action="${action('details')}">
+      <label>Name <input name="name" data-testid="filter.details-name" value="${escapeHtml(name)}"></label>
+      <label>Description <textarea name="description" data-testid="filter.details-description">${escapeHtml(description)}</textarea></label>
+      <button type="submit" data-testid="filter.details-submit">Save</button>
+    </form>
+    ${shareForm('viewers', 'Viewers')}
+    ${shareForm('editors', 'Editors')}
+    <button type="button" data-testid="filter.details-close" data-closes="filter-details-dialog">Close</button>
+  </div>
+  <div id="delete-filter-dialog" role="alertdialog" aria-label="Delete filter" hidden>
+    <p>Delete filter "${escapeHtml(name)}"? This can't be undone.</p>
+    <form method="post" action="${action('delete')}">
+      <button type="submit" data-testid="filter.delete-confirm">Delete</button>
+      <button type="button" data-closes="delete-filter-dialog">Cancel</button>
+    </form>
+  </div>`;
+}
+
+/**
+ * Issue search page, in basic mode or with the JQL editor open.
+ *
+ * Each basic search criterion is a pill button (`<field>.ui.filter.dropdown`)
+ * opening a listbox of checkboxes (`<field>.ui.filter.options`). Criteria
+ * marked `more` stay hidden until checked in the "More +" menu, whose options
+ * carry the criterion's field in `data-field`. Date criteria open a dialog
+ * instead: "Within the last" or "More than" an amount of minutes, hours, days
+ * or weeks, or "Between" two days, applied with Update.
+ *
+ * Results are filtered in the browser synchronously on every checkbox
+ * change, so a read of the results table straight after selecting values
+ * always sees the filtered rows. An issue matches a criterion when it has any
+ * of its selected values. The JQL shown by "Switch to JQL" uses one
+ * `field = "X"` clause per selected value joined with OR, and ANDs the
+ * criteria together (each in parentheses when there are several). Dates are
+ * shown, and days read, in the browser's time zone; a date range becomes
+ * `created >= -7d`, `created <= -7d` or `created >= "<from>" AND created < "<day after to>"`.
+ *
+ * The results table has a column per criterion between Summary and
+ * Resolution; issue keys link to /browse/<key>. Results are shown a page at a
+ * time under a "1–50 of N" counter ("0 issues" when nothing matches), with
+ * Previous and Next buttons; any change to the search goes back to page one.
+ *
+ * Every column but Resolution sorts the results: its header
+ * (`issue-table.column.<field>`) holds a button, and its aria-sort says
+ * whether the results are sorted by it. The first click sorts ascending, the
+ * next reverses. Basic mode starts sorted by Created, newest first, sorts in
+ * the browser and shows the sort as the ORDER BY of its JQL.
+ *
+ * Searching from the JQL editor reloads the page with `?mode=advanced&jql=`;
+ * the server runs the query and the page shows its results or its errors.
+ * There, a column header click rewrites the query's ORDER BY and searches again.
+ *
+ * @param {Object} options - Render options
+ * @param {Object[]} options.issues - All seeded issues, with their resolution
+ * @param {Object[]} options.criteria - Basic search criteria: { field, label,
+ *   jqlField, more, date, emptyText, options, selected, issueValues } where
+ *   issueValues maps each issue key to its values for the criterion
+ * @param {Object} options.advancedSearch - { jql, errors, matchingKeys } for a
+ *   JQL editor search, or null for basic mode
+ * @param {Object} options.savedFilter - Open saved filter (see savedFilterSection), or null
+ * @param {Object} options.saveAs - Values and error of a failed "Save as", or null
+ * @param {number} options.pageSize - Results shown per page
+ * @param {Object} options.sorting - { active, basic, orders }: the sort key the
+ *   results come in ({ field, direction }, or null when unsorted), the one basic
+ *   mode starts with, and the issue keys in ascending order of each field
+ * @returns {string} Issue search HTML
+ */
+function issueSearchPage({
+  issues,
+  criteria,
+  advancedSearch = null,
+  savedFilter = null,
+  saveAs = null,
+  pageSize = 50,
+  sorting = { active: null, basic: { field: 'created', direction: 'DESC' }, orders: {} },
+}) {
+  const unitOptions = ['minutes', 'hours', 'days', 'weeks']
+    .map((unit) => `<option value="${unit}"${unit === 'days' ? ' selected' : ''}>${unit}</option>`)
+    .join('');
+  const datePill = ({ field, label }) => `<div data-testid="${field}.ui.filter" hidden>
+      <button type="button" data-testid="${field}.ui.filter.dropdown">${escapeHtml(label)}</button>
+      <div data-testid="${field}.ui.filter.options" role="dialog" aria-label="${escapeHtml(label)}" hidden>
+        <label><input type="radio" name="${field}-range" value="withinLast"> Within the last</label>
+        <input type="number" min="1" data-testid="${field}.withinLast.amount">
+        <select data-testid="${field}.withinLast.unit">${unitOptions}</select>
+        <label><input type="radio" name="${field}-range" value="moreThan"> More than</label>
+        <input type="number" min="1" data-testid="${field}.moreThan.amount">
+        <select data-testid="${field}.moreThan.unit">${unitOptions}</select> ago
+        <label><input type="radio" name="${field}-range" value="between"> Between</label>
+        <input type="date" data-testid="${field}.between.from"> and
+        <input type="date" data-testid="${field}.between.to">
+        <button type="button" data-testid="${field}.ui.filter.update">Update</button>
+        <button type="button" data-testid="${field}.ui.filter.clear">Clear</button>
+      </div>
+    </div>`;
+  const criterionPill = (criterion) => {
+    const { field, label, more, date, options, selected } = criterion;
+    if (date) {
+      return datePill(criterion);
+    }
+    return `<div data-testid="${field}.ui.filter"${more && selected.length === 0 ? ' hidden' : ''}>
+      <button type="button" data-testid="${field}.ui.filter.dropdown">${escapeHtml(label)}</button>
+      <div data-testid="${field}.ui.filter.options" role="listbox" hidden>
+        ${options
+          .map(
+            (option) =>
+              `<label role="option"><input type="checkbox" value="${escapeHtml(option)}"${
+                selected.includes(option) ? ' checked' : ''
+              }> ${escapeHtml(option)}</label>`
+          )
+          .join('\n        ')}
+      </div>
+    </div>`;
+  };
+  const ariaSort = (sortField) => {
+    if (!sorting.active || sorting.active.field !== sortField) {
+      return 'none';
+    }
+    return sorting.active.direction === 'DESC' ? 'descending' : 'ascending';
+  };
+  const sortableHeader = (field, sortField, label) =>
+    `<th data-testid="issue-table.column.${field}" data-sort-field="${sortField}" aria-sort="${ariaSort(
+      sortField
+    )}"><button type="button">${escapeHtml(label)}</button></th>`;
+  const moreOptions = criteria
+    .filter((criterion) => criterion.more)
+    .map(
+      ({ field, label, selected }) =>
+        `<label role="option"><input type="checkbox" value="${escapeHtml(label)}" data-field="${field}"${
+          selected.length > 0 ? ' checked' : ''
+        }> ${escapeHtml(label)}</label>`
+    )
+    .join('\n        ');
+
+  const jqlErrors =
+    advancedSearch && advancedSearch.errors.length > 0
+      ? `<ul data-testid="jql.errors" role="alert">
+      ${advancedSearch.errors.map((error) => `<li data-testid="jql.error">${escapeHtml(error)}</li>`).join('\n      ')}
+    </ul>`
+      : '';
+
+  return layout(
+    'Search',
+    `${navigation()}
+<main>
+  ${savedFilter ? savedFilterSection(savedFilter, advancedSearch.jql) : ''}
+  <a href="/jira/issues" role="button">Create filter</a>
+  <button type="button" data-testid="filter.save-as" data-opens="save-filter-dialog">Save as</button>
+  ${saveFilterDialog(saveAs)}
+  <div id="basic-search"${advancedSearch ? ' hidden' : ''}>
+    ${criteria.map(criterionPill).join('\n    ')}
+    <button type="button" data-testid="more.ui.filter.dropdown">More +</button>
+    <template id="more-options">
+      <div data-testid="more.ui.filter.options" role="listbox">
+        ${moreOptions}
+      </div>
+    </template>
+    <button type="button" id="clear-filters">Clear</button>
+    <button type="button" id="switch-to-jql">Switch to JQL</button>
+  </div>
+  <div id="jql-search"${advancedSearch ? '' : ' hidden'}>
+    <form action="/jira/issues" method="get">
+      <input type="hidden" name="mode" value="advanced">
+      ${savedFilter ? `<input type="hidden" name="filter" value="${escapeHtml(savedFilter.id)}">` : ''}
+      <input data-testid="jql.input" name="jql" type="text" value="${escapeHtml(advancedSearch ? advancedSearch.jql : '')}">
+      <button type="submit" data-testid="jql.search">Search</button>
+    </form>
+    ${jqlErrors}
+    <button type="button" id="switch-to-basic">Switch to basic</button>
+  </div>
+  <div data-testid="issue-table.pagination">
+    <span data-testid="issue-table.count"></span>
+    <button type="button" data-testid="issue-table.pagination.previous">Previous</button>
+    <button type="button" data-testid="issue-table.pagination.next">Next</button>
+  </div>
+  <table data-testid="issue-table" data-page-size="${pageSize}">
+    <thead><tr>${sortableHeader('key', 'key', 'Key')}${sortableHeader('summary', 'summary', 'Summary')}${criteria
+      .map(({ field, sortField, label }) => sortableHeader(field, sortField, label))
+      .join('')}<th>Resolution</th></tr></thead>
+    <tbody id="results"></tbody>
+  </table>
+</main>
+<script id="issues-data" type="application/json">${embedJson(issues)}</script>
+<script id="filter-criteria" type="application/json">${embedJson(
+    criteria.map(({ field, label, jqlField, date, emptyText, issueValues }) => ({
+      field,
+      label,
+      jqlField,
+      date,
+      emptyText,
+      issueValues,
+    }))
+  )}</script>
+<script id="advanced-results" type="application/json">${embedJson(advancedSearch && advancedSearch.matchingKeys)}</script>
+<script id="result-sorting" type="application/json">${embedJson(sorting)}</script>
+<script>
+  (function () {
+    const issues = JSON.parse(document.getElementById('issues-data').textContent);
+    const criteria = JSON.parse(document.getElementById('filter-criteria').textContent);
+    // Keys found by the server for an advanced (JQL) search, in result order
+    let advancedKeys = JSON.parse(document.getElementById('advanced-results').textContent);
+    // Sort orders of each field, and the sort the results are shown in
+    const sorting = JSON.parse(document.getElementById('result-sorting').textContent);
+    let activeSort = sorting.active;
+    const sortableHeaders = document.querySelectorAll('[data-testid="issue-table"] th[data-sort-field]');
+    const results = document.getElementById('results');
+    const pageSize = Number(document.querySelector('[data-testid="issue-table"]').dataset.pageSize);
+    // Results of the current search, and the page of them shown
+    let currentResults = [];
+    let pageIndex = 0;
+    const jqlInput = document.querySelector('[data-testid="jql.input"]');
+    // Like Jira, the "More +" listbox is only in the page while it is open
+    const moreOptionsTemplate = document.getElementById('more-options');
+    const byTestId = (testId) => document.querySelector('[data-testid="' + testId + '"]');
+    const popups = document.querySelectorAll('#basic-search [data-testid$=".ui.filter.options"]');
+    const UNIT_MS = { minutes: 6e4, hours: 36e5, days: 864e5, weeks: 6048e5 };
+    // Date range applied with Update, by field
+    const appliedRanges = {};
+
+    function selectedValues(criterion) {
+      return Array.from(byTestId(criterion.field + '.ui.filter.options').querySelectorAll('input:checked')).map(
+        (input) => input.value
+      );
+    }
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const formatDay = (date) => date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+
+    // Start of a day (YYYY-MM-DD) in the browser's time zone, shifted by whole days
+    function localDay(day, shift) {
+      const [year, month, date] = day.split('-').map(Number);
+      return new Date(year, month - 1, date + shift);
+    }
+
+    // Times as YYYY-MM-DD HH:mm in the browser's time zone; due dates have no time
+    function formatDate(value) {
+      if (!value.includes('T')) return value;
+      const date = new Date(value);
+      return formatDay(date) + ' ' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+    }
+
+    function readRange(field) {
+      const checked = byTestId(field + '.ui.filter.options').querySelector('input[type="radio"]:checked');
+      if (!checked) return null;
+      const value = (part) => byTestId(field + '.' + checked.value + '.' + part).value;
+      if (checked.value === 'between') {
+        return value('from') || value('to') ? { type: 'between', from: value('from'), to: value('to') } : null;
+      }
+      const amount = Number(value('amount'));
+      return amount >= 1 ? { type: checked.value, amount: amount, unit: value('unit') } : null;
+    }
+
+    // Put the applied range back in the dialog, dropping edits made without Update
+    function showRange(field) {
+      const range = appliedRanges[field];
+      const popup = byTestId(field + '.ui.filter.options');
+      popup.querySelectorAll('input[type="radio"]').forEach((radio) => {
+        radio.checked = Boolean(range) && radio.value === range.type;
+      });
+      ['withinLast', 'moreThan'].forEach((type) => {
+        const current = range && range.type === type;
+        byTestId(field + '.' + type + '.amount').value = current ? range.amount : '';
+        byTestId(field + '.' + type + '.unit').value = current ? range.unit : 'days';
+      });
+      byTestId(field + '.between.from').value = range && range.type === 'between' ? range.from : '';
+      byTestId(field + '.between.to').value = range && range.type === 'between' ? range.to : '';
+    }
+
+    function inRange(value, range) {
+      if (!value) return false;
+      const time = value.includes('T') ? Date.parse(value) : localDay(value, 0).getTime();
+      if (range.type !== 'between') {
+        const edge = Date.now() - range.amount * UNIT_MS[range.unit];
+        return range.type === 'withinLast' ? time >= edge : time <= edge;
+      }
+      const afterFrom = !range.from || time >= localDay(range.from, 0).getTime();
+      return afterFrom && (!range.to || time < localDay(range.to, 1).getTime());
+    }
+
+    function describeRange(range) {
+      if (range.type === 'withinLast') return 'within the last ' + range.amount + ' ' + range.unit;
+      if (range.type === 'moreThan') return 'more than ' + range.amount + ' ' + range.unit + ' ago';
+      if (range.from && range.to) return 'between ' + range.from + ' and ' + range.to;
+      return range.from ? 'on or after ' + range.from : 'on or before ' + range.to;
+    }
+
+    function rangeJql(field, range) {
+      if (range.type !== 'between') {
+        const relative = '-' + range.amount + range.unit[0];
+        return field + (range.type === 'withinLast' ? ' >= ' : ' <= ') + relative;
+      }
+      const clauses = [];
+      if (range.from) clauses.push(field + ' >= "' + range.from + '"');
+      if (range.to) clauses.push(field + ' < "' + formatDay(localDay(range.to, 1)) + '"');
+      return clauses.join(' AND ');
+    }
+
+    function cell(testId, text) {
+      const td = document.createElement('td');
+      td.setAttribute('data-testid', testId);
+      td.textContent = text;
+      return td;
+    }
+
+    // Dates keep their ISO value in a <time> element's datetime attribute, as in Jira
+    function dateCell(testId, values) {
+      const td = cell(testId, '');
+      values.forEach((value, index) => {
+        const time = document.createElement('time');
+        time.setAttribute('datetime', value);
+        time.textContent = formatDate(value);
+        td.append(index > 0 ? ', ' : '', time);
+      });
+      return td;
+    }
+
+    // Issue keys link to the issue, as in Jira
+    function keyCell(key) {
+      const td = cell('issue.key', '');
+      const link = document.createElement('a');
+      link.href = '/browse/' + key;
+      link.textContent = key;
+      td.append(link);
+      return td;
+    }
+
+    function closeListboxes(except) {
+      popups.forEach((popup) => {
+        if (popup !== except) popup.hidden = true;
+      });
+      const moreOptions = byTestId('more.ui.filter.options');
+      if (moreOptions && moreOptions !== except) moreOptions.remove();
+      criteria.forEach((criterion) => {
+        if (criterion.date && byTestId(criterion.field + '.ui.filter.options') !== except) showRange(criterion.field);
+      });
+    }
+
+    // One page of the current results, with the "1–50 of N" counter and the pager
+    function showPage() {
+      const start = pageIndex * pageSize;
+      const page = currentResults.slice(start, start + pageSize);
+      results.replaceChildren();
+      page.forEach((issue) => {
+        const row = document.createElement('tr');
+        row.append(keyCell(issue.key), cell('issue.summary', issue.summary));
+        criteria.forEach((criterion) => {
+          const values = criterion.issueValues[issue.key];
+          const testId = 'issue.' + criterion.field;
+          if (criterion.date && values.length) {
+            row.append(dateCell(testId, values));
+          } else {
+            row.append(cell(testId, values.length ? values.join(', ') : criterion.emptyText));
+          }
+        });
+        row.append(cell('issue.resolution', issue.resolution || 'Unresolved'));
+        results.append(row);
+      });
+      byTestId('issue-table.count').textContent = currentResults.length
+        ? start + 1 + '–' + (start + page.length) + ' of ' + currentResults.length
+        : '0 issues';
+      byTestId('issue-table.pagination.previous').disabled = pageIndex === 0;
+      byTestId('issue-table.pagination.next').disabled = start + pageSize >= currentResults.length;
+    }
+
+    // Basic results in the active sort's order, from the server's orders of each field
+    function sortResults(shown) {
+      const order = activeSort && sorting.orders[activeSort.field];
+      if (!order) return shown;
+      const sign = activeSort.direction === 'DESC' ? -1 : 1;
+      return shown.slice().sort((a, b) => sign * (order.indexOf(a.key) - order.indexOf(b.key)));
+    }
+
+    function showSort() {
+      sortableHeaders.forEach((header) => {
+        const sorted = activeSort && activeSort.field === header.dataset.sortField;
+        header.setAttribute(
+          'aria-sort',
+          sorted ? (activeSort.direction === 'DESC' ? 'descending' : 'ascending') : 'none'
+        );
+      });
+    }
+
+    function render() {
+      const selected = criteria
+        .filter((criterion) => !criterion.date)
+        .map((criterion) => ({ criterion, values: selectedValues(criterion) }));
+      const active = selected.filter(({ values }) => values.length > 0);
+      const ranges = criteria
+        .filter((criterion) => criterion.date && appliedRanges[criterion.field])
+        .map((criterion) => ({ criterion, range: appliedRanges[criterion.field] }));
+      const shown = advancedKeys
+        ? advancedKeys.map((key) => issues.find((issue) => issue.key === key))
+        : issues.filter(
+            (issue) =>
+              active.every(({ criterion, values }) =>
+                criterion.issueValues[issue.key].some((value) => values.includes(value))
+              ) && ranges.every(({ criterion, range }) => inRange(criterion.issueValues[issue.key][0], range))
+          );
+      currentResults = advancedKeys ? shown : sortResults(shown);
+      pageIndex = 0;
+      showPage();
+      showSort();
+      // Pills read "Label", "Label: First" or "Label: First +N"
+      selected.forEach(({ criterion, values }) => {
+        byTestId(criterion.field + '.ui.filter.dropdown').textContent = values.length
+          ? criterion.label + ': ' + values[0] + (values.length > 1 ? ' +' + (values.length - 1) : '')
+          : criterion.label;
+      });
+      criteria
+        .filter((criterion) => criterion.date)
+        .forEach((criterion) => {
+          const range = appliedRanges[criterion.field];
+          byTestId(criterion.field + '.ui.filter.dropdown').textContent = range
+            ? criterion.label + ': ' + describeRange(range)
+            : criterion.label;
+        });
+      if (!advancedKeys) {
+        const groups = active
+          .map(({ criterion, values }) => {
+            const clauses = values.map((value) => criterion.jqlField + ' = "' + value + '"');
+            const several = active.length + ranges.length > 1 && clauses.length > 1;
+            return several ? '(' + clauses.join(' OR ') + ')' : clauses.join(' OR ');
+          })
+          .concat(ranges.map(({ criterion, range }) => rangeJql(criterion.jqlField, range)));
+        const orderBy = 'ORDER BY ' + activeSort.field + ' ' + activeSort.direction;
+        jqlInput.value = (groups.length ? groups.join(' AND ') + ' ' : '') + orderBy;
+      }
+    }
+
+    criteria.forEach((criterion) => {
+      const listbox = byTestId(criterion.field + '.ui.filter.options');
+      byTestId(criterion.field + '.ui.filter.dropdown').addEventListener('click', function () {
+        closeListboxes(listbox);
+        listbox.hidden = !listbox.hidden;
+      });
+      if (criterion.date) {
+        byTestId(criterion.field + '.ui.filter.update').addEventListener('click', function () {
+          appliedRanges[criterion.field] = readRange(criterion.field);
+          closeListboxes(null);
+          render();
+        });
+        byTestId(criterion.field + '.ui.filter.clear').addEventListener('click', function () {
+          delete appliedRanges[criterion.field];
+          closeListboxes(null);
+          render();
+        });
+      } else {
+        listbox.addEventListener('change', render);
+      }
+    });
+    // A header sorts by its column, then reverses; in the JQL editor it reruns the query with the new ORDER BY
+    sortableHeaders.forEach((header) => {
+      header.querySelector('button').addEventListener('click', function () {
+        const field = header.dataset.sortField;
+        const ascending = activeSort && activeSort.field === field && activeSort.direction === 'ASC';
+        activeSort = { field: field, direction: ascending ? 'DESC' : 'ASC' };
+        if (advancedKeys) {
+          const where = jqlInput.value.replace(/\\s*\\bORDER\\s+BY\\b[\\s\\S]*$/i, '').trim();
+          jqlInput.value = (where ? where + ' ' : '') + 'ORDER BY ' + field + ' ' + activeSort.direction;
+          jqlInput.form.requestSubmit();
+          return;
+        }
+        render();
+      });
+    });
+    byTestId('issue-table.pagination.previous').addEventListener('click', function () {
+      pageIndex -= 1;
+      showPage();
+    });
+    byTestId('issue-table.pagination.next').addEventListener('click', function () {
+      pageIndex += 1;
+      showPage();
+    });
+    // Checking a "More +" field shows its pill; unchecking hides it and drops its values
+    function onMoreOptionChange(event) {
+      const field = event.target.dataset.field;
+      const pill = byTestId(field + '.ui.filter');
+      pill.hidden = !event.target.checked;
+      if (pill.hidden) {
+        pill.querySelectorAll('input:checked').forEach((input) => {
+          input.checked = false;
+        });
+        delete appliedRanges[field];
+      }
+      render();
+    }
+    byTestId('more.ui.filter.dropdown').addEventListener('click', function () {
+      const open = byTestId('more.ui.filter.options');
+      closeListboxes(null);
+      if (open) return;
+      const moreOptions = moreOptionsTemplate.content.firstElementChild.cloneNode(true);
+      moreOptions.querySelectorAll('input').forEach((input) => {
+        input.checked = !byTestId(input.dataset.field + '.ui.filter').hidden;
+      });
+      moreOptions.addEventListener('change', onMoreOptionChange);
+      this.after(moreOptions);
+    });
+    document.addEventListener('keydown', function (event) {
+      if (event.key === 'Escape') closeListboxes(null);
+    });
+    document.getElementById('clear-filters').addEventListener('click', function () {
+      document.querySelectorAll('#basic-search [role="listbox"]:not([data-testid="more.ui.filter.options"]) input:checked')
+        .forEach((input) => {
+          input.checked = false;
+        });
+      Object.keys(appliedRanges).forEach((field) => {
+        delete appliedRanges[field];
+        showRange(field);
+      });
+      render();
+    });
+    document.getElementById('switch-to-jql').addEventListener('click', function () {
+      document.getElementById('basic-search').hidden = true;
+      document.getElementById('jql-search').hidden = false;
+    });
+    document.querySelectorAll('[data-opens]').forEach((button) => {
+      button.addEventListener('click', function () {
+        document.getElementById(button.dataset.opens).hidden = false;
+      });
+    });
+    document.querySelectorAll('[data-closes]').forEach((button) => {
+      button.addEventListener('click', function () {
+        document.getElementById(button.dataset.closes).hidden = true;
+      });
+    });
+    const saveFilterForm = document.getElementById('save-filter-form');
+    saveFilterForm.addEventListener('submit', function () {
+      saveFilterForm.elements.jql.value = jqlInput.value;
+    });
+    document.getElementById('switch-to-basic').addEventListener('click', function () {
+      document.getElementById('jql-search').hidden = true;
+      document.getElementById('basic-search').hidden = false;
+      advancedKeys = null;
+      activeSort = activeSort || sorting.basic;
+      render();
+    });
+
+    render();
+  })();
+</script>`
+  );
+}
+
+module.exports = {
+  escapeHtml,
+  loginPage,
+  signupPage,
+  verificationPage,
+  identityProviderPage,
+  homePage,
+  filtersDirectoryPage,
+  filterNotFoundPage,
+  issueSearchPage,
+};
@@ -7,6 +7,8 @@
  * All page classes should inherit from BasePage instead of directly using
  * Playwright's page object.
  */
+const SessionGuard = require('../utils/auth/SessionGuard');
+
 class BasePage {
   /**
    * Constructor
@@ -17,12 +19,56 @@ class BasePage {
     this.constants = require('../utils/constants');
   }
 
+  /**
+   * Replace locators with the ones the active profile gives for this page
+   * (constants.SELECTORS[<page class>]). Page constructors call this last.
+   * A dotted property reaches into a component, e.g. 'keyTable.cellLocator'.
+   * @throws {Error} If a property is not a locator of the page
+   */
+  applySelectorOverrides() {
+    const pageName = this.constructor.name;
+    const overrides = this.constants.SELECTORS[pageName] || {};
+    for (const [property, locator] of Object.entries(overrides)) {
+      const target = this.findLocator(property);
+      if (!target) {
+        throw new Error(
+          `Profile "${this.constants.PROFILE}" replaces ${pageName}.${property}, which is not a locator of ${pageName}`
+        );
+      }
+      target.owner[target.name] = locator;
+    }
+  }
+
+  /**
+   * Find a locator property of the page, as SELECTORS names it
+   * @param {string} property - Property, e.g. 'resultsTable' or 'keyTable.cellLocator'
+   * @returns {Object|null} { owner, name }: the object holding the locator and its
+   *   property name; null if the property is not a locator string
+   */
+  findLocator(property) {
+    const names = property.split('.');
+    const owner = names.slice(0, -1).reduce((object, name) => (object ? object[name] : undefined), this);
+    const name = names[names.length - 1];
+    return owner && typeof owner[name] === 'string' ? { owner, name } : null;
+  }
+
+  /**
+   * Run a step under the page's SessionGuard (if one is attached), so an
+   * expired session triggers a re-login and the step is retried once
+   * @param {Function} step - Async function performing the step
+   * @returns {Promise<*>} Result of the step
+   */
+  async runWithSession(step) {
+    const guard = SessionGuard.for(this.page);
+    return guard ? await guard.run(step) : await step();
+  }
+
   /**
    * Navigate to a URL
    * @param {string} url - URL to navigate to
    */
   async navigate(url) {
-    await this.page.goto(url);
+    await this.runWithSession(() => this.page.goto(url));
   }
 
   /**
@@ -57,7 +103,7 @@ class BasePage {
    * @param {number} timeout - Timeout in milliseconds (optional, defaults to PAGE_LOAD)
    */
   async waitForElement(locator, timeout = this.constants.TIMEOUTS.PAGE_LOAD) {
-    await this.page.waitForSelector(locator, { timeout });
+    await this.runWithSession(() => this.page.waitForSelector(locator, { timeout }));
   }
 
   /**
@@ -93,7 +139,18 @@ class BasePage {
    * @param {number} timeout - Timeout in milliseconds
    */
   async waitForNavigation(urlPattern, timeout = this.constants.TIMEOUTS.PAGE_LOAD) {
-    await this.page.waitForURL(urlPattern, { timeout });
+    await this.runWithSession(() => this.page.waitForURL(urlPattern, { timeout }));
+  }
+
+  /**
+   * Wait for whichever of several page states is reached first
+   * @param {Object<string, Function>} conditions - Outcome name mapped to a function
+   *   returning a promise that resolves once the page reaches that state
+   * @returns {Promise<string|null>} Name of the first outcome reached, or null if none was
+   */
+  async waitForFirst(conditions) {
+    const waits = Object.entries(conditions).map(([name, wait]) => wait().then(() => name));
+    return await Promise.any(waits).catch(() => null);
   }
 
   /**
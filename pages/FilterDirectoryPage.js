@@ -0,0 +1,215 @@
+const BasePage = require('./BasePage');
+const FormInputComponent = require('./components/FormInputComponent');
+const NavigationComponent = require('./components/NavigationComponent');
+const { getCredential } = require('../utils/credentials');
+
+// Directory tabs, search fields and sortable columns
+const DIRECTORY_TABS = ['all', 'my', 'starred'];
+const SEARCH_FIELDS = ['name', 'owner', 'project', 'group'];
+const SORT_COLUMNS = ['name', 'owner', 'favourites'];
+
+// Requests that answer a directory search: the page itself, or the filter search REST API
+const DIRECTORY_SEARCH_URL = /\/jira\/filters(\?|$)|\/rest\/api\/\d+\/filter\/search/;
+
+// Set on the table and rows shown before a search, so refreshed ones can be told apart
+const STALE_TABLE_ATTRIBUTE = 'data-stale-directory';
+
+class FilterDirectoryPage extends BasePage {
+  /**
+   * Constructor
+   * @param {Page} page - Playwright page object
+   * @param {Object} options - Page options
+   * @param {string} options.jiraUrl - Jira base URL (default: JIRA_URL)
+   */
+  constructor(page, { jiraUrl = getCredential('JIRA_URL') } = {}) {
+    super(page);
+    this.jiraUrl = jiraUrl;
+
+    // Search form: one input per search field
+    this.searchInputs = Object.fromEntries(
+      SEARCH_FIELDS.map((field) => [field, new FormInputComponent(page, `[data-testid="filters.search.${field}"]`)])
+    );
+    this.searchButton = new NavigationComponent(page, '[data-testid="filters.search.submit"]');
+
+    // Filters table
+    this.directoryTable = '[data-testid="filters.table"]';
+    this.filterRows = '[data-testid="filters.row"]';
+    this.sortedColumn = 'th[aria-sort]';
+    this.selectedTab = '[role="tab"][aria-selected="true"]';
+
+    // Locators the active site profile replaces
+    this.applySelectorOverrides();
+  }
+
+  async open() {
+    // Go straight to the directory (HomePage.navigateToFiltersPage gets there through the menu)
+    await this.navigate(new URL('/jira/filters', this.jiraUrl).toString());
+    await this.waitForDirectoryToLoad();
+  }
+
+  async waitForDirectoryToLoad() {
+    await this.waitForElement(this.directoryTable);
+  }
+
+  async search(criteria) {
+    // Fill the given search fields ('' clears one, fields left out keep their value)
+    const unknown = Object.keys(criteria).filter((field) => !SEARCH_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown filter search field(s): ${unknown.join(', ')}. Use: ${SEARCH_FIELDS.join(', ')}`);
+    }
+
+    for (const [field, value] of Object.entries(criteria)) {
+      await this.searchInputs[field].clear();
+      if (value) {
+        await this.searchInputs[field].fill(value);
+      }
+    }
+    await this.waitForTableRefresh(() => this.searchButton.click());
+  }
+
+  async waitForTableRefresh(action) {
+    // A repeated search leaves the URL (and maybe the rows) as they were, so mark the
+    // table and its rows, wait for the search response, then until a page load replaced
+    // the table, a re-render replaced a row, or the rows' text changed
+    const timeout = this.constants.TIMEOUTS.PAGE_LOAD;
+    const before = await this.readTableState({ markStale: true });
+    const response = this.page
+      .waitForResponse((res) => DIRECTORY_SEARCH_URL.test(res.url()), { timeout })
+      .catch(() => null);
+
+    await action();
+    if (!(await response)) {
+      throw new Error(`The filters directory did not refresh: no search response within ${timeout}ms`);
+    }
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const state = await this.readTableState();
+      if (!state.stale || state.rows !== before.rows) {
+        break;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(
+          `The filters directory did not refresh: the rows from before the search were still shown ${timeout}ms ` +
+            'after its response'
+        );
+      }
+      await this.page.waitForTimeout(100);
+    }
+    await this.waitForDirectoryToLoad();
+  }
+
+  async readTableState({ markStale = false } = {}) {
+    // { stale, rows }: whether the table and every row still carry the stale marker
+    // (set first with markStale), and the rows' text
+    return await this.page.locator(this.directoryTable).evaluate(
+      (table, { attribute, rowSelector, mark }) => {
+        const rows = Array.from(table.querySelectorAll(rowSelector));
+        if (mark) {
+          [table, ...rows].forEach((element) => element.setAttribute(attribute, ''));
+        }
+        return {
+          stale: [table, ...rows].every((element) => element.hasAttribute(attribute)),
+          rows: rows.map((row) => row.innerText).join('\n'),
+        };
+      },
+      { attribute: STALE_TABLE_ATTRIBUTE, rowSelector: this.filterRows, mark: markStale }
+    );
+  }
+
+  async searchByName(name) {
+    await this.search({ name });
+  }
+
+  async clearSearch() {
+    await this.search(Object.fromEntries(SEARCH_FIELDS.map((field) => [field, ''])));
+  }
+
+  async showTab(tab) {
+    // Switch between "All filters", "My filters" and "Starred"
+    if (!DIRECTORY_TABS.includes(tab)) {
+      throw new Error(`Unknown filters tab "${tab}". Use: ${DIRECTORY_TABS.join(', ')}`);
+    }
+    const tabLocator = `[data-testid="filters.tab.${tab}"]`;
+    await this.click(tabLocator);
+    await this.waitForElement(`${tabLocator}[aria-selected="true"]`);
+    await this.waitForDirectoryToLoad();
+  }
+
+  async getSelectedTab() {
+    const testId = await this.page.locator(this.selectedTab).getAttribute('data-testid');
+    return testId.replace('filters.tab.', '');
+  }
+
+  async getSort() {
+    // Column the table is sorted by, e.g. { column: 'name', direction: 'ASC' }
+    const header = this.page.locator(this.sortedColumn);
+    if ((await header.count()) === 0) {
+      return null;
+    }
+    return {
+      column: (await header.getAttribute('data-testid')).replace('filters.column.', ''),
+      direction: (await header.getAttribute('aria-sort')) === 'descending' ? 'DESC' : 'ASC',
+    };
+  }
+
+  async sortBy(column, direction = 'ASC') {
+    // Click the column header until the table is sorted the requested way
+    if (!SORT_COLUMNS.includes(column)) {
+      throw new Error(`Cannot sort filters by "${column}". Use: ${SORT_COLUMNS.join(', ')}`);
+    }
+    if (direction !== 'ASC' && direction !== 'DESC') {
+      throw new Error(`Sort direction must be ASC or DESC, got "${direction}"`);
+    }
+
+    const header = `[data-testid="filters.column.${column}"]`;
+    // A header click sorts an unsorted column ascending and flips a sorted one
+    for (let clicks = 0; clicks < 2; clicks++) {
+      const sort = await this.getSort();
+      if (sort && sort.column === column && sort.direction === direction) {
+        return;
+      }
+      const next = sort && sort.column === column && sort.direction === 'ASC' ? 'descending' : 'ascending';
+      await this.click(`${header} a`);
+      await this.waitForElement(`${header}[aria-sort="${next}"]`);
+    }
+  }
+
+  async getFilters() {
+    // Each row as { id, name, owner, starred, favouriteCount }
+    return await this.page.locator(this.filterRows).evaluateAll((rows) =>
+      rows.map((row) => {
+        const cell = (name) => row.querySelector(`[data-testid="filters.row.${name}"]`);
+        return {
+          id: row.dataset.filterId,
+          name: cell('name').innerText.trim(),
+          owner: cell('owner').innerText.trim(),
+          // aria-pressed on a star toggle, data-starred on a plain icon; labels vary by language
+          starred: (cell('starred').getAttribute('aria-pressed') ?? cell('starred').dataset.starred) === 'true',
+          favouriteCount: Number(cell('favourites').innerText.trim()),
+        };
+      })
+    );
+  }
+
+  async findFilter(name) {
+    // Search by name and return the row with exactly that name, or null
+    await this.searchByName(name);
+    const filters = await this.getFilters();
+    return filters.find((filter) => filter.name === name) || null;
+  }
+
+  async openFilter(name) {
+    // Open a listed filter by its exact name; returns its id
+    const filter = (await this.getFilters()).find((row) => row.name === name);
+    if (!filter) {
+      throw new Error(`Filter "${name}" is not listed in the filters directory`);
+    }
+    await this.click(`${this.filterRows}[data-filter-id="${filter.id}"] [data-testid="filters.row.name"] a`);
+    await this.page.waitForURL((url) => url.searchParams.get('filter') === filter.id, {
+      timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+    });
+    return filter.id;
+  }
+}
+
+module.exports = { FilterDirectoryPage };
@@ -4,18 +4,52 @@ const CheckboxComponent = require('./components/CheckboxComponent');
 const TableComponent = require('./components/TableComponent');
 const NavigationComponent = require('./components/NavigationComponent');
 const TextInputComponent = require('./components/TextInputComponent');
+const FormInputComponent = require('./components/FormInputComponent');
+const FilterCriterionComponent = require('./components/FilterCriterionComponent');
+const DateCriterionComponent = require('./components/DateCriterionComponent');
+const { describeDateRange, findDatesOutsideRange } = require('../utils/dateRange');
+const { parseResultCount, checkResultCount } = require('../utils/resultCount');
+const { getColumnComparator, findOrderViolations } = require('../utils/sortOrder');
+const { withOrderBy } = require('../utils/jql');
+
+// Where JiraRestClient.countIssues counts a query's results; Jira documents the count as approximate
+const APPROXIMATE_COUNT_ENDPOINT = '/rest/api/3/search/approximate-count';
+
+// Basic search criteria by field. Those marked `more` only show once added
+// through "More +", which also offers custom fields (looked up by name).
+// Those marked `date` pick a date range instead of values.
+const FILTER_CRITERIA = {
+  project: { label: 'Project' },
+  type: { label: 'Type' },
+  status: { label: 'Status' },
+  assignee: { label: 'Assignee' },
+  reporter: { label: 'Reporter', more: true },
+  priority: { label: 'Priority', more: true },
+  labels: { label: 'Labels', more: true },
+  created: { label: 'Created', more: true, date: true },
+  updated: { label: 'Updated', more: true, date: true },
+  due: { label: 'Due', more: true, date: true },
+};
 
 class FiltersPage extends BasePage {
-  constructor(page) {
+  constructor(page, { statusCatalog = null } = {}) {
     super(page);
 
+    // Statuses of the instance by category (utils/jira/statusCatalog); without
+    // one, statuses are checked against the fixed lists in constants
+    this.statusCatalog = statusCatalog;
+
     // Initialize components
-    this.statusDropdown = new DropdownComponent(
+    this.statusFilter = new FilterCriterionComponent(page, { field: 'status', label: 'Status' });
+    this.statusDropdown = this.statusFilter.dropdown;
+    this.moreCriteriaDropdown = new DropdownComponent(
       page,
-      '[data-testid="status.ui.filter.dropdown"]',
-      '[role="listbox"]'
+      '[data-testid="more.ui.filter.dropdown"]',
+      '[data-testid="more.ui.filter.options"]'
     );
+    this.moreCriteriaOptions = '[data-testid="more.ui.filter.options"]';
     this.statusTable = new TableComponent(page, '[data-testid="issue.status"]');
+    this.keyTable = new TableComponent(page, '[data-testid="issue.key"]');
     this.createFilterButton = new NavigationComponent(
       page,
       'text=Create filter'
@@ -32,9 +66,25 @@ class FiltersPage extends BasePage {
       'text=Filters'
     );
     this.jqlInput = new TextInputComponent(page, 'input[data-testid="jql.input"]');
+    this.jqlEditor = new FormInputComponent(page, 'input[data-testid="jql.input"]');
+    this.jqlSearchButton = new NavigationComponent(page, '[data-testid="jql.search"]');
+
+    // Inline JQL errors shown under the editor, and the results table
+    this.jqlErrorMessages = '[data-testid="jql.error"]';
+    this.resultsTable = '[data-testid="issue-table"]';
+
+    // Results paging: the "1–50 of N" counter, the page buttons, and the
+    // scrolling list that replaces pages where results are virtualized
+    this.resultsCounter = '[data-testid="issue-table.count"]';
+    this.resultsPreviousPageButton = '[data-testid="issue-table.pagination.previous"]';
+    this.resultsNextPageButton = '[data-testid="issue-table.pagination.next"]';
+    this.resultsScrollContainer = '[data-testid="issue-table.scroll"]';
 
     // Page header locator for validation
     this.filtersPageHeader = 'text=Filters';
+
+    // Locators the active site profile replaces
+    this.applySelectorOverrides();
   }
 
   async waitForFiltersPageToLoad() {
@@ -47,22 +97,525 @@ class FiltersPage extends BasePage {
   }
 
   async selectStatusFilters(statuses) {
-    // Open status dropdown
-    await this.statusDropdown.open();
+    // Only whitelisted statuses, before touching the dropdown
+    this.assertAllowedStatuses(statuses);
+
+    // Check each status in the status dropdown
+    await this.statusFilter.select(statuses);
+  }
+
+  assertAllowedStatuses(statuses) {
+    // Statuses must be on the instance's catalog, or the ALLOWED_STATUSES whitelist without one
+    if (!Array.isArray(statuses) || statuses.length === 0) {
+      throw new Error('At least one status must be provided');
+    }
+    const allowed = this.statusCatalog ? this.statusCatalog.getStatuses() : this.constants.ALLOWED_STATUSES;
+    const isAllowed = (status) => (this.statusCatalog ? this.statusCatalog.has(status) : allowed.includes(status));
+    const invalid = statuses.filter((status) => !isAllowed(status));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid status values: ${invalid.join(', ')}. Allowed statuses: ${allowed.join(', ')}`);
+    }
+  }
+
+  getStatusCatalog() {
+    if (!this.statusCatalog) {
+      throw new Error('Status categories need a status catalog: new FiltersPage(page, { statusCatalog })');
+    }
+    return this.statusCatalog;
+  }
+
+  async selectStatusCategories(categories) {
+    // Check every status the dropdown offers in the categories, e.g. ['Done']
+    const catalog = this.getStatusCatalog();
+    const offered = await this.statusFilter.getAvailableValues();
+    const statuses = offered.filter((status) => catalog.isInCategory(status, categories));
+    if (statuses.length === 0) {
+      throw new Error(`The status filter offers no status in ${[].concat(categories).join(', ')}`);
+    }
+    await this.statusFilter.select(statuses);
+    return statuses;
+  }
+
+  async resolveFilterCriterion(name) {
+    // Basic criteria by field or label (e.g. 'type' or 'Type'); any other name
+    // must be a field offered under "More +", e.g. a custom field
+    const builtIn = Object.entries(FILTER_CRITERIA).find(([field, { label }]) =>
+      [field, label.toLowerCase()].includes(name.toLowerCase())
+    );
+    if (builtIn) {
+      const [field, { label, more = false, date = false }] = builtIn;
+      return { field, label, more, date };
+    }
+
+    // The "More +" options are only in the page while its dropdown is open
+    const option = this.page.locator(FilterCriterionComponent.checkboxLocator(this.moreCriteriaOptions, name));
+    await this.moreCriteriaDropdown.open();
+    try {
+      if ((await option.count()) === 0) {
+        const offered = 'it is neither a basic criterion nor offered under "More +"';
+        throw new Error(`Unknown filter criterion "${name}": ${offered}`);
+      }
+      return { field: await option.getAttribute('data-field'), label: name, more: true, date: false };
+    } finally {
+      await this.moreCriteriaDropdown.close();
+    }
+  }
+
+  async getFilterCriterion(name) {
+    // The criterion's pill, added through "More +" first if it isn't shown yet
+    const { field, label, more, date } = await this.resolveFilterCriterion(name);
+    const Component = date ? DateCriterionComponent : FilterCriterionComponent;
+    const criterion = new Component(this.page, { field, label });
+    if (more && !(await criterion.isShown())) {
+      await this.moreCriteriaDropdown.open();
+      const option = FilterCriterionComponent.checkboxLocator(this.moreCriteriaOptions, label);
+      await new CheckboxComponent(this.page, option).check();
+      await this.moreCriteriaDropdown.close();
+      await this.waitForElement(criterion.pillLocator);
+    }
+    return criterion;
+  }
+
+  async selectFilterValues(name, values) {
+    await (await this.getFilterCriterion(name)).select(values);
+  }
+
+  async deselectFilterValues(name, values) {
+    await (await this.getFilterCriterion(name)).deselect(values);
+  }
+
+  async getSelectedFilterValues(name) {
+    return await (await this.getFilterCriterion(name)).getSelectedValues();
+  }
+
+  async getFilterPillText(name) {
+    // e.g. 'Type: Bug +1' once Bug and Story are selected
+    return await (await this.getFilterCriterion(name)).getPillText();
+  }
 
-    // Select each status checkbox
-    for (const status of statuses) {
-      const statusCheckbox = new CheckboxComponent(this.page, `input[value="${status}"]`);
-      await statusCheckbox.check();
+  async applyFilters(criteria) {
+    // Combine criteria, e.g. { type: ['Bug'], priority: ['High', 'Medium'], Team: ['Web'] }
+    for (const [name, values] of Object.entries(criteria)) {
+      await this.selectFilterValues(name, values);
     }
+  }
+
+  async setDateRange(name, range) {
+    // e.g. ('created', { type: 'withinLast', amount: 7, unit: 'days' })
+    await (await this.getDateCriterion(name)).setRange(range);
+  }
+
+  async getDateRange(name) {
+    // The applied range, or null if none is applied
+    return await (await this.getDateCriterion(name)).getRange();
+  }
+
+  async clearDateRange(name) {
+    await (await this.getDateCriterion(name)).clear();
+  }
+
+  async getDateCriterion(name) {
+    // Like getFilterCriterion, but only for date criteria
+    const criterion = await this.getFilterCriterion(name);
+    if (!(criterion instanceof DateCriterionComponent)) {
+      throw new Error(`Filter criterion "${name}" is not a date criterion`);
+    }
+    return criterion;
+  }
+
+  async getBrowserTimeZone() {
+    // Jira shows dates and reads typed dates in the browser's time zone
+    return await this.page.evaluate(() => Intl.DateTimeFormat().resolvedOptions().timeZone);
+  }
 
-    // Close dropdown
-    await this.statusDropdown.close();
+  async validateResultDatesInRange(name, range, { now = Date.now() } = {}) {
+    // Each result's date (e.g. its Created column) must fall in the range, read
+    // in the browser's time zone. `now` is when the relative range was applied.
+    // Dates are read from the cells' ISO timestamps where they carry one, so any
+    // date format the profile shows works; otherwise as shown.
+    const { label } = await this.resolveFilterCriterion(name);
+    const timeZone = await this.getBrowserTimeZone();
+    const rows = await this.readResultRows({ times: true });
+    this.assertResultColumn(rows, label);
+    const outside = findDatesOutsideRange(
+      rows.map((row) => ({ key: row.Key, value: row[label] })),
+      range,
+      { timeZone, now }
+    );
+    if (outside.length > 0) {
+      const list = outside.map(({ key, value }) => `${key} (${value || 'empty'})`).join(', ');
+      throw new Error(`${label} not ${describeDateRange(range)} (time zone ${timeZone}) in results: ${list}`);
+    }
   }
 
   async getResultStatuses() {
-    // Retrieve all status values from results table
-    return await this.statusTable.getAllRowTexts();
+    // Status of every result, on every page
+    return (await this.readResultRows()).map((row) => row.Status);
+  }
+
+  async getResultKeys() {
+    // Issue key of every result, on every page
+    return (await this.readResultRows()).map((row) => row.Key);
+  }
+
+  async getResultColumn(name) {
+    // Cell texts of one criterion's column for every result, e.g. 'priority' or a
+    // custom field name; the column is the one headed with the criterion's label
+    const { label } = await this.resolveFilterCriterion(name);
+    const rows = await this.readResultRows();
+    this.assertResultColumn(rows, label);
+    return rows.map((row) => row[label]);
+  }
+
+  assertResultColumn(rows, column) {
+    // Rows read from a table without the column would all look empty
+    if (rows.length > 0 && !(column in rows[0])) {
+      throw new Error(`Results table has no ${column} column. Columns: ${Object.keys(rows[0]).join(', ')}`);
+    }
+  }
+
+  async validateResultsMatchFilters(criteria) {
+    // Each result, on every page, must have one of the selected values in every
+    // filtered column. Multi-value cells (e.g. Labels) list their values comma-separated.
+    const rows = await this.readResultRows();
+    for (const [name, values] of Object.entries(criteria)) {
+      const { label } = await this.resolveFilterCriterion(name);
+      this.assertResultColumn(rows, label);
+      rows.forEach((row) => {
+        const text = row[label];
+        if (![text, ...text.split(', ')].some((value) => values.includes(value))) {
+          throw new Error(`Unexpected ${label} "${text}" in result ${row.Key}. Expected one of: ${values.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  async checkStatusesInResults(
+    expectedStatuses,
+    { emptyResults = this.constants.EMPTY_RESULTS, allPages = true, limit } = {}
+  ) {
+    // Report of the results against the expected statuses, without throwing:
+    // { expected, rowsChecked, violations: [{ key, status }], empty, emptyResults, warnings, passed }.
+    // emptyResults says what no rows mean: pass, warn (a warning in the report) or fail.
+    // allPages (the default) reads every page (up to `limit` rows) and adds the collectResultRows
+    // report, less its rows, as `paging`; seeing fewer rows than the counter fails.
+    // allPages: false checks only the rows in the DOM.
+    this.assertAllowedStatuses(expectedStatuses);
+    const policies = this.constants.EMPTY_RESULTS_POLICIES;
+    if (!policies.includes(emptyResults)) {
+      throw new Error(`Unknown empty results policy "${emptyResults}". Use: ${policies.join(', ')}`);
+    }
+
+    let rows;
+    let paging = null;
+    if (allPages) {
+      const { rows: collected, ...counts } = await this.collectResultRows({ limit });
+      rows = collected.map((row) => ({ key: row.Key, status: row.Status }));
+      paging = counts;
+    } else {
+      rows = (await this.getResultsGrid().getRows()).map((row) => ({ key: row.Key, status: row.Status }));
+    }
+    const violations = rows.filter(({ status }) => !expectedStatuses.includes(status));
+    const empty = rows.length === 0;
+    const warnings = [];
+    if (empty && emptyResults === 'warn') {
+      warnings.push(`No results to check against ${expectedStatuses.join(', ')}; the filter may match nothing`);
+    }
+    if (paging && paging.truncated) {
+      warnings.push(`Checked the first ${paging.seen} of ${paging.total ?? 'more'} results, the row limit`);
+    }
+    return {
+      expected: [...expectedStatuses],
+      rowsChecked: rows.length,
+      violations,
+      empty,
+      emptyResults,
+      warnings,
+      ...(paging && { paging }),
+      passed:
+        violations.length === 0 &&
+        !(empty && emptyResults === 'fail') &&
+        !(paging && !paging.truncated && !paging.complete),
+    };
+  }
+
+  async validateStatusesInResults(expectedStatuses, options = {}) {
+    // Throw unless every result has one of the expected statuses; returns the report
+    const report = await this.checkStatusesInResults(expectedStatuses, options);
+    if (report.violations.length > 0) {
+      const found = report.violations.map(({ key, status }) => `${status} in result ${key}`).join(', ');
+      throw new Error(`Unexpected status found: ${found}. Expected one of: ${report.expected.join(', ')}`);
+    }
+    if (report.paging && !report.paging.truncated && !report.paging.complete) {
+      const { seen, total, segments } = report.paging;
+      throw new Error(`Read ${seen} results over ${segments} page(s), but the results counter shows ${total}`);
+    }
+    if (!report.passed) {
+      throw new Error(`No results to check against ${report.expected.join(', ')} (empty results: fail)`);
+    }
+    return report;
+  }
+
+  async validateResultStatusCategories(categories) {
+    // Each result's status must be in one of the categories; with ['Done'],
+    // "Won't Do" passes on a workflow that puts it in Done
+    const catalog = this.getStatusCatalog();
+    const wanted = [].concat(categories);
+    const problems = (await this.getResultRows())
+      .filter(({ status }) => !catalog.isInCategory(status, wanted))
+      .map(({ key, status }) =>
+        catalog.has(status)
+          ? `${key} is "${status}" (${[...catalog.getCategories(status)].join(', ')})`
+          : `${key} is "${status}" (not a status of this instance)`
+      );
+    if (problems.length > 0) {
+      throw new Error(`Results outside status categories ${wanted.join(', ')}: ${problems.join('; ')}`);
+    }
+  }
+
+  async getResultRows() {
+    // Pair each result's issue key with its status, on every page
+    return (await this.readResultRows()).map((row) => ({ key: row.Key, status: row.Status }));
+  }
+
+  getResultsGrid() {
+    // The whole results table, rows counted by their key cell; built on use so
+    // profile locators for resultsTable and keyTable apply
+    return new TableComponent(this.page, this.keyTable.cellLocator, this.resultsTable, {
+      previousButton: this.resultsPreviousPageButton,
+      nextButton: this.resultsNextPageButton,
+      scrollContainer: this.resultsScrollContainer,
+      counter: this.resultsCounter,
+    });
+  }
+
+  async collectResultRows({ limit, times = false, links = false } = {}) {
+    // Every result across pages or scroll segments, deduplicated by key, with
+    // how many were seen against the counter: { rows, seen, total, segments, truncated, complete }.
+    // `times` gives date cells as their ISO timestamps, `links` adds each row's cell links
+    // (see TableComponent.getRows).
+    return await this.getResultsGrid().collectRows({ keyColumn: 'Key', limit, times, links });
+  }
+
+  async readResultRows({ limit, times = false, links = false } = {}) {
+    // The rows of collectResultRows, for readers that need every result: throws
+    // when fewer were read than the counter shows, or the row limit cut the read short
+    const { rows, seen, total, segments, truncated, complete } = await this.collectResultRows({
+      limit,
+      times,
+      links,
+    });
+    if (truncated) {
+      const shown = total ?? 'more';
+      throw new Error(`Read only the first ${seen} results, the row limit; the results counter shows ${shown}`);
+    }
+    if (!complete) {
+      throw new Error(`Read ${seen} results over ${segments} page(s), but the results counter shows ${total}`);
+    }
+    return rows;
+  }
+
+  async getResultCount() {
+    // Total from the count above the results, e.g. 137 from "1–50 of 137" or "137 issues"
+    const counter = this.page.locator(this.resultsCounter);
+    if ((await counter.count()) === 0) {
+      throw new Error(`No result count is shown (${this.resultsCounter})`);
+    }
+    return parseResultCount(await counter.innerText()).total;
+  }
+
+  async validateResultCount({
+    exactly,
+    atLeast,
+    atMost,
+    client = null,
+    tolerance = this.constants.API_COUNT_TOLERANCE,
+  } = {}) {
+    // The result count must meet each expectation given. With a REST client (e.g. the
+    // jiraApi fixture) it must also be within `tolerance` (a share of the API count,
+    // rounded down) of the search API's approximate count for the page's JQL.
+    const count = await this.getResultCount();
+    const problems = checkResultCount(count, { exactly, atLeast, atMost });
+    let apiCount = null;
+    if (client) {
+      const jql = await this.getJQLQueryText();
+      apiCount = await client.countIssues(jql);
+      const margin = Math.floor(apiCount * tolerance);
+      if (Math.abs(apiCount - count) > margin) {
+        const within = margin > 0 ? ` (±${margin})` : '';
+        problems.push(`the search API (${APPROXIMATE_COUNT_ENDPOINT}) counts ${apiCount}${within} for: ${jql}`);
+      }
+    }
+    if (problems.length > 0) {
+      throw new Error(`Result count ${count}: ${problems.join('; ')}`);
+    }
+    return { count, apiCount };
+  }
+
+  async getResultTableRows() {
+    // Every result as an object keyed by column name, e.g. { Key, Summary, Status, Resolution }
+    return await this.readResultRows();
+  }
+
+  async getResultRowByKey(key) {
+    // One result by issue key, found on any page, with its cell links under `links`
+    const rows = await this.readResultRows({ links: true });
+    const row = rows.find((result) => result.Key === key);
+    if (!row) {
+      throw new Error(`No result with key ${key}. Results: ${rows.map((result) => result.Key).join(', ') || 'none'}`);
+    }
+    return row;
+  }
+
+  async getIssueLink(key) {
+    // Where the result's key cell links to, e.g. https://<site>/browse/QA-1
+    return (await this.getResultRowByKey(key)).links.Key || null;
+  }
+
+  async validateResultRowsWhere(conditions, expectations) {
+    // Results matching every condition must meet every expectation, e.g. those with
+    // { Status: 'Done' } must have { Resolution: (resolution) => resolution !== 'Unresolved' }.
+    // Each value is a cell text, a list of texts or a check of (cell text, row). Every page is read.
+    const grid = this.getResultsGrid();
+    const headers = await grid.getHeaders();
+    const columns = [...Object.keys(conditions), ...Object.keys(expectations)];
+    columns.forEach((column) => grid.getColumnIndex(headers, column));
+
+    const meets = (row, column, expected) => {
+      if (typeof expected === 'function') {
+        return expected(row[column], row);
+      }
+      return [].concat(expected).includes(row[column]);
+    };
+    const describe = (expected) =>
+      typeof expected === 'function' ? 'fails the check' : `expected ${[].concat(expected).join(' or ')}`;
+
+    const problems = (await this.readResultRows())
+      .filter((row) => Object.entries(conditions).every(([column, expected]) => meets(row, column, expected)))
+      .flatMap((row) =>
+        Object.entries(expectations)
+          .filter(([column, expected]) => !meets(row, column, expected))
+          .map(([column, expected]) => `${row.Key} has ${column} "${row[column]}" (${describe(expected)})`)
+      );
+    if (problems.length > 0) {
+      const where = Object.entries(conditions).map(([column, expected]) =>
+        typeof expected === 'function' ? `${column} passes a check` : `${column} is ${[].concat(expected).join(' or ')}`
+      );
+      const subject = where.length > 0 ? `Results where ${where.join(' and ')}` : 'Results';
+      throw new Error(`${subject}: ${problems.join('; ')}`);
+    }
+  }
+
+  async getActiveSort() {
+    // The column the results are sorted by, from its header's aria-sort:
+    // { column, direction: 'ASC' or 'DESC' }, or null when no header shows a sort
+    const headers = await this.getResultsGrid().getHeaders();
+    const sorts = await this.page
+      .locator(this.resultsTable)
+      .evaluate((table) => Array.from(table.querySelectorAll('thead th')).map((th) => th.getAttribute('aria-sort')));
+    const index = sorts.findIndex((sort) => sort === 'ascending' || sort === 'descending');
+    return index === -1 ? null : { column: headers[index], direction: sorts[index] === 'ascending' ? 'ASC' : 'DESC' };
+  }
+
+  async sortByColumn(column, direction = 'ASC') {
+    // Click a column header until the results are sorted by it in the direction: the
+    // first click sorts, the next reverses. In JQL mode Jira reruns the query with a
+    // new ORDER BY. Returns the active sort.
+    const wanted = this.getSortDirection(direction);
+    const grid = this.getResultsGrid();
+    const index = grid.getColumnIndex(await grid.getHeaders(), column);
+    const header = this.page.locator(this.resultsTable).locator('thead th').nth(index);
+    if ((await header.getAttribute('aria-sort')) === null) {
+      throw new Error(`Results column "${column}" cannot be sorted`);
+    }
+
+    let sort = await this.getActiveSort();
+    for (let clicks = 0; clicks < 2 && !(sort && sort.column === column && sort.direction === wanted); clicks++) {
+      await header.locator('button').click();
+      sort = await this.waitForSortChange(sort);
+    }
+    if (!(sort && sort.column === column && sort.direction === wanted)) {
+      throw new Error(`Results are not sorted by ${column} ${wanted} after clicking its header twice`);
+    }
+    return sort;
+  }
+
+  async waitForSortChange(before) {
+    // The new sort, once the headers show one other than `before`; JQL mode
+    // reloads the page, and reads while it reloads fail until it is back
+    const timeout = this.constants.TIMEOUTS.PAGE_LOAD;
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const sort = await this.getActiveSort().catch(() => before);
+      if (JSON.stringify(sort) !== JSON.stringify(before)) {
+        return sort;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`The results sort did not change within ${timeout}ms of clicking a column header`);
+      }
+      await this.page.waitForTimeout(100);
+    }
+  }
+
+  async sortByJql(field, direction = 'ASC') {
+    // Rerun the current query with ORDER BY field direction, replacing any ORDER BY it
+    // had; a list of { field, direction } sorts by several. Switches to JQL if needed.
+    // Returns what searchWithJQL does.
+    const orderBy = Array.isArray(field) ? field : [{ field, direction }];
+    if (!(await this.page.locator(this.jqlInput.inputLocator).isVisible())) {
+      await this.switchToJQL();
+    }
+    return await this.searchWithJQL(withOrderBy(await this.getJQLQueryText(), orderBy));
+  }
+
+  getSortDirection(direction) {
+    // ASC or DESC, whatever the case it was given in
+    const dir = String(direction).toUpperCase();
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new Error(`Sort direction must be ASC or DESC, got "${direction}"`);
+    }
+    return dir;
+  }
+
+  getSortComparator(column) {
+    // How Jira orders a column (see utils/sortOrder): statuses by the catalog's order
+    // when there is one, else by STATUS_ORDER; priorities by PRIORITY_ORDER
+    return getColumnComparator(column, {
+      statusOrder: this.statusCatalog ? this.statusCatalog.getStatuses() : this.constants.STATUS_ORDER,
+      priorityOrder: this.constants.PRIORITY_ORDER,
+    });
+  }
+
+  async validateResultsSorted(column, direction = 'ASC', { allPages = true, limit, comparator } = {}) {
+    // Throw unless every row is in the column's order, naming each row found after one
+    // it should precede. allPages (the default) checks across every page (up to `limit`
+    // rows) and fails on fewer rows than the counter shows; allPages: false checks only
+    // the rows in the DOM. `comparator` replaces the column's usual one. Date cells are
+    // compared by their ISO timestamps where they carry one. Returns { column, direction, rowsChecked }.
+    const dir = this.getSortDirection(direction);
+    const grid = this.getResultsGrid();
+    grid.getColumnIndex(await grid.getHeaders(), column);
+    let rows;
+    if (allPages) {
+      const { seen, total, segments, truncated, complete, ...collected } = await this.collectResultRows({
+        limit,
+        times: true,
+      });
+      if (!truncated && !complete) {
+        throw new Error(`Read ${seen} results over ${segments} page(s), but the results counter shows ${total}`);
+      }
+      rows = collected.rows;
+    } else {
+      rows = await grid.getRows({ times: true });
+    }
+
+    const violations = findOrderViolations(rows, column, dir, comparator || this.getSortComparator(column));
+    if (violations.length > 0) {
+      const cell = (row) => (column === 'Key' ? row.Key : `${row.Key} (${row[column] || 'empty'})`);
+      const found = violations.map(({ before, after }) => `${cell(after)} after ${cell(before)}`).join(', ');
+      throw new Error(`Results not sorted by ${column} ${dir}: ${found}`);
+    }
+    return { column, direction: dir, rowsChecked: rows.length };
   }
 
   async clearAllFilters() {
@@ -83,10 +636,53 @@ class FiltersPage extends BasePage {
     return await this.jqlInput.getValue();
   }
 
+  async enterJQL(jql) {
+    // Replace the query in the JQL editor (switch to JQL first)
+    if (jql) {
+      await this.jqlEditor.clearAndFill(jql);
+    } else {
+      await this.jqlEditor.clear();
+    }
+  }
+
+  async runJQLSearch() {
+    // Run the query in the editor; the URL carries the query once the search has run
+    const jql = await this.jqlEditor.getValue();
+    const timeout = this.constants.TIMEOUTS.PAGE_LOAD;
+    await this.runWithSession(async () => {
+      await this.jqlSearchButton.click();
+      await this.page.waitForURL((url) => url.searchParams.get('jql') === jql, { timeout });
+    });
+
+    // Then wait for Jira to show either the JQL errors or the results
+    const outcome = await this.waitForFirst({
+      errors: () => this.page.locator(this.jqlErrorMessages).first().waitFor({ timeout }),
+      results: () => this.page.locator(this.resultsTable).waitFor({ timeout }),
+    });
+    if (!outcome) {
+      throw new Error(`Neither results nor JQL errors appeared after searching for: ${jql}`);
+    }
+  }
+
+  async getJQLErrors() {
+    // Inline error messages under the JQL editor (empty if the query ran)
+    return await this.page.locator(this.jqlErrorMessages).allInnerTexts();
+  }
+
+  async searchWithJQL(jql) {
+    // Type and run a query; returns its results, or the errors Jira showed instead
+    await this.enterJQL(jql);
+    await this.runJQLSearch();
+
+    const errors = await this.getJQLErrors();
+    const rows = errors.length > 0 ? [] : await this.getResultRows();
+    return { jql, errors, rows };
+  }
+
   async switchToBasic() {
     // Click "Switch to basic" button and wait for filters page header to appear
     await this.switchToBasicButton.clickAndWaitForTarget();
   }
 }
 
-module.exports = { FiltersPage };
+module.exports = { FiltersPage, FILTER_CRITERIA };
@@ -1,6 +1,7 @@
 const BasePage = require('./BasePage');
 const NavigationComponent = require('./components/NavigationComponent');
 const DropdownComponent = require('./components/DropdownComponent');
+const { getCredential } = require('../utils/credentials');
 
 class HomePage extends BasePage {
   constructor(page) {
@@ -9,6 +10,14 @@ class HomePage extends BasePage {
     // Initialize components
     this.yourWorkTab = new NavigationComponent(page, 'text=Your work');
     this.filtersMenu = new DropdownComponent(page, 'text=Filters');
+
+    // Locators the active site profile replaces
+    this.applySelectorOverrides();
+  }
+
+  async open() {
+    // Open Jira; an authenticated session lands on "Your work"
+    await this.navigate(getCredential('JIRA_URL'));
   }
 
   async waitForHomePageToLoad() {
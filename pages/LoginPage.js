@@ -1,28 +1,288 @@
+const path = require('path');
 const BasePage = require('./BasePage');
 const FormInputComponent = require('./components/FormInputComponent');
 const NavigationComponent = require('./components/NavigationComponent');
+const CheckboxComponent = require('./components/CheckboxComponent');
+const { generateTotp, getSecondsRemaining } = require('../utils/auth/totp');
+const {
+  TotpSecretMissingError,
+  TotpCodeRejectedError,
+  IdpAdapterNotFoundError,
+} = require('../utils/auth/errors');
+const {
+  loadIdpAdapters,
+  findIdpAdapter,
+  isIdentityProviderUrl,
+} = require('../utils/auth/identityProviders');
+const {
+  LOGIN_ERROR_SELECTOR,
+  CAPTCHA_SELECTOR,
+  classifyLoginFailure,
+} = require('../utils/auth/loginDiagnostics');
+const { getCredential } = require('../utils/credentials');
+
+// Don't submit a code that could roll over before Jira checks it
+const MIN_CODE_VALIDITY_SECONDS = 3;
+
+// Identity providers may hand over to each other (e.g. Entra ID to ADFS)
+const MAX_IDP_HOPS = 5;
+
+// Where screenshots of failed logins go (override with JIRA_LOGIN_SCREENSHOT_DIR)
+const DEFAULT_LOGIN_SCREENSHOT_DIR = 'login-failures';
 
 class LoginPage extends BasePage {
-  constructor(page) {
+  /**
+   * Constructor
+   * @param {Page} page - Playwright page object
+   * @param {Object} options - Login options (defaults come from the credential providers)
+   * @param {string} options.jiraUrl - Jira base URL (default: JIRA_URL)
+   * @param {string} options.totpSecret - Base32 TOTP secret (default: JIRA_TOTP_SECRET)
+   * @param {boolean} options.rememberDevice - Tick "remember this device" (default: true unless JIRA_TOTP_REMEMBER_DEVICE=false)
+   * @param {Function} options.now - Clock returning Unix time in ms (default: Date.now)
+   * @param {Object[]} options.idpAdapters - SSO login adapters (default: JIRA_IDP_ADAPTERS + built-in)
+   */
+  constructor(
+    page,
+    {
+      jiraUrl = getCredential('JIRA_URL'),
+      totpSecret = getCredential('JIRA_TOTP_SECRET'),
+      rememberDevice = getCredential('JIRA_TOTP_REMEMBER_DEVICE') !== 'false',
+      now = Date.now,
+      idpAdapters = loadIdpAdapters(getCredential('JIRA_IDP_ADAPTERS')),
+    } = {}
+  ) {
     super(page);
 
     // Initialize components for login form
     this.emailInput = new FormInputComponent(page, '#username');
     this.passwordInput = new FormInputComponent(page, '#password');
     this.loginButton = new NavigationComponent(page, '#login-submit');
+
+    // Initialize components for the two-step verification screen
+    this.verificationCodeInput = new FormInputComponent(page, '#two-step-verification-otp-code-input');
+    this.rememberDeviceCheckbox = new CheckboxComponent(page, '#remember-device-checkbox');
+    this.verificationSubmitButton = new NavigationComponent(page, '#two-step-verification-submit');
+    this.verificationError = '[data-testid="otp-error"]';
+
+    this.jiraUrl = jiraUrl;
+    this.totpSecret = totpSecret;
+    this.rememberDevice = rememberDevice;
+    this.now = now;
+    this.idpAdapters = idpAdapters;
+
+    // Locators the active site profile replaces
+    this.applySelectorOverrides();
   }
 
   async login(email, password) {
     // Navigate to Jira login page
-    await this.navigate(process.env.JIRA_URL);
+    await this.navigate(this.jiraUrl);
 
     // Enter email and submit
     await this.emailInput.fill(email);
     await this.loginButton.click();
 
-    // Enter password and submit
-    await this.passwordInput.fill(password);
-    await this.loginButton.click();
+    // After the email step Atlassian either asks for the password or redirects to the IdP
+    const nextStep = await this.waitForLoginStep({
+      password: () =>
+        this.page.waitForSelector(this.passwordInput.inputLocator, {
+          state: 'visible',
+          timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+        }),
+      identityProvider: () =>
+        this.page.waitForURL((url) => isIdentityProviderUrl(url.toString(), this.jiraUrl), {
+          timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+        }),
+    });
+
+    if (nextStep === 'identityProvider') {
+      // SSO sites continue on the identity provider and come back to Jira
+      await this.loginWithIdentityProvider(email, password);
+    } else {
+      // Enter password and submit (kept out of traces and report steps)
+      await this.passwordInput.fillSecret(password);
+      await this.loginButton.click();
+    }
+
+    // Answer the verification-code screen if the account has 2FA enabled
+    if (await this.isVerificationScreenShown()) {
+      await this.submitVerificationCode();
+    }
+  }
+
+  async waitForLoginStep(expectedSteps, errorSelector = LOGIN_ERROR_SELECTOR) {
+    // Race the expected next screens against signs that the login has stopped
+    const outcome = await this.waitForFirst({
+      ...expectedSteps,
+      failure: () =>
+        this.page.waitForSelector(`${errorSelector}, ${CAPTCHA_SELECTOR}`, {
+          timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+        }),
+      signup: () =>
+        this.page.waitForURL(/\/signup([/?#]|$)/, { timeout: this.constants.TIMEOUTS.PAGE_LOAD }),
+    });
+
+    if (outcome === null || outcome === 'failure' || outcome === 'signup') {
+      throw await this.diagnoseLoginFailure(errorSelector);
+    }
+    return outcome;
+  }
+
+  async diagnoseLoginFailure(errorSelector = LOGIN_ERROR_SELECTOR) {
+    // Classify what the page shows and keep a screenshot for whoever reads the error
+    const url = this.page.url();
+    const pageMessage = await this.readLoginError(errorSelector);
+    const captchaShown = await this.elementExists(CAPTCHA_SELECTOR).catch(() => false);
+    const LoginError = classifyLoginFailure({ url, pageMessage, captchaShown });
+    const screenshotPath = await this.captureLoginFailure(LoginError.name);
+
+    return new LoginError({ url, screenshotPath, pageMessage });
+  }
+
+  async readLoginError(errorSelector) {
+    try {
+      const text = await this.page
+        .locator(errorSelector)
+        .first()
+        .innerText({ timeout: this.constants.TIMEOUTS.QUICK_ACTION });
+      return text.trim();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  async captureLoginFailure(reason) {
+    const directory = getCredential('JIRA_LOGIN_SCREENSHOT_DIR') || DEFAULT_LOGIN_SCREENSHOT_DIR;
+    const timestamp = new Date(this.now()).toISOString().replace(/[:.]/g, '-');
+    const screenshotPath = path.resolve(directory, `${timestamp}-${reason}.png`);
+
+    try {
+      await this.page.screenshot({ path: screenshotPath, fullPage: true });
+      return screenshotPath;
+    } catch (error) {
+      // A failed screenshot must not hide the login error itself
+      return null;
+    }
+  }
+
+  async loginWithIdentityProvider(email, password) {
+    // Follow the redirect chain until the browser is back on the Jira host
+    for (let hop = 0; hop < MAX_IDP_HOPS; hop++) {
+      const idpUrl = this.page.url();
+      const adapter = findIdpAdapter(idpUrl, this.idpAdapters);
+      if (!adapter) {
+        throw new IdpAdapterNotFoundError(idpUrl);
+      }
+
+      await this.submitIdentityProviderForm(adapter, email, password);
+
+      const idpHost = new URL(idpUrl).host;
+      const outcome = await this.waitForLoginStep(
+        {
+          jira: () =>
+            this.page.waitForURL((url) => url.host === new URL(this.jiraUrl).host, {
+              timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+            }),
+          nextIdentityProvider: () =>
+            this.page.waitForURL(
+              (url) => url.host !== idpHost && isIdentityProviderUrl(url.toString(), this.jiraUrl),
+              { timeout: this.constants.TIMEOUTS.PAGE_LOAD }
+            ),
+        },
+        adapter.errorMessage ? `${LOGIN_ERROR_SELECTOR}, ${adapter.errorMessage}` : LOGIN_ERROR_SELECTOR
+      );
+      if (outcome === 'jira') {
+        return;
+      }
+    }
+
+    throw new Error(
+      `Login did not return to Jira after ${MAX_IDP_HOPS} identity provider redirects. Last page: ${this.page.url()}`
+    );
+  }
+
+  async submitIdentityProviderForm(adapter, email, password) {
+    const usernameInput = new FormInputComponent(this.page, adapter.usernameField);
+    const passwordInput = new FormInputComponent(this.page, adapter.passwordField);
+
+    await usernameInput.fill(email);
+
+    // Identifier-first forms only show the password field after "Next"
+    if (adapter.nextButton && !(await passwordInput.isVisible())) {
+      await new NavigationComponent(this.page, adapter.nextButton).click();
+      await this.waitForElement(adapter.passwordField);
+    }
+
+    await passwordInput.fillSecret(password);
+    await new NavigationComponent(this.page, adapter.submitButton).click();
+
+    // Dismiss "Stay signed in?" style prompts if the IdP shows one
+    if (adapter.staySignedInButton) {
+      const outcome = await this.waitForFirst({
+        prompt: () =>
+          this.page.waitForSelector(adapter.staySignedInButton, {
+            timeout: this.constants.TIMEOUTS.QUICK_ACTION,
+          }),
+        jira: () =>
+          this.page.waitForURL((url) => url.host === new URL(this.jiraUrl).host, {
+            timeout: this.constants.TIMEOUTS.QUICK_ACTION,
+          }),
+      });
+      if (outcome === 'prompt') {
+        await new NavigationComponent(this.page, adapter.staySignedInButton).click();
+      }
+    }
+  }
+
+  async isVerificationScreenShown() {
+    // Jira either redirects into the product or asks for a verification code
+    const outcome = await this.waitForLoginStep({
+      jira: () => this.page.waitForURL('**/jira/**', { timeout: this.constants.TIMEOUTS.PAGE_LOAD }),
+      verification: () =>
+        this.page.waitForSelector(this.verificationCodeInput.inputLocator, {
+          timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+        }),
+    });
+    return outcome === 'verification';
+  }
+
+  async submitVerificationCode() {
+    if (!this.totpSecret) {
+      throw new TotpSecretMissingError();
+    }
+
+    // Wait for the next time step if the current code is about to expire
+    const secondsRemaining = getSecondsRemaining(this.now());
+    if (secondsRemaining < MIN_CODE_VALIDITY_SECONDS) {
+      await this.wait(Math.ceil(secondsRemaining * 1000));
+    }
+
+    await this.verificationCodeInput.fill(generateTotp(this.totpSecret, { timestamp: this.now() }));
+    if (this.rememberDevice && (await this.rememberDeviceCheckbox.exists())) {
+      await this.rememberDeviceCheckbox.check();
+    }
+    await this.verificationSubmitButton.click();
+
+    // A rejected code keeps the verification screen and shows an inline error;
+    // neither within PAGE_LOAD means the login stalled at this step
+    const outcome = await this.waitForFirst({
+      accepted: () => this.page.waitForURL('**/jira/**', { timeout: this.constants.TIMEOUTS.PAGE_LOAD }),
+      rejected: () =>
+        this.page.waitForSelector(this.verificationError, {
+          timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+        }),
+    });
+    if (outcome === null) {
+      throw await this.diagnoseLoginFailure();
+    }
+    if (outcome === 'rejected') {
+      throw new TotpCodeRejectedError(await this.getText(this.verificationError));
+    }
+  }
+
+  async waitForLoginToComplete() {
+    // Jira redirects into the product once the session is established
+    await this.waitForNavigation('**/jira/**');
   }
 }
 
@@ -0,0 +1,304 @@
+const BasePage = require('./BasePage');
+const FormInputComponent = require('./components/FormInputComponent');
+const NavigationComponent = require('./components/NavigationComponent');
+const { FiltersPage } = require('./FiltersPage');
+const { getCredential } = require('../utils/credentials');
+
+// Who a filter can be shared with; every type but organization needs a value
+// (project key, group name or account email)
+const SHARE_TYPES = ['organization', 'project', 'group', 'user'];
+const SHARE_ROLES = ['viewers', 'editors'];
+
+class SavedFilterPage extends BasePage {
+  /**
+   * Constructor
+   * @param {Page} page - Playwright page object
+   * @param {Object} options - Page options
+   * @param {string} options.jiraUrl - Jira base URL (default: JIRA_URL)
+   */
+  constructor(page, { jiraUrl = getCredential('JIRA_URL') } = {}) {
+    super(page);
+    this.jiraUrl = jiraUrl;
+
+    // The saved filter opens in the issue search, whose JQL editor edits its query
+    this.filtersPage = new FiltersPage(page);
+
+    // "Save as" dialog
+    this.saveAsButton = new NavigationComponent(page, '[data-testid="filter.save-as"]', '#save-filter-dialog');
+    this.nameInput = new FormInputComponent(page, '[data-testid="filter.name-input"]');
+    this.descriptionInput = new FormInputComponent(page, '[data-testid="filter.description-input"]');
+    this.saveSubmitButton = new NavigationComponent(page, '[data-testid="filter.save-submit"]');
+    this.saveError = '[data-testid="filter.save-error"]';
+
+    // Header of an open filter
+    this.filterTitle = '[data-testid="filter.title"]';
+    this.filterDescription = '[data-testid="filter.description"]';
+    this.starButton = '[data-testid="filter.star"]';
+    this.saveChangesButton = new NavigationComponent(page, '[data-testid="filter.save"]');
+    this.filterError = '[data-testid="filter.error"]';
+
+    // Details dialog: name, description and share permissions
+    this.detailsButton = new NavigationComponent(page, '[data-testid="filter.details"]', '#filter-details-dialog');
+    this.detailsDialog = '#filter-details-dialog';
+    this.detailsNameInput = new FormInputComponent(page, '[data-testid="filter.details-name"]');
+    this.detailsDescriptionInput = new FormInputComponent(page, '[data-testid="filter.details-description"]');
+    this.detailsSubmitButton = new NavigationComponent(page, '[data-testid="filter.details-submit"]');
+
+    // Delete confirmation
+    this.deleteButton = new NavigationComponent(page, '[data-testid="filter.delete"]', '#delete-filter-dialog');
+    this.deleteConfirmButton = new NavigationComponent(page, '[data-testid="filter.delete-confirm"]');
+
+    // Locators the active site profile replaces
+    this.applySelectorOverrides();
+  }
+
+  getFilterUrl(filterId) {
+    // Reopen a saved filter directly, e.g. in a later step or another test
+    const url = new URL('/jira/issues', this.jiraUrl);
+    url.searchParams.set('filter', filterId);
+    return url.toString();
+  }
+
+  async open(filterId) {
+    await this.navigate(this.getFilterUrl(filterId));
+    await this.waitForFilterToLoad();
+  }
+
+  async waitForFilterToLoad() {
+    // The filter name heading only shows once a saved filter is open
+    await this.waitForElement(this.filterTitle);
+  }
+
+  getFilterId() {
+    // The id of the open filter is in the URL
+    const filterId = new URL(this.page.url()).searchParams.get('filter');
+    if (!filterId) {
+      throw new Error(`No saved filter is open: ${this.page.url()}`);
+    }
+    return filterId;
+  }
+
+  async saveAs({ name, description = '' }) {
+    // Save the current search as a new filter and return its id
+    const previousId = new URL(this.page.url()).searchParams.get('filter');
+    await this.saveAsButton.clickAndWaitForTarget();
+    await this.nameInput.clearAndFill(name);
+    if (description) {
+      await this.descriptionInput.clearAndFill(description);
+    }
+    await this.saveSubmitButton.click();
+
+    // Jira opens the new filter, or keeps the dialog open with an error
+    const timeout = this.constants.TIMEOUTS.PAGE_LOAD;
+    const outcome = await this.waitForFirst({
+      saved: () =>
+        this.page.waitForURL(
+          (url) => url.searchParams.has('filter') && url.searchParams.get('filter') !== previousId,
+          { timeout }
+        ),
+      error: () => this.page.waitForSelector(this.saveError, { timeout }),
+    });
+    if (outcome === 'error') {
+      throw new Error(`Could not save filter "${name}": ${await this.getText(this.saveError)}`);
+    }
+    if (!outcome) {
+      throw new Error(`Saving filter "${name}" did not open the new filter`);
+    }
+
+    await this.waitForFilterToLoad();
+    return this.getFilterId();
+  }
+
+  async getDetails() {
+    // Name, description, JQL in the editor and star of the open filter
+    return {
+      id: this.getFilterId(),
+      name: await this.getText(this.filterTitle),
+      description: await this.getText(this.filterDescription),
+      jql: await this.filtersPage.getJQLQueryText(),
+      starred: await this.isStarred(),
+    };
+  }
+
+  async openDetails() {
+    // Open the details dialog unless it already is
+    if (!(await this.page.locator(this.detailsDialog).isVisible())) {
+      await this.detailsButton.clickAndWaitForTarget();
+    }
+  }
+
+  async editDetails({ name, description }) {
+    // Change the name and/or description in the details dialog
+    await this.openDetails();
+    if (name !== undefined) {
+      await this.detailsNameInput.clearAndFill(name);
+    }
+    if (description !== undefined) {
+      await this.detailsDescriptionInput.clear();
+      if (description) {
+        await this.detailsDescriptionInput.fill(description);
+      }
+    }
+    await this.detailsSubmitButton.click();
+    await this.waitForFilterChange('Could not update filter details', () =>
+      this.page.waitForSelector(this.detailsDialog, { state: 'hidden', timeout: this.constants.TIMEOUTS.PAGE_LOAD })
+    );
+  }
+
+  async rename(name) {
+    await this.editDetails({ name });
+  }
+
+  async updateJQL(jql) {
+    // Run the new query, then save it to the filter
+    const { errors } = await this.filtersPage.searchWithJQL(jql);
+    if (errors.length > 0) {
+      throw new Error(`Cannot save JQL with errors to the filter: ${errors.join('; ')}`);
+    }
+    await this.saveChangesButton.click();
+    await this.waitForFilterChange('Could not save the JQL of the filter', () =>
+      this.page.waitForSelector(this.saveChangesButton.elementLocator, {
+        state: 'hidden',
+        timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+      })
+    );
+  }
+
+  async getSharePermissions() {
+    // Viewers and editors as { type, value } (organization has no value), listed in the details dialog
+    await this.openDetails();
+    const read = (role) =>
+      this.page
+        .locator(`[data-testid="filter.${role}"] [data-testid="filter.permission"]`)
+        .evaluateAll((items) =>
+          items.map(({ dataset: { type, value } }) => (value ? { type, value } : { type }))
+        );
+    return { viewers: await read('viewers'), editors: await read('editors') };
+  }
+
+  async setSharePermissions({ viewers, editors }) {
+    // Replace the viewers and/or editors lists (a list left out is kept as is)
+    const wanted = { viewers, editors };
+    for (const role of SHARE_ROLES) {
+      if (!wanted[role]) {
+        continue;
+      }
+      const permissions = wanted[role].map(validateSharePermission);
+
+      const current = (await this.getSharePermissions())[role];
+      for (let index = current.length - 1; index >= 0; index--) {
+        await this.removeSharePermission(role, index);
+      }
+      const added = new Set();
+      for (const permission of permissions) {
+        const key = `${permission.type}:${permission.value || ''}`;
+        if (!added.has(key)) {
+          added.add(key);
+          await this.addSharePermission(role, permission);
+        }
+      }
+    }
+  }
+
+  async addSharePermission(role, permission) {
+    // Add one viewer or editor entry in the details dialog
+    const { type, value } = validateSharePermission(permission);
+    await this.openDetails();
+    const count = (await this.getSharePermissions())[role].length;
+    await this.page.selectOption(`[data-testid="filter.${role}-type"]`, type);
+    if (value) {
+      await new FormInputComponent(this.page, `[data-testid="filter.${role}-value"]`).clearAndFill(value);
+    }
+    await this.click(`[data-testid="filter.${role}-add"]`);
+    await this.waitForFilterChange(`Could not share the filter with ${type} ${value || ''}`.trim(), () =>
+      this.waitForPermissionCount(role, count + 1)
+    );
+  }
+
+  async removeSharePermission(role, index) {
+    // Remove the viewer or editor entry at a position in the list
+    await this.openDetails();
+    const count = (await this.getSharePermissions())[role].length;
+    await this.page
+      .locator(`[data-testid="filter.${role}"] [data-testid="filter.permission-remove"]`)
+      .nth(index)
+      .click();
+    await this.waitForFilterChange(`Could not remove entry ${index} from the filter's ${role}`, () =>
+      this.waitForPermissionCount(role, count - 1)
+    );
+  }
+
+  async waitForPermissionCount(role, count) {
+    // The dialog lists one entry per permission
+    await this.page.waitForFunction(
+      ([selector, expected]) => document.querySelectorAll(selector).length === expected,
+      [`[data-testid="filter.${role}"] [data-testid="filter.permission"]`, count],
+      { timeout: this.constants.TIMEOUTS.PAGE_LOAD }
+    );
+  }
+
+  async isStarred() {
+    return (await this.page.locator(this.starButton).getAttribute('aria-pressed')) === 'true';
+  }
+
+  async star() {
+    await this.setStarred(true);
+  }
+
+  async unstar() {
+    await this.setStarred(false);
+  }
+
+  async setStarred(starred) {
+    // Toggle the star only if needed, then wait for the button to show the new state
+    if ((await this.isStarred()) !== starred) {
+      await this.click(this.starButton);
+    }
+    await this.page.waitForSelector(`${this.starButton}[aria-pressed="${starred}"]`, {
+      timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+    });
+  }
+
+  async delete() {
+    // Delete the open filter through the confirmation dialog
+    const filterId = this.getFilterId();
+    await this.deleteButton.clickAndWaitForTarget();
+    await this.deleteConfirmButton.click();
+    await this.page.waitForURL((url) => url.searchParams.get('filter') !== filterId, {
+      timeout: this.constants.TIMEOUTS.PAGE_LOAD,
+    });
+  }
+
+  async waitForFilterChange(failureMessage, changed) {
+    // Race the expected change against the error Jira shows in the filter header
+    const outcome = await this.waitForFirst({
+      changed,
+      error: () => this.page.waitForSelector(this.filterError, { timeout: this.constants.TIMEOUTS.PAGE_LOAD }),
+    });
+    if (outcome === 'error') {
+      throw new Error(`${failureMessage}: ${await this.getText(this.filterError)}`);
+    }
+    if (!outcome) {
+      throw new Error(`${failureMessage}: the page did not update`);
+    }
+  }
+}
+
+/**
+ * Check a share permission before it is entered in the dialog
+ * @param {Object} permission - { type, value }
+ * @returns {Object} The permission
+ * @throws {Error} On an unknown type or a missing value
+ */
+function validateSharePermission(permission) {
+  const { type, value } = permission || {};
+  if (!SHARE_TYPES.includes(type)) {
+    throw new Error(`Unknown share type "${type}", expected one of: ${SHARE_TYPES.join(', ')}`);
+  }
+  if (type !== 'organization' && !value) {
+    throw new Error(`Sharing with a ${type} needs a value, e.g. { type: '${type}', value: '...' }`);
+  }
+  return permission;
+}
+
+module.exports = { SavedFilterPage, SHARE_TYPES };
@@ -0,0 +1,125 @@
+/**
+ * DateCriterionComponent
+ *
+ * Handles one basic search date criterion (Created, Updated, Due) including:
+ * - Setting relative ranges ("Within the last", "More than ... ago")
+ * - Setting absolute ranges ("Between" two days)
+ * - Reading the applied range back, and clearing it
+ * - Reading the pill text
+ *
+ * Ranges are the objects described in utils/dateRange.js.
+ */
+const DropdownComponent = require('./DropdownComponent');
+const { validateDateRange } = require('../../utils/dateRange');
+
+class DateCriterionComponent {
+  /**
+   * Constructor
+   * @param {Page} page - Playwright page object
+   * @param {Object} criterion - Criterion to drive
+   * @param {string} criterion.field - Field in the criterion's test ids, e.g. 'created' for
+   *   '[data-testid="created.ui.filter.dropdown"]'
+   * @param {string} criterion.label - Name shown on the pill, e.g. 'Created'
+   */
+  constructor(page, { field, label }) {
+    this.page = page;
+    this.field = field;
+    this.label = label;
+    this.pillLocator = `[data-testid="${field}.ui.filter.dropdown"]`;
+    this.dialogLocator = `[data-testid="${field}.ui.filter.options"]`;
+    this.updateButton = `[data-testid="${field}.ui.filter.update"]`;
+    this.clearButton = `[data-testid="${field}.ui.filter.clear"]`;
+    this.dropdown = new DropdownComponent(page, this.pillLocator, this.dialogLocator);
+    this.constants = require('../../utils/constants');
+  }
+
+  /**
+   * Locator for one input of a range type, e.g. ('between', 'from')
+   * @param {string} type - Range type
+   * @param {string} part - amount, unit, from or to
+   * @returns {string} Input locator
+   */
+  inputLocator(type, part) {
+    return `[data-testid="${this.field}.${type}.${part}"]`;
+  }
+
+  /**
+   * Apply a date range
+   * @param {Object} range - e.g. { type: 'withinLast', amount: 7, unit: 'days' }
+   *   or { type: 'between', from: '2025-11-01', to: '2025-11-30' }
+   */
+  async setRange(range) {
+    const { type, amount, unit, from, to } = validateDateRange(range);
+    await this.dropdown.open();
+    await this.page.locator(`${this.dialogLocator} input[type="radio"][value="${type}"]`).check();
+    if (type === 'between') {
+      await this.page.fill(this.inputLocator(type, 'from'), from);
+      await this.page.fill(this.inputLocator(type, 'to'), to);
+    } else {
+      await this.page.fill(this.inputLocator(type, 'amount'), String(amount));
+      await this.page.selectOption(this.inputLocator(type, 'unit'), unit);
+    }
+    await this.applyAndWaitForClose(this.updateButton);
+  }
+
+  /**
+   * Remove the applied range
+   */
+  async clear() {
+    await this.dropdown.open();
+    await this.applyAndWaitForClose(this.clearButton);
+  }
+
+  /**
+   * Click Update or Clear, then wait for the dialog to close
+   * @param {string} buttonLocator - Button to click
+   */
+  async applyAndWaitForClose(buttonLocator) {
+    await this.page.click(buttonLocator);
+    await this.page.waitForSelector(this.dialogLocator, {
+      state: 'hidden',
+      timeout: this.constants.TIMEOUTS.DROPDOWN_OPEN,
+    });
+  }
+
+  /**
+   * Get the applied range from the dialog (it shows the applied range while closed)
+   * @returns {Promise<Object|null>} Range, or null if none is applied
+   */
+  async getRange() {
+    const { type, amount, unit, from, to } = await this.page.locator(this.dialogLocator).evaluate((dialog, field) => {
+      const checked = dialog.querySelector('input[type="radio"]:checked');
+      if (!checked) {
+        return {};
+      }
+      const value = (part) => {
+        const input = dialog.querySelector(`[data-testid="${field}.${checked.value}.${part}"]`);
+        return input ? input.value : '';
+      };
+      return { type: checked.value, amount: value('amount'), unit: value('unit'), from: value('from'), to: value('to') };
+    }, this.field);
+
+    if (!type) {
+      return null;
+    }
+    return type === 'between' ? { type, from, to } : { type, amount: Number(amount), unit };
+  }
+
+  /**
+   * Get the pill text, e.g. 'Created' or 'Created: within the last 7 days'
+   * @returns {Promise<string>} Pill text
+   */
+  async getPillText() {
+    return (await this.page.locator(this.pillLocator).innerText()).trim();
+  }
+
+  /**
+   * Check if the pill is shown (date criteria only show once added through "More +")
+   * @returns {Promise<boolean>} True if the pill is visible
+   */
+  async isShown() {
+    return await this.page.locator(this.pillLocator).isVisible();
+  }
+}
+
+module.exports = DateCriterionComponent;
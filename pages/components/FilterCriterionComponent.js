@@ -0,0 +1,134 @@
+/**
+ * FilterCriterionComponent
+ *
+ * Handles one basic search criterion (the Project, Type, Status... pills) including:
+ * - Selecting and deselecting values
+ * - Reading the current selection and the available values
+ * - Reading the pill text
+ */
+const DropdownComponent = require('./DropdownComponent');
+const CheckboxComponent = require('./CheckboxComponent');
+
+class FilterCriterionComponent {
+  /**
+   * Constructor
+   * @param {Page} page - Playwright page object
+   * @param {Object} criterion - Criterion to drive
+   * @param {string} criterion.field - Field in the criterion's test ids, e.g. 'status' for
+   *   '[data-testid="status.ui.filter.dropdown"]'
+   * @param {string} criterion.label - Name shown on the pill, e.g. 'Status'
+   */
+  constructor(page, { field, label }) {
+    this.page = page;
+    this.field = field;
+    this.label = label;
+    this.pillLocator = `[data-testid="${field}.ui.filter.dropdown"]`;
+    this.optionsLocator = `[data-testid="${field}.ui.filter.options"]`;
+    this.dropdown = new DropdownComponent(page, this.pillLocator, this.optionsLocator);
+  }
+
+  /**
+   * Locator for the checkbox of one value in a list of options
+   * @param {string} optionsLocator - Locator of the options
+   * @param {string} value - Option value, quotes and backslashes included
+   * @returns {string} Checkbox locator
+   */
+  static checkboxLocator(optionsLocator, value) {
+    return `${optionsLocator} input[value="${String(value).replace(/["\\]/g, '\\$&')}"]`;
+  }
+
+  /**
+   * Locator for the checkbox of one value
+   * @param {string} value - Option value
+   * @returns {string} Checkbox locator
+   */
+  optionLocator(value) {
+    return FilterCriterionComponent.checkboxLocator(this.optionsLocator, value);
+  }
+
+  /**
+   * Select values (values already selected stay selected)
+   * @param {string[]} values - Values to select
+   */
+  async select(values) {
+    await this.setValues(values, true);
+  }
+
+  /**
+   * Deselect values (other selected values stay selected)
+   * @param {string[]} values - Values to deselect
+   */
+  async deselect(values) {
+    await this.setValues(values, false);
+  }
+
+  /**
+   * Deselect every selected value
+   */
+  async clear() {
+    const selected = await this.getSelectedValues();
+    if (selected.length > 0) {
+      await this.deselect(selected);
+    }
+  }
+
+  /**
+   * Check or uncheck values in the open dropdown, then close it
+   * @param {string[]} values - Values to change
+   * @param {boolean} checked - True to select
+   */
+  async setValues(values, checked) {
+    await this.dropdown.open();
+    for (const value of values) {
+      const option = new CheckboxComponent(this.page, this.optionLocator(value));
+      if (!(await option.exists())) {
+        await this.dropdown.close();
+        throw new Error(`${this.label} "${value}" not found in the filter dropdown`);
+      }
+      if (checked) {
+        await option.check();
+      } else {
+        await option.uncheck();
+      }
+    }
+    await this.dropdown.close();
+  }
+
+  /**
+   * Get the selected values
+   * @returns {Promise<string[]>} Selected values in option order
+   */
+  async getSelectedValues() {
+    return await this.page
+      .locator(`${this.optionsLocator} input:checked`)
+      .evaluateAll((inputs) => inputs.map((input) => input.value));
+  }
+
+  /**
+   * Get every value the criterion offers
+   * @returns {Promise<string[]>} Option values
+   */
+  async getAvailableValues() {
+    return await this.page
+      .locator(`${this.optionsLocator} input`)
+      .evaluateAll((inputs) => inputs.map((input) => input.value));
+  }
+
+  /**
+   * Get the pill text, e.g. 'Status', 'Status: Open' or 'Status: Open +2'
+   * @returns {Promise<string>} Pill text
+   */
+  async getPillText() {
+    return (await this.page.locator(this.pillLocator).innerText()).trim();
+  }
+
+  /**
+   * Check if the pill is shown (criteria from "More +" only show once added)
+   * @returns {Promise<boolean>} True if the pill is visible
+   */
+  async isShown() {
+    return await this.page.locator(this.pillLocator).isVisible();
+  }
+}
+
+module.exports = FilterCriterionComponent;
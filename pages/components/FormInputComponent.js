@@ -3,10 +3,17 @@
  * 
  * Handles form input field interactions including:
  * - Filling input fields
+ * - Filling secrets without exposing them in traces and reports
  * - Getting input values
  * - Clearing inputs
  * - Validating input state
  */
+
+// Page binding that hands secrets to the browser (see fillSecret)
+const SECRET_BINDING = '__formInputSecret';
+const secretBindingPages = new WeakSet();
+const pendingSecrets = new WeakMap();
+
 class FormInputComponent {
   /**
    * Constructor
@@ -29,6 +36,39 @@ class FormInputComponent {
     await this.page.fill(this.inputLocator, value);
   }
 
+  /**
+   * Fill the input field with a secret (password, token).
+   * The value reaches the browser through a page binding instead of a
+   * fill() argument, so it does not appear in trace actions or in the
+   * step titles of the HTML report.
+   * @param {string} value - Secret to fill
+   */
+  async fillSecret(value) {
+    if (!value) {
+      throw new Error('Input value cannot be empty');
+    }
+
+    if (!secretBindingPages.has(this.page)) {
+      await this.page.exposeBinding(SECRET_BINDING, () => {
+        const pending = pendingSecrets.get(this.page);
+        pendingSecrets.delete(this.page);
+        return pending;
+      });
+      secretBindingPages.add(this.page);
+    }
+
+    pendingSecrets.set(this.page, value);
+    await this.page.locator(this.inputLocator).evaluate(async (input, bindingName) => {
+      const secret = await window[bindingName]();
+      // Use the native setter so framework-controlled inputs (React) see the change
+      const setValue = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(input), 'value').set;
+      input.focus();
+      setValue.call(input, secret);
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    }, SECRET_BINDING);
+  }
+
   /**
    * Get the current value of the input field
    * @returns {Promise<string>} Current input value
@@ -6,16 +6,33 @@
  * - Validating cell contents
  * - Counting rows
  * - Extracting table data
+ *
+ * With a table locator it also reads the whole grid: column names from the
+ * header row, each row as an object keyed by column name, and cell links.
+ * With paging locators it reads past what is in the DOM, following the next
+ * page button or scrolling a virtualized list a viewport at a time (see collectRows).
  */
+const { parseResultCount } = require('../../utils/resultCount');
+
 class TableComponent {
   /**
    * Constructor
    * @param {Page} page - Playwright page object
    * @param {string} cellLocator - Locator for table cells (e.g., '[data-testid="issue.status"]')
+   * @param {string} tableLocator - Locator for the whole table (e.g., '[data-testid="issue-table"]'),
+   *   needed to read rows by column
+   * @param {Object} paging - Paging locators, each optional
+   * @param {string} paging.nextButton - Button showing the next page of rows
+   * @param {string} paging.previousButton - Button showing the previous page of rows
+   * @param {string} paging.scrollContainer - Scrolling element of a virtualized list
+   * @param {string} paging.counter - Row counter, e.g. "1–50 of 137"
    */
-  constructor(page, cellLocator) {
+  constructor(page, cellLocator, tableLocator = null, paging = {}) {
     this.page = page;
     this.cellLocator = cellLocator;
+    this.tableLocator = tableLocator;
+    this.paging = paging;
+    this.constants = require('../../utils/constants');
   }
 
   /**
@@ -116,6 +133,273 @@ class TableComponent {
     return await this.getRowText(0);
   }
 
+  /**
+   * Read the header and every body cell in one round trip. A cell showing a
+   * date also gives the ISO timestamp from its <time> element's datetime
+   * attribute, or from a datetime or title attribute, so it can be read
+   * whatever date format is shown.
+   * @returns {Promise<{headers: string[], rows: Array<Array<{text: string, href: string|null, time: string|null}>>}>}
+   *   Column names (unnamed columns become "Column <n>") and cells by row
+   */
+  async readGrid() {
+    if (!this.tableLocator) {
+      throw new Error(`Reading rows by column needs a table locator (cells: ${this.cellLocator})`);
+    }
+    const grid = await this.page.locator(this.tableLocator).evaluate((table) => ({
+      headers: Array.from(table.querySelectorAll('thead th')).map((th) => th.innerText.trim()),
+      rows: Array.from(table.querySelectorAll('tbody tr')).map((tr) =>
+        Array.from(tr.cells).map((td) => {
+          const link = td.querySelector('a[href]');
+          const holder = td.querySelector('time') || td;
+          const time = [holder.getAttribute('datetime'), holder.getAttribute('title')].find(
+            (value) => value && /^\d{4}-\d{2}-\d{2}/.test(value)
+          );
+          return { text: td.innerText.trim(), href: link ? link.href : null, time: time || null };
+        })
+      ),
+    }));
+    return {
+      headers: grid.headers.map((header, index) => header || `Column ${index + 1}`),
+      rows: grid.rows,
+    };
+  }
+
+  /**
+   * Get the column names from the header row
+   * @returns {Promise<string[]>} Column names, e.g. ['Key', 'Summary', 'Status']
+   */
+  async getHeaders() {
+    return (await this.readGrid()).headers;
+  }
+
+  /**
+   * Get every row as an object keyed by column name
+   * @param {Object} options - Options
+   * @param {boolean} options.times - Give date cells as their ISO timestamp, where they carry one (default: false)
+   * @param {boolean} options.links - Add each row's cell links under `links` (default: false)
+   * @returns {Promise<Object[]>} Rows, e.g. [{ Key: 'QA-1', Summary: '...', Status: 'Open' }]
+   */
+  async getRows({ times = false, links = false } = {}) {
+    const { headers, rows } = await this.readGrid();
+    return rows.map((cells) => this.toRow(headers, cells, { times, links }));
+  }
+
+  /**
+   * One row as an object keyed by column name
+   * @param {string[]} headers - Column names
+   * @param {Object[]} cells - The row's cells, as read by readGrid
+   * @param {Object} options - Options
+   * @param {boolean} options.times - Give date cells as their ISO timestamp, where they carry one (default: false)
+   * @param {boolean} options.links - Add the cells' link targets under `links`, keyed by
+   *   column name, for cells that have one (default: false)
+   * @returns {Object} Row, e.g. { Key: 'QA-1', Created: '2025-12-01T08:15:00.000+0100' }
+   */
+  toRow(headers, cells, { times = false, links = false } = {}) {
+    const row = Object.fromEntries(
+      headers.map((header, index) => [header, (times && cells[index]?.time) || (cells[index]?.text ?? '')])
+    );
+    if (!links) {
+      return row;
+    }
+    return {
+      ...row,
+      links: Object.fromEntries(
+        headers.map((header, index) => [header, cells[index]?.href ?? null]).filter(([, href]) => href)
+      ),
+    };
+  }
+
+  /**
+   * Get the link target of each row's cell in a column
+   * @param {string} column - Column name
+   * @returns {Promise<Array<string|null>>} Absolute URLs by row, null for cells without a link
+   */
+  async getColumnLinks(column) {
+    const { headers, rows } = await this.readGrid();
+    const index = this.getColumnIndex(headers, column);
+    return rows.map((cells) => cells[index]?.href ?? null);
+  }
+
+  /**
+   * Find the first row whose cell in a column has a value
+   * @param {string} column - Column name, e.g. 'Key'
+   * @param {string} value - Cell text, e.g. 'QA-1'
+   * @returns {Promise<Object|null>} Row keyed by column name, with the row's
+   *   cell links under `links`; null if no row has the value
+   */
+  async findRow(column, value) {
+    const { headers, rows } = await this.readGrid();
+    const index = this.getColumnIndex(headers, column);
+    const cells = rows.find((row) => row[index]?.text === value);
+    return cells ? this.toRow(headers, cells, { links: true }) : null;
+  }
+
+  /**
+   * Read every row, page after page or scroll segment after scroll segment,
+   * keeping the first row seen for each key
+   * @param {Object} options - Options
+   * @param {string} options.keyColumn - Column identifying a row (default: 'Key')
+   * @param {number} options.limit - Stop after this many distinct rows (default: RESULT_ROW_LIMIT)
+   * @param {boolean} options.times - Give date cells as their ISO timestamp, where they carry one (default: false)
+   * @param {boolean} options.links - Add each row's cell links under `links` (default: false)
+   * @returns {Promise<Object>} { rows, seen, total, segments, truncated, complete }: the rows
+   *   keyed by column name, how many were seen, the counter's total (null without
+   *   a counter), how many pages or segments were read, whether the limit cut
+   *   the read short, and whether it saw every row the counter reports
+   */
+  async collectRows({
+    keyColumn = 'Key',
+    limit = this.constants.RESULT_ROW_LIMIT,
+    times = false,
+    links = false,
+  } = {}) {
+    const byKey = new Map();
+    let segments = 0;
+    let truncated = false;
+    await this.showFirstRows();
+
+    for (;;) {
+      const { headers, rows } = await this.readGrid();
+      const keyIndex = this.getColumnIndex(headers, keyColumn);
+      segments += 1;
+      let added = 0;
+      for (const cells of rows) {
+        const key = cells[keyIndex]?.text ?? '';
+        if (byKey.has(key)) {
+          continue;
+        }
+        if (byKey.size >= limit) {
+          truncated = true;
+          break;
+        }
+        byKey.set(key, this.toRow(headers, cells, { times, links }));
+        added += 1;
+      }
+      // A page or scroll that shows nothing new has reached the end
+      if (truncated || (segments > 1 && added === 0) || !(await this.showMoreRows(rows))) {
+        break;
+      }
+    }
+
+    const total = await this.getTotalCount();
+    return {
+      rows: [...byKey.values()],
+      seen: byKey.size,
+      total,
+      segments,
+      truncated,
+      complete: !truncated && (total === null || byKey.size === total),
+    };
+  }
+
+  /**
+   * Go back to the first page, or the top of the list, so a read starts from
+   * the first row whatever an earlier read left shown
+   */
+  async showFirstRows() {
+    const { previousButton, scrollContainer } = this.paging;
+
+    if (previousButton && (await this.page.locator(previousButton).count()) > 0) {
+      while (await this.page.locator(previousButton).isEnabled()) {
+        const shown = JSON.stringify((await this.readGrid()).rows);
+        await this.page.locator(previousButton).click();
+        if (!(await this.waitForRowsToChange(shown, this.constants.TIMEOUTS.PAGE_LOAD))) {
+          throw new Error(
+            `Previous page of ${this.tableLocator} did not load within ${this.constants.TIMEOUTS.PAGE_LOAD}ms`
+          );
+        }
+      }
+    } else if (scrollContainer && (await this.page.locator(scrollContainer).count()) > 0) {
+      const shown = JSON.stringify((await this.readGrid()).rows);
+      const scrolled = await this.page.locator(scrollContainer).evaluate((element) => {
+        const before = element.scrollTop;
+        element.scrollTop = 0;
+        return element.scrollTop !== before;
+      });
+      if (scrolled) {
+        await this.waitForRowsToChange(shown, this.constants.TIMEOUTS.QUICK_ACTION);
+      }
+    }
+  }
+
+  /**
+   * Bring the next rows into the DOM: click the next page button if it is
+   * enabled, else scroll the list down by one viewport, so a virtualized list
+   * renders every row on the way to its end
+   * @param {Array} rows - Cells currently shown, to tell when they change
+   * @returns {Promise<boolean>} False when there are no more rows
+   * @throws {Error} If the next page does not load
+   */
+  async showMoreRows(rows) {
+    const { nextButton, scrollContainer } = this.paging;
+    const shown = JSON.stringify(rows);
+
+    if (nextButton && (await this.page.locator(nextButton).count()) > 0) {
+      if (!(await this.page.locator(nextButton).isEnabled())) {
+        return false;
+      }
+      await this.page.locator(nextButton).click();
+      if (!(await this.waitForRowsToChange(shown, this.constants.TIMEOUTS.PAGE_LOAD))) {
+        throw new Error(`Next page of ${this.tableLocator} did not load within ${this.constants.TIMEOUTS.PAGE_LOAD}ms`);
+      }
+      return true;
+    }
+    if (scrollContainer && (await this.page.locator(scrollContainer).count()) > 0) {
+      const scrolled = await this.page.locator(scrollContainer).evaluate((element) => {
+        const before = element.scrollTop;
+        element.scrollTop = before + element.clientHeight;
+        return element.scrollTop !== before;
+      });
+      // A list already scrolled to its end, or loading nothing more, has no more rows
+      return scrolled && (await this.waitForRowsToChange(shown, this.constants.TIMEOUTS.QUICK_ACTION));
+    }
+    return false;
+  }
+
+  /**
+   * Wait until the rows in the DOM differ from what was shown
+   * @param {string} shown - Serialized cells shown before
+   * @param {number} timeout - Longest wait in ms
+   * @returns {Promise<boolean>} True once they changed, false on timeout
+   */
+  async waitForRowsToChange(shown, timeout) {
+    const deadline = Date.now() + timeout;
+    while (JSON.stringify((await this.readGrid()).rows) === shown) {
+      if (Date.now() >= deadline) {
+        return false;
+      }
+      await this.page.waitForTimeout(100);
+    }
+    return true;
+  }
+
+  /**
+   * Read the total from the row counter, e.g. 137 from "1–50 of 137" or "137 issues"
+   * @returns {Promise<number|null>} Total, or null without a counter
+   */
+  async getTotalCount() {
+    const { counter } = this.paging;
+    if (!counter || (await this.page.locator(counter).count()) === 0) {
+      return null;
+    }
+    return parseResultCount(await this.page.locator(counter).innerText()).total;
+  }
+
+  /**
+   * Position of a column in the header row
+   * @param {string[]} headers - Column names
+   * @param {string} column - Column name
+   * @returns {number} Column index
+   * @throws {Error} If the table has no such column
+   */
+  getColumnIndex(headers, column) {
+    const index = headers.indexOf(column);
+    if (index === -1) {
+      throw new Error(`Table has no column "${column}". Columns: ${headers.join(', ')}`);
+    }
+    return index;
+  }
+
   /**
    * Get last row text
    * @returns {Promise<string>} Text of last row
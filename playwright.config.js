@@ -2,6 +2,38 @@
 require('dotenv').config();
 
 const { defineConfig, devices } = require('@playwright/test');
+const { STAND_IN_DEFAULTS, STAND_IN_ROLE_USERS } = require('./mock-server/jiraStandIn');
+const { getCredential } = require('./utils/credentials');
+const { resolveHarMode, readManifest } = require('./utils/har');
+
+// Offline mode: point the suite at the local Jira stand-in instead of a real site
+const useStandIn = !!process.env.JIRA_STAND_IN;
+if (useStandIn) {
+  process.env.JIRA_URL = `http://127.0.0.1:${STAND_IN_DEFAULTS.PORT}`;
+  process.env.JIRA_USERNAME = STAND_IN_DEFAULTS.USERNAME;
+  process.env.JIRA_PASSWORD = STAND_IN_DEFAULTS.PASSWORD;
+  process.env.JIRA_API_TOKEN = STAND_IN_DEFAULTS.API_TOKEN;
+  process.env.JIRA_SEED_PROJECT = STAND_IN_DEFAULTS.PROJECT;
+  process.env.JIRA_PROFILE = process.env.JIRA_PROFILE || 'stand-in';
+  for (const [role, user] of Object.entries(STAND_IN_ROLE_USERS)) {
+    const prefix = `JIRA_${role.toUpperCase()}`;
+    process.env[`${prefix}_USERNAME`] = user.username;
+    process.env[`${prefix}_PASSWORD`] = user.password;
+    process.env[`${prefix}_API_TOKEN`] = user.apiToken;
+  }
+  // JIRA_STAND_IN_SSO: logins go through the fake identity provider
+  if (process.env.JIRA_STAND_IN_SSO) {
+    process.env.JIRA_IDP_ADAPTERS = require.resolve('./mock-server/fixtures/idp-adapters.json');
+  }
+}
+
+// Replay mode: navigate to the site the HAR files were recorded against
+if (resolveHarMode() === 'replay' && !getCredential('JIRA_URL')) {
+  const recorded = Object.values(readManifest()).find((entry) => entry.jiraUrl);
+  if (recorded) {
+    process.env.JIRA_URL = recorded.jiraUrl;
+  }
+}
 
 /**
  * @see https://playwright.dev/docs/test-configuration
@@ -18,6 +50,15 @@ module.exports = defineConfig({
 
   reporter: 'html',
 
+  webServer: useStandIn
+    ? {
+        command: 'node mock-server/jiraStandIn.js',
+        url: `http://127.0.0.1:${STAND_IN_DEFAULTS.PORT}/health`,
+        reuseExistingServer: !process.env.CI,
+        env: { JIRA_STAND_IN_PORT: String(STAND_IN_DEFAULTS.PORT) },
+      }
+    : undefined,
+
   use: {
     trace: 'on-first-retry',
     headless: false,
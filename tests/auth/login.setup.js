@@ -1,44 +1,67 @@
 require('dotenv').config({ path: '.env' });
-const { chromium } = require('@playwright/test');
 const fs = require('fs');
+const path = require('path');
+const { createAuthStrategies, authenticate, resolveBrowserName } = require('../../utils/auth');
+const { getRole, getRoleCredentials, getRoleEnvNames, resolveRoles } = require('../../utils/auth/roles');
+const { getCredential, maskSecrets, installConsoleMasking } = require('../../utils/credentials');
+const { resolveHarMode } = require('../../utils/har');
+const { activateProfile } = require('../../utils/profiles');
+const constants = require('../../utils/constants');
 
-async function globalSetup() {
-  // Validate required environment variables
-  if (!process.env.JIRA_URL || !process.env.JIRA_USERNAME || !process.env.JIRA_PASSWORD) {
-    throw new Error(
-      'Missing required environment variables: JIRA_URL, JIRA_USERNAME, JIRA_PASSWORD. Check your .env file.'
-    );
-  }
+async function globalSetup(config) {
+  // The site profile (JIRA_PROFILE): an invalid one stops the run before any
+  // test starts, and the login form uses its locators and timeouts
+  activateProfile(constants, process.env.JIRA_PROFILE);
 
-  const browser = await chromium.launch();
-  const page = await browser.newPage();
+  // Replayed runs answer every request from recorded HAR files; no session needed
+  if (resolveHarMode() === 'replay') {
+    console.log('⏭️  JIRA_HAR_MODE=replay - skipping authentication');
+    return;
+  }
 
-  // Go to Jira login page
-  await page.goto(process.env.JIRA_URL);
+  const browserName = resolveBrowserName(config);
 
-  await page.fill('#username', process.env.JIRA_USERNAME);
-  await page.click('#login-submit');
+  // Credentials come from the environment, .env, JIRA_CREDENTIALS_FILE or
+  // JIRA_CREDENTIALS_COMMAND (in that order); secrets are masked in all output.
+  installConsoleMasking();
+  const jiraUrl = getCredential('JIRA_URL');
 
-  // Enter password and submit
-  await page.fill('#password', process.env.JIRA_PASSWORD);
-  await page.click('#login-submit');
+  // Prepare a session per role (JIRA_ROLES, or every role with credentials).
+  // The member role uses JIRA_USERNAME / JIRA_PASSWORD and storageState.json.
+  for (const roleName of resolveRoles(process.env.JIRA_ROLES)) {
+    const role = getRole(roleName);
+    fs.mkdirSync(path.dirname(role.storageStatePath), { recursive: true });
 
-  // Wait until Jira homepage is loaded
-  await page.waitForURL('**/jira/**', { timeout: 10000 });
+    // Pick the authentication strategy (ui, api, storage or a chain like "storage,api").
+    // Each strategy validates the environment variables it needs
+    // (JIRA_URL, JIRA_USERNAME, JIRA_PASSWORD or JIRA_API_TOKEN, role-prefixed for other roles)
+    // and names the role's own variables when one is missing.
+    const strategies = createAuthStrategies(process.env.JIRA_AUTH_STRATEGY, {
+      jiraUrl,
+      ...getRoleCredentials(roleName),
+      envNames: getRoleEnvNames(roleName),
+      storageStatePath: role.storageStatePath,
+      browserName,
+    });
 
-  // Save login session
-  await page.context().storageState({ path: 'storageState.json' });
+    let strategyName;
+    try {
+      strategyName = await authenticate(strategies);
+    } catch (error) {
+      throw new Error(maskSecrets(`Authentication failed for role "${roleName}": ${error.message}`));
+    }
 
-  await browser.close();
+    // Validate that storage state was saved successfully
+    if (!fs.existsSync(role.storageStatePath)) {
+      throw new Error(
+        `Failed to save authentication session (${role.storageStatePath}) for role "${roleName}" using the "${strategyName}" strategy. Check your Jira credentials and try again.`
+      );
+    }
 
-  // Validate that storage state was saved successfully
-  if (!fs.existsSync('storageState.json')) {
-    throw new Error(
-      'Failed to save authentication session (storageState.json). Check your Jira credentials and try again.'
+    console.log(
+      `✅ Authentication successful for role "${roleName}" via "${strategyName}" strategy - session ready in ${role.storageStatePath}`
     );
   }
-
-  console.log('✅ Authentication successful - session saved to storageState.json');
 }
 
 module.exports = globalSetup;
@@ -0,0 +1,54 @@
+const { test, expect } = require('../../utils/fixtures');
+
+const { HomePage } = require('../../pages/HomePage');
+const { FiltersPage } = require('../../pages/FiltersPage');
+const { OPEN_STATUSES } = require('../../utils/constants');
+const { SEED_LABEL } = require('../../utils/seeding');
+
+// An open Bug that the combined filter must return, and a Task and a closed
+// Bug that it must leave out
+test.use({
+  seedIssues: [
+    { type: 'Bug', status: 'To Do' },
+    { type: 'Task', status: 'To Do' },
+    { type: 'Bug', status: 'Done' },
+  ],
+});
+
+test('Combine Type, Status and Labels filters', async ({ page, seededIssues }) => {
+  const homePage = new HomePage(page);
+  const filtersPage = new FiltersPage(page);
+  const criteria = { type: ['Bug'], status: OPEN_STATUSES, labels: [SEED_LABEL] };
+
+  // Step 1: Open a new filter
+  await homePage.open();
+  await homePage.waitForHomePageToLoad();
+  await homePage.navigateToFiltersPage();
+  await filtersPage.waitForFiltersPageToLoad();
+  await filtersPage.clickCreateFilter();
+
+  // Step 2: Combine the criteria (Labels is added through "More +")
+  await filtersPage.applyFilters(criteria);
+  expect(await filtersPage.getSelectedFilterValues('type')).toEqual(['Bug']);
+  expect(await filtersPage.getFilterPillText('type')).toBe('Type: Bug');
+  expect(await filtersPage.getFilterPillText('labels')).toBe(`Labels: ${SEED_LABEL}`);
+
+  // Step 3: Every result matches every criterion, and only the open seeded Bug is returned
+  await filtersPage.validateResultsMatchFilters(criteria);
+  const keys = await filtersPage.getResultKeys();
+  expect(keys).toContain(seededIssues[0].key);
+  expect(keys).not.toContain(seededIssues[1].key);
+  expect(keys).not.toContain(seededIssues[2].key);
+
+  // Step 4: Deselecting a value updates the selection and the pill
+  await filtersPage.deselectFilterValues('status', ['Open']);
+  expect(await filtersPage.getSelectedFilterValues('status')).toEqual(['To Do', 'In Progress']);
+  expect(await filtersPage.getFilterPillText('status')).toBe('Status: To Do +1');
+
+  // Step 5: The JQL behind the basic search constrains each field to its selection
+  await filtersPage.switchToJQL();
+  const jql = await filtersPage.getJQLQueryText();
+  expect(jql).toConstrainExactly('issuetype', ['Bug']);
+  expect(jql).toConstrainExactly('status', ['To Do', 'In Progress']);
+  expect(jql).toConstrainExactly('labels', [SEED_LABEL]);
+});
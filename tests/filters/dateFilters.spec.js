@@ -0,0 +1,50 @@
+const { test, expect } = require('../../utils/fixtures');
+
+const { HomePage } = require('../../pages/HomePage');
+const { FiltersPage } = require('../../pages/FiltersPage');
+
+// A time zone far from UTC, so a day boundary mistake shows up; and an issue
+// created just now that "within the last day" must return
+test.use({
+  timezoneId: 'America/New_York',
+  seedIssues: [{ type: 'Task', status: 'To Do' }],
+});
+
+test('Filter by Created date range', async ({ page, seededIssues }) => {
+  const homePage = new HomePage(page);
+  const filtersPage = new FiltersPage(page);
+  const withinLastDay = { type: 'withinLast', amount: 1, unit: 'days' };
+  const olderThanADay = { type: 'moreThan', amount: 1, unit: 'days' };
+
+  // Step 1: Open a new filter
+  await homePage.open();
+  await homePage.waitForHomePageToLoad();
+  await homePage.navigateToFiltersPage();
+  await filtersPage.waitForFiltersPageToLoad();
+  await filtersPage.clickCreateFilter();
+  expect(await filtersPage.getBrowserTimeZone()).toBe('America/New_York');
+
+  // Step 2: A relative range (Created is added through "More +")
+  await filtersPage.setDateRange('created', withinLastDay);
+  expect(await filtersPage.getDateRange('created')).toEqual(withinLastDay);
+  expect(await filtersPage.getFilterPillText('created')).toBe('Created: within the last 1 days');
+  await filtersPage.validateResultDatesInRange('created', withinLastDay);
+  expect(await filtersPage.getResultKeys()).toContain(seededIssues[0].key);
+
+  // Step 3: The opposite range leaves the new issue out
+  await filtersPage.setDateRange('created', olderThanADay);
+  await filtersPage.validateResultDatesInRange('created', olderThanADay);
+  expect(await filtersPage.getResultKeys()).not.toContain(seededIssues[0].key);
+
+  // Step 4: An absolute range covers whole days in the browser's time zone
+  const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(new Date());
+  const todayRange = { type: 'between', from: today, to: today };
+  await filtersPage.setDateRange('created', todayRange);
+  await filtersPage.validateResultDatesInRange('created', todayRange);
+  expect(await filtersPage.getResultKeys()).toContain(seededIssues[0].key);
+
+  // Step 5: Clearing the range resets the pill
+  await filtersPage.clearDateRange('created');
+  expect(await filtersPage.getDateRange('created')).toBeNull();
+  expect(await filtersPage.getFilterPillText('created')).toBe('Created');
+});
@@ -0,0 +1,59 @@
+const { test, expect } = require('../../utils/fixtures');
+
+const { HomePage } = require('../../pages/HomePage');
+const { FiltersPage } = require('../../pages/FiltersPage');
+const { OPEN_STATUSES, CLOSED_STATUSES } = require('../../utils/constants');
+
+// One open and one closed issue, so the advanced query has something on both sides
+test.use({
+  seedIssues: [
+    { type: 'Task', status: 'To Do' },
+    { type: 'Task', status: 'Done' },
+  ],
+});
+
+test.describe('Raw JQL search', () => {
+  let filtersPage;
+
+  test.beforeEach(async ({ page }) => {
+    const homePage = new HomePage(page);
+    filtersPage = new FiltersPage(page);
+
+    await homePage.open();
+    await homePage.waitForHomePageToLoad();
+    await homePage.navigateToFiltersPage();
+    await filtersPage.waitForFiltersPageToLoad();
+    await filtersPage.clickCreateFilter();
+    await filtersPage.switchToJQL();
+  });
+
+  test('Advanced query returns only the statuses it allows', async ({ seededIssues }) => {
+    // NOT IN is not expressible in basic mode
+    const { errors, rows } = await filtersPage.searchWithJQL(
+      `status not in (${CLOSED_STATUSES.map((status) => `"${status}"`).join(', ')}) ORDER BY created DESC`
+    );
+
+    expect(errors).toEqual([]);
+    expect(rows.length).toBeGreaterThan(0);
+    rows.forEach(({ status }) => {
+      expect(OPEN_STATUSES).toContain(status);
+    });
+
+    const seededOpen = seededIssues.filter((issue) => OPEN_STATUSES.includes(issue.status));
+    expect(rows.map((row) => row.key)).toEqual(expect.arrayContaining(seededOpen.map((issue) => issue.key)));
+  });
+
+  test('Unknown field is reported inline', async () => {
+    const { errors, rows } = await filtersPage.searchWithJQL('stauts = Open');
+
+    expect(errors.join('\n')).toContain("Field 'stauts' does not exist");
+    expect(rows).toEqual([]);
+  });
+
+  test('Unbalanced parentheses are reported inline', async () => {
+    const { errors, rows } = await filtersPage.searchWithJQL('(status = Open OR status = Done');
+
+    expect(errors.length).toBeGreaterThan(0);
+    expect(rows).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+const { test, expect } = require('../../utils/fixtures');
+
+const { HomePage } = require('../../pages/HomePage');
+const { FiltersPage } = require('../../pages/FiltersPage');
+const { OPEN_STATUSES } = require('../../utils/constants');
+
+// Enough issues to fill more than one page when the site (or the stand-in,
+// with JIRA_STAND_IN_PAGE_SIZE) shows few results per page
+test.use({
+  seedIssues: [
+    { type: 'Task', status: 'To Do' },
+    { type: 'Task', status: 'To Do' },
+    { type: 'Task', status: 'Done' },
+  ],
+});
+
+test('Read every page of the results', async ({ page, seededIssues }) => {
+  const homePage = new HomePage(page);
+  const filtersPage = new FiltersPage(page);
+
+  // Step 1: Open a new filter, which shows every issue
+  await homePage.open();
+  await homePage.waitForHomePageToLoad();
+  await homePage.navigateToFiltersPage();
+  await filtersPage.waitForFiltersPageToLoad();
+  await filtersPage.clickCreateFilter();
+
+  // Step 2: Every result is read once and the count matches the results counter
+  const collected = await filtersPage.collectResultRows();
+  expect(collected.truncated).toBe(false);
+  expect(collected.seen).toBe(collected.total);
+  const keys = collected.rows.map((row) => row.Key);
+  expect(new Set(keys).size).toBe(keys.length);
+  seededIssues.forEach((issue) => expect(keys).toContain(issue.key));
+
+  // Step 3: A limit stops the read early, and the report says so
+  const limited = await filtersPage.collectResultRows({ limit: 2 });
+  expect(limited).toMatchObject({ seen: 2, total: collected.total, truncated: true, complete: false });
+  expect(limited.rows.map((row) => row.Key)).toEqual(keys.slice(0, 2));
+
+  // Step 4: Status checks cover every page of a filtered search
+  await filtersPage.selectStatusFilters(OPEN_STATUSES);
+  const report = await filtersPage.validateStatusesInResults(OPEN_STATUSES, { allPages: true, emptyResults: 'fail' });
+  expect(report.paging.complete).toBe(true);
+  expect(report.rowsChecked).toBe(report.paging.total);
+});
@@ -0,0 +1,42 @@
+const { test, expect } = require('../../utils/fixtures');
+
+const { HomePage } = require('../../pages/HomePage');
+const { FiltersPage } = require('../../pages/FiltersPage');
+
+// A custom status, so status order must come from the workflow, not the alphabet
+test.use({
+  seedIssues: [{ type: 'Task', status: 'In Review' }],
+});
+
+test('Sort the results and verify their order', async ({ page, statusCatalog }) => {
+  const homePage = new HomePage(page);
+  const filtersPage = new FiltersPage(page, { statusCatalog });
+
+  // Step 1: Open a new filter; whatever sort it starts with holds on every page
+  await homePage.open();
+  await homePage.waitForHomePageToLoad();
+  await homePage.navigateToFiltersPage();
+  await filtersPage.waitForFiltersPageToLoad();
+  await filtersPage.clickCreateFilter();
+  const initial = await filtersPage.getActiveSort();
+  if (initial) {
+    await filtersPage.validateResultsSorted(initial.column, initial.direction, { allPages: true });
+  }
+
+  // Step 2: Column headers sort keys naturally and statuses by workflow position
+  expect(await filtersPage.sortByColumn('Key', 'ASC')).toEqual({ column: 'Key', direction: 'ASC' });
+  await filtersPage.validateResultsSorted('Key', 'ASC', { allPages: true });
+  await filtersPage.sortByColumn('Status', 'DESC');
+  await filtersPage.validateResultsSorted('Status', 'DESC', { allPages: true });
+
+  // Step 3: ORDER BY sorts the same way, and the headers show it
+  const { errors } = await filtersPage.sortByJql('priority', 'DESC');
+  expect(errors).toEqual([]);
+  expect(await filtersPage.getActiveSort()).toEqual({ column: 'Priority', direction: 'DESC' });
+  await filtersPage.validateResultsSorted('Priority', 'DESC', { allPages: true });
+
+  // Step 4: In JQL mode a header click rewrites the ORDER BY
+  await filtersPage.sortByColumn('Created', 'ASC');
+  expect(await filtersPage.getJQLQueryText()).toHaveJqlOrderBy([{ field: 'created', direction: 'ASC' }]);
+  await filtersPage.validateResultsSorted('Created', 'ASC', { allPages: true });
+});
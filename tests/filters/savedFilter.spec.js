@@ -0,0 +1,78 @@
+const { test, expect } = require('../../utils/fixtures');
+
+const { HomePage } = require('../../pages/HomePage');
+const { FiltersPage } = require('../../pages/FiltersPage');
+const { SavedFilterPage } = require('../../pages/SavedFilterPage');
+const { FilterDirectoryPage } = require('../../pages/FilterDirectoryPage');
+
+test('Save, edit, share, star and delete a filter', async ({ page, jiraApi, harMode }, testInfo) => {
+  const homePage = new HomePage(page);
+  const filtersPage = new FiltersPage(page);
+  const savedFilterPage = new SavedFilterPage(page);
+  const filterDirectoryPage = new FilterDirectoryPage(page);
+  // One name per browser project so parallel runs don't clash. It stays the same
+  // between runs so HAR replay matches the recorded form posts.
+  const name = `QA saved filter (${testInfo.project.name})`;
+  let filterId = null;
+
+  try {
+    // Step 1: Search with raw JQL from a new filter
+    await homePage.open();
+    await homePage.waitForHomePageToLoad();
+    await homePage.navigateToFiltersPage();
+    await filtersPage.waitForFiltersPageToLoad();
+    await filtersPage.clickCreateFilter();
+    await filtersPage.switchToJQL();
+    const { errors } = await filtersPage.searchWithJQL('status = Open');
+    expect(errors).toEqual([]);
+
+    // Step 2: Save it as a named filter and keep its id
+    filterId = await savedFilterPage.saveAs({ name, description: 'Created by the saved filter spec' });
+    expect(filterId).toMatch(/^\d+$/);
+
+    // Step 3: Reopen it by URL
+    await savedFilterPage.open(filterId);
+    expect(await savedFilterPage.getDetails()).toMatchObject({ id: filterId, name });
+    expect(await filtersPage.getJQLQueryText()).toBeEquivalentJql('status = Open');
+
+    // Step 4: Rename it and change its JQL
+    await savedFilterPage.rename(`${name} (renamed)`);
+    await savedFilterPage.updateJQL('status in (Open, "To Do")');
+    await savedFilterPage.open(filterId);
+    const details = await savedFilterPage.getDetails();
+    expect(details.name).toBe(`${name} (renamed)`);
+    expect(details.jql).toConstrainExactly('status', ['Open', 'To Do']);
+
+    // Step 5: Share it with everyone on the site, editable only by the owner
+    await savedFilterPage.setSharePermissions({ viewers: [{ type: 'organization' }], editors: [] });
+    expect(await savedFilterPage.getSharePermissions()).toEqual({ viewers: [{ type: 'organization' }], editors: [] });
+
+    // Step 6: Star state follows the button
+    await savedFilterPage.unstar();
+    expect(await savedFilterPage.isStarred()).toBe(false);
+    await savedFilterPage.star();
+    expect(await savedFilterPage.isStarred()).toBe(true);
+
+    // Step 7: It is listed under "My filters" and "Starred" in the filters directory
+    await filterDirectoryPage.open();
+    for (const tab of ['my', 'starred']) {
+      await filterDirectoryPage.showTab(tab);
+      expect(await filterDirectoryPage.findFilter(`${name} (renamed)`)).toMatchObject({ id: filterId, starred: true });
+    }
+    expect(await filterDirectoryPage.openFilter(`${name} (renamed)`)).toBe(filterId);
+    await savedFilterPage.waitForFilterToLoad();
+
+    // Step 8: Delete it through the confirmation dialog
+    await savedFilterPage.delete();
+    const deletedId = filterId;
+    filterId = null;
+    if (harMode !== 'replay') {
+      await expect(jiraApi.getFilter(deletedId)).rejects.toThrow('returned 404');
+    }
+  } finally {
+    // Don't leave the filter behind when a step failed (REST calls are not replayed)
+    if (filterId && harMode !== 'replay') {
+      await jiraApi.deleteFilter(filterId);
+    }
+  }
+});
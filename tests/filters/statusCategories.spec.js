@@ -0,0 +1,38 @@
+const { test, expect } = require('../../utils/fixtures');
+
+const { HomePage } = require('../../pages/HomePage');
+const { FiltersPage } = require('../../pages/FiltersPage');
+
+// Custom workflow statuses: Won't Do is done, In Review is still in progress
+test.use({
+  seedIssues: [
+    { type: 'Task', status: "Won't Do" },
+    { type: 'Task', status: 'In Review' },
+  ],
+});
+
+test('Filter and validate results by status category', async ({ page, seededIssues, statusCatalog }) => {
+  const homePage = new HomePage(page);
+  const filtersPage = new FiltersPage(page, { statusCatalog });
+
+  // Step 1: The instance puts each custom status in its category
+  expect(statusCatalog.getCategory("Won't Do")).toBe('Done');
+  expect(statusCatalog.getCategory('In Review')).toBe('In Progress');
+
+  // Step 2: Open a new filter
+  await homePage.open();
+  await homePage.waitForHomePageToLoad();
+  await homePage.navigateToFiltersPage();
+  await filtersPage.waitForFiltersPageToLoad();
+  await filtersPage.clickCreateFilter();
+
+  // Step 3: Select every Done status, custom ones included
+  const selected = await filtersPage.selectStatusCategories(['Done']);
+  expect(selected).toContain("Won't Do");
+
+  // Step 4: All results are in the Done category
+  await filtersPage.validateResultStatusCategories(['Done']);
+  const keys = await filtersPage.getResultKeys();
+  expect(keys).toContain(seededIssues[0].key);
+  expect(keys).not.toContain(seededIssues[1].key);
+});
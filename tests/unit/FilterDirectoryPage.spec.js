@@ -0,0 +1,148 @@
+const { test, expect } = require('@playwright/test');
+const { FilterDirectoryPage } = require('../../pages/FilterDirectoryPage');
+
+const JIRA_URL = 'https://example.atlassian.net';
+
+// Mock page holding the directory rows. A search answers, then `render`s: 'reload'
+// (a new table), 'rerender' (new row elements in the same table) or 'none' (the
+// old rows stay); with `respond` false the click does nothing at all
+const createDirectoryPage = (rows = [], { respond = true, render = 'reload' } = {}) => {
+  let url = `${JIRA_URL}/jira/filters`;
+  let responseWaiter = null;
+  const fills = [];
+  const values = {};
+  const fakeElement = (innerText = '') => {
+    const attributes = new Set();
+    return {
+      innerText,
+      setAttribute: (name) => attributes.add(name),
+      hasAttribute: (name) => attributes.has(name),
+    };
+  };
+  const fakeTable = () => {
+    const table = fakeElement();
+    table.rows = rows.map((row) => fakeElement(row.name));
+    table.querySelectorAll = () => table.rows;
+    return table;
+  };
+  let table = fakeTable();
+
+  return {
+    fills,
+    url: () => url,
+    fill: async (selector, value) => {
+      fills.push([selector, value]);
+      values[selector.match(/filters\.search\.(\w+)/)[1]] = value;
+    },
+    click: async (selector) => {
+      if (selector.includes('filters.search.submit') && respond) {
+        url = `${JIRA_URL}/jira/filters?${new URLSearchParams(values)}`;
+        if (responseWaiter) {
+          responseWaiter({ url: () => url });
+        }
+        if (render === 'reload') {
+          table = fakeTable();
+        } else if (render === 'rerender') {
+          table.rows = fakeTable().rows;
+        }
+      }
+    },
+    waitForResponse: (predicate) =>
+      new Promise((resolve, reject) => {
+        responseWaiter = (response) => (predicate(response) ? resolve(response) : reject(new Error('no match')));
+        if (!respond) {
+          reject(new Error('Timeout waiting for response'));
+        }
+      }),
+    waitForSelector: async () => {},
+    waitForTimeout: async () => {},
+    locator: () => ({
+      evaluateAll: async () => rows,
+      evaluate: async (fn, arg) => fn(table, arg),
+    }),
+    isStale: () => table.hasAttribute('data-stale-directory'),
+  };
+};
+
+test.describe('FilterDirectoryPage - Search', () => {
+  test('should fill only the given fields and wait for the search in the URL', async () => {
+    const page = createDirectoryPage();
+    const directory = new FilterDirectoryPage(page, { jiraUrl: JIRA_URL });
+
+    await directory.search({ name: 'Open bugs', project: 'QA' });
+
+    expect(page.fills).toEqual([
+      ['[data-testid="filters.search.name"]', ''],
+      ['[data-testid="filters.search.name"]', 'Open bugs'],
+      ['[data-testid="filters.search.project"]', ''],
+      ['[data-testid="filters.search.project"]', 'QA'],
+    ]);
+    expect(new URL(page.url()).searchParams.get('name')).toBe('Open bugs');
+    expect(page.isStale()).toBe(false);
+  });
+
+  test('should wait for the table to refresh even when the search is unchanged', async () => {
+    const rows = [{ id: '10000', name: 'Open bugs', owner: 'me@example.com', starred: true, favouriteCount: 2 }];
+    const page = createDirectoryPage(rows);
+    const directory = new FilterDirectoryPage(page, { jiraUrl: JIRA_URL });
+    await directory.search({ name: 'Open bugs' });
+
+    await directory.search({ name: 'Open bugs' });
+    expect(page.isStale()).toBe(false);
+
+    // A single-page app re-renders the rows in the same table
+    const rerendered = createDirectoryPage(rows, { render: 'rerender' });
+    await new FilterDirectoryPage(rerendered, { jiraUrl: JIRA_URL }).search({ name: 'Open bugs' });
+    expect(rerendered.isStale()).toBe(true);
+
+    const stuck = new FilterDirectoryPage(createDirectoryPage([], { respond: false }), { jiraUrl: JIRA_URL });
+    await expect(stuck.search({ name: 'Open bugs' })).rejects.toThrow(
+      'The filters directory did not refresh: no search response within'
+    );
+  });
+
+  test('should fail when the rows from before the search stay shown', async () => {
+    const rows = [{ id: '10000', name: 'Open bugs', owner: 'me@example.com', starred: true, favouriteCount: 2 }];
+    const directory = new FilterDirectoryPage(createDirectoryPage(rows, { render: 'none' }), { jiraUrl: JIRA_URL });
+    directory.constants = { ...directory.constants, TIMEOUTS: { ...directory.constants.TIMEOUTS, PAGE_LOAD: 50 } };
+
+    await expect(directory.search({ name: 'Open bugs' })).rejects.toThrow(
+      'The filters directory did not refresh: the rows from before the search were still shown 50ms after its response'
+    );
+  });
+
+  test('should reject unknown search fields', async () => {
+    const directory = new FilterDirectoryPage(createDirectoryPage(), { jiraUrl: JIRA_URL });
+
+    await expect(directory.search({ label: 'qa' })).rejects.toThrow(
+      'Unknown filter search field(s): label. Use: name, owner, project, group'
+    );
+  });
+
+  test('should find a filter only by its exact name', async () => {
+    const rows = [
+      { id: '10001', name: 'Open bugs (old)', owner: 'me@example.com', starred: false, favouriteCount: 0 },
+      { id: '10000', name: 'Open bugs', owner: 'me@example.com', starred: true, favouriteCount: 2 },
+    ];
+    const directory = new FilterDirectoryPage(createDirectoryPage(rows), { jiraUrl: JIRA_URL });
+
+    expect(await directory.findFilter('Open bugs')).toEqual(rows[1]);
+    expect(await directory.findFilter('Open')).toBeNull();
+  });
+});
+
+test.describe('FilterDirectoryPage - Tabs and Sorting', () => {
+  test('should reject unknown tabs, columns and directions', async () => {
+    const directory = new FilterDirectoryPage(createDirectoryPage(), { jiraUrl: JIRA_URL });
+
+    await expect(directory.showTab('shared')).rejects.toThrow('Unknown filters tab "shared". Use: all, my, starred');
+    await expect(directory.sortBy('jql')).rejects.toThrow('Cannot sort filters by "jql". Use: name, owner, favourites');
+    await expect(directory.sortBy('name', 'down')).rejects.toThrow('Sort direction must be ASC or DESC, got "down"');
+  });
+
+  test('should refuse to open a filter that is not listed', async () => {
+    const directory = new FilterDirectoryPage(createDirectoryPage(), { jiraUrl: JIRA_URL });
+
+    await expect(directory.openFilter('Missing')).rejects.toThrow('Filter "Missing" is not listed in the filters directory');
+  });
+});
@@ -1,6 +1,7 @@
 const { test, expect } = require('@playwright/test');
 const { FiltersPage } = require('../../pages/FiltersPage');
 const { ALLOWED_STATUSES, OPEN_STATUSES, CLOSED_STATUSES } = require('../../utils/constants');
+const { StatusCatalog } = require('../../utils/jira/statusCatalog');
 
 // Mock Playwright page object for unit testing
 const createMockPage = () => ({
@@ -20,6 +21,29 @@ const createMockPage = () => ({
   waitForTimeout: async () => {},
 });
 
+// Fake results table for the page's own grid reader: header names, and rows of cell texts
+const fakeResultsTable = (headers, rows) => ({
+  querySelectorAll: (selector) =>
+    selector === 'thead th'
+      ? headers.map((header) => ({ innerText: header }))
+      : rows.map((cells) => ({
+          cells: cells.map((text) => ({ innerText: text, querySelector: () => null, getAttribute: () => null })),
+        })),
+});
+
+// Locators of a one-page results table with an optional counter, for readers of
+// every result; null for selectors outside the results
+const resultsLocator = (headers, rows, { counter = null } = {}) => (selector) => {
+  const testId = (selector.match(/data-testid="([^"]+)"/) || [])[1] || '';
+  if (testId === 'issue-table') {
+    return { evaluate: async (reader) => reader(fakeResultsTable(headers, rows)) };
+  }
+  if (testId === 'issue-table.count') {
+    return { count: async () => Number(counter !== null), innerText: async () => counter };
+  }
+  return testId.startsWith('issue-table.') ? { count: async () => 0 } : null;
+};
+
 test.describe('FiltersPage - Initialization', () => {
   test('FiltersPage should initialize with valid locators', () => {
     const mockPage = createMockPage();
@@ -163,3 +187,1015 @@ test.describe('FiltersPage - Timeout Configuration', () => {
     expect(filtersPage.constants.TIMEOUTS.FILTER_CLEAR).toBe(1000);
   });
 });
+
+test.describe('FiltersPage - Result Rows', () => {
+  // Mock page with a Key and Status results table, and a counter if given
+  const createTablePage = (rows, options) => ({
+    ...createMockPage(),
+    locator: resultsLocator(['Key', 'Status'], rows, options),
+  });
+
+  test('should pair issue keys with their statuses', async () => {
+    const filtersPage = new FiltersPage(
+      createTablePage([
+        ['QA-1', 'Open'],
+        ['QA-4', 'Done'],
+      ])
+    );
+
+    expect(await filtersPage.getResultRows()).toEqual([
+      { key: 'QA-1', status: 'Open' },
+      { key: 'QA-4', status: 'Done' },
+    ]);
+    expect(await filtersPage.getResultKeys()).toEqual(['QA-1', 'QA-4']);
+    expect(await filtersPage.getResultStatuses()).toEqual(['Open', 'Done']);
+  });
+
+  test('should refuse to read fewer results than the counter shows', async () => {
+    const filtersPage = new FiltersPage(createTablePage([['QA-1', 'Open']], { counter: '1–1 of 2' }));
+
+    await expect(filtersPage.getResultRows()).rejects.toThrow(
+      'Read 1 results over 1 page(s), but the results counter shows 2'
+    );
+    await expect(filtersPage.getResultKeys()).rejects.toThrow('the results counter shows 2');
+    const limited = new FiltersPage(
+      createTablePage(
+        [
+          ['QA-1', 'Open'],
+          ['QA-2', 'Open'],
+        ],
+        { counter: '1–2 of 2' }
+      )
+    );
+    await expect(limited.readResultRows({ limit: 1 })).rejects.toThrow(
+      'Read only the first 1 results, the row limit; the results counter shows 2'
+    );
+  });
+});
+
+test.describe('FiltersPage - Raw JQL Search', () => {
+  // Mock page with a JQL editor that shows either errors or a results table
+  const createJqlPage = ({ errors = [], keys = [], statuses = [] }) => {
+    const calls = [];
+    let typed = '';
+    const results = resultsLocator(
+      ['Key', 'Status'],
+      keys.map((key, index) => [key, statuses[index]])
+    );
+    const mockPage = {
+      ...createMockPage(),
+      fill: async (selector, value) => {
+        calls.push(['fill', value]);
+        typed = value;
+      },
+      click: async (selector) => {
+        calls.push(['click', selector]);
+      },
+      waitForURL: async (predicate) => {
+        calls.push(['waitForURL', predicate(new URL(`https://jira.test/issues?jql=${encodeURIComponent(typed)}`))]);
+      },
+      locator: (selector) => {
+        const shown = selector.includes('jql.error') ? errors.length > 0 : true;
+        const waitFor = async () => {
+          if (!shown) {
+            throw new Error(`${selector} not shown`);
+          }
+        };
+        return {
+          inputValue: async () => typed,
+          allInnerTexts: async () => (selector.includes('jql.error') ? errors : []),
+          first: () => ({ waitFor }),
+          waitFor,
+          ...results(selector),
+        };
+      },
+    };
+    return { mockPage, calls };
+  };
+
+  test('should type the query, run it and return the result rows', async () => {
+    const { mockPage, calls } = createJqlPage({ keys: ['QA-1', 'QA-3'], statuses: ['Open', 'In Progress'] });
+    const filtersPage = new FiltersPage(mockPage);
+
+    const result = await filtersPage.searchWithJQL('status not in (Done, Closed)');
+
+    expect(result).toEqual({
+      jql: 'status not in (Done, Closed)',
+      errors: [],
+      rows: [
+        { key: 'QA-1', status: 'Open' },
+        { key: 'QA-3', status: 'In Progress' },
+      ],
+    });
+    expect(calls).toEqual([
+      ['fill', ''],
+      ['fill', 'status not in (Done, Closed)'],
+      ['click', '[data-testid="jql.search"]'],
+      ['waitForURL', true],
+    ]);
+  });
+
+  test('should return the inline errors instead of rows for invalid JQL', async () => {
+    const errors = ["Field 'stauts' does not exist or you do not have permission to view it."];
+    const { mockPage } = createJqlPage({ errors, keys: ['QA-1'], statuses: ['Open'] });
+    const filtersPage = new FiltersPage(mockPage);
+
+    expect(await filtersPage.searchWithJQL('stauts = Open')).toEqual({ jql: 'stauts = Open', errors, rows: [] });
+  });
+
+  test('should clear the editor for an empty query', async () => {
+    const { mockPage, calls } = createJqlPage({});
+    const filtersPage = new FiltersPage(mockPage);
+
+    await filtersPage.enterJQL('');
+
+    expect(calls).toEqual([['fill', '']]);
+  });
+});
+
+test.describe('FiltersPage - Filter Criteria', () => {
+  // Mock basic search: pill options per field, "More +" fields by name (only in
+  // the page while its dropdown is open, as in Jira), and a results table
+  const createCriteriaPage = ({ options = {}, moreFields = {}, shown = [], headers = [], rows = [] } = {}) => {
+    const calls = [];
+    const shownFields = new Set(shown);
+    let moreOpen = false;
+    const testId = (selector) => (selector.match(/data-testid="([^"]+)"/) || [])[1];
+    const results = resultsLocator(headers, rows);
+    const mockPage = {
+      ...createMockPage(),
+      click: async (selector) => {
+        calls.push(['click', testId(selector)]);
+        moreOpen = testId(selector) === 'more.ui.filter.dropdown';
+      },
+      keyboard: {
+        press: async (key) => {
+          if (key === 'Escape' && moreOpen) {
+            calls.push(['close', 'more']);
+            moreOpen = false;
+          }
+        },
+      },
+      locator: (selector) => {
+        const quoted = (selector.match(/input\[value="((?:[^"\\]|\\.)+)"\]/) || [])[1];
+        const value = quoted && quoted.replace(/\\(.)/g, '$1');
+        const [field, part] = (testId(selector) || '').split('.ui.filter.');
+        // Resolved when read, like a Playwright locator
+        const exists = () =>
+          field === 'more' ? moreOpen && value in moreFields : (options[field] || []).includes(value);
+        return {
+          ...results(selector),
+          count: async () => Number(exists()),
+          getAttribute: async () => moreFields[value],
+          isVisible: async () => part === 'dropdown' && shownFields.has(field),
+          check: async () => {
+            calls.push(['check', field, value]);
+            if (field === 'more') {
+              shownFields.add(moreFields[value]);
+            }
+          },
+        };
+      },
+    };
+    return { mockPage, calls, isMoreOpen: () => moreOpen };
+  };
+
+  test('should resolve criteria by field, label or "More +" name', async () => {
+    const { mockPage, isMoreOpen } = createCriteriaPage({ moreFields: { Team: 'team' } });
+    const filtersPage = new FiltersPage(mockPage);
+
+    expect(await filtersPage.resolveFilterCriterion('type')).toEqual({
+      field: 'type',
+      label: 'Type',
+      more: false,
+      date: false,
+    });
+    expect(await filtersPage.resolveFilterCriterion('Priority')).toEqual({
+      field: 'priority',
+      label: 'Priority',
+      more: true,
+      date: false,
+    });
+    expect(await filtersPage.resolveFilterCriterion('Created')).toEqual({
+      field: 'created',
+      label: 'Created',
+      more: true,
+      date: true,
+    });
+    expect(await filtersPage.resolveFilterCriterion('Team')).toEqual({
+      field: 'team',
+      label: 'Team',
+      more: true,
+      date: false,
+    });
+    await expect(filtersPage.resolveFilterCriterion('Sprint')).rejects.toThrow(
+      'Unknown filter criterion "Sprint": it is neither a basic criterion nor offered under "More +"'
+    );
+    expect(isMoreOpen()).toBe(false);
+  });
+
+  test('should open "More +" to look a criterion up, and close it again', async () => {
+    const moreFields = { 'Client "VIP" tier': 'customfield_10' };
+    const { mockPage, calls, isMoreOpen } = createCriteriaPage({ moreFields });
+    const filtersPage = new FiltersPage(mockPage);
+
+    expect(await filtersPage.resolveFilterCriterion('Client "VIP" tier')).toEqual({
+      field: 'customfield_10',
+      label: 'Client "VIP" tier',
+      more: true,
+      date: false,
+    });
+    expect(calls).toEqual([
+      ['click', 'more.ui.filter.dropdown'],
+      ['close', 'more'],
+    ]);
+    expect(isMoreOpen()).toBe(false);
+  });
+
+  test('should add a "More +" criterion before selecting its values', async () => {
+    const { mockPage, calls } = createCriteriaPage({
+      options: { team: ['Web', 'Platform'] },
+      moreFields: { Team: 'team' },
+    });
+    const filtersPage = new FiltersPage(mockPage);
+
+    await filtersPage.selectFilterValues('Team', ['Web']);
+
+    expect(calls).toEqual([
+      ['click', 'more.ui.filter.dropdown'],
+      ['close', 'more'],
+      ['click', 'more.ui.filter.dropdown'],
+      ['check', 'more', 'Team'],
+      ['close', 'more'],
+      ['click', 'team.ui.filter.dropdown'],
+      ['check', 'team', 'Web'],
+    ]);
+  });
+
+  test('should not add a criterion that is always shown', async () => {
+    const { mockPage, calls } = createCriteriaPage({ options: { type: ['Bug'] }, shown: ['type'] });
+    const filtersPage = new FiltersPage(mockPage);
+
+    await filtersPage.applyFilters({ type: ['Bug'] });
+
+    expect(calls).toEqual([
+      ['click', 'type.ui.filter.dropdown'],
+      ['check', 'type', 'Bug'],
+    ]);
+  });
+
+  test('should name the criterion when a value is not offered', async () => {
+    const { mockPage } = createCriteriaPage({ options: { type: ['Bug'] }, shown: ['type'] });
+    const filtersPage = new FiltersPage(mockPage);
+
+    await expect(filtersPage.selectFilterValues('Type', ['Epic'])).rejects.toThrow(
+      'Type "Epic" not found in the filter dropdown'
+    );
+  });
+
+  test('should check every filtered column of the results', async () => {
+    const { mockPage } = createCriteriaPage({
+      headers: ['Key', 'Type', 'Labels'],
+      rows: [
+        ['QA-1', 'Bug', 'mobile, ui'],
+        ['QA-3', 'Bug', 'search, ui'],
+      ],
+    });
+    const filtersPage = new FiltersPage(mockPage);
+
+    await expect(filtersPage.validateResultsMatchFilters({ type: ['Bug'], labels: ['ui'] })).resolves.toBeUndefined();
+    await expect(filtersPage.validateResultsMatchFilters({ labels: ['mobile'] })).rejects.toThrow(
+      'Unexpected Labels "search, ui" in result QA-3. Expected one of: mobile'
+    );
+    await expect(filtersPage.getResultColumn('priority')).rejects.toThrow(
+      'Results table has no Priority column. Columns: Key, Type, Labels'
+    );
+  });
+});
+
+test.describe('FiltersPage - Date Criteria', () => {
+  // Mock date criterion dialog: records what is typed, and reads back `applied`,
+  // over a results table of `rows` ([key, created] with created as shown, or
+  // { text, time } for a cell carrying a timestamp)
+  const createDatePage = ({ applied = {}, timeZone = 'UTC', rows = [] } = {}) => {
+    const calls = [];
+    const toCell = (cell) => ({ href: null, time: null, ...(typeof cell === 'string' ? { text: cell } : cell) });
+    const testId = (selector) => (selector.match(/data-testid="([^"]+)"/) || [])[1];
+    const mockPage = {
+      ...createMockPage(),
+      click: async (selector) => {
+        calls.push(['click', testId(selector)]);
+      },
+      fill: async (selector, value) => {
+        calls.push(['fill', testId(selector), value]);
+      },
+      selectOption: async (selector, value) => {
+        calls.push(['select', testId(selector), value]);
+      },
+      evaluate: async () => timeZone,
+      locator: (selector) => ({
+        // One page of results: no paging controls or counter
+        count: async () => Number(!(testId(selector) || '').startsWith('issue-table.')),
+        isVisible: async () => true,
+        check: async () => {
+          calls.push(['check', (selector.match(/value="([^"]+)"/) || [])[1]]);
+        },
+        evaluate: async () =>
+          testId(selector) === 'issue-table'
+            ? {
+                headers: ['Key', 'Created'],
+                rows: rows.map((cells) => cells.map(toCell)),
+              }
+            : applied,
+      }),
+    };
+    return { mockPage, calls };
+  };
+
+  test('should set a relative range', async () => {
+    const { mockPage, calls } = createDatePage();
+    const filtersPage = new FiltersPage(mockPage);
+
+    await filtersPage.setDateRange('created', { type: 'withinLast', amount: 7, unit: 'days' });
+
+    expect(calls).toEqual([
+      ['click', 'created.ui.filter.dropdown'],
+      ['check', 'withinLast'],
+      ['fill', 'created.withinLast.amount', '7'],
+      ['select', 'created.withinLast.unit', 'days'],
+      ['click', 'created.ui.filter.update'],
+    ]);
+  });
+
+  test('should set an absolute range', async () => {
+    const { mockPage, calls } = createDatePage();
+    const filtersPage = new FiltersPage(mockPage);
+
+    await filtersPage.setDateRange('Due', { type: 'between', from: '2025-12-01', to: '2025-12-31' });
+
+    expect(calls).toEqual([
+      ['click', 'due.ui.filter.dropdown'],
+      ['check', 'between'],
+      ['fill', 'due.between.from', '2025-12-01'],
+      ['fill', 'due.between.to', '2025-12-31'],
+      ['click', 'due.ui.filter.update'],
+    ]);
+  });
+
+  test('should reject bad ranges and non-date criteria before typing', async () => {
+    const { mockPage, calls } = createDatePage();
+    const filtersPage = new FiltersPage(mockPage);
+
+    await expect(filtersPage.setDateRange('created', { type: 'withinLast', amount: 0, unit: 'days' })).rejects.toThrow(
+      'Date range amount must be a whole number of at least 1, got 0'
+    );
+    await expect(filtersPage.setDateRange('created', { type: 'between', from: '12/01/2025' })).rejects.toThrow(
+      'Date "12/01/2025" must be written YYYY-MM-DD'
+    );
+    await expect(filtersPage.setDateRange('priority', { type: 'withinLast', amount: 1, unit: 'days' })).rejects.toThrow(
+      'Filter criterion "priority" is not a date criterion'
+    );
+    expect(calls.filter(([action]) => action === 'fill')).toEqual([]);
+  });
+
+  test('should read the applied range back', async () => {
+    const relative = createDatePage({ applied: { type: 'moreThan', amount: '2', unit: 'weeks', from: '', to: '' } });
+    expect(await new FiltersPage(relative.mockPage).getDateRange('updated')).toEqual({
+      type: 'moreThan',
+      amount: 2,
+      unit: 'weeks',
+    });
+
+    const absolute = createDatePage({ applied: { type: 'between', amount: '', unit: '', from: '', to: '2025-12-31' } });
+    expect(await new FiltersPage(absolute.mockPage).getDateRange('due')).toEqual({
+      type: 'between',
+      from: '',
+      to: '2025-12-31',
+    });
+
+    expect(await new FiltersPage(createDatePage().mockPage).getDateRange('created')).toBeNull();
+  });
+
+  test('should check result dates in the browser time zone', async () => {
+    // 2025-12-01 00:30 in New York is already 05:30 UTC
+    const { mockPage } = createDatePage({
+      timeZone: 'America/New_York',
+      rows: [
+        ['QA-1', '2025-12-01 00:30'],
+        ['QA-2', '2025-11-30 23:59'],
+        ['QA-3', ''],
+      ],
+    });
+    const filtersPage = new FiltersPage(mockPage);
+    const range = { type: 'between', from: '2025-12-01', to: '2025-12-31' };
+
+    await expect(filtersPage.validateResultDatesInRange('created', range)).rejects.toThrow(
+      'Created not between 2025-12-01 and 2025-12-31 (time zone America/New_York) in results: ' +
+        'QA-2 (2025-11-30 23:59), QA-3 (empty)'
+    );
+  });
+
+  test('should check result dates by their timestamp, whatever format they are shown in', async () => {
+    const { mockPage } = createDatePage({
+      timeZone: 'Europe/Berlin',
+      rows: [
+        ['QA-1', { text: '01/Dec/25 12:30 AM', time: '2025-12-01T00:30:00.000+0100' }],
+        ['QA-2', { text: '30/Nov/25 11:59 PM', time: '2025-11-30T23:59:00.000+0100' }],
+      ],
+    });
+    const filtersPage = new FiltersPage(mockPage);
+    const range = { type: 'between', from: '2025-12-01', to: '2025-12-31' };
+
+    await expect(filtersPage.validateResultDatesInRange('created', range)).rejects.toThrow(
+      'Created not between 2025-12-01 and 2025-12-31 (time zone Europe/Berlin) in results: ' +
+        'QA-2 (2025-11-30T23:59:00.000+0100)'
+    );
+    await expect(
+      filtersPage.validateResultDatesInRange('Created', { type: 'between', from: '2025-11-30' })
+    ).resolves.toBeUndefined();
+  });
+});
+
+test.describe('FiltersPage - Status Categories', () => {
+  const statusCatalog = new StatusCatalog([
+    { name: 'To Do', category: 'To Do' },
+    { name: 'In Review', category: 'In Progress' },
+    { name: 'Done', category: 'Done' },
+    { name: "Won't Do", category: 'Done' },
+  ]);
+
+  // Mock status dropdown offering `offered`, and a results table of `rows`
+  const createCategoryPage = ({ offered = [], rows = [] } = {}) => {
+    const checked = [];
+    const results = resultsLocator(['Key', 'Status'], rows);
+    const mockPage = {
+      ...createMockPage(),
+      locator: (selector) => ({
+        count: async () => 1,
+        evaluateAll: async () => offered,
+        check: async () => {
+          checked.push(selector.match(/input\[value="([^"]+)"\]/)[1]);
+        },
+        ...results(selector),
+      }),
+    };
+    return { mockPage, checked };
+  };
+
+  test('should accept custom statuses the instance has', async () => {
+    const { mockPage, checked } = createCategoryPage();
+    const filtersPage = new FiltersPage(mockPage, { statusCatalog });
+
+    await filtersPage.selectStatusFilters(['In Review']);
+    expect(checked).toEqual(['In Review']);
+    await expect(filtersPage.selectStatusFilters(['Closed'])).rejects.toThrow(
+      "Invalid status values: Closed. Allowed statuses: To Do, In Review, Done, Won't Do"
+    );
+  });
+
+  test('should select the offered statuses of a category', async () => {
+    const { mockPage, checked } = createCategoryPage({ offered: ['To Do', 'In Review', 'Done', "Won't Do"] });
+    const filtersPage = new FiltersPage(mockPage, { statusCatalog });
+
+    expect(await filtersPage.selectStatusCategories(['Done'])).toEqual(['Done', "Won't Do"]);
+    expect(checked).toEqual(['Done', "Won't Do"]);
+  });
+
+  test('should report every result outside the categories', async () => {
+    const { mockPage } = createCategoryPage({
+      rows: [
+        ['QA-1', 'Done'],
+        ['QA-2', "Won't Do"],
+        ['QA-3', 'In Review'],
+        ['QA-4', 'Closed'],
+      ],
+    });
+    const filtersPage = new FiltersPage(mockPage, { statusCatalog });
+
+    await expect(filtersPage.validateResultStatusCategories(['Done'])).rejects.toThrow(
+      'Results outside status categories Done: QA-3 is "In Review" (In Progress); ' +
+        'QA-4 is "Closed" (not a status of this instance)'
+    );
+    await expect(filtersPage.validateResultStatusCategories(['done', 'In Progress'])).rejects.toThrow('QA-4');
+  });
+
+  test('should need a catalog for category checks', async () => {
+    const filtersPage = new FiltersPage(createCategoryPage().mockPage);
+
+    await expect(filtersPage.validateResultStatusCategories(['Done'])).rejects.toThrow(
+      'Status categories need a status catalog'
+    );
+  });
+});
+
+test.describe('FiltersPage - Results Grid', () => {
+  const HEADERS = ['Key', 'Summary', 'Status', 'Assignee', 'Resolution'];
+
+  // Mock results table: evaluate() runs the page's own reader on a fake table
+  // whose rows are lists of cell texts, the Key cell linking to /browse/<key>
+  const createGridPage = (rows, headers = HEADERS) => {
+    const cellOf = (text, index) => ({
+      innerText: text,
+      querySelector: (selector) =>
+        selector === 'a[href]' && index === 0 ? { href: `https://jira.example.com/browse/${text}` } : null,
+      getAttribute: () => null,
+    });
+    const table = {
+      querySelectorAll: (selector) =>
+        selector === 'thead th'
+          ? headers.map((header) => ({ innerText: header }))
+          : rows.map((cells) => ({ cells: cells.map(cellOf) })),
+    };
+    return {
+      ...createMockPage(),
+      locator: (selector) => ({
+        evaluate: async (reader) => reader(table),
+        // One page of results: no paging controls or counter
+        count: async () => (selector.includes('issue-table.') ? 0 : rows.length),
+        nth: (index) => ({ innerText: async () => rows[index][0] }),
+      }),
+    };
+  };
+  const ROWS = [
+    ['QA-1', 'Login button misaligned', 'Open', 'Alex Rivera', 'Unresolved'],
+    ['QA-4', 'Fix typo on dashboard', 'Done', 'Unassigned', 'Done'],
+    ['QA-5', 'Remove legacy export', 'Closed', 'Jordan Lee', 'Unresolved'],
+  ];
+
+  test('should read every row keyed by column name', async () => {
+    const filtersPage = new FiltersPage(createGridPage(ROWS));
+
+    expect(await filtersPage.getResultsGrid().getHeaders()).toEqual(HEADERS);
+    expect((await filtersPage.getResultTableRows())[1]).toEqual({
+      Key: 'QA-4',
+      Summary: 'Fix typo on dashboard',
+      Status: 'Done',
+      Assignee: 'Unassigned',
+      Resolution: 'Done',
+    });
+  });
+
+  test('should look up a row and its links by issue key', async () => {
+    const filtersPage = new FiltersPage(createGridPage(ROWS));
+
+    expect(await filtersPage.getResultRowByKey('QA-5')).toMatchObject({ Status: 'Closed', Assignee: 'Jordan Lee' });
+    expect(await filtersPage.getIssueLink('QA-5')).toBe('https://jira.example.com/browse/QA-5');
+    await expect(filtersPage.getResultRowByKey('QA-9')).rejects.toThrow(
+      'No result with key QA-9. Results: QA-1, QA-4, QA-5'
+    );
+  });
+
+  test('should name unnamed columns and refuse unknown ones', async () => {
+    const grid = new FiltersPage(createGridPage([['', 'QA-1']], ['', 'Key'])).getResultsGrid();
+
+    expect(await grid.getRows()).toEqual([{ 'Column 1': '', Key: 'QA-1' }]);
+    expect(await grid.getColumnLinks('Key')).toEqual([null]);
+    await expect(grid.getColumnLinks('Status')).rejects.toThrow('Table has no column "Status". Columns: Column 1, Key');
+  });
+
+  test('should check expectations across columns', async () => {
+    const filtersPage = new FiltersPage(createGridPage(ROWS));
+    const resolved = (resolution) => resolution !== 'Unresolved';
+
+    await filtersPage.validateResultRowsWhere({ Status: 'Done' }, { Resolution: resolved });
+    await expect(
+      filtersPage.validateResultRowsWhere({ Status: ['Done', 'Closed'] }, { Resolution: resolved })
+    ).rejects.toThrow('Results where Status is Done or Closed: QA-5 has Resolution "Unresolved" (fails the check)');
+    await expect(filtersPage.validateResultRowsWhere({}, { Resolution: 'Done' })).rejects.toThrow(
+      'Results: QA-1 has Resolution "Unresolved" (expected Done); QA-5 has Resolution "Unresolved" (expected Done)'
+    );
+    await expect(filtersPage.validateResultRowsWhere({ State: 'Done' }, {})).rejects.toThrow(
+      'Table has no column "State"'
+    );
+  });
+
+  test('should need a table locator to read columns', async () => {
+    const filtersPage = new FiltersPage(createGridPage(ROWS));
+
+    await expect(filtersPage.statusTable.getRows()).rejects.toThrow(
+      'Reading rows by column needs a table locator (cells: [data-testid="issue.status"])'
+    );
+  });
+});
+
+test.describe('FiltersPage - Results Paging', () => {
+  const issue = (number, status = 'Open') => [`QA-${number}`, status];
+  // The Key cell links to /browse/<key>
+  const fakeCell = (text, index) => ({
+    innerText: text,
+    querySelector: (selector) =>
+      selector === 'a[href]' && index === 0 ? { href: `https://jira.example.com/browse/${text}` } : null,
+    getAttribute: () => null,
+  });
+  const fakeTable = (rows) => ({
+    querySelectorAll: (selector) =>
+      selector === 'thead th'
+        ? [{ innerText: 'Key' }, { innerText: 'Status' }]
+        : rows.map((cells) => ({ cells: cells.map(fakeCell) })),
+  });
+
+  // Mock results split into pages behind a next button and a "1–N of T" counter
+  const createPagedPage = (pages, { counter = null } = {}) => {
+    let index = 0;
+    const total = new Set(pages.flat().map(([key]) => key)).size;
+    const shown = () => `${index * pages[0].length + 1}–${index * pages[0].length + pages[index].length}`;
+    const locators = {
+      'issue-table': { evaluate: async (reader) => reader(fakeTable(pages[index])) },
+      'issue-table.pagination.previous': {
+        count: async () => 1,
+        isEnabled: async () => index > 0,
+        click: async () => {
+          index -= 1;
+        },
+      },
+      'issue-table.pagination.next': {
+        count: async () => 1,
+        isEnabled: async () => index < pages.length - 1,
+        click: async () => {
+          index += 1;
+        },
+      },
+      'issue-table.count': {
+        count: async () => 1,
+        innerText: async () => counter || `${shown()} of ${total}`,
+      },
+    };
+    return {
+      ...createMockPage(),
+      locator: (selector) => locators[selector.match(/data-testid="([^"]+)"/)[1]] || { count: async () => 0 },
+    };
+  };
+
+  test('should read every page once per key and compare with the counter', async () => {
+    // QA-2 moves onto the second page while it is read
+    const filtersPage = new FiltersPage(createPagedPage([[issue(1), issue(2)], [issue(3), issue(2)], [issue(4)]]));
+
+    const collected = await filtersPage.collectResultRows();
+    expect(collected.rows.map((row) => row.Key)).toEqual(['QA-1', 'QA-2', 'QA-3', 'QA-4']);
+    expect(collected).toMatchObject({ seen: 4, total: 4, segments: 3, truncated: false, complete: true });
+    // A second read goes back to the first page
+    expect(await filtersPage.collectResultRows()).toEqual(collected);
+  });
+
+  test('should stop at the row limit', async () => {
+    const filtersPage = new FiltersPage(createPagedPage([[issue(1), issue(2)], [issue(3), issue(4)]]));
+
+    expect(await filtersPage.collectResultRows({ limit: 3 })).toMatchObject({
+      seen: 3,
+      total: 4,
+      segments: 2,
+      truncated: true,
+      complete: false,
+    });
+  });
+
+  // Mock virtualized list: rows 30px high in a 120px viewport, rendering only the
+  // rows in view plus one above and below; scrollTop takes any value in range
+  const createVirtualizedPage = (rows, { counter = null } = {}) => {
+    const [rowHeight, clientHeight, overscan] = [30, 120, 1];
+    const scrollHeight = rows.length * rowHeight;
+    let scrollTop = 0;
+    const rendered = () =>
+      rows.slice(
+        Math.max(0, Math.floor(scrollTop / rowHeight) - overscan),
+        Math.ceil((scrollTop + clientHeight) / rowHeight) + overscan
+      );
+    const list = {
+      get scrollTop() {
+        return scrollTop;
+      },
+      set scrollTop(value) {
+        scrollTop = Math.max(0, Math.min(value, scrollHeight - clientHeight));
+      },
+      clientHeight,
+      scrollHeight,
+    };
+    const locators = {
+      'issue-table': { evaluate: async (reader) => reader(fakeTable(rendered())) },
+      'issue-table.scroll': { count: async () => 1, evaluate: async (scroll) => scroll(list) },
+      'issue-table.count': { count: async () => Number(counter !== null), innerText: async () => counter },
+    };
+    return {
+      ...createMockPage(),
+      locator: (selector) => locators[selector.match(/data-testid="([^"]+)"/)[1]] || { count: async () => 0 },
+    };
+  };
+
+  test('should scroll a virtualized list a viewport at a time until it ends', async () => {
+    const all = Array.from({ length: 40 }, (_, number) => issue(number + 1));
+    const filtersPage = new FiltersPage(createVirtualizedPage(all, { counter: '40 issues' }));
+
+    const collected = await filtersPage.collectResultRows();
+    expect(collected.rows.map((row) => row.Key)).toEqual(all.map(([key]) => key));
+    // From the top to the end (1080px) in 120px steps
+    expect(collected).toMatchObject({ seen: 40, total: 40, segments: 10, complete: true });
+    expect(await filtersPage.collectResultRows()).toEqual(collected);
+  });
+
+  test('should validate statuses on every page', async () => {
+    const pages = [[issue(1), issue(2, 'To Do')], [issue(3, 'Done')]];
+
+    await expect(
+      new FiltersPage(createPagedPage(pages)).validateStatusesInResults(['Open', 'To Do'], { allPages: true })
+    ).rejects.toThrow('Unexpected status found: Done in result QA-3');
+    await expect(
+      new FiltersPage(createPagedPage(pages, { counter: '1–2 of 4' })).validateStatusesInResults(
+        ['Open', 'To Do', 'Done'],
+        { allPages: true }
+      )
+    ).rejects.toThrow('Read 3 results over 2 page(s), but the results counter shows 4');
+
+    const report = await new FiltersPage(createPagedPage(pages)).validateStatusesInResults(
+      ['Open', 'To Do', 'Done'],
+      { allPages: true, limit: 2 }
+    );
+    expect(report).toMatchObject({ rowsChecked: 2, paging: { seen: 2, total: 3, truncated: true }, passed: true });
+    expect(report.warnings).toEqual(['Checked the first 2 of 3 results, the row limit']);
+  });
+
+  test('should read every page by default, and only the DOM when asked', async () => {
+    const pages = [[issue(1), issue(2, 'To Do')], [issue(3, 'Done')]];
+
+    expect(await new FiltersPage(createPagedPage(pages)).getResultKeys()).toEqual(['QA-1', 'QA-2', 'QA-3']);
+    await expect(new FiltersPage(createPagedPage(pages)).validateStatusesInResults(['Open', 'To Do'])).rejects.toThrow(
+      'Unexpected status found: Done in result QA-3'
+    );
+    const report = await new FiltersPage(createPagedPage(pages)).checkStatusesInResults(['Open', 'To Do'], {
+      allPages: false,
+    });
+    expect(report).toMatchObject({ rowsChecked: 2, passed: true });
+
+    const partial = new FiltersPage(createPagedPage(pages, { counter: '1–2 of 4' }));
+    await expect(partial.validateResultsSorted('Key', 'ASC')).rejects.toThrow(
+      'Read 3 results over 2 page(s), but the results counter shows 4'
+    );
+    await expect(partial.getResultStatuses()).rejects.toThrow('but the results counter shows 4');
+  });
+
+  test('should read table rows on every page, or fail on fewer than the counter shows', async () => {
+    const pages = [[issue(1), issue(2, 'To Do')], [issue(3, 'Done')]];
+
+    expect(await new FiltersPage(createPagedPage(pages)).getResultTableRows()).toEqual([
+      { Key: 'QA-1', Status: 'Open' },
+      { Key: 'QA-2', Status: 'To Do' },
+      { Key: 'QA-3', Status: 'Done' },
+    ]);
+    const all = Array.from({ length: 40 }, (_, number) => issue(number + 1));
+    const rows = await new FiltersPage(createVirtualizedPage(all, { counter: '40 issues' })).getResultTableRows();
+    expect(rows.map((row) => row.Key)).toEqual(all.map(([key]) => key));
+
+    await expect(
+      new FiltersPage(createPagedPage(pages, { counter: '1–2 of 4' })).getResultTableRows()
+    ).rejects.toThrow('Read 3 results over 2 page(s), but the results counter shows 4');
+    await expect(
+      new FiltersPage(createVirtualizedPage(all, { counter: '41 issues' })).getResultTableRows()
+    ).rejects.toThrow('Read 40 results over 10 page(s), but the results counter shows 41');
+  });
+
+  test('should find a result by key on any page, with its links', async () => {
+    const pages = [[issue(1), issue(2)], [issue(3, 'Done')]];
+    const filtersPage = new FiltersPage(createPagedPage(pages));
+
+    expect(await filtersPage.getResultRowByKey('QA-3')).toEqual({
+      Key: 'QA-3',
+      Status: 'Done',
+      links: { Key: 'https://jira.example.com/browse/QA-3' },
+    });
+    expect(await filtersPage.getIssueLink('QA-3')).toBe('https://jira.example.com/browse/QA-3');
+    await expect(filtersPage.getResultRowByKey('QA-9')).rejects.toThrow(
+      'No result with key QA-9. Results: QA-1, QA-2, QA-3'
+    );
+
+    const all = Array.from({ length: 40 }, (_, number) => issue(number + 1));
+    const virtualized = new FiltersPage(createVirtualizedPage(all, { counter: '40 issues' }));
+    expect(await virtualized.getIssueLink('QA-38')).toBe('https://jira.example.com/browse/QA-38');
+
+    await expect(
+      new FiltersPage(createPagedPage(pages, { counter: '1–2 of 4' })).getResultRowByKey('QA-9')
+    ).rejects.toThrow('Read 3 results over 2 page(s), but the results counter shows 4');
+  });
+
+  test('should check conditional expectations on every page', async () => {
+    const pages = [[issue(1), issue(2, 'To Do')], [issue(3, 'Done')]];
+
+    await expect(
+      new FiltersPage(createPagedPage(pages)).validateResultRowsWhere({ Key: 'QA-3' }, { Status: 'Open' })
+    ).rejects.toThrow('Results where Key is QA-3: QA-3 has Status "Done" (expected Open)');
+    const all = Array.from({ length: 40 }, (_, number) => issue(number + 1, number === 36 ? 'Done' : 'Open'));
+    const virtualized = new FiltersPage(createVirtualizedPage(all, { counter: '40 issues' }));
+    await expect(virtualized.validateResultRowsWhere({}, { Status: 'Open' })).rejects.toThrow(
+      'Results: QA-37 has Status "Done" (expected Open)'
+    );
+
+    await expect(
+      new FiltersPage(createPagedPage(pages, { counter: '1–2 of 4' })).validateResultRowsWhere({}, { Status: 'Open' })
+    ).rejects.toThrow('Read 3 results over 2 page(s), but the results counter shows 4');
+  });
+});
+
+test.describe('FiltersPage - Result Count', () => {
+  // Mock page showing `counter` above the results and `jql` in the JQL editor
+  const createCountPage = (counter) => ({
+    ...createMockPage(),
+    locator: (selector) => ({
+      count: async () => (counter === null ? 0 : 1),
+      innerText: async () => counter,
+      inputValue: async () => 'status = "Done" ORDER BY created DESC',
+    }),
+  });
+  const countingClient = (count) => ({ countIssues: async () => count });
+
+  test('should read the count in its displayed forms', async () => {
+    expect(await new FiltersPage(createCountPage('1–50 of 1,337')).getResultCount()).toBe(1337);
+    expect(await new FiltersPage(createCountPage('4 issues')).getResultCount()).toBe(4);
+    await expect(new FiltersPage(createCountPage(null)).getResultCount()).rejects.toThrow(
+      'No result count is shown ([data-testid="issue-table.count"])'
+    );
+  });
+
+  test('should assert exact and minimum counts', async () => {
+    const filtersPage = new FiltersPage(createCountPage('0 issues'));
+
+    await expect(filtersPage.validateResultCount({ exactly: 0 })).resolves.toEqual({ count: 0, apiCount: null });
+    await expect(filtersPage.validateResultCount({ atLeast: 1 })).rejects.toThrow(
+      'Result count 0: expected at least 1 result(s), found 0'
+    );
+  });
+
+  test('should compare the count with the search API', async () => {
+    const filtersPage = new FiltersPage(createCountPage('1–2 of 2'));
+
+    await expect(filtersPage.validateResultCount({ client: countingClient(2) })).resolves.toEqual({
+      count: 2,
+      apiCount: 2,
+    });
+    await expect(filtersPage.validateResultCount({ atLeast: 3, client: countingClient(3) })).rejects.toThrow(
+      'Result count 2: expected at least 3 result(s), found 2; ' +
+        'the search API (/rest/api/3/search/approximate-count) counts 3 for: status = "Done" ORDER BY created DESC'
+    );
+  });
+
+  test('should allow for the search API approximating large counts', async () => {
+    const filtersPage = new FiltersPage(createCountPage('1–50 of 1,337'));
+
+    // 5% of 1,300 is 65
+    await expect(filtersPage.validateResultCount({ client: countingClient(1300) })).resolves.toEqual({
+      count: 1337,
+      apiCount: 1300,
+    });
+    await expect(filtersPage.validateResultCount({ client: countingClient(1250) })).rejects.toThrow(
+      'Result count 1337: the search API (/rest/api/3/search/approximate-count) counts 1250 (±62) for: '
+    );
+    await expect(filtersPage.validateResultCount({ client: countingClient(1300), tolerance: 0 })).rejects.toThrow(
+      'counts 1300 for: status = "Done" ORDER BY created DESC'
+    );
+  });
+});
+
+test.describe('FiltersPage - Result Sorting', () => {
+  const HEADERS = ['Key', 'Status', 'Resolution'];
+  const ROWS = [
+    ['QA-9', 'Done', 'Done'],
+    ['QA-1', 'Open', 'Unresolved'],
+    ['QA-10', 'To Do', 'Unresolved'],
+  ];
+
+  // Mock sortable results: a header button sorts the rows by its column as text,
+  // then reverses; Resolution has no aria-sort, so it cannot be sorted. A cell is
+  // its text, or { text, time } for one carrying a datetime attribute.
+  const createSortablePage = ({ rows = ROWS, headers = HEADERS, jqlShown = true } = {}) => {
+    const state = { rows, sort: null, clicks: 0 };
+    const fakeCell = (cell) => {
+      const { text, time = null } = typeof cell === 'string' ? { text: cell } : cell;
+      const getAttribute = (name) => (name === 'datetime' ? time : null);
+      return { innerText: text, querySelector: () => null, getAttribute };
+    };
+    const ariaSort = (index) => {
+      if (headers[index] === 'Resolution') {
+        return null;
+      }
+      return state.sort && state.sort.index === index ? state.sort.order : 'none';
+    };
+    const sortBy = (index) => {
+      const reverse = state.sort && state.sort.index === index && state.sort.order === 'ascending';
+      const order = reverse ? 'descending' : 'ascending';
+      const sign = order === 'ascending' ? 1 : -1;
+      state.sort = { index, order };
+      state.rows = [...state.rows].sort((a, b) => sign * a[index].localeCompare(b[index]));
+      state.clicks += 1;
+    };
+    const table = {
+      querySelectorAll: (selector) =>
+        selector === 'thead th'
+          ? headers.map((header, index) => ({ innerText: header, getAttribute: () => ariaSort(index) }))
+          : state.rows.map((cells) => ({ cells: cells.map(fakeCell) })),
+    };
+    const mockPage = {
+      ...createMockPage(),
+      locator: (selector) => ({
+        evaluate: async (reader) => reader(table),
+        // One page of results: no paging controls or counter
+        count: async () => Number(!selector.includes('issue-table.')),
+        isVisible: async () => jqlShown,
+        inputValue: async () => 'status = Done ORDER BY created DESC',
+        locator: () => ({
+          nth: (index) => ({
+            getAttribute: async () => ariaSort(index),
+            locator: () => ({ click: async () => sortBy(index) }),
+          }),
+        }),
+      }),
+    };
+    return { mockPage, state };
+  };
+
+  test('should click a header until the results sort in the direction asked', async () => {
+    const { mockPage, state } = createSortablePage();
+    const filtersPage = new FiltersPage(mockPage);
+
+    expect(await filtersPage.getActiveSort()).toBeNull();
+    expect(await filtersPage.sortByColumn('Status', 'desc')).toEqual({ column: 'Status', direction: 'DESC' });
+    expect(state.clicks).toBe(2);
+    expect(state.rows.map(([key]) => key)).toEqual(['QA-10', 'QA-1', 'QA-9']);
+    expect(await filtersPage.sortByColumn('Status', 'DESC')).toEqual({ column: 'Status', direction: 'DESC' });
+    expect(state.clicks).toBe(2);
+  });
+
+  test('should refuse columns that cannot be sorted', async () => {
+    const filtersPage = new FiltersPage(createSortablePage().mockPage);
+
+    await expect(filtersPage.sortByColumn('Resolution')).rejects.toThrow(
+      'Results column "Resolution" cannot be sorted'
+    );
+    await expect(filtersPage.sortByColumn('Assignee')).rejects.toThrow('Table has no column "Assignee"');
+    await expect(filtersPage.sortByColumn('Key', 'up')).rejects.toThrow('Sort direction must be ASC or DESC, got "up"');
+  });
+
+  test('should verify the order with the column comparator', async () => {
+    const { mockPage } = createSortablePage();
+    const filtersPage = new FiltersPage(mockPage);
+
+    // Text order puts QA-10 before QA-9; issue keys sort naturally
+    await filtersPage.sortByColumn('Key');
+    await expect(filtersPage.validateResultsSorted('Key')).rejects.toThrow(
+      'Results not sorted by Key ASC: QA-9 after QA-10'
+    );
+
+    // Statuses sort by STATUS_ORDER, so text order is not their order
+    await filtersPage.sortByColumn('Status');
+    await expect(filtersPage.validateResultsSorted('Status', 'ASC')).rejects.toThrow(
+      'Results not sorted by Status ASC: QA-1 (Open) after QA-9 (Done)'
+    );
+    const byText = (a, b) => a.localeCompare(b);
+    expect(await filtersPage.validateResultsSorted('Status', 'ASC', { comparator: byText })).toEqual({
+      column: 'Status',
+      direction: 'ASC',
+      rowsChecked: 3,
+    });
+  });
+
+  test('should compare dates by their timestamps, whatever format they are shown in', async () => {
+    const { mockPage } = createSortablePage({
+      headers: ['Key', 'Created'],
+      rows: [
+        ['QA-1', { text: '05/Dec/25 10:00 AM', time: '2025-12-05T10:00:00.000+0100' }],
+        ['QA-2', { text: '05/Dec/25 9:30 AM', time: '2025-12-05T09:30:00.000Z' }],
+      ],
+    });
+    const filtersPage = new FiltersPage(mockPage);
+
+    expect(await filtersPage.validateResultsSorted('Created', 'ASC')).toMatchObject({ rowsChecked: 2 });
+    await expect(filtersPage.validateResultsSorted('Created', 'DESC')).rejects.toThrow(
+      'Results not sorted by Created DESC: QA-2 (2025-12-05T09:30:00.000Z) after QA-1 (2025-12-05T10:00:00.000+0100)'
+    );
+  });
+
+  test('should use the status catalog order when there is one', async () => {
+    const catalog = new StatusCatalog([
+      { name: 'Done', category: 'Done' },
+      { name: 'Open', category: 'To Do' },
+      { name: 'To Do', category: 'To Do' },
+    ]);
+    const { mockPage } = createSortablePage();
+    const filtersPage = new FiltersPage(mockPage, { statusCatalog: catalog });
+
+    await filtersPage.sortByColumn('Status');
+    await expect(filtersPage.validateResultsSorted('Status')).resolves.toMatchObject({ rowsChecked: 3 });
+  });
+
+  test('should rerun the query with a new ORDER BY', async () => {
+    const filtersPage = new FiltersPage(createSortablePage({ jqlShown: false }).mockPage);
+    const steps = [];
+    filtersPage.switchToJQL = async () => steps.push('switch');
+    filtersPage.searchWithJQL = async (jql) => steps.push(jql);
+
+    await filtersPage.sortByJql('priority', 'DESC');
+    await filtersPage.sortByJql([{ field: 'status' }, { field: 'key', direction: 'DESC' }]);
+    expect(steps).toEqual([
+      'switch',
+      'status = Done ORDER BY priority DESC',
+      'switch',
+      'status = Done ORDER BY status ASC, key DESC',
+    ]);
+  });
+});
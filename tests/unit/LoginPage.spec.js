@@ -0,0 +1,334 @@
+const { test, expect } = require('@playwright/test');
+const { LoginPage } = require('../../pages/LoginPage');
+const { generateTotp } = require('../../utils/auth/totp');
+const { loadIdpAdapters } = require('../../utils/auth/identityProviders');
+const {
+  TotpSecretMissingError,
+  TotpCodeRejectedError,
+  IdpAdapterNotFoundError,
+  WrongPasswordError,
+  CaptchaChallengeError,
+  UnexpectedLoginPageError,
+} = require('../../utils/auth/errors');
+
+const SECRET = 'JBSWY3DPEHPK3PXP';
+const FIXED_NOW = 1699999990000; // 20 seconds left in the 30-second step
+
+// Mock page that shows the verification screen after the password step.
+// `codeAccepted` decides whether Jira redirects or shows an inline error; with
+// `codeAnswered` false it does neither, and every wait after the submit times out.
+const createMockPage = ({ verificationPrompted = true, codeAccepted = true, codeAnswered = true } = {}) => {
+  const calls = { fill: {}, click: [], check: [], screenshots: [] };
+  const bindings = {};
+  let stage = 'login';
+  const never = () => new Promise(() => {});
+  const timeout = () => Promise.reject(new Error('Timeout exceeded'));
+
+  return {
+    calls,
+    goto: async () => {},
+    fill: async (selector, value) => {
+      calls.fill[selector] = value;
+    },
+    exposeBinding: async (name, binding) => {
+      bindings[name] = binding;
+    },
+    click: async (selector) => {
+      calls.click.push(selector);
+      if (selector === '#login-submit' && calls.fill['#password']) {
+        stage = verificationPrompted ? 'verification' : 'jira';
+      }
+      if (selector === '#two-step-verification-submit') {
+        stage = codeAccepted ? 'jira' : 'rejected';
+        stage = codeAnswered ? stage : 'stalled';
+      }
+    },
+    url: () => 'https://id.atlassian.com/login/mfa',
+    screenshot: async ({ path }) => {
+      calls.screenshots.push(path);
+    },
+    waitForURL: async () => (stage === 'jira' ? undefined : stage === 'stalled' ? timeout() : never()),
+    waitForSelector: async (selector) => {
+      if (stage === 'stalled') return timeout();
+      if (selector === '#password') return;
+      if (selector === '#two-step-verification-otp-code-input' && stage === 'verification') return;
+      if (selector === '[data-testid="otp-error"]' && stage === 'rejected') return;
+      return never();
+    },
+    waitForTimeout: async () => {},
+    locator: (selector) => ({
+      // Secret fills read their value from a page binding inside evaluate()
+      evaluate: async (fn, bindingName) => {
+        calls.fill[selector] = await bindings[bindingName]();
+      },
+      count: async () => Number(!selector.includes('captcha')),
+      check: async () => {
+        calls.check.push(selector);
+      },
+      innerText: async () => "That code didn't work. Check the code and try again.",
+      first: () => ({ innerText: async () => '' }),
+    }),
+  };
+};
+
+test.describe('LoginPage - Initialization', () => {
+  test('LoginPage should define two-step verification locators', () => {
+    const loginPage = new LoginPage(createMockPage());
+
+    expect(loginPage.verificationCodeInput).toBeDefined();
+    expect(loginPage.rememberDeviceCheckbox).toBeDefined();
+    expect(loginPage.verificationSubmitButton).toBeDefined();
+    expect(typeof loginPage.verificationError).toBe('string');
+  });
+});
+
+test.describe('LoginPage - Two-Step Verification', () => {
+  test('should skip verification when Jira redirects straight in', async () => {
+    const page = createMockPage({ verificationPrompted: false });
+    const loginPage = new LoginPage(page, { totpSecret: SECRET, now: () => FIXED_NOW });
+
+    await loginPage.login('qa@example.com', 'secret');
+
+    expect(page.calls.fill['#two-step-verification-otp-code-input']).toBeUndefined();
+  });
+
+  test('should submit the TOTP code for the fixed clock and remember the device', async () => {
+    const page = createMockPage();
+    const loginPage = new LoginPage(page, { totpSecret: SECRET, now: () => FIXED_NOW });
+
+    await loginPage.login('qa@example.com', 'secret');
+
+    expect(page.calls.fill['#two-step-verification-otp-code-input']).toBe(
+      generateTotp(SECRET, { timestamp: FIXED_NOW })
+    );
+    expect(page.calls.check).toEqual(['#remember-device-checkbox']);
+    expect(page.calls.click).toContain('#two-step-verification-submit');
+  });
+
+  test('should not tick remember device when disabled', async () => {
+    const page = createMockPage();
+    const loginPage = new LoginPage(page, {
+      totpSecret: SECRET,
+      rememberDevice: false,
+      now: () => FIXED_NOW,
+    });
+
+    await loginPage.login('qa@example.com', 'secret');
+
+    expect(page.calls.check).toEqual([]);
+  });
+
+  test('should raise TotpCodeRejectedError with Jira\'s message when the code is rejected', async () => {
+    const loginPage = new LoginPage(createMockPage({ codeAccepted: false }), {
+      totpSecret: SECRET,
+      now: () => FIXED_NOW,
+    });
+
+    const error = await loginPage.login('qa@example.com', 'secret').catch((e) => e);
+
+    expect(error).toBeInstanceOf(TotpCodeRejectedError);
+    expect(error.message).toContain("That code didn't work");
+  });
+
+  test('should fail at the verification step when Jira neither redirects nor rejects the code', async () => {
+    const page = createMockPage({ codeAnswered: false });
+    const loginPage = new LoginPage(page, { totpSecret: SECRET, now: () => FIXED_NOW });
+
+    const error = await loginPage.login('qa@example.com', 'secret').catch((e) => e);
+
+    expect(error).toBeInstanceOf(UnexpectedLoginPageError);
+    expect(error.url).toBe('https://id.atlassian.com/login/mfa');
+    expect(page.calls.screenshots).toEqual([error.screenshotPath]);
+  });
+
+  test('should raise TotpSecretMissingError when no secret is configured', async () => {
+    const loginPage = new LoginPage(createMockPage(), { totpSecret: '', now: () => FIXED_NOW });
+
+    await expect(loginPage.login('qa@example.com', 'secret')).rejects.toBeInstanceOf(
+      TotpSecretMissingError
+    );
+  });
+});
+
+test.describe('LoginPage - Credentials', () => {
+  test('should open the configured Jira URL', async () => {
+    const page = createMockPage({ verificationPrompted: false });
+    const visited = [];
+    page.goto = async (url) => {
+      visited.push(url);
+    };
+
+    await new LoginPage(page, { jiraUrl: 'https://example.atlassian.net' }).login('qa@example.com', 'secret');
+
+    expect(visited).toEqual(['https://example.atlassian.net']);
+  });
+
+  test('should hand the password over through a page binding instead of fill()', async () => {
+    const page = createMockPage({ verificationPrompted: false });
+    const filled = [];
+    const fill = page.fill;
+    page.fill = async (selector, value) => {
+      filled.push(value);
+      await fill(selector, value);
+    };
+
+    await new LoginPage(page, { jiraUrl: 'https://example.atlassian.net' }).login(
+      'qa@example.com',
+      'pa55word'
+    );
+
+    expect(filled).not.toContain('pa55word');
+    expect(page.calls.fill['#password']).toBe('pa55word');
+  });
+});
+
+test.describe('LoginPage - Identity Provider Redirect', () => {
+  const JIRA = 'http://127.0.0.1:4010';
+  const IDP = 'http://127.0.0.1:4011';
+  const adapters = [
+    {
+      name: 'stand-in-idp',
+      host: '127.0.0.1:4011',
+      usernameField: '#idp-username',
+      nextButton: '#idp-next',
+      passwordField: '#idp-password',
+      submitButton: '#idp-submit',
+    },
+  ];
+
+  // Mock page whose email step redirects to `idpUrl`; the IdP form returns to Jira on submit
+  const createSsoMockPage = (idpUrl) => {
+    const calls = { fill: {}, click: [], goto: [] };
+    const bindings = {};
+    const listeners = [];
+    let currentUrl = 'about:blank';
+    let passwordStepShown = false;
+    const never = () => new Promise(() => {});
+
+    const navigate = (url) => {
+      calls.goto.push(url);
+      currentUrl = url;
+      listeners.forEach((check) => check());
+    };
+    const matches = (matcher) =>
+      typeof matcher === 'function' ? matcher(new URL(currentUrl)) : currentUrl.includes('/jira/');
+
+    return {
+      calls,
+      url: () => currentUrl,
+      goto: async (url) => navigate(`${url}/login`),
+      fill: async (selector, value) => {
+        calls.fill[selector] = value;
+      },
+      click: async (selector) => {
+        calls.click.push(selector);
+        if (selector === '#login-submit') navigate(`${idpUrl}/authorize`);
+        if (selector === '#idp-next') passwordStepShown = true;
+        if (selector === '#idp-submit') navigate(`${JIRA}/jira/your-work`);
+      },
+      waitForURL: (matcher) =>
+        new Promise((resolve) => {
+          const check = () => matches(matcher) && resolve();
+          listeners.push(check);
+          check();
+        }),
+      waitForSelector: async (selector) =>
+        selector === '#idp-password' && passwordStepShown ? undefined : never(),
+      exposeBinding: async (name, binding) => {
+        bindings[name] = binding;
+      },
+      locator: (selector) => ({
+        isVisible: async () => selector === '#idp-password' && passwordStepShown,
+        evaluate: async (fn, bindingName) => {
+          calls.fill[selector] = await bindings[bindingName]();
+        },
+      }),
+    };
+  };
+
+  const createLoginPage = (page) =>
+    new LoginPage(page, { jiraUrl: JIRA, idpAdapters: loadIdpAdapters(adapters) });
+
+  test('should sign in on the matching IdP form and return to Jira', async () => {
+    const page = createSsoMockPage(IDP);
+
+    await createLoginPage(page).login('qa@example.com', 'idp-password');
+
+    expect(page.calls.fill).toEqual({
+      '#username': 'qa@example.com',
+      '#idp-username': 'qa@example.com',
+      '#idp-password': 'idp-password',
+    });
+    expect(page.calls.click).toEqual(['#login-submit', '#idp-next', '#idp-submit']);
+    expect(page.url()).toBe(`${JIRA}/jira/your-work`);
+  });
+
+  test('should fail naming the URL when no adapter matches the IdP page', async () => {
+    const page = createSsoMockPage('https://sso.unknown.example');
+
+    const error = await createLoginPage(page).login('qa@example.com', 'idp-password').catch((e) => e);
+
+    expect(error).toBeInstanceOf(IdpAdapterNotFoundError);
+    expect(error.message).toContain('https://sso.unknown.example/authorize');
+    expect(error.url).toBe('https://sso.unknown.example/authorize');
+  });
+});
+
+test.describe('LoginPage - Failure Diagnostics', () => {
+  // Mock page that stays on the login form and shows `pageMessage` after the password step
+  const createFailingMockPage = ({ pageMessage = '', captchaShown = false } = {}) => {
+    const bindings = {};
+    const screenshots = [];
+    let passwordSubmitted = false;
+    const never = () => new Promise(() => {});
+
+    return {
+      screenshots,
+      url: () => 'https://id.atlassian.com/login',
+      goto: async () => {},
+      fill: async () => {},
+      click: async (selector) => {
+        if (selector === '#login-submit' && bindings.submitted) passwordSubmitted = true;
+      },
+      exposeBinding: async (name, binding) => {
+        bindings[name] = binding;
+      },
+      waitForURL: async () => never(),
+      waitForSelector: async (selector) => {
+        if (selector === '#password') return;
+        if (passwordSubmitted && selector.includes('[data-testid="form-error"]')) return;
+        return never();
+      },
+      screenshot: async ({ path }) => {
+        screenshots.push(path);
+      },
+      locator: (selector) => ({
+        evaluate: async (fn, bindingName) => {
+          await bindings[bindingName]();
+          bindings.submitted = true;
+        },
+        count: async () => (captchaShown && selector.includes('captcha') ? 1 : 0),
+        first: () => ({ innerText: async () => pageMessage }),
+      }),
+    };
+  };
+
+  test('should raise WrongPasswordError with URL and screenshot when the password is rejected', async () => {
+    const page = createFailingMockPage({ pageMessage: 'Incorrect email address and / or password.' });
+    const loginPage = new LoginPage(page, { jiraUrl: 'https://example.atlassian.net', now: () => FIXED_NOW });
+
+    const error = await loginPage.login('qa@example.com', 'wrong').catch((e) => e);
+
+    expect(error).toBeInstanceOf(WrongPasswordError);
+    expect(error.url).toBe('https://id.atlassian.com/login');
+    expect(error.screenshotPath).toMatch(/login-failures[\\/].*-WrongPasswordError\.png$/);
+    expect(page.screenshots).toEqual([error.screenshotPath]);
+  });
+
+  test('should raise CaptchaChallengeError when a CAPTCHA is on screen', async () => {
+    const page = createFailingMockPage({ pageMessage: 'Incorrect password', captchaShown: true });
+    const loginPage = new LoginPage(page, { jiraUrl: 'https://example.atlassian.net', now: () => FIXED_NOW });
+
+    await expect(loginPage.login('qa@example.com', 'wrong')).rejects.toBeInstanceOf(CaptchaChallengeError);
+  });
+});
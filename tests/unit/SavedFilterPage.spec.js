@@ -0,0 +1,151 @@
+const { test, expect } = require('@playwright/test');
+const { SavedFilterPage } = require('../../pages/SavedFilterPage');
+
+const JIRA_URL = 'https://example.atlassian.net';
+
+// Mock page for the "Save as" flow: submitting either opens a filter URL or shows an error
+const createSaveAsPage = ({ savedId = null, error = null } = {}) => {
+  let url = `${JIRA_URL}/jira/issues?mode=advanced&jql=status%20%3D%20Open`;
+  const fills = [];
+  const never = () => new Promise(() => {});
+
+  return {
+    fills,
+    url: () => url,
+    click: async (selector) => {
+      if (selector.includes('filter.save-submit') && savedId) {
+        url = `${JIRA_URL}/jira/issues?filter=${savedId}`;
+      }
+    },
+    fill: async (selector, value) => {
+      fills.push([selector, value]);
+    },
+    waitForSelector: async (selector) => {
+      if (selector.includes('filter.save-error') && !error) {
+        return never();
+      }
+    },
+    waitForURL: async (predicate) => {
+      if (!predicate(new URL(url))) {
+        return never();
+      }
+    },
+    locator: () => ({ innerText: async () => error }),
+  };
+};
+
+test.describe('SavedFilterPage - Filter URLs', () => {
+  test('should build the URL that reopens a filter', () => {
+    const savedFilterPage = new SavedFilterPage(createSaveAsPage(), { jiraUrl: `${JIRA_URL}/` });
+
+    expect(savedFilterPage.getFilterUrl('10042')).toBe(`${JIRA_URL}/jira/issues?filter=10042`);
+  });
+
+  test('should read the open filter id from the URL', () => {
+    const page = { url: () => `${JIRA_URL}/jira/issues?filter=10042&jql=status%20%3D%20Done` };
+
+    expect(new SavedFilterPage(page, { jiraUrl: JIRA_URL }).getFilterId()).toBe('10042');
+  });
+
+  test('should refuse to read an id when no filter is open', () => {
+    const page = { url: () => `${JIRA_URL}/jira/issues` };
+
+    expect(() => new SavedFilterPage(page, { jiraUrl: JIRA_URL }).getFilterId()).toThrow(
+      `No saved filter is open: ${JIRA_URL}/jira/issues`
+    );
+  });
+});
+
+test.describe('SavedFilterPage - Save As', () => {
+  test('should return the id of the new filter', async () => {
+    const page = createSaveAsPage({ savedId: '10007' });
+    const savedFilterPage = new SavedFilterPage(page, { jiraUrl: JIRA_URL });
+
+    expect(await savedFilterPage.saveAs({ name: 'Open bugs', description: 'Triage queue' })).toBe('10007');
+    expect(page.fills).toContainEqual(['[data-testid="filter.name-input"]', 'Open bugs']);
+    expect(page.fills).toContainEqual(['[data-testid="filter.description-input"]', 'Triage queue']);
+  });
+
+  test('should surface the error Jira shows in the dialog', async () => {
+    const page = createSaveAsPage({ error: 'Filter with same name already exists.' });
+    const savedFilterPage = new SavedFilterPage(page, { jiraUrl: JIRA_URL });
+
+    await expect(savedFilterPage.saveAs({ name: 'Open bugs' })).rejects.toThrow(
+      'Could not save filter "Open bugs": Filter with same name already exists.'
+    );
+  });
+});
+
+// Mock page whose details dialog lists permissions only once it is open
+const createDetailsPage = ({ viewers = [], error = null } = {}) => {
+  const events = [];
+  const never = () => new Promise(() => {});
+  let open = false;
+
+  const page = {
+    events,
+    locator: (selector) => ({
+      isVisible: async () => open,
+      evaluateAll: async () => {
+        events.push('read');
+        return open && selector.includes('filter.viewers') ? viewers : [];
+      },
+      nth: (index) => ({
+        click: async () => {
+          events.push(`remove ${index}`);
+        },
+      }),
+      innerText: async () => error,
+    }),
+    click: async (selector) => {
+      if (selector.includes('filter.details')) {
+        events.push('open');
+        open = true;
+      }
+    },
+    waitForSelector: async (selector) => {
+      if (selector.includes('filter.error') && !error) {
+        return never();
+      }
+    },
+    waitForFunction: never,
+  };
+  return page;
+};
+
+test.describe('SavedFilterPage - Share Permissions', () => {
+  test('should open the details dialog before reading permissions', async () => {
+    const page = createDetailsPage({ viewers: [{ type: 'project', value: 'QA' }] });
+    const savedFilterPage = new SavedFilterPage(page, { jiraUrl: JIRA_URL });
+
+    expect(await savedFilterPage.getSharePermissions()).toEqual({
+      viewers: [{ type: 'project', value: 'QA' }],
+      editors: [],
+    });
+    expect(page.events).toEqual(['open', 'read', 'read']);
+  });
+
+  test('should surface the error Jira shows when removing a permission', async () => {
+    const page = createDetailsPage({
+      viewers: [{ type: 'organization' }],
+      error: 'You do not have permission to edit this filter.',
+    });
+    const savedFilterPage = new SavedFilterPage(page, { jiraUrl: JIRA_URL });
+
+    await expect(savedFilterPage.removeSharePermission('viewers', 0)).rejects.toThrow(
+      "Could not remove entry 0 from the filter's viewers: You do not have permission to edit this filter."
+    );
+    expect(page.events.slice(0, 2)).toEqual(['open', 'read']);
+  });
+
+  test('should reject unknown share types and missing values before changing anything', async () => {
+    const savedFilterPage = new SavedFilterPage({}, { jiraUrl: JIRA_URL });
+
+    await expect(savedFilterPage.setSharePermissions({ viewers: [{ type: 'everyone' }] })).rejects.toThrow(
+      'Unknown share type "everyone", expected one of: organization, project, group, user'
+    );
+    await expect(savedFilterPage.setSharePermissions({ editors: [{ type: 'group' }] })).rejects.toThrow(
+      "Sharing with a group needs a value, e.g. { type: 'group', value: '...' }"
+    );
+  });
+});
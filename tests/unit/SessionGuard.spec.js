@@ -0,0 +1,349 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionGuard = require('../../utils/auth/SessionGuard');
+const { withFileLock } = require('../../utils/fileLock');
+const { HomePage } = require('../../pages/HomePage');
+
+const JIRA = 'https://example.atlassian.net';
+const FRESH_STATE = { cookies: [{ name: 'tenant.session.token', value: 'fresh' }], origins: [] };
+
+// Mock Playwright page that is logged out until the login form is submitted
+const createMockPage = (startUrl) => {
+  const calls = { goto: [], fill: [], addCookies: [], tracing: [] };
+  const bindings = {};
+  let currentUrl = startUrl;
+  const page = {
+    calls,
+    url: () => currentUrl,
+    on: () => {},
+    off: () => {},
+    mainFrame: () => ({}),
+    goto: async (url) => {
+      calls.goto.push(url);
+      currentUrl = url;
+    },
+    fill: async (selector, value) => {
+      calls.fill.push(selector);
+    },
+    exposeBinding: async (name, binding) => {
+      bindings[name] = binding;
+    },
+    // Secret fills read their value from a page binding inside evaluate()
+    locator: (selector) => ({
+      evaluate: async (fn, bindingName) => {
+        await bindings[bindingName]();
+        calls.fill.push(selector);
+      },
+    }),
+    click: async () => {},
+    waitForURL: async () => {
+      currentUrl = `${JIRA}/jira/your-work`;
+    },
+    waitForSelector: async () => {},
+    context: () => context,
+  };
+  const context = {
+    addCookies: async (cookies) => {
+      calls.addCookies.push(cookies);
+    },
+    storageState: async () => FRESH_STATE,
+  };
+  return page;
+};
+
+test.describe('SessionGuard - Expiry Detection', () => {
+  test('should recognise Jira and Atlassian login URLs', () => {
+    const guard = new SessionGuard(createMockPage(`${JIRA}/jira`), { jiraUrl: JIRA });
+
+    expect(guard.isLoginUrl(`${JIRA}/login?continue=%2Fjira`)).toBe(true);
+    expect(guard.isLoginUrl(`${JIRA}/login.jsp`)).toBe(true);
+    expect(guard.isLoginUrl('https://id.atlassian.com/login')).toBe(true);
+    expect(guard.isLoginUrl(`${JIRA}/jira/filters`)).toBe(false);
+  });
+
+  test('should only treat 401 responses from the Jira host as expiry', () => {
+    const guard = new SessionGuard(createMockPage(`${JIRA}/jira`), { jiraUrl: JIRA });
+    const response = (url, status) => ({ url: () => url, status: () => status });
+
+    guard.onResponse(response('https://cdn.example.com/asset.js', 401));
+    expect(guard.isSessionExpired()).toBe(false);
+
+    guard.onResponse(response(`${JIRA}/rest/api/3/myself`, 401));
+    expect(guard.isSessionExpired()).toBe(true);
+  });
+
+  test('should only count 401s from the page host when no Jira URL is set', () => {
+    const guard = new SessionGuard(createMockPage(`${JIRA}/jira`), {});
+    const response = (url) => ({ url: () => url, status: () => 401 });
+
+    guard.onResponse(response('https://api.segment.io/v1/t'));
+    expect(guard.isSessionExpired()).toBe(false);
+
+    guard.onResponse(response(`${JIRA}/rest/api/3/myself`));
+    expect(guard.isSessionExpired()).toBe(true);
+  });
+});
+
+test.describe('SessionGuard - Recovery', () => {
+  let tempDir;
+  let storageStatePath;
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-guard-'));
+    storageStatePath = path.join(tempDir, 'storageState.json');
+    fs.writeFileSync(storageStatePath, JSON.stringify({ cookies: [], origins: [] }));
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(storageStatePath, past, past);
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const createGuard = (page) =>
+    new SessionGuard(page, {
+      jiraUrl: JIRA,
+      username: 'qa@example.com',
+      password: 'secret',
+      storageStatePath,
+    });
+
+  test('should pass results through when the session is valid', async () => {
+    const guard = createGuard(createMockPage(`${JIRA}/jira/your-work`));
+
+    expect(await guard.run(async () => 'done')).toBe('done');
+    expect(guard.recoveries).toBe(0);
+  });
+
+  test('should rethrow errors unrelated to the session', async () => {
+    const guard = createGuard(createMockPage(`${JIRA}/jira/your-work`));
+
+    await expect(
+      guard.run(async () => {
+        throw new Error('Element not found');
+      })
+    ).rejects.toThrow('Element not found');
+  });
+
+  test('should not log in again for a 401 the step got past', async () => {
+    const page = createMockPage(`${JIRA}/jira/filters`);
+    const guard = createGuard(page);
+    let attempts = 0;
+
+    const result = await guard.run(async () => {
+      attempts += 1;
+      guard.onResponse({ url: () => `${JIRA}/rest/api/3/mypermissions`, status: () => 401 });
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(attempts).toBe(1);
+    expect(guard.recoveries).toBe(0);
+  });
+
+  test('should not blame a step for a 401 an earlier step saw', async () => {
+    const guard = createGuard(createMockPage(`${JIRA}/jira/filters`));
+    await guard.run(async () => {
+      guard.onResponse({ url: () => `${JIRA}/rest/api/3/mypermissions`, status: () => 401 });
+    });
+
+    await expect(
+      guard.run(async () => {
+        throw new Error('Element not found');
+      })
+    ).rejects.toThrow('Element not found');
+    expect(guard.recoveries).toBe(0);
+  });
+
+  test('should log in again when a step fails after a 401', async () => {
+    const page = createMockPage(`${JIRA}/jira/filters`);
+    const guard = createGuard(page);
+    let attempts = 0;
+
+    const result = await guard.run(async () => {
+      attempts += 1;
+      if (attempts === 1) {
+        guard.onResponse({ url: () => `${JIRA}/rest/api/3/search`, status: () => 401 });
+        throw new Error('Timeout waiting for results');
+      }
+      return attempts;
+    });
+
+    expect(result).toBe(2);
+    expect(guard.recoveries).toBe(1);
+  });
+
+  test('should log in again, refresh the storage file and re-run the step once', async () => {
+    const page = createMockPage(`${JIRA}/login?continue=%2Fjira%2Ffilters`);
+    const guard = createGuard(page);
+    guard.lastAppUrl = `${JIRA}/jira/filters`;
+    let attempts = 0;
+
+    const result = await guard.run(async () => {
+      attempts += 1;
+      return attempts;
+    });
+
+    expect(result).toBe(2);
+    expect(page.calls.fill).toEqual(['#username', '#password']);
+    expect(page.calls.goto[page.calls.goto.length - 1]).toBe(`${JIRA}/jira/filters`);
+    expect(JSON.parse(fs.readFileSync(storageStatePath, 'utf-8'))).toEqual(FRESH_STATE);
+    expect(fs.existsSync(`${storageStatePath}.lock`)).toBe(false);
+  });
+
+  test('should keep the re-login out of the trace', async () => {
+    const page = createMockPage(`${JIRA}/login`);
+    // Tracing that records how many fields were filled when it stopped and resumed
+    page.context().tracing = {
+      stopChunk: async ({ path: chunkPath }) => {
+        page.calls.tracing.push(['stop', page.calls.fill.length]);
+        fs.writeFileSync(chunkPath, 'chunk');
+      },
+      startChunk: async () => {
+        page.calls.tracing.push(['start', page.calls.fill.length]);
+      },
+    };
+
+    await createGuard(page).run(async () => {});
+
+    expect(page.calls.fill).toEqual(['#username', '#password']);
+    expect(page.calls.tracing).toEqual([
+      ['stop', 0],
+      ['start', 2],
+    ]);
+    expect(test.info().attachments.map(({ name }) => name)).toEqual(['trace']);
+  });
+
+  test('should reuse a session another worker already refreshed', async () => {
+    const page = createMockPage(`${JIRA}/login`);
+    const guard = createGuard(page);
+    guard.sessionLoadedAt = Date.now() - 1000;
+    fs.writeFileSync(storageStatePath, JSON.stringify(FRESH_STATE));
+
+    await guard.run(async () => {});
+
+    expect(page.calls.fill).toEqual([]);
+    expect(page.calls.addCookies).toEqual([FRESH_STATE.cookies]);
+  });
+
+  test("should wait out another worker's re-login that outlasts the lock defaults", async () => {
+    const page = createMockPage(`${JIRA}/login`);
+    const guard = createGuard(page);
+    let release;
+    const otherWorker = withFileLock(storageStatePath, async () => {
+      await new Promise((resolve) => {
+        release = resolve;
+      });
+      fs.writeFileSync(storageStatePath, JSON.stringify(FRESH_STATE));
+    });
+    const realNow = Date.now;
+    try {
+      const recovered = guard.run(async () => {});
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      // The other re-login is still running 45s on, past the 30s a lock waits by default
+      Date.now = () => realNow() + 45000;
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      release();
+      await otherWorker;
+      await recovered;
+    } finally {
+      Date.now = realNow;
+    }
+
+    expect(page.calls.fill).toEqual([]);
+    expect(page.calls.addCookies).toEqual([FRESH_STATE.cookies]);
+    expect(guard.recoveries).toBe(1);
+  });
+
+  test('should report a failed re-login distinctly', async () => {
+    const page = createMockPage(`${JIRA}/login`);
+    page.waitForURL = async () => {
+      throw new Error('Timeout 30000ms exceeded');
+    };
+    page.waitForSelector = page.waitForURL;
+    const guard = createGuard(page);
+
+    await expect(guard.run(async () => {})).rejects.toThrow(
+      'Session expired and re-authentication failed: Login failed: stopped on an unexpected page.'
+    );
+  });
+
+  test('should name the role variables it needs to log in again', async () => {
+    const guard = new SessionGuard(createMockPage(`${JIRA}/login`), {
+      jiraUrl: JIRA,
+      username: 'admin@example.com',
+      storageStatePath,
+      envNames: { username: 'JIRA_ADMIN_USERNAME', password: 'JIRA_ADMIN_PASSWORD' },
+    });
+
+    await expect(guard.run(async () => {})).rejects.toThrow(
+      'Session expired and cannot re-authenticate: JIRA_ADMIN_USERNAME and JIRA_ADMIN_PASSWORD are required.'
+    );
+  });
+
+  test('BasePage steps should run through the attached guard', async () => {
+    const page = createMockPage(`${JIRA}/login`);
+    const guard = SessionGuard.attach(page, {
+      jiraUrl: JIRA,
+      username: 'qa@example.com',
+      password: 'secret',
+      storageStatePath,
+    });
+    const homePage = new HomePage(page);
+
+    await homePage.waitForHomePageToLoad();
+
+    expect(guard.recoveries).toBe(1);
+    guard.detach();
+    expect(SessionGuard.for(page)).toBeNull();
+  });
+});
+
+test.describe('File Lock', () => {
+  test('should serialize concurrent critical sections', async () => {
+    const target = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-')), 'state.json');
+    const events = [];
+    const section = (name) =>
+      withFileLock(target, async () => {
+        events.push(`${name}:start`);
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        events.push(`${name}:end`);
+      }, { retryInterval: 10 });
+
+    await Promise.all([section('a'), section('b')]);
+
+    expect(events).toEqual(['a:start', 'a:end', 'b:start', 'b:end']);
+  });
+
+  test('should keep a lock fresh while its holder runs past staleAfter', async () => {
+    const target = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-')), 'state.json');
+    const events = [];
+    const options = { staleAfter: 150, retryInterval: 10 };
+    const holder = withFileLock(
+      target,
+      async () => {
+        events.push('holder:start');
+        await new Promise((resolve) => setTimeout(resolve, 600));
+        events.push('holder:end');
+      },
+      options
+    );
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const waiter = withFileLock(target, async () => events.push('waiter'), options);
+
+    await Promise.all([holder, waiter]);
+
+    expect(events).toEqual(['holder:start', 'holder:end', 'waiter']);
+  });
+
+  test('should break a lock abandoned by a crashed worker', async () => {
+    const target = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-')), 'state.json');
+    fs.mkdirSync(`${target}.lock`);
+    const past = new Date(Date.now() - 120000);
+    fs.utimesSync(`${target}.lock`, past, past);
+
+    await expect(withFileLock(target, async () => 'acquired')).resolves.toBe('acquired');
+  });
+});
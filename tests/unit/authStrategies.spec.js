@@ -0,0 +1,200 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createAuthStrategies,
+  authenticate,
+  resolveBrowserName,
+  ApiTokenStrategy,
+  StoredSessionStrategy,
+  UiLoginStrategy,
+} = require('../../utils/auth');
+const { JiraStandIn, STAND_IN_DEFAULTS } = require('../../mock-server/jiraStandIn');
+
+// Minimal strategy double for exercising the fallback chain
+const createFakeStrategy = (name, { missing = [], error = null } = {}) => ({
+  name,
+  ran: false,
+  getMissingEnv: () => missing,
+  async authenticate() {
+    this.ran = true;
+    if (error) {
+      throw new Error(error);
+    }
+  },
+});
+
+test.describe('Auth Strategies - Selection', () => {
+  test('should default to the ui strategy', () => {
+    const strategies = createAuthStrategies(undefined, {});
+
+    expect(strategies).toHaveLength(1);
+    expect(strategies[0]).toBeInstanceOf(UiLoginStrategy);
+  });
+
+  test('should build a fallback chain from a comma-separated value', () => {
+    const strategies = createAuthStrategies('storage, API', {});
+
+    expect(strategies.map((s) => s.name)).toEqual(['storage', 'api']);
+  });
+
+  test('should reject unknown strategy names', () => {
+    expect(() => createAuthStrategies('oauth', {})).toThrow('Unknown authentication strategy "oauth"');
+  });
+
+  test('each strategy should report the environment variables it is missing', () => {
+    const [ui, api, storage] = createAuthStrategies('ui,api,storage', {});
+
+    expect(ui.getMissingEnv()).toEqual(['JIRA_URL', 'JIRA_USERNAME', 'JIRA_PASSWORD']);
+    expect(api.getMissingEnv()).toEqual(['JIRA_URL', 'JIRA_USERNAME', 'JIRA_API_TOKEN']);
+    expect(storage.getMissingEnv()).toEqual(['JIRA_URL']);
+  });
+
+  test('should name the variables of the role being authenticated', () => {
+    const envNames = {
+      username: 'JIRA_VIEWER_USERNAME',
+      password: 'JIRA_VIEWER_PASSWORD',
+      apiToken: 'JIRA_VIEWER_API_TOKEN',
+    };
+    const [ui, api] = createAuthStrategies('ui,api', { jiraUrl: 'https://example.atlassian.net', envNames });
+
+    expect(ui.getMissingEnv()).toEqual(['JIRA_VIEWER_USERNAME', 'JIRA_VIEWER_PASSWORD']);
+    expect(api.getMissingEnv()).toEqual(['JIRA_VIEWER_USERNAME', 'JIRA_VIEWER_API_TOKEN']);
+  });
+});
+
+test.describe('Auth Strategies - Fallback Chain', () => {
+  test('should return the name of the first strategy that succeeds', async () => {
+    const storage = createFakeStrategy('storage', { error: 'No stored session found' });
+    const api = createFakeStrategy('api');
+
+    expect(await authenticate([storage, api])).toBe('api');
+    expect(storage.ran).toBe(true);
+  });
+
+  test('should skip strategies with missing environment variables', async () => {
+    const api = createFakeStrategy('api', { missing: ['JIRA_API_TOKEN'] });
+    const ui = createFakeStrategy('ui');
+
+    expect(await authenticate([api, ui])).toBe('ui');
+    expect(api.ran).toBe(false);
+  });
+
+  test('should list every failure when no strategy succeeds', async () => {
+    const api = createFakeStrategy('api', { missing: ['JIRA_API_TOKEN'] });
+    const ui = createFakeStrategy('ui', { error: 'Timeout waiting for **/jira/**' });
+
+    await expect(authenticate([api, ui])).rejects.toThrow(
+      /api: missing required environment variables: JIRA_API_TOKEN[\s\S]*ui: Timeout/
+    );
+  });
+});
+
+test.describe('Auth Strategies - Browser Resolution', () => {
+  const config = {
+    projects: [
+      { name: 'chromium', use: { defaultBrowserType: 'chromium' } },
+      { name: 'firefox', use: { defaultBrowserType: 'firefox' } },
+    ],
+  };
+
+  test('should use the first configured project by default', () => {
+    expect(resolveBrowserName(config, [])).toBe('chromium');
+  });
+
+  test('should follow the --project selected on the command line', () => {
+    expect(resolveBrowserName(config, ['test', '--project', 'firefox'])).toBe('firefox');
+    expect(resolveBrowserName(config, ['test', '--project=firefox'])).toBe('firefox');
+  });
+});
+
+test.describe('Auth Strategies - HTTP Strategies Against Stand-in', () => {
+  let standIn;
+  let jiraUrl;
+  let tempDir;
+
+  test.beforeAll(async () => {
+    standIn = new JiraStandIn();
+    jiraUrl = await standIn.start(0);
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-strategies-'));
+  });
+
+  test.afterAll(async () => {
+    await standIn.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('api strategy should save session cookies from basic auth', async () => {
+    const storageStatePath = path.join(tempDir, 'api.json');
+    const strategy = new ApiTokenStrategy({
+      jiraUrl,
+      username: STAND_IN_DEFAULTS.USERNAME,
+      apiToken: STAND_IN_DEFAULTS.API_TOKEN,
+      storageStatePath,
+    });
+
+    await strategy.authenticate();
+
+    const state = JSON.parse(fs.readFileSync(storageStatePath, 'utf-8'));
+    expect(state.cookies.length).toBeGreaterThan(0);
+  });
+
+  test('api strategy should fail clearly on a wrong token', async () => {
+    const strategy = new ApiTokenStrategy({
+      jiraUrl,
+      username: STAND_IN_DEFAULTS.USERNAME,
+      apiToken: 'wrong-token',
+      storageStatePath: path.join(tempDir, 'rejected.json'),
+      envNames: { username: 'JIRA_ADMIN_USERNAME', apiToken: 'JIRA_ADMIN_API_TOKEN' },
+    });
+
+    await expect(strategy.authenticate()).rejects.toThrow(
+      /returned 401\. Check JIRA_ADMIN_USERNAME and JIRA_ADMIN_API_TOKEN\./
+    );
+  });
+
+  test('storage strategy should accept a session the server still knows', async () => {
+    const storageStatePath = path.join(tempDir, 'reuse.json');
+    await new ApiTokenStrategy({
+      jiraUrl,
+      username: STAND_IN_DEFAULTS.USERNAME,
+      apiToken: STAND_IN_DEFAULTS.API_TOKEN,
+      storageStatePath,
+    }).authenticate();
+
+    await expect(
+      new StoredSessionStrategy({ jiraUrl, storageStatePath }).authenticate()
+    ).resolves.toBeUndefined();
+  });
+
+  test('storage strategy should reject missing and stale files', async () => {
+    const missing = new StoredSessionStrategy({
+      jiraUrl,
+      storageStatePath: path.join(tempDir, 'does-not-exist.json'),
+    });
+    await expect(missing.authenticate()).rejects.toThrow('No stored session found');
+
+    const stalePath = path.join(tempDir, 'stale.json');
+    fs.writeFileSync(
+      stalePath,
+      JSON.stringify({
+        cookies: [
+          {
+            name: 'tenant.session.token',
+            value: 'unknown',
+            domain: '127.0.0.1',
+            path: '/',
+            expires: -1,
+            httpOnly: true,
+            secure: false,
+            sameSite: 'Lax',
+          },
+        ],
+        origins: [],
+      })
+    );
+    const stale = new StoredSessionStrategy({ jiraUrl, storageStatePath: stalePath });
+    await expect(stale.authenticate()).rejects.toThrow('was rejected');
+  });
+});
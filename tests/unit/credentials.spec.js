@@ -0,0 +1,175 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  CredentialStore,
+  createCredentialStore,
+  isSecretKey,
+  EnvironmentProvider,
+  DotenvProvider,
+  FileProvider,
+  CommandProvider,
+} = require('../../utils/credentials');
+const { MASK, registerSecret, maskSecrets, installConsoleMasking } = require('../../utils/credentials/masking');
+
+// Node itself, so command tests don't depend on shell utilities
+const node = (script) => `"${process.execPath}" -e "${script}"`;
+
+test.describe('Credentials - Providers', () => {
+  let tempDir;
+
+  test.beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('dotenv provider should read a .env file without touching process.env', () => {
+    const dotenvPath = path.join(tempDir, '.env');
+    fs.writeFileSync(dotenvPath, 'JIRA_DOTENV_ONLY=from-dotenv\n');
+
+    expect(new DotenvProvider(dotenvPath).get('JIRA_DOTENV_ONLY')).toBe('from-dotenv');
+    expect(process.env.JIRA_DOTENV_ONLY).toBeUndefined();
+    expect(new DotenvProvider(path.join(tempDir, 'missing.env')).get('JIRA_URL')).toBeUndefined();
+  });
+
+  test('file provider should read JSON and INI files', () => {
+    const jsonPath = path.join(tempDir, 'credentials.json');
+    const iniPath = path.join(tempDir, 'credentials.ini');
+    fs.writeFileSync(jsonPath, JSON.stringify({ JIRA_PASSWORD: 'json-password' }));
+    fs.writeFileSync(iniPath, '; Jira\n[admin]\nJIRA_ADMIN_PASSWORD = "ini-password"\n');
+
+    expect(new FileProvider(jsonPath).get('JIRA_PASSWORD')).toBe('json-password');
+    expect(new FileProvider(iniPath).get('JIRA_ADMIN_PASSWORD')).toBe('ini-password');
+    expect(new FileProvider(iniPath).get('JIRA_PASSWORD')).toBeUndefined();
+  });
+
+  test('file provider should refuse files inside the repository', () => {
+    const provider = new FileProvider(path.join(__dirname, 'credentials.json'));
+
+    expect(() => provider.get('JIRA_PASSWORD')).toThrow('is inside the repository');
+  });
+
+  test('file provider should not quote file content in parse errors', () => {
+    const jsonPath = path.join(tempDir, 'credentials.json');
+    fs.writeFileSync(jsonPath, '{ JIRA_PASSWORD: hunter22 }');
+
+    expect(() => new FileProvider(jsonPath).get('JIRA_PASSWORD')).toThrow(/^(?!.*hunter22).*not valid JSON/);
+  });
+
+  test('command provider should run a per-key command', () => {
+    const provider = new CommandProvider(node("console.log('value-of-' + '{key}')"));
+
+    expect(provider.get('JIRA_PASSWORD')).toBe('value-of-JIRA_PASSWORD');
+  });
+
+  test('command provider should treat a failing per-key command as not set', () => {
+    const provider = new CommandProvider(node('process.exit(1) // {key}'));
+
+    expect(provider.get('JIRA_PASSWORD')).toBeUndefined();
+  });
+
+  test('command provider should parse JSON or KEY=VALUE output of a single command', () => {
+    const json = new CommandProvider(node("console.log(JSON.stringify({ JIRA_API_TOKEN: 'cmd-token' }))"));
+    const lines = new CommandProvider(node("console.log('JIRA_USERNAME=cmd@example.com')"));
+
+    expect(json.get('JIRA_API_TOKEN')).toBe('cmd-token');
+    expect(lines.get('JIRA_USERNAME')).toBe('cmd@example.com');
+  });
+});
+
+test.describe('Credentials - Layered Lookup', () => {
+  const provider = (name, values) => ({ name, get: (key) => values[key] });
+
+  test('first provider with a value should win', () => {
+    const store = new CredentialStore([
+      provider('environment', { JIRA_URL: 'https://env.example.com' }),
+      provider('file', { JIRA_URL: 'https://file.example.com', JIRA_USERNAME: 'file@example.com' }),
+    ]);
+
+    expect(store.lookup('JIRA_URL')).toEqual({ value: 'https://env.example.com', source: 'environment' });
+    expect(store.lookup('JIRA_USERNAME')).toEqual({ value: 'file@example.com', source: 'file' });
+    expect(store.get('JIRA_PASSWORD')).toBeUndefined();
+  });
+
+  test('later providers should not be consulted once a value is found', () => {
+    const store = new CredentialStore([
+      provider('environment', { JIRA_URL: 'https://env.example.com' }),
+      { name: 'command', get: () => { throw new Error('command should not run'); } },
+    ]);
+
+    expect(store.get('JIRA_URL')).toBe('https://env.example.com');
+  });
+
+  test('default chain should be environment, dotenv, file, command', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'));
+    try {
+      const store = createCredentialStore({
+        env: {
+          JIRA_CREDENTIALS_FILE: path.join(tempDir, 'credentials.json'),
+          JIRA_CREDENTIALS_COMMAND: 'pass show jira/{key}',
+        },
+        dotenvPath: path.join(tempDir, '.env'),
+      });
+
+      expect(store.describe()).toEqual(['environment', 'dotenv', 'file', 'command']);
+      expect(createCredentialStore({ env: {}, dotenvPath: path.join(tempDir, '.env') }).describe()).toEqual([
+        'environment',
+        'dotenv',
+      ]);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('secret values should be registered for masking when read', () => {
+    const store = new CredentialStore([new EnvironmentProvider({ JIRA_VIEWER_PASSWORD: 'looked-up-pw' })]);
+
+    store.get('JIRA_VIEWER_PASSWORD');
+
+    expect(maskSecrets('password is looked-up-pw')).toBe(`password is ${MASK}`);
+  });
+
+  test('only passwords, tokens and secrets should count as secret', () => {
+    expect(isSecretKey('JIRA_PASSWORD')).toBe(true);
+    expect(isSecretKey('JIRA_ADMIN_API_TOKEN')).toBe(true);
+    expect(isSecretKey('JIRA_TOTP_SECRET')).toBe(true);
+    expect(isSecretKey('JIRA_USERNAME')).toBe(false);
+    expect(isSecretKey('JIRA_URL')).toBe(false);
+  });
+});
+
+test.describe('Credentials - Masking', () => {
+  test('should mask every occurrence, longest secret first', () => {
+    registerSecret('abcd');
+    registerSecret('abcd-efgh');
+
+    expect(maskSecrets('abcd-efgh and abcd')).toBe(`${MASK} and ${MASK}`);
+  });
+
+  test('should ignore values too short to mask safely', () => {
+    registerSecret('ab');
+
+    expect(maskSecrets('about')).toBe('about');
+  });
+
+  test('console masking should mask formatted arguments', () => {
+    const printed = [];
+    const target = { log: (text) => printed.push(text) };
+    ['info', 'warn', 'error', 'debug'].forEach((method) => {
+      target[method] = target.log;
+    });
+    registerSecret('console-secret');
+
+    installConsoleMasking(target);
+    target.log('token: %s', 'console-secret');
+    target.error(new Error('rejected console-secret'));
+
+    expect(printed[0]).toBe(`token: ${MASK}`);
+    expect(printed[1]).toContain(`rejected ${MASK}`);
+    expect(printed.join('\n')).not.toContain('console-secret');
+  });
+});
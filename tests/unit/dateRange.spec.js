@@ -0,0 +1,149 @@
+const { test, expect } = require('@playwright/test');
+const {
+  validateDateRange,
+  describeDateRange,
+  zonedTimeToInstant,
+  resolveDateWindow,
+  parseShownDate,
+  findDatesOutsideRange,
+} = require('../../utils/dateRange');
+
+const NOW = Date.parse('2025-12-10T12:00:00Z');
+
+test.describe('Date Range - Validation', () => {
+  test('should accept relative and absolute ranges', () => {
+    expect(validateDateRange({ type: 'withinLast', amount: 7, unit: 'days' })).toEqual({
+      type: 'withinLast',
+      amount: 7,
+      unit: 'days',
+    });
+    expect(validateDateRange({ type: 'between', to: '2025-12-31' })).toEqual({
+      type: 'between',
+      from: '',
+      to: '2025-12-31',
+    });
+  });
+
+  test('should reject unknown types and units, and bad amounts', () => {
+    expect(() => validateDateRange({ type: 'olderThan' })).toThrow('Unknown date range type "olderThan"');
+    expect(() => validateDateRange({ type: 'moreThan', amount: 2, unit: 'months' })).toThrow(
+      'Unknown date range unit "months". Use: minutes, hours, days, weeks'
+    );
+    expect(() => validateDateRange({ type: 'moreThan', amount: 1.5, unit: 'days' })).toThrow(
+      'Date range amount must be a whole number of at least 1, got 1.5'
+    );
+  });
+
+  test('should reject bad, missing or reversed days', () => {
+    expect(() => validateDateRange({ type: 'between', from: '2025-12-1' })).toThrow(
+      'Date "2025-12-1" must be written YYYY-MM-DD'
+    );
+    expect(() => validateDateRange({ type: 'between' })).toThrow('A "between" date range needs a from or a to date');
+    expect(() => validateDateRange({ type: 'between', from: '2025-12-31', to: '2025-12-01' })).toThrow(
+      'Date range starts after it ends: 2025-12-31 to 2025-12-01'
+    );
+  });
+
+  test('should describe ranges like the pill does', () => {
+    expect(describeDateRange({ type: 'withinLast', amount: 7, unit: 'days' })).toBe('within the last 7 days');
+    expect(describeDateRange({ type: 'moreThan', amount: 2, unit: 'weeks' })).toBe('more than 2 weeks ago');
+    expect(describeDateRange({ type: 'between', from: '2025-12-01', to: '2025-12-31' })).toBe(
+      'between 2025-12-01 and 2025-12-31'
+    );
+    expect(describeDateRange({ type: 'between', from: '2025-12-01' })).toBe('on or after 2025-12-01');
+  });
+});
+
+test.describe('Date Range - Time Zones', () => {
+  test('should read wall-clock times in the given time zone across DST changes', () => {
+    // New York is UTC-4 in summer and UTC-5 in winter; DST ended on 2025-11-02
+    expect(zonedTimeToInstant([2025, 7, 1, 9, 0], 'America/New_York')).toBe(Date.parse('2025-07-01T13:00:00Z'));
+    expect(zonedTimeToInstant([2025, 11, 2, 9, 0], 'America/New_York')).toBe(Date.parse('2025-11-02T14:00:00Z'));
+    expect(zonedTimeToInstant([2025, 12, 1, 0, 0], 'Asia/Tokyo')).toBe(Date.parse('2025-11-30T15:00:00Z'));
+  });
+
+  test('should cover whole days of the browser time zone for "between"', () => {
+    const range = { type: 'between', from: '2025-12-01', to: '2025-12-31' };
+
+    expect(resolveDateWindow(range, { timeZone: 'America/New_York' })).toEqual({
+      start: Date.parse('2025-12-01T05:00:00Z'),
+      end: Date.parse('2026-01-01T05:00:00Z'),
+    });
+  });
+
+  test('should count relative ranges back from now', () => {
+    expect(resolveDateWindow({ type: 'withinLast', amount: 2, unit: 'hours' }, { timeZone: 'UTC', now: NOW })).toEqual({
+      start: Date.parse('2025-12-10T10:00:00Z'),
+      end: null,
+    });
+    expect(resolveDateWindow({ type: 'moreThan', amount: 1, unit: 'weeks' }, { timeZone: 'UTC', now: NOW })).toEqual({
+      start: null,
+      end: Date.parse('2025-12-03T12:00:00Z'),
+    });
+  });
+
+  test('should read shown dates as a minute or a whole day', () => {
+    expect(parseShownDate('2025-12-01 08:15', 'Europe/Berlin')).toEqual({
+      start: Date.parse('2025-12-01T07:15:00Z'),
+      end: Date.parse('2025-12-01T07:16:00Z'),
+    });
+    expect(parseShownDate('2025-12-01', 'UTC')).toEqual({
+      start: Date.parse('2025-12-01T00:00:00Z'),
+      end: Date.parse('2025-12-02T00:00:00Z'),
+    });
+    expect(() => parseShownDate('01/12/2025', 'UTC')).toThrow('Cannot read "01/12/2025" as a date');
+  });
+
+  test('should read an ISO timestamp from a date cell as the instant it names', () => {
+    const start = Date.parse('2025-12-01T07:15:00Z');
+
+    expect(parseShownDate('2025-12-01T08:15:00.000+0100', 'America/New_York')).toEqual({ start, end: start + 1 });
+    expect(parseShownDate('2025-12-01T07:15Z', 'Europe/Berlin')).toEqual({ start, end: start + 1 });
+    expect(() => parseShownDate('2025-12-01T08:15', 'UTC')).toThrow(
+      'Cannot read "2025-12-01T08:15" as a date ' +
+        '(expected YYYY-MM-DD, YYYY-MM-DD HH:mm or an ISO timestamp with an offset)'
+    );
+  });
+});
+
+test.describe('Date Range - Results Outside The Range', () => {
+  test('should find dates outside the range in the browser time zone', () => {
+    const dates = [
+      { key: 'QA-1', value: '2025-12-01 00:30' },
+      { key: 'QA-2', value: '2025-11-30 23:59' },
+      { key: 'QA-3', value: '' },
+    ];
+    const range = { type: 'between', from: '2025-12-01' };
+
+    expect(findDatesOutsideRange(dates, range, { timeZone: 'America/New_York' })).toEqual([
+      { key: 'QA-2', value: '2025-11-30 23:59' },
+      { key: 'QA-3', value: '' },
+    ]);
+  });
+
+  test('should pass a date whose minute overlaps a relative window', () => {
+    // Shown times are rounded down: 11:59 may stand for any time up to 11:59:59
+    const range = { type: 'withinLast', amount: 1, unit: 'minutes' };
+    const dates = [
+      { key: 'QA-1', value: '2025-12-10 11:59' },
+      { key: 'QA-2', value: '2025-12-10 11:58' },
+    ];
+
+    expect(findDatesOutsideRange(dates, range, { timeZone: 'UTC', now: NOW })).toEqual([
+      { key: 'QA-2', value: '2025-12-10 11:58' },
+    ]);
+  });
+
+  test('should treat a due day as the whole day', () => {
+    const range = { type: 'moreThan', amount: 7, unit: 'days' };
+    const dates = [
+      { key: 'QA-3', value: '2025-12-03' },
+      { key: 'QA-7', value: '2025-11-28' },
+      { key: 'QA-1', value: '2025-12-15' },
+    ];
+
+    expect(findDatesOutsideRange(dates, range, { timeZone: 'UTC', now: NOW })).toEqual([
+      { key: 'QA-1', value: '2025-12-15' },
+    ]);
+  });
+});
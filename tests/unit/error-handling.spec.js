@@ -1,12 +1,27 @@
 const { test, expect } = require('@playwright/test');
 const { FiltersPage } = require('../../pages/FiltersPage');
 
+// Results table with a row per status, keyed QA-1, QA-2, ...
+const resultsTable = (statuses) => ({
+  querySelectorAll: (selector) =>
+    selector === 'thead th'
+      ? [{ innerText: 'Key' }, { innerText: 'Status' }]
+      : statuses.map((status, index) => ({
+          cells: [`QA-${index + 1}`, status].map((text) => ({
+            innerText: text,
+            querySelector: () => null,
+            getAttribute: () => null,
+          })),
+        })),
+});
+
 // Mock Playwright page object with configurable behavior
 const createMockPageWithEmptyResults = () => ({
   waitForSelector: async () => {},
   click: async () => {},
   locator: (selector) => ({
     count: async () => 0, // No results
+    evaluate: async (reader) => reader(resultsTable([])),
     nth: (index) => ({
       innerText: async () => '',
     }),
@@ -23,7 +38,9 @@ const createMockPageWithMismatchedStatus = () => ({
   waitForSelector: async () => {},
   click: async () => {},
   locator: (selector) => ({
-    count: async () => 1,
+    // One page of results: no paging controls or counter
+    count: async () => (selector.includes('issue-table.') ? 0 : 1),
+    evaluate: async (reader) => reader(resultsTable(['Blocked'])),
     nth: (index) => ({
       innerText: async () => 'Blocked', // Unexpected status
     }),
@@ -40,7 +57,9 @@ const createMockPageWithValidResults = () => ({
   waitForSelector: async () => {},
   click: async () => {},
   locator: (selector) => ({
-    count: async () => 2,
+    // One page of results: no paging controls or counter
+    count: async () => (selector.includes('issue-table.') ? 0 : 2),
+    evaluate: async (reader) => reader(resultsTable(['Open', 'To Do'])),
     nth: (index) => ({
       innerText: async () => (index === 0 ? 'Open' : 'To Do'),
     }),
@@ -64,12 +83,29 @@ test.describe('FiltersPage - Error Handling - Empty Results', () => {
     ).resolves.not.toThrow();
   });
 
-  test('validateStatusesInResults should return undefined on empty results', async () => {
+  test('validateStatusesInResults should report empty results with a warning', async () => {
     const mockPage = createMockPageWithEmptyResults();
     const filtersPage = new FiltersPage(mockPage);
 
     const result = await filtersPage.validateStatusesInResults(['Open']);
-    expect(result).toBeUndefined();
+    expect(result).toMatchObject({ rowsChecked: 0, violations: [], empty: true, emptyResults: 'warn', passed: true });
+    expect(result.warnings).toEqual([expect.stringContaining('No results to check against Open')]);
+  });
+
+  test('validateStatusesInResults should pass or fail empty results on request', async () => {
+    const mockPage = createMockPageWithEmptyResults();
+    const filtersPage = new FiltersPage(mockPage);
+
+    await expect(filtersPage.validateStatusesInResults(['Open'], { emptyResults: 'pass' })).resolves.toMatchObject({
+      empty: true,
+      warnings: [],
+    });
+    await expect(filtersPage.validateStatusesInResults(['Open'], { emptyResults: 'fail' })).rejects.toThrow(
+      'No results to check against Open (empty results: fail)'
+    );
+    await expect(filtersPage.validateStatusesInResults(['Open'], { emptyResults: 'skip' })).rejects.toThrow(
+      'Unknown empty results policy "skip". Use: pass, warn, fail'
+    );
   });
 });
 
@@ -115,6 +151,15 @@ test.describe('FiltersPage - Error Handling - Valid Results', () => {
       filtersPage.validateStatusesInResults(['Open', 'To Do'])
     ).resolves.not.toThrow();
   });
+
+  test('checkStatusesInResults should report every row without throwing', async () => {
+    const mockPage = createMockPageWithValidResults();
+    const filtersPage = new FiltersPage(mockPage);
+
+    const report = await filtersPage.checkStatusesInResults(['Open']);
+    expect(report).toMatchObject({ expected: ['Open'], rowsChecked: 2, empty: false, passed: false });
+    expect(report.violations).toEqual([{ key: 'QA-2', status: 'To Do' }]);
+  });
 });
 
 test.describe('FiltersPage - Error Handling - selectStatusFilters Missing Element', () => {
@@ -151,6 +196,15 @@ test.describe('FiltersPage - Error Handling - selectStatusFilters Missing Elemen
 });
 
 test.describe('Error Handling - Input Validation Messages', () => {
+  test('validateStatusesInResults should reject statuses outside the whitelist', async () => {
+    const mockPage = createMockPageWithValidResults();
+    const filtersPage = new FiltersPage(mockPage);
+
+    await expect(filtersPage.validateStatusesInResults(['Open', 'Blocked'])).rejects.toThrow(
+      'Invalid status values: Blocked. Allowed statuses: Open, To Do'
+    );
+  });
+
   test('Error messages should be descriptive and actionable', async () => {
     const mockPage = createMockPageWithEmptyResults();
     const filtersPage = new FiltersPage(mockPage);
@@ -0,0 +1,371 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  resolveHarMode,
+  getHarPath,
+  startHarRecording,
+  startHarReplay,
+  readManifest,
+  finishHarRecordings,
+  findStaleRecordings,
+} = require('../../utils/har');
+const { REDACTED, scrubHar } = require('../../utils/har/scrub');
+const { buildRefreshArgs } = require('../../utils/har/cli');
+const { registerSecret, MASK } = require('../../utils/credentials/masking');
+const { EnvironmentProvider } = require('../../utils/credentials');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Minimal HAR with one entry
+ */
+function createHar(request = {}, response = {}) {
+  return {
+    log: {
+      version: '1.2',
+      entries: [
+        {
+          request: {
+            method: 'GET',
+            url: 'https://example.atlassian.net/issues/?jql=project%3DKAN',
+            headers: [],
+            cookies: [],
+            queryString: [],
+            ...request,
+          },
+          response: {
+            status: 200,
+            headers: [],
+            cookies: [],
+            content: { text: '' },
+            ...response,
+          },
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Mock browser context recording route registrations
+ */
+function createMockContext() {
+  const calls = [];
+  return {
+    calls,
+    route: async (pattern, handler) => calls.push({ type: 'route', pattern, handler }),
+    routeFromHAR: async (harPath, options) => calls.push({ type: 'routeFromHAR', harPath, options }),
+  };
+}
+
+/**
+ * Mock route for a request
+ */
+function createMockRoute(method, url) {
+  const route = {
+    aborted: null,
+    request: () => ({ method: () => method, url: () => url }),
+    abort: async (errorCode) => {
+      route.aborted = errorCode;
+    },
+  };
+  return route;
+}
+
+test.describe('HAR - Scrubbing', () => {
+  test('should redact cookies and auth headers', () => {
+    const har = scrubHar(
+      createHar(
+        {
+          headers: [
+            { name: 'Cookie', value: 'cloud.session.token=abc' },
+            { name: 'Authorization', value: 'Basic dXNlcjp0b2tlbg==' },
+            { name: 'Accept', value: 'text/html' },
+          ],
+          cookies: [{ name: 'cloud.session.token', value: 'abc' }],
+        },
+        {
+          headers: [{ name: 'Set-Cookie', value: 'cloud.session.token=def; Path=/' }],
+          cookies: [{ name: 'cloud.session.token', value: 'def' }],
+        }
+      )
+    );
+    const { request, response } = har.log.entries[0];
+
+    expect(request.headers).toEqual([
+      { name: 'Cookie', value: REDACTED },
+      { name: 'Authorization', value: REDACTED },
+      { name: 'Accept', value: 'text/html' },
+    ]);
+    expect(request.cookies).toEqual([]);
+    expect(response.headers[0].value).toBe(REDACTED);
+    expect(response.cookies).toEqual([]);
+  });
+
+  test('should redact token-like query parameters but keep the rest', () => {
+    const har = scrubHar(
+      createHar({
+        url: 'https://example.atlassian.net/login/sso/callback?ticket=t-123&continue=%2Fjira',
+        queryString: [
+          { name: 'ticket', value: 't-123' },
+          { name: 'continue', value: '/jira' },
+        ],
+      })
+    );
+    const { request } = har.log.entries[0];
+
+    expect(request.url).toBe(
+      `https://example.atlassian.net/login/sso/callback?ticket=${REDACTED}&continue=%2Fjira`
+    );
+    expect(request.queryString).toEqual([
+      { name: 'ticket', value: REDACTED },
+      { name: 'continue', value: '/jira' },
+    ]);
+  });
+
+  test('should redact form and JSON request bodies', () => {
+    const form = scrubHar(
+      createHar({
+        method: 'POST',
+        postData: {
+          mimeType: 'application/x-www-form-urlencoded',
+          text: 'username=user%40example.com&password=hunter22',
+          params: [
+            { name: 'username', value: 'user@example.com' },
+            { name: 'password', value: 'hunter22' },
+          ],
+        },
+      })
+    );
+    const json = scrubHar(
+      createHar({
+        method: 'POST',
+        postData: {
+          mimeType: 'application/json',
+          text: JSON.stringify({ jql: 'project = KAN', auth: { apiToken: 'tok-1', otp: '123456' } }),
+        },
+      })
+    );
+
+    const formData = form.log.entries[0].request.postData;
+    expect(formData.text).toBe(`username=user%40example.com&password=${REDACTED}`);
+    expect(formData.params[1].value).toBe(REDACTED);
+    expect(JSON.parse(json.log.entries[0].request.postData.text)).toEqual({
+      jql: 'project = KAN',
+      auth: { apiToken: REDACTED, otp: REDACTED },
+    });
+  });
+
+  test('should mask registered secrets anywhere, including response bodies', () => {
+    registerSecret('har-secret-value');
+    const har = scrubHar(
+      createHar({}, { content: { text: '<p>Your token is har-secret-value</p>' } })
+    );
+
+    expect(har.log.entries[0].response.content.text).toBe(`<p>Your token is ${MASK}</p>`);
+  });
+
+  test('should keep the password out of a recorded login, even one never read', () => {
+    const password = 'viewer pass@1';
+    new EnvironmentProvider({ JIRA_VIEWER_PASSWORD: password });
+
+    // An identity provider form with an unusual field name, and a page echoing the filled field
+    const har = scrubHar(
+      createHar(
+        {
+          method: 'POST',
+          url: 'https://idp.example.com/login',
+          postData: { mimeType: 'application/x-www-form-urlencoded', text: 'user=qa.viewer&pw=viewer+pass%401' },
+        },
+        { content: { text: `<input name="pw" value="${password}">` } }
+      )
+    );
+
+    const recorded = JSON.stringify(har);
+    expect(recorded).not.toContain(password);
+    expect(recorded).not.toContain('viewer+pass%401');
+    expect(har.log.entries[0].request.postData.text).toBe(`user=qa.viewer&pw=${MASK}`);
+  });
+});
+
+test.describe('HAR - Modes and Paths', () => {
+  test('should default to off and reject unknown modes', () => {
+    expect(resolveHarMode({})).toBe('off');
+    expect(resolveHarMode({ JIRA_HAR_MODE: ' Replay ' })).toBe('replay');
+    expect(() => resolveHarMode({ JIRA_HAR_MODE: 'rewind' })).toThrow(
+      'Unknown JIRA_HAR_MODE "rewind". Allowed: off, record, replay'
+    );
+  });
+
+  test('should put each test in its own HAR file under the spec path', () => {
+    const testInfo = {
+      project: { testDir: '/repo/tests' },
+      file: '/repo/tests/filters/filterWorkflow.spec.js',
+      titlePath: ['filters/filterWorkflow.spec.js', 'Filter Workflow', 'Filter by "Done" status'],
+    };
+
+    expect(getHarPath(testInfo, '/repo/recordings')).toBe(
+      path.join('/repo/recordings', 'filters', 'filterWorkflow', 'filter-workflow-filter-by-done-status.har')
+    );
+  });
+});
+
+test.describe('HAR - Record and Replay', () => {
+  let harDir;
+
+  test.beforeEach(() => {
+    harDir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(harDir, { recursive: true, force: true });
+  });
+
+  test('should record to a temporary file with embedded content', async () => {
+    const context = createMockContext();
+    const harPath = path.join(harDir, 'filters', 'test.har');
+
+    const recordingPath = await startHarRecording(context, harPath);
+
+    expect(recordingPath).toBe(`${harPath}.${process.pid}.recording`);
+    expect(fs.existsSync(path.dirname(harPath))).toBe(true);
+    expect(context.calls).toEqual([
+      {
+        type: 'routeFromHAR',
+        harPath: recordingPath,
+        options: { update: true, updateContent: 'embed', updateMode: 'full' },
+      },
+    ]);
+  });
+
+  test('should replay from the HAR and collect unmatched requests', async () => {
+    const context = createMockContext();
+    const harPath = path.join(harDir, 'test.har');
+    fs.writeFileSync(harPath, JSON.stringify(createHar()));
+
+    const unmatched = await startHarReplay(context, harPath);
+
+    // The catch-all is registered first so routeFromHAR is tried before it
+    expect(context.calls.map((call) => call.type)).toEqual(['route', 'routeFromHAR']);
+    expect(context.calls[1].options).toEqual({ notFound: 'fallback' });
+
+    const route = createMockRoute('GET', 'https://example.atlassian.net/rest/api/3/search');
+    await context.calls[0].handler(route);
+    expect(route.aborted).toBe('internetdisconnected');
+    expect(unmatched).toEqual(['GET https://example.atlassian.net/rest/api/3/search']);
+  });
+
+  test('should refuse to replay a missing recording', async () => {
+    await expect(startHarReplay(createMockContext(), path.join(harDir, 'missing.har'))).rejects.toThrow(
+      'No HAR recording at'
+    );
+  });
+
+  test('should keep passing recordings scrubbed and discard failed ones', async () => {
+    const passedHar = path.join(harDir, 'passed.har');
+    const failedHar = path.join(harDir, 'failed.har');
+    fs.writeFileSync(
+      `${passedHar}.recording`,
+      JSON.stringify(createHar({ headers: [{ name: 'Cookie', value: 'session=abc' }] }))
+    );
+    fs.writeFileSync(`${failedHar}.recording`, JSON.stringify(createHar()));
+
+    const kept = await finishHarRecordings(
+      [
+        {
+          harPath: passedHar,
+          recordingPath: `${passedHar}.recording`,
+          spec: 'tests/filters/filterWorkflow.spec.js',
+          title: 'passes',
+          jiraUrl: 'https://example.atlassian.net',
+          passed: true,
+        },
+        {
+          harPath: failedHar,
+          recordingPath: `${failedHar}.recording`,
+          spec: 'tests/filters/filterWorkflow.spec.js',
+          title: 'fails',
+          passed: false,
+        },
+      ],
+      harDir
+    );
+
+    expect(kept).toEqual([passedHar]);
+    expect(fs.existsSync(`${failedHar}.recording`)).toBe(false);
+    expect(fs.existsSync(failedHar)).toBe(false);
+    expect(JSON.parse(fs.readFileSync(passedHar, 'utf-8')).log.entries[0].request.headers).toEqual([
+      { name: 'Cookie', value: REDACTED },
+    ]);
+
+    const manifest = readManifest(harDir);
+    expect(Object.keys(manifest)).toEqual(['passed.har']);
+    expect(manifest['passed.har']).toMatchObject({
+      spec: 'tests/filters/filterWorkflow.spec.js',
+      title: 'passes',
+      jiraUrl: 'https://example.atlassian.net',
+    });
+  });
+});
+
+test.describe('HAR - Stale Recordings', () => {
+  let harDir;
+
+  test.beforeEach(() => {
+    harDir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(harDir, { recursive: true, force: true });
+  });
+
+  test('should flag old, missing and outdated recordings', () => {
+    const now = Date.now();
+    const spec = path.join(harDir, 'changed.spec.js');
+    fs.writeFileSync(spec, '');
+    fs.utimesSync(spec, new Date(now), new Date(now));
+    for (const name of ['fresh.har', 'old.har', 'changed.har']) {
+      fs.writeFileSync(path.join(harDir, name), '{}');
+    }
+    const at = (ms) => new Date(ms).toISOString();
+    fs.writeFileSync(
+      path.join(harDir, 'manifest.json'),
+      JSON.stringify({
+        'fresh.har': { spec: 'missing.spec.js', title: 'fresh', recordedAt: at(now - DAY) },
+        'old.har': { spec: 'missing.spec.js', title: 'old', recordedAt: at(now - 31 * DAY) },
+        'gone.har': { spec: 'missing.spec.js', title: 'gone', recordedAt: at(now - DAY) },
+        'changed.har': { spec, title: 'changed', recordedAt: at(now - DAY) },
+      })
+    );
+
+    const stale = findStaleRecordings({ harDir, maxAgeDays: 30, now });
+
+    expect(stale.map(({ title, reason }) => ({ title, reason }))).toEqual([
+      { title: 'old', reason: 'older than 30 days' },
+      { title: 'gone', reason: 'recording is missing' },
+      { title: 'changed', reason: 'spec changed since recording' },
+    ]);
+  });
+
+  test('should re-run only the stale tests in one browser project', () => {
+    const args = buildRefreshArgs(
+      [
+        { spec: 'tests/filters/filterWorkflow.spec.js', title: 'Filter by "Done" status (x)' },
+        { spec: 'tests/filters/filterWorkflow.spec.js', title: 'Filter by assignee' },
+      ],
+      'chromium'
+    );
+
+    expect(args).toEqual([
+      'playwright',
+      'test',
+      'tests/filters/filterWorkflow.spec.js',
+      '--project',
+      'chromium',
+      '-g',
+      'Filter by "Done" status \\(x\\)|Filter by assignee',
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  BUILT_IN_IDP_ADAPTERS,
+  loadIdpAdapters,
+  findIdpAdapter,
+  isIdentityProviderUrl,
+} = require('../../utils/auth/identityProviders');
+
+const JIRA = 'https://example.atlassian.net';
+
+test.describe('Identity Providers - Adapter Matching', () => {
+  const adapters = loadIdpAdapters();
+
+  test('should match the built-in Okta and Entra ID adapters by host', () => {
+    expect(findIdpAdapter('https://acme.okta.com/oauth2/v1/authorize', adapters).name).toBe('okta');
+    expect(findIdpAdapter('https://acme.oktapreview.com/login', adapters).name).toBe('okta');
+    expect(
+      findIdpAdapter('https://login.microsoftonline.com/tenant/saml2', adapters).name
+    ).toBe('entra-id');
+  });
+
+  test('should return null for unknown hosts', () => {
+    expect(findIdpAdapter('https://sso.example.com/login', adapters)).toBeNull();
+    expect(findIdpAdapter('https://okta.com.evil.example/login', adapters)).toBeNull();
+  });
+
+  test('should load custom adapters ahead of the built-in ones', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idp-'));
+    const adaptersPath = path.join(tempDir, 'adapters.json');
+    fs.writeFileSync(
+      adaptersPath,
+      JSON.stringify([
+        {
+          name: 'corporate-okta',
+          host: 'sso.*.example.com',
+          usernameField: '#user',
+          passwordField: '#pass',
+          submitButton: '#go',
+        },
+      ])
+    );
+
+    try {
+      const loaded = loadIdpAdapters(adaptersPath);
+
+      expect(loaded.map((adapter) => adapter.name)).toEqual([
+        'corporate-okta',
+        ...BUILT_IN_IDP_ADAPTERS.map((adapter) => adapter.name),
+      ]);
+      expect(findIdpAdapter('https://sso.eu.example.com/login', loaded).name).toBe('corporate-okta');
+      expect(findIdpAdapter('https://sso.example.com/login', loaded)).toBeNull();
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should reject adapters missing form fields', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idp-'));
+    const adaptersPath = path.join(tempDir, 'adapters.json');
+    fs.writeFileSync(adaptersPath, JSON.stringify([{ name: 'partial', host: 'sso.example.com' }]));
+
+    try {
+      expect(() => loadIdpAdapters(adaptersPath)).toThrow(
+        'Identity provider adapter "partial" is missing: usernameField, passwordField, submitButton'
+      );
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('Identity Providers - Redirect Detection', () => {
+  test('Jira and Atlassian account pages should not count as an IdP', () => {
+    expect(isIdentityProviderUrl(`${JIRA}/login`, JIRA)).toBe(false);
+    expect(isIdentityProviderUrl('https://id.atlassian.com/login', JIRA)).toBe(false);
+    expect(isIdentityProviderUrl('about:blank', JIRA)).toBe(false);
+  });
+
+  test('other hosts, including another port on the same machine, should count as an IdP', () => {
+    expect(isIdentityProviderUrl('https://acme.okta.com/login', JIRA)).toBe(true);
+    expect(isIdentityProviderUrl('http://127.0.0.1:4011/authorize', 'http://127.0.0.1:4010')).toBe(true);
+  });
+});
@@ -0,0 +1,759 @@
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const {
+  JiraStandIn,
+  STAND_IN_DEFAULTS,
+  STAND_IN_ROLE_USERS,
+  STAND_IN_WORKFLOW,
+  SESSION_COOKIE,
+  loadIssues,
+  getSelectedStatuses,
+  checkJql,
+  searchIssues,
+} = require('../../mock-server/jiraStandIn');
+const { FakeIdentityProvider } = require('../../mock-server/fakeIdentityProvider');
+const { SavedFilterStore } = require('../../mock-server/savedFilters');
+const { generateTotp } = require('../../utils/auth/totp');
+
+const login = (baseUrl, username, password) =>
+  fetch(`${baseUrl}/login`, {
+    method: 'POST',
+    redirect: 'manual',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ username, password }).toString(),
+  });
+
+test.describe('JiraStandIn - Fixture Loading', () => {
+  test('default fixture should contain issues for every allowed status', () => {
+    const { ALLOWED_STATUSES } = require('../../utils/constants');
+    const statuses = loadIssues().map((issue) => issue.status);
+
+    ALLOWED_STATUSES.forEach((status) => {
+      expect(statuses).toContain(status);
+    });
+  });
+});
+
+test.describe('JiraStandIn - JQL Status Extraction', () => {
+  test('should read equality clauses joined with OR', () => {
+    expect(getSelectedStatuses('status = "To Do" OR status = Open')).toEqual(['To Do', 'Open']);
+  });
+
+  test('should read status in (...) lists', () => {
+    expect(getSelectedStatuses('status in (Done, "Closed") ORDER BY created DESC')).toEqual(['Done', 'Closed']);
+  });
+
+  test('should return empty array when no status clause exists', () => {
+    expect(getSelectedStatuses('project = QA')).toEqual([]);
+  });
+
+  test('should select nothing for queries that do not list statuses or do not parse', () => {
+    expect(getSelectedStatuses('status != Done')).toEqual([]);
+    expect(getSelectedStatuses('status in (Done')).toEqual([]);
+    expect(getSelectedStatuses('summary ~ "status = Open"')).toEqual([]);
+  });
+});
+
+test.describe('JiraStandIn - HTTP Behaviour', () => {
+  let standIn;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    standIn = new JiraStandIn();
+    baseUrl = await standIn.start(0);
+  });
+
+  test.afterAll(async () => {
+    await standIn.stop();
+  });
+
+  test('should redirect anonymous requests to the login form', async () => {
+    const response = await fetch(`${baseUrl}/jira/issues`, { redirect: 'manual' });
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location')).toBe('/login?continue=%2Fjira%2Fissues');
+  });
+
+  test('login form should expose the Atlassian field ids', async () => {
+    const html = await (await fetch(`${baseUrl}/login`)).text();
+
+    expect(html).toContain('id="username"');
+    expect(html).toContain('id="password"');
+    expect(html).toContain('id="login-submit"');
+  });
+
+  test('should reject wrong credentials', async () => {
+    const response = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, 'wrong');
+
+    expect(response.status).toBe(401);
+    expect(await response.text()).toContain('Incorrect email address and / or password.');
+  });
+
+  test('should start a session and land under /jira/ for valid credentials', async () => {
+    const response = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, STAND_IN_DEFAULTS.PASSWORD);
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location')).toBe('/jira/your-work');
+    expect(response.headers.get('set-cookie')).toContain(`${SESSION_COOKIE}=`);
+  });
+
+  test('authenticated pages should serve the markup the page objects expect', async () => {
+    const response = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, STAND_IN_DEFAULTS.PASSWORD);
+    const cookie = response.headers.get('set-cookie').split(';')[0];
+    const page = async (path) => (await fetch(`${baseUrl}${path}`, { headers: { cookie } })).text();
+
+    expect(await page('/jira/your-work')).toContain('Your work');
+    expect(await page('/jira/filters')).toContain('Create filter');
+
+    const search = await page('/jira/issues?jql=status%20%3D%20Done');
+    expect(search).toContain('data-testid="status.ui.filter.dropdown"');
+    expect(search).toContain('data-testid="jql.input"');
+    expect(search).toContain('<input type="checkbox" value="Done" checked>');
+    expect(search).toContain('<input type="checkbox" value="Open">');
+  });
+});
+
+test.describe('JiraStandIn - Two-Step Verification', () => {
+  const totpSecret = 'JBSWY3DPEHPK3PXP';
+  let standIn;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    standIn = new JiraStandIn({ totpSecret });
+    baseUrl = await standIn.start(0);
+  });
+
+  test.afterAll(async () => {
+    await standIn.stop();
+  });
+
+  const startVerification = async () => {
+    const response = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, STAND_IN_DEFAULTS.PASSWORD);
+    expect(response.headers.get('location')).toBe('/login/verify');
+    return response.headers.getSetCookie()[0].split(';')[0];
+  };
+
+  const verify = (cookie, fields) =>
+    fetch(`${baseUrl}/login/verify`, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(fields).toString(),
+    });
+
+  test('should reject a wrong verification code inline', async () => {
+    const response = await verify(await startVerification(), { otpCode: '000000' });
+
+    expect(response.status).toBe(401);
+    expect(await response.text()).toContain('data-testid="otp-error"');
+  });
+
+  test('should trust a remembered device on the next login', async () => {
+    const response = await verify(await startVerification(), {
+      otpCode: generateTotp(totpSecret),
+      rememberDevice: 'on',
+    });
+    expect(response.headers.get('location')).toBe('/jira/your-work');
+
+    const deviceCookie = response.headers
+      .getSetCookie()
+      .find((cookie) => cookie.startsWith('atl.trusted-device='))
+      .split(';')[0];
+    const nextLogin = await fetch(`${baseUrl}/login`, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { cookie: deviceCookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        username: STAND_IN_DEFAULTS.USERNAME,
+        password: STAND_IN_DEFAULTS.PASSWORD,
+      }).toString(),
+    });
+    expect(nextLogin.headers.get('location')).toBe('/jira/your-work');
+  });
+});
+
+test.describe('JiraStandIn - Single Sign-On', () => {
+  let identityProvider;
+  let standIn;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    standIn = new JiraStandIn();
+    identityProvider = new FakeIdentityProvider({ users: standIn.users });
+    standIn.identityProvider = identityProvider;
+    await identityProvider.start(0);
+    baseUrl = await standIn.start(0);
+  });
+
+  test.afterAll(async () => {
+    await standIn.stop();
+    await identityProvider.stop();
+  });
+
+  const signInAtIdp = (location, password) => {
+    const authorize = new URL(location);
+    return fetch(`${identityProvider.url}/authorize`, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        return_to: authorize.searchParams.get('return_to'),
+        username: STAND_IN_DEFAULTS.USERNAME,
+        password,
+      }).toString(),
+    });
+  };
+
+  test('login should follow the IdP redirect chain back into Jira', async () => {
+    const emailStep = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, '');
+    const idpLocation = emailStep.headers.get('location');
+    expect(idpLocation.startsWith(`${identityProvider.url}/authorize?`)).toBe(true);
+
+    const idpForm = await (await fetch(idpLocation)).text();
+    expect(idpForm).toContain('id="idp-username"');
+    expect(idpForm).toContain('id="idp-password"');
+
+    const idpResponse = await signInAtIdp(idpLocation, STAND_IN_DEFAULTS.PASSWORD);
+    const callback = idpResponse.headers.get('location');
+    expect(callback.startsWith(`${baseUrl}/login/sso/callback?`)).toBe(true);
+
+    const landing = await fetch(callback, { redirect: 'manual' });
+    expect(landing.headers.get('location')).toBe('/jira/your-work');
+    expect(landing.headers.get('set-cookie')).toContain(`${SESSION_COOKIE}=`);
+
+    // Tickets are single use
+    expect((await fetch(callback, { redirect: 'manual' })).status).toBe(403);
+  });
+
+  test('IdP should reject wrong passwords inline', async () => {
+    const emailStep = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, '');
+    const response = await signInAtIdp(emailStep.headers.get('location'), 'wrong');
+
+    expect(response.status).toBe(401);
+    expect(await response.text()).toContain('data-testid="idp-error"');
+  });
+
+  test('bundled adapter file should describe the fake IdP form', async () => {
+    const [adapter] = require('../../mock-server/fixtures/idp-adapters.json');
+    const html = await (await fetch(identityProvider.authorizeUrl(`${baseUrl}/login/sso/callback`))).text();
+
+    [adapter.usernameField, adapter.nextButton, adapter.passwordField, adapter.submitButton].forEach(
+      (selector) => expect(html).toContain(`id="${selector.slice(1)}"`)
+    );
+  });
+});
+
+test.describe('JiraStandIn - Login Failures', () => {
+  let standIn;
+  let baseUrl;
+
+  test.beforeEach(async () => {
+    standIn = new JiraStandIn({ captchaAfterFailures: 2, lockAfterFailures: 3 });
+    baseUrl = await standIn.start(0);
+  });
+
+  test.afterEach(async () => {
+    await standIn.stop();
+  });
+
+  test('unknown emails should be sent to the sign-up page', async () => {
+    const response = await login(baseUrl, 'nobody@example.com', 'whatever');
+
+    expect(response.headers.get('location')).toBe('/signup?email=nobody%40example.com');
+    expect(await (await fetch(`${baseUrl}/signup`)).text()).toContain('Sign up to continue');
+  });
+
+  test('repeated failures should show a CAPTCHA and then lock the account', async () => {
+    await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, 'wrong');
+    await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, 'wrong');
+
+    const captcha = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, STAND_IN_DEFAULTS.PASSWORD);
+    expect(await captcha.text()).toContain('data-testid="captcha"');
+
+    const locked = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, STAND_IN_DEFAULTS.PASSWORD);
+    expect(locked.status).toBe(403);
+    expect(await locked.text()).toContain('Your account has been locked');
+  });
+});
+
+test.describe('JiraStandIn - REST API', () => {
+  let standIn;
+  let baseUrl;
+  const headers = {
+    Authorization: `Basic ${Buffer.from(`${STAND_IN_DEFAULTS.USERNAME}:${STAND_IN_DEFAULTS.API_TOKEN}`).toString('base64')}`,
+    'Content-Type': 'application/json',
+  };
+
+  test.beforeEach(async () => {
+    standIn = new JiraStandIn();
+    baseUrl = await standIn.start(0);
+  });
+
+  test.afterEach(async () => {
+    await standIn.stop();
+  });
+
+  test('should require a session or API token', async () => {
+    const response = await fetch(`${baseUrl}/rest/api/3/issue/QA-1`);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should answer a malformed body with 400', async () => {
+    const response = await fetch(`${baseUrl}/rest/api/3/issue`, { method: 'POST', headers, body: '{"fields": ' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errorMessages[0]).toContain('The request body is not valid JSON');
+  });
+
+  test('should exit with an error when its port is taken', async () => {
+    const port = new URL(baseUrl).port;
+    const result = spawnSync(process.execPath, [path.join(__dirname, '../../mock-server/jiraStandIn.js')], {
+      env: { ...process.env, JIRA_STAND_IN_PORT: port, JIRA_STAND_IN_SSO: '' },
+      encoding: 'utf8',
+      timeout: 10000,
+    });
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('Jira stand-in could not start');
+    expect(result.stderr).toContain('EADDRINUSE');
+  });
+
+  test('should only offer the workflow transitions of the current status', async () => {
+    const transitions = await (await fetch(`${baseUrl}/rest/api/3/issue/QA-4/transitions`, { headers })).json();
+    expect(transitions.transitions.map((t) => t.to.name)).toEqual(['To Do']);
+
+    const closedId = String(11 + Object.keys(STAND_IN_WORKFLOW).indexOf('Closed'));
+    const rejected = await fetch(`${baseUrl}/rest/api/3/issue/QA-4/transitions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ transition: { id: closedId } }),
+    });
+    expect(rejected.status).toBe(400);
+  });
+
+  test('should reject issues for unknown projects', async () => {
+    const response = await fetch(`${baseUrl}/rest/api/3/issue`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ fields: { project: { key: 'NOPE' }, issuetype: { name: 'Bug' }, summary: 'x' } }),
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should count the issues a query matches', async () => {
+    const count = (jql) =>
+      fetch(`${baseUrl}/rest/api/3/search/approximate-count`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ jql }),
+      });
+
+    expect(await (await count('status = Done')).json()).toEqual({
+      count: standIn.issues.filter((issue) => issue.status === 'Done').length,
+    });
+    expect((await count('status = ')).status).toBe(400);
+  });
+
+  test('should list every workflow status with its category', async () => {
+    const statuses = await (await fetch(`${baseUrl}/rest/api/3/status`, { headers })).json();
+    const byName = Object.fromEntries(statuses.map((status) => [status.name, status.statusCategory]));
+
+    expect(Object.keys(byName)).toEqual(Object.keys(STAND_IN_WORKFLOW));
+    expect(byName['In Review']).toEqual({ key: 'indeterminate', name: 'In Progress' });
+    expect(byName["Won't Do"]).toEqual({ key: 'done', name: 'Done' });
+
+    const issue = await (await fetch(`${baseUrl}/rest/api/3/issue/QA-4`, { headers })).json();
+    expect(issue.fields.status.statusCategory.key).toBe('done');
+    expect(issue.fields.resolution).toEqual({ name: 'Done' });
+
+    const open = await (await fetch(`${baseUrl}/rest/api/3/issue/QA-1`, { headers })).json();
+    expect(open.fields.resolution).toBeNull();
+  });
+
+  test('should reject JQL it cannot run with Jira-style messages', async () => {
+    const response = await fetch(`${baseUrl}/rest/api/3/search/jql`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ jql: 'stauts = Open' }),
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).errorMessages).toEqual([
+      "Field 'stauts' does not exist or you do not have permission to view it.",
+    ]);
+  });
+});
+
+test.describe('JiraStandIn - JQL Search', () => {
+  const issues = loadIssues();
+  const keys = (jql) => searchIssues(issues, checkJql(jql).query).map((issue) => issue.key);
+
+  test('should run operators basic mode cannot express', () => {
+    expect(keys('status not in (Done, Closed) AND priority = High')).toEqual(['QA-1', 'QA-3']);
+    expect(keys('NOT status = Open AND summary ~ "filter"')).toEqual(['QA-2', 'QA-6', 'QA-7', 'QA-8']);
+    expect(keys('created >= "2025-12-01" AND labels is EMPTY')).toEqual(['QA-6', 'QA-8']);
+  });
+
+  test('should order results by the ORDER BY keys', () => {
+    expect(keys('status = Done ORDER BY key DESC')).toEqual(['QA-7', 'QA-4']);
+    expect(keys('type = Bug ORDER BY created DESC')).toEqual(['QA-6', 'QA-3', 'QA-1']);
+  });
+
+  test('should order statuses by workflow, priorities by rank and keys by number', () => {
+    expect(keys('ORDER BY status ASC, key ASC')).toEqual([
+      'QA-2',
+      'QA-6',
+      'QA-1',
+      'QA-3',
+      'QA-8',
+      'QA-4',
+      'QA-7',
+      'QA-5',
+    ]);
+    expect(keys('status = Done OR priority = Low ORDER BY priority DESC, key DESC')).toEqual(['QA-7', 'QA-8', 'QA-4']);
+    expect(keys('type = Task ORDER BY duedate ASC, key ASC')).toEqual(['QA-4', 'QA-5', 'QA-8']);
+
+    const numbered = [9, 10, 2].map((number) => ({ ...issues[0], key: `QA-${number}` }));
+    expect(searchIssues(numbered, checkJql('ORDER BY key').query).map((issue) => issue.key)).toEqual([
+      'QA-2',
+      'QA-9',
+      'QA-10',
+    ]);
+  });
+
+  test('should report unknown fields, syntax errors and unsupported features', () => {
+    expect(checkJql('stauts = Open ORDER BY stauts').errors).toEqual([
+      "Field 'stauts' does not exist or you do not have permission to view it.",
+    ]);
+    expect(checkJql('(status = Open').errors).toEqual([
+      'Error in the JQL Query: Expected ")" at position 14: (status = Open',
+    ]);
+    expect(checkJql('assignee = currentUser()').errors[0]).toContain("function 'currentUser'");
+    expect(checkJql('status was Open').errors[0]).toContain("operator 'was'");
+    expect(checkJql('created > yesterday').errors[0]).toContain("Date value 'yesterday'");
+  });
+
+  test('should show results or inline errors on the search page', async () => {
+    const standIn = new JiraStandIn();
+    const baseUrl = await standIn.start(0);
+    try {
+      const response = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, STAND_IN_DEFAULTS.PASSWORD);
+      const cookie = response.headers.get('set-cookie').split(';')[0];
+      const search = async (jql) =>
+        (await fetch(`${baseUrl}/jira/issues?mode=advanced&jql=${encodeURIComponent(jql)}`, { headers: { cookie } })).text();
+
+      const results = await search('status = Done ORDER BY key DESC');
+      expect(results).toContain('<script id="advanced-results" type="application/json">["QA-7","QA-4"]</script>');
+      expect(results).toContain('value="status = Done ORDER BY key DESC"');
+      expect(results).toContain(
+        '<th data-testid="issue-table.column.key" data-sort-field="key" aria-sort="descending">' +
+          '<button type="button">Key</button></th>'
+      );
+      expect(results).toContain('data-sort-field="summary" aria-sort="none"');
+      expect(results).not.toContain('data-testid="jql.error"');
+
+      const errors = await search('stauts = Open');
+      expect(errors).toContain(
+        '<li data-testid="jql.error">Field &#39;stauts&#39; does not exist or you do not have permission to view it.</li>'
+      );
+    } finally {
+      await standIn.stop();
+    }
+  });
+});
+
+test.describe('JiraStandIn - Basic Search Criteria', () => {
+  test('should offer each criterion the values found on the seeded issues', () => {
+    const criteria = new JiraStandIn().getFilterCriteria('status in (Open, Done)');
+    const byField = Object.fromEntries(criteria.map((criterion) => [criterion.field, criterion]));
+
+    expect(criteria.map((criterion) => criterion.field)).toEqual([
+      'project',
+      'type',
+      'status',
+      'assignee',
+      'reporter',
+      'priority',
+      'labels',
+      'team',
+      'created',
+      'updated',
+      'due',
+    ]);
+    expect(byField.type.options).toEqual(['Bug', 'Story', 'Task']);
+    expect(byField.status.selected).toEqual(['Open', 'Done']);
+    expect(byField.labels.options).toEqual(['mobile', 'ui', 'export', 'search', 'docs']);
+    expect(byField.labels.issueValues['QA-3']).toEqual(['search', 'ui']);
+    expect(criteria.filter((criterion) => criterion.more).map((criterion) => criterion.label)).toEqual([
+      'Reporter',
+      'Priority',
+      'Labels',
+      'Team',
+      'Created',
+      'Updated',
+      'Due',
+    ]);
+    expect(byField.due.date).toBe(true);
+    expect(byField.due.issueValues['QA-3']).toEqual(['2025-12-05']);
+  });
+
+  test('should search date criteria by day or relative to now', () => {
+    const issues = loadIssues();
+    const keys = (jql) => searchIssues(issues, checkJql(jql).query).map((issue) => issue.key);
+
+    expect(keys('due < "2025-12-10"')).toEqual(['QA-3', 'QA-7']);
+    expect(keys('duedate is EMPTY')).toEqual(['QA-4', 'QA-5', 'QA-8']);
+    // The seeded issues were all created well over a week ago
+    expect(keys('created >= -7d')).toEqual([]);
+    expect(keys('created <= -1w')).toHaveLength(issues.length);
+    expect(checkJql('created > -2x').errors).toEqual(["Date value '-2x' for field 'created' is invalid."]);
+  });
+
+  test('should search the custom field the "More +" menu offers', () => {
+    const issues = loadIssues();
+
+    expect(searchIssues(issues, checkJql('Team = "Web" AND type = Bug').query).map((issue) => issue.key)).toEqual([
+      'QA-1',
+      'QA-3',
+      'QA-6',
+    ]);
+  });
+
+  test('should render a pill per criterion and hide "More +" ones until added', async () => {
+    const standIn = new JiraStandIn();
+    const baseUrl = await standIn.start(0);
+    try {
+      const response = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, STAND_IN_DEFAULTS.PASSWORD);
+      const cookie = response.headers.get('set-cookie').split(';')[0];
+      const html = await (await fetch(`${baseUrl}/jira/issues`, { headers: { cookie } })).text();
+
+      expect(html).toContain('<div data-testid="type.ui.filter">');
+      expect(html).toContain('<div data-testid="team.ui.filter" hidden>');
+      expect(html).toContain('<div data-testid="priority.ui.filter.options" role="listbox" hidden>');
+      expect(html).toContain('<input type="checkbox" value="Team" data-field="team">');
+      expect(html).toContain('data-testid="more.ui.filter.dropdown">More +</button>');
+      // Like Jira, the "More +" listbox is only added to the page when opened
+      expect(html).toMatch(/<template id="more-options">\s*<div data-testid="more.ui.filter.options" role="listbox">/);
+      expect(html.replace(/<template[\s\S]*?<\/template>|<script>[\s\S]*?<\/script>/g, '')).not.toContain(
+        'data-testid="more.ui.filter.options"'
+      );
+      expect(html).toContain('<div data-testid="created.ui.filter.options" role="dialog" aria-label="Created" hidden>');
+      expect(html).toContain('data-testid="created.between.from"');
+      expect(html).toContain(
+        '<th data-testid="issue-table.column.type" data-sort-field="issuetype" aria-sort="none">' +
+          '<button type="button">Type</button></th>'
+      );
+      expect(html).toContain(
+        'data-testid="issue-table.column.created" data-sort-field="created" aria-sort="descending"'
+      );
+      expect(html).toContain('<th>Resolution</th></tr></thead>');
+      expect(html).toContain('"orders":{"key":["QA-1","QA-2","QA-3","QA-4","QA-5","QA-6","QA-7","QA-8"]');
+      expect(html).toContain('<table data-testid="issue-table" data-page-size="50">');
+      expect(html).toContain('<span data-testid="issue-table.count"></span>');
+      expect(html).toContain('data-testid="issue-table.pagination.next">Next</button>');
+    } finally {
+      await standIn.stop();
+    }
+  });
+});
+
+test.describe('JiraStandIn - Saved Filters', () => {
+  let standIn;
+  let baseUrl;
+  let cookie;
+
+  const post = (path, fields) =>
+    fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(fields).toString(),
+    });
+  const page = async (path) => (await fetch(`${baseUrl}${path}`, { headers: { cookie } })).text();
+  const restFilter = (id, method = 'GET') => fetch(`${baseUrl}/rest/api/3/filter/${id}`, { method, headers: { cookie } });
+
+  test.beforeEach(async () => {
+    standIn = new JiraStandIn();
+    baseUrl = await standIn.start(0);
+    const response = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, STAND_IN_DEFAULTS.PASSWORD);
+    cookie = response.headers.get('set-cookie').split(';')[0];
+  });
+
+  test.afterEach(async () => {
+    await standIn.stop();
+  });
+
+  test('should save the current search and open it by id', async () => {
+    const response = await post('/jira/filters', { name: 'Open bugs', description: 'Triage', jql: 'type = Bug' });
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location')).toBe('/jira/issues?filter=10000');
+    const html = await page('/jira/issues?filter=10000');
+    expect(html).toContain('<h1 data-testid="filter.title">Open bugs</h1>');
+    expect(html).toContain('value="type = Bug"');
+    expect(html).toContain('data-testid="filter.star" aria-pressed="true"');
+    expect(html).toContain('["QA-1","QA-3","QA-6"]');
+  });
+
+  test('should refuse a missing or duplicate name with an inline error', async () => {
+    await post('/jira/filters', { name: 'Mine', jql: '' });
+
+    const duplicate = await post('/jira/filters', { name: 'mine', jql: 'status = Done' });
+    expect(duplicate.status).toBe(400);
+    expect(await duplicate.text()).toContain('data-testid="filter.save-error">Filter with same name already exists.</p>');
+
+    const unnamed = await post('/jira/filters', { name: ' ', jql: '' });
+    expect(await unnamed.text()).toContain('You must specify a name for this filter.');
+  });
+
+  test('should edit, share, star and delete a filter', async () => {
+    await post('/jira/filters', { name: 'Mine', jql: 'status = Open' });
+
+    await post('/jira/filters/10000/details', { name: 'Renamed', description: 'Now shared' });
+    await post('/jira/filters/10000/jql', { jql: 'status = Done' });
+    await post('/jira/filters/10000/share', { role: 'viewers', type: 'project', value: 'QA' });
+    await post('/jira/filters/10000/share', { role: 'viewers', type: 'organization' });
+    await post('/jira/filters/10000/share', { role: 'editors', type: 'group', value: 'qa-leads' });
+    await post('/jira/filters/10000/unshare', { role: 'viewers', index: '0' });
+    await post('/jira/filters/10000/unstar', {});
+
+    expect(await (await restFilter(10000)).json()).toEqual({
+      id: '10000',
+      name: 'Renamed',
+      description: 'Now shared',
+      jql: 'status = Done',
+      owner: { emailAddress: STAND_IN_DEFAULTS.USERNAME },
+      favourite: false,
+      sharePermissions: [{ type: 'loggedin' }],
+      editPermissions: [{ type: 'group', group: { name: 'qa-leads' } }],
+    });
+
+    const rejected = await post('/jira/filters/10000/share', { role: 'viewers', type: 'group', value: '' });
+    expect(rejected.status).toBe(400);
+    expect(await rejected.text()).toContain('Sharing with a group needs a group name');
+
+    const deleted = await post('/jira/filters/10000/delete', {});
+    expect(deleted.headers.get('location')).toBe('/jira/filters');
+    expect(await page('/jira/issues?filter=10000')).toContain("The requested filter doesn't exist or is private.");
+    expect((await restFilter(10000)).status).toBe(404);
+  });
+
+  test('should offer "Save filter" only while the search differs from the saved JQL', async () => {
+    await post('/jira/filters', { name: 'Mine', jql: 'status = Open' });
+
+    expect(await page('/jira/issues?filter=10000')).not.toContain('data-testid="filter.save"');
+    expect(await page('/jira/issues?filter=10000&jql=status%20%3D%20Done')).toContain('data-testid="filter.save"');
+  });
+
+  test('should delete filters through the REST API', async () => {
+    await post('/jira/filters', { name: 'Mine', jql: '' });
+
+    expect((await restFilter(10000, 'DELETE')).status).toBe(204);
+    expect(standIn.savedFilters.list()).toEqual([]);
+  });
+
+  test('should let only editors change a filter and only its owner delete it', async () => {
+    await post('/jira/filters', { name: 'Mine', jql: 'status = Open' });
+    await post('/jira/filters', { name: 'Private', jql: '' });
+    await post('/jira/filters/10000/share', { role: 'viewers', type: 'organization' });
+    const { username, password } = STAND_IN_ROLE_USERS.viewer;
+    cookie = (await login(baseUrl, username, password)).headers.get('set-cookie').split(';')[0];
+
+    const edit = await post('/jira/filters/10000/jql', { jql: 'status = Done' });
+    expect(edit.status).toBe(403);
+    expect(await edit.text()).toContain('You do not have permission to edit this filter.');
+    expect((await post('/jira/filters/10000/star', {})).status).toBe(302);
+    expect((await post('/jira/filters/10001/details', { name: 'Mine now' })).status).toBe(404);
+    expect((await restFilter(10001)).status).toBe(404);
+
+    standIn.savedFilters.share(standIn.savedFilters.get('10000'), 'editors', { type: 'user', value: username });
+    expect((await post('/jira/filters/10000/jql', { jql: 'status = Done' })).status).toBe(302);
+    expect((await post('/jira/filters/10000/delete', {})).status).toBe(403);
+    expect((await restFilter(10000, 'DELETE')).status).toBe(403);
+    expect(standIn.savedFilters.get('10000')).toMatchObject({ name: 'Mine', jql: 'status = Done' });
+  });
+});
+
+test.describe('JiraStandIn - Filter Directory', () => {
+  const ME = 'me@example.com';
+  const OTHER = 'other@example.com';
+
+  // Three filters: two of mine (one shared with a project), one of someone else's shared with a group
+  const createStore = () => {
+    const store = new SavedFilterStore();
+    const bugs = store.create({ name: 'Open bugs', jql: 'type = Bug', owner: ME });
+    const done = store.create({ name: 'Done this week', jql: 'status = Done', owner: ME });
+    const theirs = store.create({ name: 'Team backlog', jql: 'project = QA', owner: OTHER });
+    const hidden = store.create({ name: 'Private notes', jql: '', owner: OTHER });
+    store.share(done, 'viewers', { type: 'project', value: 'QA' });
+    store.share(theirs, 'viewers', { type: 'group', value: 'qa-team' });
+    store.share(hidden, 'viewers', { type: 'user', value: 'someone@example.com' });
+    store.setStarred(bugs, ME, false);
+    store.setStarred(theirs, ME, true);
+    return store;
+  };
+  const names = (filters) => filters.map((filter) => filter.name);
+
+  test('should list own filters and those shared with the viewer', () => {
+    const store = createStore();
+
+    expect(names(store.search(ME))).toEqual(['Done this week', 'Open bugs', 'Team backlog']);
+    expect(names(store.search(ME, { tab: 'my' }))).toEqual(['Done this week', 'Open bugs']);
+    expect(names(store.search(ME, { tab: 'starred' }))).toEqual(['Done this week', 'Team backlog']);
+  });
+
+  test('should search by name, owner, project and group', () => {
+    const store = createStore();
+
+    expect(names(store.search(ME, { name: 'BUG' }))).toEqual(['Open bugs']);
+    expect(names(store.search(ME, { owner: 'other@' }))).toEqual(['Team backlog']);
+    expect(names(store.search(ME, { project: 'qa' }))).toEqual(['Done this week']);
+    expect(names(store.search(ME, { group: 'qa-team', tab: 'my' }))).toEqual([]);
+  });
+
+  test('should sort by any column, breaking ties by id', () => {
+    const store = createStore();
+
+    expect(names(store.search(ME, { sortKey: 'name', sortOrder: 'DESC' }))).toEqual([
+      'Team backlog',
+      'Open bugs',
+      'Done this week',
+    ]);
+    expect(names(store.search(ME, { sortKey: 'owner', sortOrder: 'DESC' }))).toEqual([
+      'Team backlog',
+      'Done this week',
+      'Open bugs',
+    ]);
+    expect(names(store.search(ME, { sortKey: 'favourites' }))).toEqual(['Open bugs', 'Done this week', 'Team backlog']);
+  });
+
+  test('should render the directory with tabs, sort state and one row per filter', async () => {
+    const standIn = new JiraStandIn();
+    const baseUrl = await standIn.start(0);
+    try {
+      const response = await login(baseUrl, STAND_IN_DEFAULTS.USERNAME, STAND_IN_DEFAULTS.PASSWORD);
+      const cookie = response.headers.get('set-cookie').split(';')[0];
+      const mine = standIn.savedFilters.create({ name: 'Open bugs', jql: 'type = Bug', owner: STAND_IN_DEFAULTS.USERNAME });
+      standIn.savedFilters.create({ name: 'Unshared', jql: '', owner: OTHER });
+
+      const html = await (
+        await fetch(`${baseUrl}/jira/filters?tab=my&name=bugs&sortKey=favourites&sortOrder=DESC`, { headers: { cookie } })
+      ).text();
+
+      expect(html).toContain('data-testid="filters.tab.my" aria-selected="true"');
+      expect(html).toContain('data-testid="filters.column.favourites" aria-sort="descending"');
+      expect(html).toContain('data-testid="filters.search.name" value="bugs"');
+      expect(html).toContain(`data-testid="filters.row" data-filter-id="${mine.id}"`);
+      expect(html).toContain('data-testid="filters.row.starred" data-starred="true"');
+      expect(html).not.toContain('Unshared');
+
+      const empty = await (await fetch(`${baseUrl}/jira/filters?name=nothing`, { headers: { cookie } })).text();
+      expect(empty).toContain('data-testid="filters.empty"');
+    } finally {
+      await standIn.stop();
+    }
+  });
+});
@@ -0,0 +1,313 @@
+const { test, expect } = require('@playwright/test');
+const {
+  JqlBuilder,
+  withOrderBy,
+  JqlSyntaxError,
+  parseJql,
+  compareJql,
+  getFieldConstraint,
+  expectedJqlForBasicMode,
+  assertConstrainsExactly,
+  assertOrderBy,
+  jqlMatchers,
+} = require('../../utils/jql');
+const { formatValue } = require('../../utils/jql/JqlBuilder');
+const { OPEN_STATUSES, CLOSED_STATUSES } = require('../../utils/constants');
+
+test.describe('JQL - Builder', () => {
+  test('should write clauses in canonical field order with sorted values', () => {
+    const jql = new JqlBuilder()
+      .assignee('currentUser()')
+      .status(['To Do', 'Open', 'In Progress'])
+      .project('QA')
+      .orderBy('created', 'desc')
+      .toString();
+
+    expect(jql).toBe(
+      'project = QA AND status in ("In Progress", Open, "To Do") AND assignee = currentUser() ORDER BY created DESC'
+    );
+  });
+
+  test('should produce the same JQL whatever order criteria are added in', () => {
+    const a = JqlBuilder.fromCriteria({ status: ['Done', 'Closed'], project: 'QA' }).toString();
+    const b = new JqlBuilder().project('QA').status('Closed').status('Done').status('Closed').toString();
+
+    expect(a).toBe('project = QA AND status in (Closed, Done)');
+    expect(b).toBe(a);
+  });
+
+  test('should resolve field aliases and skip empty criteria', () => {
+    const jql = JqlBuilder.fromCriteria({ type: 'Bug', assignee: [], reporter: undefined }).toString();
+
+    expect(jql).toBe('issuetype = Bug');
+  });
+
+  test('should quote values only when JQL needs it', () => {
+    expect(formatValue('Open')).toBe('Open');
+    expect(formatValue('To Do')).toBe('"To Do"');
+    expect(formatValue('or')).toBe('"or"');
+    expect(formatValue('say "hi"')).toBe('"say \\"hi\\""');
+    expect(formatValue('currentUser()')).toBe('currentUser()');
+    expect(formatValue('EMPTY')).toBe('EMPTY');
+  });
+
+  test('should reject unknown sort directions', () => {
+    expect(() => new JqlBuilder().orderBy('created', 'sideways')).toThrow(
+      'Sort direction must be ASC or DESC, got "sideways"'
+    );
+  });
+
+  test('should replace the ORDER BY of a query as written', () => {
+    expect(withOrderBy('status = Done ORDER BY created DESC', [{ field: 'key', direction: 'ASC' }])).toBe(
+      'status = Done ORDER BY key ASC'
+    );
+    expect(withOrderBy('summary ~ "order by"', [{ field: 'Priority', direction: 'desc' }, { field: 'type' }])).toBe(
+      'summary ~ "order by" ORDER BY priority DESC, issuetype ASC'
+    );
+    expect(withOrderBy('', [{ field: 'status' }])).toBe('ORDER BY status ASC');
+  });
+
+  test('should add the default ordering for basic mode', () => {
+    expect(expectedJqlForBasicMode({ status: CLOSED_STATUSES })).toBe(
+      'status in (Closed, Done) ORDER BY created DESC'
+    );
+    expect(
+      expectedJqlForBasicMode({ status: 'Open', orderBy: { field: 'priority', direction: 'ASC' } })
+    ).toBe('status = Open ORDER BY priority ASC');
+  });
+});
+
+test.describe('JQL - Semantic Comparison', () => {
+  test('should treat OR-ed equality clauses like an in list', () => {
+    const shown = 'status = "Open" OR status = "To Do" OR status = "In Progress" ORDER BY created DESC';
+
+    expect(compareJql(shown, expectedJqlForBasicMode({ status: OPEN_STATUSES }))).toEqual({
+      equal: true,
+      differences: [],
+    });
+  });
+
+  test('should catch JQL that dropped statuses the regex patterns accepted', () => {
+    const shown = 'status = "Open" ORDER BY created DESC';
+
+    expect(compareJql(shown, expectedJqlForBasicMode({ status: OPEN_STATUSES }))).toEqual({
+      equal: false,
+      differences: ['status: missing In Progress, To Do'],
+    });
+  });
+
+  test('should ignore clause order, value order, case and quoting', () => {
+    expect(
+      compareJql(
+        'project = qa AND (status = done OR status = "Closed") AND assignee = currentUser()',
+        'assignee = currentUser() AND status in (Closed, Done) AND project = QA'
+      ).equal
+    ).toBe(true);
+  });
+
+  test('should report unexpected values, clauses and ordering', () => {
+    const { differences } = compareJql(
+      'project = QA AND status in (Done, Open) ORDER BY updated',
+      'status = Done ORDER BY created DESC'
+    );
+
+    expect(differences).toEqual([
+      'status: unexpected Open',
+      'project: unexpected clause (one of {QA})',
+      'ORDER BY: expected created DESC, got updated ASC',
+    ]);
+  });
+
+  test('should compare NOT and negated operators by meaning', () => {
+    expect(compareJql('NOT status not in (Open, "To Do")', 'status in (Open, "To Do")').equal).toBe(true);
+    expect(compareJql('status != Done', 'NOT status = Done').equal).toBe(true);
+    expect(compareJql('status != Done', 'status = Done').differences).toEqual([
+      'status: expected one of {Done}, got anything except {Done}',
+    ]);
+  });
+
+  test('should keep which values go together in OR-ed branches', () => {
+    const branches = '(status = Open AND project = QA) OR (status = Done AND project = XY)';
+
+    expect(compareJql(branches, 'status in (Open, Done) AND project in (QA, XY)')).toEqual({
+      equal: false,
+      differences: [
+        'not comparable field by field (OR across fields): ' +
+          'expected (project one of {QA, XY} AND status one of {Open, Done}), ' +
+          'got ((project one of {QA} AND status one of {Open}) OR (project one of {XY} AND status one of {Done}))',
+      ],
+    });
+    expect(compareJql('(project = xy AND status = done) OR (status = "Open" AND project = QA)', branches).equal).toBe(
+      true
+    );
+  });
+
+  test('should not mistake an OR across fields for missing clauses', () => {
+    expect(compareJql('status = Open OR project = QA', 'status = Open AND project = QA').differences).toEqual([
+      'not comparable field by field (OR across fields): ' +
+        'expected (project one of {QA} AND status one of {Open}), got (project one of {QA} OR status one of {Open})',
+    ]);
+    expect(compareJql('project = QA OR status = Open', 'status = Open OR project = QA').equal).toBe(true);
+  });
+
+  test('should compare operators it cannot reason about by text', () => {
+    expect(compareJql('summary ~ "login"', 'summary ~ LOGIN').equal).toBe(true);
+    expect(compareJql('summary ~ login', 'summary ~ logout').equal).toBe(false);
+  });
+});
+
+test.describe('JQL - Field Constraints', () => {
+  const values = (constraint) => [...constraint.values.values()];
+
+  test('should intersect repeated fields joined with AND', () => {
+    const constraint = getFieldConstraint('status in (Open, Done) AND status in (Done, Closed)', 'status');
+
+    expect(constraint.kind).toBe('only');
+    expect(values(constraint)).toEqual(['Done']);
+  });
+
+  test('should push NOT down to the clauses', () => {
+    const constraint = getFieldConstraint('NOT (status = Open OR status = Done)', 'status');
+
+    expect(constraint.kind).toBe('except');
+    expect(values(constraint)).toEqual(['Open', 'Done']);
+  });
+
+  test('should subtract != from an allowed set', () => {
+    const constraint = getFieldConstraint('status in (Open, Done) AND status != Done', 'status');
+
+    expect(values(constraint)).toEqual(['Open']);
+  });
+
+  test('should work out each field on its own across OR', () => {
+    const jql = '(status = Open AND project = QA) OR status = Done';
+
+    expect(values(getFieldConstraint(jql, 'status'))).toEqual(['Open', 'Done']);
+    expect(getFieldConstraint(jql, 'project').kind).toBe('any');
+    expect(getFieldConstraint('status = Open OR project = QA', 'status').kind).toBe('any');
+  });
+
+  test('should resolve field aliases', () => {
+    expect(values(getFieldConstraint('type = Bug', 'issuetype'))).toEqual(['Bug']);
+  });
+});
+
+test.describe('JQL - Parser', () => {
+  test('should parse clauses, lists, functions and ORDER BY into an AST', () => {
+    const ast = parseJql('project = QA AND status in (Open, "To Do") AND assignee in membersOf("qa team") ORDER BY created DESC, key');
+
+    expect(ast).toEqual({
+      type: 'query',
+      where: {
+        type: 'and',
+        clauses: [
+          { type: 'clause', field: 'project', operator: '=', operand: { type: 'value', value: 'QA', quoted: false } },
+          {
+            type: 'clause',
+            field: 'status',
+            operator: 'in',
+            operand: {
+              type: 'list',
+              values: [
+                { type: 'value', value: 'Open', quoted: false },
+                { type: 'value', value: 'To Do', quoted: true },
+              ],
+            },
+          },
+          {
+            type: 'clause',
+            field: 'assignee',
+            operator: 'in',
+            operand: { type: 'function', name: 'membersOf', args: [{ type: 'value', value: 'qa team', quoted: true }] },
+          },
+        ],
+      },
+      orderBy: [
+        { field: 'created', direction: 'DESC' },
+        { field: 'key', direction: null },
+      ],
+    });
+  });
+
+  test('should bind NOT tighter than AND, and AND tighter than OR', () => {
+    const { where } = parseJql('a = 1 OR NOT b = 2 AND c = 3');
+
+    expect(where.type).toBe('or');
+    expect(where.clauses[1].type).toBe('and');
+    expect(where.clauses[1].clauses[0]).toMatchObject({ type: 'not', clause: { field: 'b' } });
+  });
+
+  test('should parse multi-word operators and EMPTY', () => {
+    const { where } = parseJql('labels is not EMPTY AND status not in (Done) AND status was not in (Closed) AND assignee = currentUser()');
+
+    expect(where.clauses.map((clause) => clause.operator)).toEqual(['is not', 'not in', 'was not in', '=']);
+    expect(where.clauses[0].operand).toEqual({ type: 'empty' });
+    expect(where.clauses[3].operand).toEqual({ type: 'function', name: 'currentUser', args: [] });
+  });
+
+  test('should accept a query with only ORDER BY', () => {
+    expect(parseJql('ORDER BY created DESC')).toEqual({
+      type: 'query',
+      where: null,
+      orderBy: [{ field: 'created', direction: 'DESC' }],
+    });
+  });
+
+  test('should report syntax errors with their position', () => {
+    const errorFor = (jql) => {
+      try {
+        parseJql(jql);
+      } catch (error) {
+        return error;
+      }
+      throw new Error(`Expected "${jql}" to fail`);
+    };
+
+    const unterminated = errorFor('status = "Open');
+    expect(unterminated).toBeInstanceOf(JqlSyntaxError);
+    expect(unterminated.position).toBe(9);
+    expect(unterminated.message).toBe('Unterminated string at position 9: status = "Open');
+
+    expect(errorFor('(status = Open').message).toContain('Expected ")" at position 14');
+    expect(errorFor('status like Open').message).toContain('Unknown operator "like" at position 7');
+    expect(errorFor('status is Open').message).toContain('"is" only takes EMPTY or NULL');
+    expect(errorFor('status = Open ORDER created').message).toContain('Expected BY after ORDER');
+    expect(errorFor('status = Open Done').message).toContain('Unexpected "Done" at position 14');
+  });
+});
+
+test.describe('JQL - Assertions', () => {
+  test('should pass when a query constrains a field to exactly the values', () => {
+    expect(() =>
+      assertConstrainsExactly('status = Open OR status = "to do" OR status = "In Progress"', 'status', OPEN_STATUSES)
+    ).not.toThrow();
+  });
+
+  test('should explain what a query allows when the values differ', () => {
+    expect(() => assertConstrainsExactly('status = Open', 'status', OPEN_STATUSES)).toThrow(
+      'Expected status to be limited to exactly {Open, To Do, In Progress}, query allows one of {Open}: status = Open'
+    );
+    expect(() => assertConstrainsExactly('project = QA', 'status', ['Open'])).toThrow('query allows any value');
+  });
+
+  test('should check ORDER BY with ASC as the default direction', () => {
+    expect(() => assertOrderBy('status = Open ORDER BY key', [{ field: 'key', direction: 'ASC' }])).not.toThrow();
+    expect(() => assertOrderBy('status = Open', [{ field: 'created', direction: 'DESC' }])).toThrow(
+      'Expected ORDER BY created DESC, query orders by (none)'
+    );
+  });
+
+  test('should work as expect matchers, including .not', () => {
+    const jqlExpect = expect.extend(jqlMatchers);
+    const jql = 'status in (Closed, Done) ORDER BY created DESC';
+
+    jqlExpect(jql).toConstrainExactly('status', CLOSED_STATUSES);
+    jqlExpect(jql).not.toConstrainExactly('status', ['Done']);
+    jqlExpect(jql).toHaveJqlOrderBy([{ field: 'created', direction: 'DESC' }]);
+    jqlExpect(jql).toBeEquivalentJql(expectedJqlForBasicMode({ status: CLOSED_STATUSES }));
+    jqlExpect(jql).not.toBeEquivalentJql('status = Done ORDER BY created DESC');
+    expect(() => jqlExpect('status = Done').toBeEquivalentJql('status in (Closed, Done)')).toThrow(
+      'status: missing Closed'
+    );
+  });
+});
@@ -0,0 +1,74 @@
+const { test, expect } = require('@playwright/test');
+const { classifyLoginFailure } = require('../../utils/auth/loginDiagnostics');
+const {
+  LoginFailedError,
+  WrongPasswordError,
+  UnknownAccountError,
+  AccountLockedError,
+  CaptchaChallengeError,
+  UnexpectedLoginPageError,
+} = require('../../utils/auth/errors');
+
+const LOGIN_URL = 'https://id.atlassian.com/login';
+
+test.describe('Login Diagnostics - Classification', () => {
+  test('should recognise a rejected password', () => {
+    expect(
+      classifyLoginFailure({ url: LOGIN_URL, pageMessage: 'Incorrect email address and / or password.' })
+    ).toBe(WrongPasswordError);
+  });
+
+  test('should recognise an unknown account by the sign-up page or message', () => {
+    expect(classifyLoginFailure({ url: 'https://id.atlassian.com/signup?email=x' })).toBe(
+      UnknownAccountError
+    );
+    expect(
+      classifyLoginFailure({ url: LOGIN_URL, pageMessage: "We couldn't find an account with that email." })
+    ).toBe(UnknownAccountError);
+  });
+
+  test('should recognise a locked account', () => {
+    expect(
+      classifyLoginFailure({
+        url: LOGIN_URL,
+        pageMessage: 'Your account has been locked after too many failed login attempts.',
+      })
+    ).toBe(AccountLockedError);
+  });
+
+  test('a CAPTCHA should win over any error text next to it', () => {
+    expect(
+      classifyLoginFailure({ url: LOGIN_URL, pageMessage: 'Incorrect password', captchaShown: true })
+    ).toBe(CaptchaChallengeError);
+  });
+
+  test('anything else should be an unexpected page', () => {
+    expect(classifyLoginFailure({ url: 'https://status.atlassian.com/' })).toBe(UnexpectedLoginPageError);
+  });
+});
+
+test.describe('Login Diagnostics - Errors', () => {
+  test('errors should carry the URL, screenshot path and page message', () => {
+    const error = new WrongPasswordError({
+      url: LOGIN_URL,
+      screenshotPath: '/tmp/login-failures/WrongPasswordError.png',
+      pageMessage: 'Incorrect email address and / or password.',
+    });
+
+    expect(error).toBeInstanceOf(LoginFailedError);
+    expect(error.name).toBe('WrongPasswordError');
+    expect(error.url).toBe(LOGIN_URL);
+    expect(error.screenshotPath).toBe('/tmp/login-failures/WrongPasswordError.png');
+    expect(error.message).toContain('Check JIRA_PASSWORD');
+    expect(error.message).toContain(`URL: ${LOGIN_URL}`);
+    expect(error.message).toContain('Screenshot: /tmp/login-failures/WrongPasswordError.png');
+    expect(error.message).toContain('Page says: Incorrect email address and / or password.');
+  });
+
+  test('a missing screenshot should be stated, not hidden', () => {
+    const error = new UnexpectedLoginPageError({ url: LOGIN_URL, screenshotPath: null });
+
+    expect(error.message).toContain('Screenshot: not captured');
+    expect(error.message).not.toContain('Page says');
+  });
+});
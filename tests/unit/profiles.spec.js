@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const {
+  DEFAULT_PROFILE_DIR,
+  validateProfile,
+  loadProfile,
+  mergeProfile,
+  activateProfile,
+} = require('../../utils/profiles');
+const constants = require('../../utils/constants');
+const { FiltersPage } = require('../../pages/FiltersPage');
+
+const DEFAULTS = {
+  OPEN_STATUSES: ['Open'],
+  CLOSED_STATUSES: ['Done'],
+  OPEN_STATUSES_JQL_PATTERN: /status = Open/i,
+  EMPTY_RESULTS_POLICIES: ['pass', 'warn', 'fail'],
+  EMPTY_RESULTS: 'warn',
+  TIMEOUTS: { PAGE_LOAD: 30000, DROPDOWN_OPEN: 10000 },
+  SELECTORS: {},
+};
+
+test.describe('Profiles - Schema', () => {
+  test('should accept a valid profile', () => {
+    expect(
+      validateProfile(
+        {
+          description: 'Acme',
+          OPEN_STATUSES: ['To Do', 'In Review'],
+          OPEN_STATUSES_JQL_PATTERN: 'status = "?In Review"?',
+          STATUS_ORDER: ['To Do', 'In Review', 'Done'],
+          PRIORITY_ORDER: ['P3', 'P2', 'P1'],
+          BASIC_MODE_ORDER_BY: [{ field: 'updated', direction: 'DESC' }],
+          EMPTY_RESULTS: 'fail',
+          TIMEOUTS: { PAGE_LOAD: 60000 },
+          SELECTORS: { FiltersPage: { resultsTable: '#issues' } },
+        },
+        DEFAULTS
+      )
+    ).toEqual([]);
+  });
+
+  test('should report every typo and bad value at once', () => {
+    expect(
+      validateProfile(
+        {
+          OPEN_STATUS: ['To Do'],
+          CLOSED_STATUSES: [],
+          CLOSED_STATUSES_JQL_PATTERN: 'status = (Done',
+          PRIORITY_ORDER: 'High',
+          EMPTY_RESULTS: 'ignore',
+          RESULT_ROW_LIMIT: 0,
+          TIMEOUTS: { PAGE_LAOD: 60000, DROPDOWN_OPEN: '5s' },
+          SELECTORS: { FilterPage: { resultsTable: '#issues' }, FiltersPage: { resultsTable: '' } },
+        },
+        DEFAULTS
+      )
+    ).toEqual([
+      expect.stringContaining('unknown setting "OPEN_STATUS" (known: description, OPEN_STATUSES,'),
+      'CLOSED_STATUSES must be a non-empty list of status names',
+      expect.stringContaining('CLOSED_STATUSES_JQL_PATTERN is not a valid regular expression'),
+      'PRIORITY_ORDER must be a non-empty list of priority names',
+      'EMPTY_RESULTS must be one of: pass, warn, fail',
+      'RESULT_ROW_LIMIT must be a positive whole number of rows',
+      'TIMEOUTS has unknown timeout "PAGE_LAOD" (known: PAGE_LOAD, DROPDOWN_OPEN)',
+      'TIMEOUTS.DROPDOWN_OPEN must be a positive number of ms',
+      expect.stringContaining('SELECTORS has unknown page "FilterPage" (known: '),
+      'SELECTORS.FiltersPage.resultsTable must be a non-empty locator string',
+    ]);
+  });
+
+  test('should validate the profiles in the repository', () => {
+    fs.readdirSync(DEFAULT_PROFILE_DIR).forEach((file) => {
+      expect(() => loadProfile(file.replace(/\.\w+$/, ''), constants)).not.toThrow();
+    });
+  });
+});
+
+test.describe('Profiles - Loading', () => {
+  let dir;
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should read JSON and JS profiles', () => {
+    write('acme.json', JSON.stringify({ TIMEOUTS: { PAGE_LOAD: 60000 } }));
+    write('globex.js', "module.exports = { OPEN_STATUSES_JQL_PATTERN: /status = Backlog/i };");
+
+    expect(loadProfile('acme', DEFAULTS, dir)).toEqual({ TIMEOUTS: { PAGE_LOAD: 60000 } });
+    expect(loadProfile('globex', DEFAULTS, dir).OPEN_STATUSES_JQL_PATTERN.source).toBe('status = Backlog');
+  });
+
+  test('should stop on unknown, unreadable or invalid profiles', () => {
+    write('acme.json', '{ "TIMEOUTS": ');
+    write('globex.json', JSON.stringify({ TIMEOUTS: { PAGE_LAOD: 1 } }));
+
+    expect(() => loadProfile('initech', DEFAULTS, dir)).toThrow(
+      `Unknown profile "initech". Profiles in ${dir}: acme, globex`
+    );
+    expect(() => loadProfile('../acme', DEFAULTS, dir)).toThrow('may only use letters, digits, "_" and "-"');
+    expect(() => loadProfile('acme', DEFAULTS, dir)).toThrow('Cannot read profile "acme"');
+    expect(() => loadProfile('globex', DEFAULTS, dir)).toThrow(
+      `Profile "globex" (${path.join(dir, 'globex.json')}) is invalid:\n- TIMEOUTS has unknown timeout "PAGE_LAOD"`
+    );
+  });
+
+  test('should override only what the profile names', () => {
+    const merged = mergeProfile(DEFAULTS, {
+      description: 'Acme',
+      OPEN_STATUSES: ['To Do', 'In Review'],
+      OPEN_STATUSES_JQL_PATTERN: 'status = "?in review"?',
+      EMPTY_RESULTS: 'fail',
+      TIMEOUTS: { PAGE_LOAD: 60000 },
+    });
+
+    expect(merged.OPEN_STATUSES).toEqual(['To Do', 'In Review']);
+    expect(merged.CLOSED_STATUSES).toEqual(['Done']);
+    expect(merged.OPEN_STATUSES_JQL_PATTERN.test('status = "In Review"')).toBe(true);
+    expect(merged.EMPTY_RESULTS).toBe('fail');
+    expect(merged.TIMEOUTS).toEqual({ PAGE_LOAD: 60000, DROPDOWN_OPEN: 10000 });
+    expect(merged).not.toHaveProperty('description');
+    expect(DEFAULTS.TIMEOUTS.PAGE_LOAD).toBe(30000);
+  });
+
+  test('should switch constants in place and back to the defaults', () => {
+    write('acme.json', JSON.stringify({ OPEN_STATUSES: ['Backlog'], TIMEOUTS: { PAGE_LOAD: 60000 } }));
+    const target = { ...DEFAULTS, OPEN_STATUSES: ['Open'], TIMEOUTS: { ...DEFAULTS.TIMEOUTS } };
+    const { OPEN_STATUSES, TIMEOUTS } = target;
+
+    activateProfile(target, 'acme', { dir });
+    expect(OPEN_STATUSES).toEqual(['Backlog']);
+    expect(TIMEOUTS.PAGE_LOAD).toBe(60000);
+    expect(target.PROFILE).toBe('acme');
+
+    activateProfile(target, '', { dir });
+    expect(OPEN_STATUSES).toEqual(['Open']);
+    expect(TIMEOUTS.PAGE_LOAD).toBe(30000);
+    expect(target.PROFILE).toBeNull();
+  });
+});
+
+test.describe('Profiles - Page Locators', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+  });
+
+  test.afterEach(() => {
+    activateProfile(constants, '');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const usePageProfile = (selectors) => {
+    fs.writeFileSync(path.join(dir, 'acme.json'), JSON.stringify({ SELECTORS: { FiltersPage: selectors } }));
+    activateProfile(constants, 'acme', { dir });
+  };
+
+  test('should replace page and component locators', () => {
+    usePageProfile({ resultsTable: '#issues', 'keyTable.cellLocator': 'td.issue-key' });
+    const filtersPage = new FiltersPage({});
+
+    expect(filtersPage.resultsTable).toBe('#issues');
+    expect(filtersPage.keyTable.cellLocator).toBe('td.issue-key');
+    expect(filtersPage.jqlErrorMessages).toBe('[data-testid="jql.error"]');
+  });
+
+  test('should name a property the page does not have when the profile loads', () => {
+    const selectors = { resultTable: '#issues', 'keyTable.cellLocator': 'td.key', 'keyTable.cell': 'td' };
+
+    expect(() => usePageProfile(selectors)).toThrow(
+      '- SELECTORS.FiltersPage.resultTable is not a locator of FiltersPage\n' +
+        '- SELECTORS.FiltersPage.keyTable.cell is not a locator of FiltersPage'
+    );
+    expect(constants.PROFILE).toBeNull();
+    expect(new FiltersPage({}).resultsTable).toBe('[data-testid="issue-table"]');
+  });
+});
+
+test.describe('Profiles - Loading', () => {
+  test('should keep the defaults when the constants are only required', () => {
+    // A fresh process, as a unit test worker starts with JIRA_PROFILE set
+    const script = "const { PROFILE, TIMEOUTS } = require('./utils/constants');\n" +
+      'console.log(JSON.stringify({ PROFILE, PAGE_LOAD: TIMEOUTS.PAGE_LOAD }));';
+    const output = execFileSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..', '..'),
+      env: { ...process.env, JIRA_PROFILE: 'stand-in' },
+      encoding: 'utf8',
+    });
+
+    expect(JSON.parse(output)).toEqual({ PROFILE: null, PAGE_LOAD: 30000 });
+  });
+});
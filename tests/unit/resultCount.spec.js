@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+const { ZERO_PHRASES, parseResultCount, checkResultCount } = require('../../utils/resultCount');
+
+test.describe('Result Count - Parsing', () => {
+  test('should read a range of a total', () => {
+    expect(parseResultCount('1–50 of 137')).toEqual({ total: 137, from: 1, to: 50 });
+    expect(parseResultCount('51-100 of 1,337')).toEqual({ total: 1337, from: 51, to: 100 });
+    expect(parseResultCount('Showing 1 — 3 of 3 issues')).toEqual({ total: 3, from: 1, to: 3 });
+  });
+
+  test('should read a total alone', () => {
+    expect(parseResultCount('137 issues').total).toBe(137);
+    expect(parseResultCount('1 issue').total).toBe(1);
+    expect(parseResultCount('0 issues').total).toBe(0);
+    expect(parseResultCount('12 work items')).toEqual({ total: 12, from: null, to: null });
+    expect(parseResultCount('No issues were found').total).toBe(0);
+  });
+
+  test('should read other languages and thousands separators', () => {
+    expect(parseResultCount('1–50 von 1.337').total).toBe(1337);
+    expect(parseResultCount('1–50 sur 1 337').total).toBe(1337);
+    expect(parseResultCount('1–50 de 2.001').total).toBe(2001);
+    expect(parseResultCount("1–50 of 1'337").total).toBe(1337);
+    expect(parseResultCount('12 Vorgänge').total).toBe(12);
+    expect(parseResultCount('1 ticket').total).toBe(1);
+    expect(parseResultCount('7 件の課題').total).toBe(7);
+    expect(parseResultCount('Keine Vorgänge').total).toBe(0);
+  });
+
+  test('should refuse text that is not a count', () => {
+    expect(() => parseResultCount('Loading…')).toThrow(
+      'Cannot read a result count from "Loading…". Expected e.g. "1–50 of 137" or "137 issues"'
+    );
+  });
+});
+
+test.describe('Result Count - No Results', () => {
+  // What each language shows when nothing matched
+  const NOTHING_FOUND = {
+    en: 'No work items',
+    de: 'Keine Arbeitselemente',
+    fr: 'Aucun élément de travail',
+    es: 'No hay incidencias',
+    pt: 'Nenhum item de trabalho',
+    it: 'Nessun ticket',
+    nl: 'Geen werkitems',
+    pl: 'Brak zgłoszeń',
+    ja: '課題はありません',
+  };
+
+  for (const [language, text] of Object.entries(NOTHING_FOUND)) {
+    test(`should read "${text}" (${language}) as no results`, () => {
+      expect(ZERO_PHRASES[language]).toContain(text);
+      expect(parseResultCount(text)).toEqual({ total: 0, from: null, to: null });
+    });
+  }
+
+  test('should end a phrase where its word does', () => {
+    expect(parseResultCount('Brak elementów pracy.').total).toBe(0);
+    expect(() => parseResultCount('Geen issuesjes')).toThrow('Cannot read a result count from "Geen issuesjes"');
+  });
+});
+
+test.describe('Result Count - Expectations', () => {
+  test('should list every unmet expectation', () => {
+    expect(checkResultCount(3, { exactly: 3, atLeast: 1, atMost: 5 })).toEqual([]);
+    expect(checkResultCount(0, { atLeast: 1 })).toEqual(['expected at least 1 result(s), found 0']);
+    expect(checkResultCount(6, { exactly: 5, atMost: 5 })).toEqual([
+      'expected exactly 5 result(s), found 6',
+      'expected at most 5 result(s), found 6',
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+const { test, expect } = require('../../utils/fixtures');
+const {
+  DEFAULT_ROLE,
+  EMPTY_STORAGE_STATE,
+  getRole,
+  getRoleStorageState,
+  getRoleCredentials,
+  getRoleEnvNames,
+  resolveRoles,
+} = require('../../utils/auth/roles');
+const { ApiTokenStrategy } = require('../../utils/auth');
+const { CredentialStore, EnvironmentProvider } = require('../../utils/credentials');
+const { JiraStandIn, STAND_IN_ROLE_USERS } = require('../../mock-server/jiraStandIn');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+test.describe('Roles - Definitions', () => {
+  test('should declare admin, member, viewer and anonymous roles', () => {
+    ['admin', 'member', 'viewer', 'anonymous'].forEach((name) => {
+      expect(getRole(name).name).toBe(name);
+    });
+    expect(DEFAULT_ROLE).toBe('member');
+  });
+
+  test('should reject unknown roles', () => {
+    expect(() => getRole('owner')).toThrow('Unknown role "owner"');
+  });
+
+  test('each authenticated role should have its own storage file', () => {
+    const paths = ['admin', 'member', 'viewer'].map(getRoleStorageState);
+
+    expect(new Set(paths).size).toBe(3);
+    expect(getRoleStorageState('member')).toBe('storageState.json');
+    expect(getRoleStorageState('anonymous')).toEqual(EMPTY_STORAGE_STATE);
+  });
+});
+
+test.describe('Roles - Credentials', () => {
+  const env = new CredentialStore([
+    new EnvironmentProvider({
+      JIRA_USERNAME: 'member@example.com',
+      JIRA_PASSWORD: 'member-password',
+      JIRA_ADMIN_USERNAME: 'admin@example.com',
+      JIRA_ADMIN_API_TOKEN: 'admin-token',
+    }),
+  ]);
+
+  test('member should fall back to the unprefixed variables', () => {
+    expect(getRoleCredentials('member', env)).toMatchObject({
+      username: 'member@example.com',
+      password: 'member-password',
+    });
+  });
+
+  test('other roles should read role-prefixed variables only', () => {
+    expect(getRoleCredentials('admin', env)).toMatchObject({
+      username: 'admin@example.com',
+      password: undefined,
+      apiToken: 'admin-token',
+    });
+    expect(getRoleCredentials('viewer', env).username).toBeUndefined();
+  });
+
+  test('should name the variables each credential is read from', () => {
+    expect(getRoleEnvNames('admin', env)).toEqual({
+      username: 'JIRA_ADMIN_USERNAME',
+      password: 'JIRA_ADMIN_PASSWORD',
+      apiToken: 'JIRA_ADMIN_API_TOKEN',
+      totpSecret: 'JIRA_ADMIN_TOTP_SECRET',
+    });
+    expect(getRoleEnvNames('member', env)).toMatchObject({
+      username: 'JIRA_USERNAME',
+      apiToken: 'JIRA_MEMBER_API_TOKEN or JIRA_API_TOKEN',
+    });
+  });
+
+  test('should prepare the default role and every role with credentials', () => {
+    expect(resolveRoles(undefined, env)).toEqual(['admin', 'member']);
+  });
+
+  test('JIRA_ROLES should select roles explicitly', () => {
+    expect(resolveRoles('viewer, anonymous', env)).toEqual(['viewer']);
+    expect(() => resolveRoles('guest', env)).toThrow('Unknown role "guest"');
+  });
+});
+
+test.describe('Roles - Fixtures', () => {
+  test.describe('default role', () => {
+    test('storageState should point at the member session', ({ role, storageState }) => {
+      expect(role).toBe('member');
+      expect(storageState).toBe('storageState.json');
+    });
+  });
+
+  test.describe('viewer role', () => {
+    test.use({ role: 'viewer' });
+
+    test('storageState should point at the viewer session', ({ storageState }) => {
+      expect(storageState).toBe(getRole('viewer').storageStatePath);
+    });
+  });
+});
+
+test.describe('Roles - Stand-in Accounts', () => {
+  test('each stand-in role account should get its own session', async () => {
+    const standIn = new JiraStandIn();
+    const jiraUrl = await standIn.start(0);
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roles-'));
+
+    try {
+      const identities = [];
+      for (const [role, user] of Object.entries(STAND_IN_ROLE_USERS)) {
+        const storageStatePath = path.join(tempDir, `${role}.json`);
+        await new ApiTokenStrategy({
+          jiraUrl,
+          username: user.username,
+          apiToken: user.apiToken,
+          storageStatePath,
+        }).authenticate();
+        const state = JSON.parse(fs.readFileSync(storageStatePath, 'utf-8'));
+        const response = await fetch(`${jiraUrl}/rest/api/3/myself`, {
+          headers: { cookie: `${state.cookies[0].name}=${state.cookies[0].value}` },
+        });
+        identities.push((await response.json()).emailAddress);
+      }
+
+      expect(identities).toEqual(Object.values(STAND_IN_ROLE_USERS).map((u) => u.username));
+    } finally {
+      await standIn.stop();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,111 @@
+const { test, expect, request } = require('@playwright/test');
+const { JiraStandIn, STAND_IN_DEFAULTS } = require('../../mock-server/jiraStandIn');
+const JiraRestClient = require('../../utils/jira/JiraRestClient');
+const {
+  diffSearchResults,
+  formatSearchDiff,
+  crossCheckSearchResults,
+} = require('../../utils/jira/searchCrossCheck');
+
+const apiIssue = (key, status) => ({ key, fields: { status: { name: status } } });
+
+test.describe('Search Cross-Check - Diff', () => {
+  test('should match when keys, count and statuses agree', () => {
+    const diff = diffSearchResults(
+      [
+        { key: 'QA-1', status: 'Open' },
+        { key: 'QA-2', status: 'To Do' },
+      ],
+      [apiIssue('QA-2', 'To Do'), apiIssue('QA-1', 'Open')],
+      'status in (Open, "To Do")'
+    );
+
+    expect(diff).toEqual({
+      jql: 'status in (Open, "To Do")',
+      uiCount: 2,
+      apiCount: 2,
+      matches: true,
+      missing: [],
+      extra: [],
+      statusMismatches: [],
+    });
+    expect(formatSearchDiff(diff)).toBe('UI and search API agree on 2 issue(s) for: status in (Open, "To Do")');
+  });
+
+  test('should report missing, extra and mismatched issues', () => {
+    const diff = diffSearchResults(
+      [
+        { key: 'QA-1', status: 'Open' },
+        { key: 'QA-4', status: 'Closed' },
+        { key: 'QA-9', status: 'Done' },
+      ],
+      [apiIssue('QA-1', 'Open'), apiIssue('QA-4', 'Done'), apiIssue('QA-7', 'Done')],
+      'status = Done'
+    );
+
+    expect(diff.matches).toBe(false);
+    expect(diff.missing).toEqual([{ key: 'QA-7', status: 'Done' }]);
+    expect(diff.extra).toEqual([{ key: 'QA-9', status: 'Done' }]);
+    expect(diff.statusMismatches).toEqual([{ key: 'QA-4', uiStatus: 'Closed', apiStatus: 'Done' }]);
+    expect(formatSearchDiff(diff)).toBe(
+      [
+        'UI and search API disagree for: status = Done',
+        '  Count: UI 3, API 3',
+        '  Missing from UI: QA-7 (Done)',
+        '  Not in API results: QA-9 (Done)',
+        '  Status of QA-4: UI "Closed", API "Done"',
+      ].join('\n')
+    );
+  });
+
+  test('should not match when the UI shows a row twice', () => {
+    const diff = diffSearchResults(
+      [
+        { key: 'QA-1', status: 'Open' },
+        { key: 'QA-1', status: 'Open' },
+      ],
+      [apiIssue('QA-1', 'Open')]
+    );
+
+    expect(diff.matches).toBe(false);
+    expect(diff.uiCount).toBe(2);
+  });
+});
+
+test.describe('Search Cross-Check - Against the Jira Stand-In', () => {
+  let standIn;
+  let context;
+  let client;
+
+  test.beforeAll(async () => {
+    standIn = new JiraStandIn();
+    const baseUrl = await standIn.start(0);
+    const credentials = Buffer.from(`${STAND_IN_DEFAULTS.USERNAME}:${STAND_IN_DEFAULTS.API_TOKEN}`).toString('base64');
+    context = await request.newContext({
+      storageState: { cookies: [], origins: [] },
+      extraHTTPHeaders: { Authorization: `Basic ${credentials}` },
+    });
+    client = new JiraRestClient(context, baseUrl);
+  });
+
+  test.afterAll(async () => {
+    await context.dispose();
+    await standIn.stop();
+  });
+
+  test('should run the JQL shown on the page through the search API', async () => {
+    const filtersPage = {
+      getJQLQueryText: async () => 'status = "Done" OR status = "Closed" ORDER BY created DESC',
+      getResultRows: async () => [
+        { key: 'QA-4', status: 'Done' },
+        { key: 'QA-5', status: 'Closed' },
+      ],
+    };
+
+    const diff = await crossCheckSearchResults(filtersPage, client);
+
+    expect(diff.apiCount).toBe(3);
+    expect(diff.missing).toEqual([{ key: 'QA-7', status: 'Done' }]);
+    expect(diff.matches).toBe(false);
+  });
+});
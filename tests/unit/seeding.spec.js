@@ -0,0 +1,159 @@
+const { test, expect, request } = require('@playwright/test');
+const { JiraStandIn, STAND_IN_DEFAULTS } = require('../../mock-server/jiraStandIn');
+const JiraRestClient = require('../../utils/jira/JiraRestClient');
+const {
+  SEED_LABEL,
+  createRunLabel,
+  getRunStartTime,
+  planNextTransition,
+  seedIssues,
+  deleteIssues,
+  sweepOrphanedIssues,
+} = require('../../utils/seeding');
+
+const HOUR = 60 * 60 * 1000;
+
+const transition = (id, to) => ({ id, name: to, to: { name: to } });
+
+test.describe('Seeding - Run Labels', () => {
+  test('should encode and read back the run start time', () => {
+    const startedAt = Date.UTC(2026, 0, 15, 9, 30);
+    const label = createRunLabel(startedAt);
+
+    expect(label).toBe(`${SEED_LABEL}-run-${startedAt / 1000}-${process.pid}`);
+    expect(getRunStartTime(['other', label])).toBe(startedAt);
+    expect(getRunStartTime([SEED_LABEL])).toBeNull();
+  });
+});
+
+test.describe('Seeding - Transition Planning', () => {
+  test('should take a direct transition to the target', () => {
+    const workflow = new Map([['to do', [transition('21', 'In Progress'), transition('31', 'Done')]]]);
+
+    expect(planNextTransition(workflow, 'To Do', 'done').id).toBe('31');
+  });
+
+  test('should head for an unexplored status when the target is not known yet', () => {
+    const workflow = new Map([['to do', [transition('21', 'In Progress'), transition('31', 'Done')]]]);
+
+    expect(planNextTransition(workflow, 'To Do', 'Closed').id).toBe('21');
+  });
+
+  test('should route through known statuses to reach unexplored ones', () => {
+    const workflow = new Map([
+      ['to do', [transition('21', 'In Progress')]],
+      ['in progress', [transition('11', 'To Do'), transition('31', 'Done')]],
+      ['done', [transition('11', 'To Do')]],
+    ]);
+
+    // Done -> To Do -> In Progress is all explored; nothing leads to Closed
+    expect(planNextTransition(workflow, 'Done', 'Closed')).toBeNull();
+
+    workflow.get('in progress').push(transition('41', 'Closed'));
+    expect(planNextTransition(workflow, 'Done', 'Closed').id).toBe('11');
+  });
+});
+
+test.describe('Seeding - Against the Jira Stand-In', () => {
+  let standIn;
+  let context;
+  let client;
+
+  test.beforeEach(async () => {
+    standIn = new JiraStandIn();
+    const baseUrl = await standIn.start(0);
+    const credentials = Buffer.from(`${STAND_IN_DEFAULTS.USERNAME}:${STAND_IN_DEFAULTS.API_TOKEN}`).toString('base64');
+    context = await request.newContext({
+      storageState: { cookies: [], origins: [] },
+      extraHTTPHeaders: { Authorization: `Basic ${credentials}` },
+    });
+    client = new JiraRestClient(context, baseUrl);
+  });
+
+  test.afterEach(async () => {
+    await context.dispose();
+    await standIn.stop();
+  });
+
+  test('should create issues in the declared statuses and tag them', async () => {
+    const runLabel = createRunLabel();
+    const issues = await seedIssues(
+      client,
+      [
+        { type: 'Bug', status: 'Done' },
+        { project: 'QA', type: 'Task', status: 'Open', summary: 'Reopened task' },
+        { type: 'Story' },
+      ],
+      { runLabel, defaultProject: 'QA' }
+    );
+
+    expect(issues.map(({ key, status }) => ({ key, status }))).toEqual([
+      { key: 'QA-9', status: 'Done' },
+      { key: 'QA-10', status: 'Open' },
+      { key: 'QA-11', status: 'To Do' },
+    ]);
+    expect(issues[1].summary).toBe('Reopened task');
+    expect(issues[0].labels).toEqual([SEED_LABEL, runLabel]);
+
+    const found = await client.searchIssues(`labels = "${runLabel}"`);
+    expect(found.map((issue) => issue.key)).toEqual(['QA-9', 'QA-10', 'QA-11']);
+  });
+
+  test('should delete seeded issues', async () => {
+    const issues = await seedIssues(client, [{ type: 'Bug', status: 'In Progress' }], {
+      runLabel: createRunLabel(),
+      defaultProject: 'QA',
+    });
+
+    expect(await deleteIssues(client, issues)).toEqual([]);
+    await expect(client.getIssue(issues[0].key)).rejects.toThrow('returned 404');
+  });
+
+  test('should roll back already created issues when seeding fails', async () => {
+    await expect(
+      seedIssues(
+        client,
+        [
+          { type: 'Bug', status: 'Done' },
+          { type: 'Bug', status: 'Won\'t Fix' },
+        ],
+        { runLabel: createRunLabel(), defaultProject: 'QA' }
+      )
+    ).rejects.toThrow('to "Won\'t Fix"');
+
+    expect(await client.searchIssues(`labels = "${SEED_LABEL}"`)).toEqual([]);
+  });
+
+  test('should require a project and a type', async () => {
+    await expect(seedIssues(client, [{ type: 'Bug' }], { runLabel: createRunLabel() })).rejects.toThrow(
+      'Set JIRA_SEED_PROJECT'
+    );
+    await expect(
+      seedIssues(client, [{ status: 'Done' }], { runLabel: createRunLabel(), defaultProject: 'QA' })
+    ).rejects.toThrow("Seeded issue #1 needs a type, e.g. { type: 'Bug' }.");
+  });
+
+  test('should sweep only issues from runs older than the max age', async () => {
+    const now = Date.now();
+    const [crashed] = await seedIssues(client, [{ type: 'Bug' }], {
+      runLabel: createRunLabel(now - 7 * HOUR),
+      defaultProject: 'QA',
+    });
+    const [running] = await seedIssues(client, [{ type: 'Bug' }], {
+      runLabel: createRunLabel(now - HOUR),
+      defaultProject: 'QA',
+    });
+
+    const swept = await sweepOrphanedIssues(client, { maxAgeHours: 6, project: 'QA', now });
+
+    expect(swept).toEqual([crashed.key]);
+    const remaining = await client.searchIssues(`labels = "${SEED_LABEL}"`);
+    expect(remaining.map((issue) => issue.key)).toEqual([running.key]);
+  });
+
+  test('should page through search results', async () => {
+    const issues = await client.searchIssues('project = QA', { maxResults: 3 });
+
+    expect(issues).toHaveLength(8);
+  });
+});
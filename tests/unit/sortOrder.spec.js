@@ -0,0 +1,101 @@
+const { test, expect } = require('@playwright/test');
+const {
+  compareText,
+  compareNumbers,
+  compareNaturalKeys,
+  compareDates,
+  compareByPosition,
+  getColumnComparator,
+  findOrderViolations,
+} = require('../../utils/sortOrder');
+
+const sorted = (values, compare) => [...values].sort(compare);
+
+test.describe('Sort Order - Comparators', () => {
+  test('should sort issue keys by project, then by number', () => {
+    expect(sorted(['PROJ-10', 'PROJ-9', 'ABC-100', 'PROJ-1'], compareNaturalKeys)).toEqual([
+      'ABC-100',
+      'PROJ-1',
+      'PROJ-9',
+      'PROJ-10',
+    ]);
+    expect(() => compareNaturalKeys('PROJ-1', 'PROJ')).toThrow(
+      'Cannot sort "PROJ" as an issue key (expected e.g. PROJ-123)'
+    );
+  });
+
+  test('should sort by position in a list, not alphabetically', () => {
+    const byStatus = compareByPosition(['To Do', 'In Progress', 'Done'], 'status');
+
+    expect(sorted(['Done', 'To Do', 'in progress'], byStatus)).toEqual(['To Do', 'in progress', 'Done']);
+    expect(() => byStatus('Done', 'Blocked')).toThrow(
+      'Cannot sort status "Blocked": it is not in the sort order To Do, In Progress, Done'
+    );
+  });
+
+  test('should sort dates by time, whether shown or ISO', () => {
+    expect(
+      sorted(['2025-12-05 10:00', '2025-11-28', '2025-12-05 09:59', '2025-10-01T07:20:00.000Z'], compareDates)
+    ).toEqual(['2025-10-01T07:20:00.000Z', '2025-11-28', '2025-12-05 09:59', '2025-12-05 10:00']);
+    expect(() => compareDates('2025-12-05', 'tomorrow')).toThrow('Cannot sort "tomorrow" as a date');
+  });
+
+  test('should sort timestamps by the instant they name, not by their text', () => {
+    expect(sorted(['2025-12-05T09:30:00.000Z', '2025-12-05T10:00:00.000+0100'], compareDates)).toEqual([
+      '2025-12-05T10:00:00.000+0100',
+      '2025-12-05T09:30:00.000Z',
+    ]);
+    expect(() => compareDates('2025-12-05', '05/Dec/25 9:30 AM')).toThrow(
+      'Cannot sort "05/Dec/25 9:30 AM" as a date ' +
+        '(expected an ISO timestamp with an offset, YYYY-MM-DD or YYYY-MM-DD HH:mm)'
+    );
+  });
+
+  test('should sort text ignoring case, and numbers by value', () => {
+    expect(sorted(['beta', 'Alpha', 'gamma'], compareText)).toEqual(['Alpha', 'beta', 'gamma']);
+    expect(sorted(['10', '9', '0.5'], compareNumbers)).toEqual(['0.5', '9', '10']);
+  });
+
+  test('should put empty cells first', () => {
+    expect(sorted(['Jordan Lee', 'Unassigned', 'Alex Rivera'], compareText)).toEqual([
+      'Unassigned',
+      'Alex Rivera',
+      'Jordan Lee',
+    ]);
+    expect(sorted(['2025-12-05', '', '2025-11-28'], compareDates)).toEqual(['', '2025-11-28', '2025-12-05']);
+  });
+
+  test('should pick the comparator Jira sorts each column by', () => {
+    const orders = { statusOrder: ['Open', 'Done'], priorityOrder: ['Low', 'High'] };
+
+    expect(getColumnComparator('Key', orders)('QA-9', 'QA-10')).toBeLessThan(0);
+    expect(getColumnComparator('Status', orders)('Open', 'Done')).toBeLessThan(0);
+    expect(getColumnComparator('Priority', orders)('High', 'Low')).toBeGreaterThan(0);
+    expect(getColumnComparator('Due', orders)('2025-12-20', '2026-01-10')).toBeLessThan(0);
+    expect(getColumnComparator('Summary', orders)('b', 'A')).toBeGreaterThan(0);
+  });
+});
+
+test.describe('Sort Order - Violations', () => {
+  const rows = [
+    { Key: 'QA-2', Priority: 'Low' },
+    { Key: 'QA-10', Priority: 'High' },
+    { Key: 'QA-9', Priority: 'Medium' },
+  ];
+
+  test('should name each row shown after one it should follow', () => {
+    expect(findOrderViolations(rows, 'Key', 'ASC')).toEqual([{ index: 2, before: rows[1], after: rows[2] }]);
+    expect(findOrderViolations(rows, 'Key', 'DESC').map(({ index }) => index)).toEqual([1]);
+    expect(findOrderViolations([...rows].reverse(), 'Key', 'desc')).toEqual([
+      { index: 1, before: rows[2], after: rows[1] },
+    ]);
+  });
+
+  test('should use the comparator given and check the direction', () => {
+    const byPriority = compareByPosition(['Low', 'Medium', 'High']);
+
+    expect(findOrderViolations(rows, 'Priority', 'ASC', byPriority).map(({ after }) => after.Key)).toEqual(['QA-9']);
+    expect(findOrderViolations([], 'Key', 'ASC')).toEqual([]);
+    expect(() => findOrderViolations(rows, 'Key', 'up')).toThrow('Sort direction must be ASC or DESC, got "up"');
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect, request } = require('@playwright/test');
+const {
+  StatusCatalog,
+  normalizeCategory,
+  loadStatusCatalog,
+  createStatusCatalogLoader,
+} = require('../../utils/jira/statusCatalog');
+const JiraRestClient = require('../../utils/jira/JiraRestClient');
+const { JiraStandIn, STAND_IN_DEFAULTS } = require('../../mock-server/jiraStandIn');
+
+const restStatus = (name, key) => ({ id: name, name, statusCategory: { key } });
+const REST_STATUSES = [
+  restStatus('To Do', 'new'),
+  restStatus('In Progress', 'indeterminate'),
+  restStatus('In Review', 'indeterminate'),
+  restStatus('Done', 'done'),
+  restStatus("Won't Do", 'done'),
+];
+
+test.describe('Status Catalog - Categories', () => {
+  const catalog = StatusCatalog.fromRest(REST_STATUSES);
+
+  test('should accept category keys and names', () => {
+    expect(normalizeCategory('indeterminate')).toBe('In Progress');
+    expect(normalizeCategory('done')).toBe('Done');
+    expect(normalizeCategory('to do')).toBe('To Do');
+    expect(() => normalizeCategory('Closed')).toThrow(
+      'Unknown status category "Closed". Use: To Do, In Progress, Done'
+    );
+  });
+
+  test('should put custom workflow statuses in their category', () => {
+    expect(catalog.getCategory('In Review')).toBe('In Progress');
+    expect(catalog.getCategory("won't do")).toBe('Done');
+    expect(catalog.getStatusesInCategory('done')).toEqual(['Done', "Won't Do"]);
+    expect(catalog.isInCategory("Won't Do", ['Done'])).toBe(true);
+    expect(catalog.isInCategory('In Review', ['To Do', 'Done'])).toBe(false);
+  });
+
+  test('should name the instance statuses when a status is unknown', () => {
+    expect(catalog.has('Closed')).toBe(false);
+    expect(catalog.isInCategory('Closed', ['Done'])).toBe(false);
+    expect(() => catalog.getCategory('Closed')).toThrow(
+      `Unknown status "Closed". Statuses on this instance: To Do, In Progress, In Review, Done, Won't Do`
+    );
+  });
+
+  test('should keep every category of a name used by several projects', () => {
+    const shared = StatusCatalog.fromRest([restStatus('Ready', 'new'), restStatus('Ready', 'done')]);
+
+    expect(shared.getStatuses()).toEqual(['Ready']);
+    expect(shared.isInCategory('Ready', ['Done'])).toBe(true);
+    expect(() => shared.getCategory('Ready')).toThrow('Status "Ready" is used in several categories: To Do, Done');
+  });
+});
+
+test.describe('Status Catalog - Loading', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-catalog-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should round-trip through a snapshot', async () => {
+    const file = path.join(dir, 'statuses.json');
+    StatusCatalog.fromRest(REST_STATUSES).saveSnapshot(file);
+
+    const catalog = await loadStatusCatalog({ source: 'snapshot', snapshotPath: file });
+    expect(catalog.getCategory('In Review')).toBe('In Progress');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).statuses[0]).toEqual({ name: 'To Do', category: 'To Do' });
+  });
+
+  test('should explain a missing snapshot or an unknown source', async () => {
+    await expect(loadStatusCatalog({ source: 'snapshot', snapshotPath: path.join(dir, 'none.json') })).rejects.toThrow(
+      'Write it with: node utils/jira/cli.js statuses'
+    );
+    await expect(loadStatusCatalog({ source: 'cache' })).rejects.toThrow(
+      'Unknown status source "cache". Use: rest, snapshot'
+    );
+  });
+
+  test('should load once, and try again after a failed load', async () => {
+    const load = createStatusCatalogLoader();
+    let calls = 0;
+    const client = {
+      getStatuses: async () => {
+        calls += 1;
+        if (calls === 1) {
+          throw new Error('Jira API GET /rest/api/3/status failed with 503');
+        }
+        return REST_STATUSES;
+      },
+    };
+
+    await expect(load({ client })).rejects.toThrow('failed with 503');
+    const catalog = await load({ client });
+    expect(catalog.getCategory('In Review')).toBe('In Progress');
+    expect(await load({ client })).toBe(catalog);
+    expect(calls).toBe(2);
+  });
+
+  test('should read the statuses from the REST API', async () => {
+    const standIn = new JiraStandIn();
+    const baseUrl = await standIn.start(0);
+    const credentials = Buffer.from(`${STAND_IN_DEFAULTS.USERNAME}:${STAND_IN_DEFAULTS.API_TOKEN}`).toString('base64');
+    const context = await request.newContext({
+      storageState: { cookies: [], origins: [] },
+      extraHTTPHeaders: { Authorization: `Basic ${credentials}` },
+    });
+    try {
+      const catalog = await loadStatusCatalog({ client: new JiraRestClient(context, baseUrl) });
+
+      expect(catalog.getStatusesInCategory('Done')).toEqual(['Done', 'Closed', "Won't Do"]);
+      expect(catalog.getCategory('Open')).toBe('To Do');
+    } finally {
+      await context.dispose();
+      await standIn.stop();
+    }
+  });
+});
@@ -0,0 +1,63 @@
+const { test, expect } = require('@playwright/test');
+const {
+  decodeBase32,
+  generateTotp,
+  verifyTotp,
+  getSecondsRemaining,
+} = require('../../utils/auth/totp');
+
+// RFC 6238 Appendix B seed "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test.describe('TOTP - Base32', () => {
+  test('should decode the RFC 6238 test seed', () => {
+    expect(decodeBase32(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  test('should ignore case, spaces and padding', () => {
+    expect(decodeBase32('gezd gnbv gy3t qojq====').toString()).toBe('1234567890');
+  });
+
+  test('should reject characters outside the base32 alphabet', () => {
+    expect(() => decodeBase32('GEZD1')).toThrow('unexpected character "1"');
+  });
+});
+
+test.describe('TOTP - RFC 6238 Test Vectors', () => {
+  const vectors = [
+    { seconds: 59, code: '94287082' },
+    { seconds: 1111111109, code: '07081804' },
+    { seconds: 1234567890, code: '89005924' },
+    { seconds: 2000000000, code: '69279037' },
+  ];
+
+  vectors.forEach(({ seconds, code }) => {
+    test(`should generate ${code} at T=${seconds}`, () => {
+      expect(generateTotp(RFC_SECRET, { timestamp: seconds * 1000, digits: 8 })).toBe(code);
+    });
+  });
+
+  test('should default to 6-digit codes', () => {
+    expect(generateTotp(RFC_SECRET, { timestamp: 59000 })).toBe('287082');
+  });
+});
+
+test.describe('TOTP - Verification', () => {
+  const timestamp = 1111111109 * 1000;
+  const code = generateTotp(RFC_SECRET, { timestamp });
+
+  test('should accept the current code and one step of drift', () => {
+    expect(verifyTotp(code, RFC_SECRET, { timestamp })).toBe(true);
+    expect(verifyTotp(code, RFC_SECRET, { timestamp: timestamp + 30000 })).toBe(true);
+  });
+
+  test('should reject codes outside the drift window', () => {
+    expect(verifyTotp(code, RFC_SECRET, { timestamp: timestamp + 90000 })).toBe(false);
+    expect(verifyTotp('000000', RFC_SECRET, { timestamp })).toBe(false);
+  });
+
+  test('should report seconds left in the current step', () => {
+    expect(getSecondsRemaining(59000)).toBe(1);
+    expect(getSecondsRemaining(60000)).toBe(30);
+  });
+});
@@ -0,0 +1,75 @@
+const { request } = require('@playwright/test');
+const { UNPREFIXED_ENV_NAMES } = require('./roles');
+
+/**
+ * ApiTokenStrategy
+ *
+ * Authenticates over HTTP with basic auth (account email + Atlassian API
+ * token) and saves the cookies Jira hands back as the storage state. No
+ * browser is launched and the login page is never touched.
+ */
+class ApiTokenStrategy {
+  /**
+   * Constructor
+   * @param {Object} options - Authentication options
+   * @param {string} options.jiraUrl - Jira base URL
+   * @param {string} options.username - Jira account email
+   * @param {string} options.apiToken - Atlassian API token
+   * @param {string} options.storageStatePath - Where to write the storage state
+   * @param {Object} options.envNames - Variables the credentials came from, for messages (default: JIRA_USERNAME, ...)
+   */
+  constructor(options) {
+    this.name = 'api';
+    this.options = options;
+    this.envNames = { ...UNPREFIXED_ENV_NAMES, ...options.envNames };
+  }
+
+  /**
+   * Environment variables this strategy cannot run without
+   * @returns {string[]} Missing variable names
+   */
+  getMissingEnv() {
+    const { jiraUrl, username, apiToken } = this.options;
+    return [
+      !jiraUrl && 'JIRA_URL',
+      !username && this.envNames.username,
+      !apiToken && this.envNames.apiToken,
+    ].filter(Boolean);
+  }
+
+  /**
+   * Call the REST API with basic auth and save the returned session cookies
+   */
+  async authenticate() {
+    const { jiraUrl, username, apiToken, storageStatePath } = this.options;
+    const credentials = Buffer.from(`${username}:${apiToken}`).toString('base64');
+    const context = await request.newContext({
+      // Start clean even inside a test, where contexts inherit the test's storageState
+      storageState: { cookies: [], origins: [] },
+      extraHTTPHeaders: { Authorization: `Basic ${credentials}` },
+    });
+
+    try {
+      const endpoint = new URL('/rest/api/3/myself', jiraUrl).toString();
+      const response = await context.get(endpoint, { failOnStatusCode: false });
+      if (!response.ok()) {
+        throw new Error(
+          `API token authentication failed: GET ${endpoint} returned ${response.status()}. ` +
+            `Check ${this.envNames.username} and ${this.envNames.apiToken}.`
+        );
+      }
+
+      const state = await context.storageState();
+      if (state.cookies.length === 0) {
+        throw new Error(
+          `API token authentication succeeded but ${endpoint} set no session cookies to save.`
+        );
+      }
+      await context.storageState({ path: storageStatePath });
+    } finally {
+      await context.dispose();
+    }
+  }
+}
+
+module.exports = ApiTokenStrategy;
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const { test } = require('@playwright/test');
+const constants = require('../constants');
+const { withFileLock, writeFileAtomic } = require('../fileLock');
+const { UNPREFIXED_ENV_NAMES } = require('./roles');
+const { TOTP_DEFAULTS } = require('./totp');
+
+// Login screens of Jira Cloud (/login, /login.jsp) and Atlassian ID
+const DEFAULT_LOGIN_URL_PATTERN = /\/login(\.jsp)?([?#/]|$)|\/\/id\.atlassian\.com\//;
+
+// Page loads one re-login may wait through, each up to TIMEOUTS.PAGE_LOAD: the login
+// page, the email step, up to five identity provider redirects, the verification
+// screen, the code and the return to Jira
+const RELOGIN_PAGE_LOADS = 10;
+
+const guards = new WeakMap();
+
+/**
+ * Lock options for the shared storage state, read when a re-login starts so a
+ * site profile's TIMEOUTS apply. A waiter waits as long as the holder's whole
+ * re-login may take, a fresh TOTP code included; the holder keeps the lock
+ * fresh meanwhile (see withFileLock).
+ * @returns {{timeout: number}} Lock options
+ */
+function reloginLockOptions() {
+  return { timeout: constants.TIMEOUTS.PAGE_LOAD * RELOGIN_PAGE_LOADS + TOTP_DEFAULTS.PERIOD * 1000 };
+}
+
+/**
+ * Run a step with the context's tracing paused, so the login form and the
+ * POST that carry the password never reach a trace. The chunk traced so far
+ * is attached to the running test as a trace of its own; tracing resumes
+ * after the step.
+ * @param {BrowserContext} context - Context whose tracing to pause
+ * @param {Function} step - Async function to run untraced
+ * @returns {Promise<*>} Result of the step
+ */
+async function withTracingPaused(context, step) {
+  let testInfo = null;
+  try {
+    testInfo = test.info();
+  } catch {
+    // Not inside a test (e.g. globalSetup); nothing to attach the chunk to
+  }
+  const chunkPath = testInfo ? testInfo.outputPath(`trace-before-relogin-${Date.now()}.zip`) : undefined;
+
+  let paused = false;
+  try {
+    await context.tracing.stopChunk(chunkPath ? { path: chunkPath } : undefined);
+    paused = true;
+  } catch {
+    // Tracing is off for this context
+  }
+
+  try {
+    return await step();
+  } finally {
+    if (paused) {
+      await context.tracing.startChunk();
+      if (chunkPath && fs.existsSync(chunkPath)) {
+        await testInfo.attach('trace', { path: chunkPath, contentType: 'application/zip' });
+      }
+    }
+  }
+}
+
+/**
+ * SessionGuard
+ *
+ * Watches a page for signs that its Jira session expired mid-test: the main
+ * frame landing on the login page, or a step failing after a 401 from the
+ * Jira host (a 401 the step got past, e.g. a permission check, is not an
+ * expiry). When a guarded step hits an expired session, the guard logs in
+ * again with the LoginPage flow, refreshes the shared storage state file
+ * under a cross-worker lock, returns to the page the test was on, and re-runs
+ * the step once.
+ *
+ * If another worker already refreshed the storage state file, its cookies
+ * are reused instead of logging in a second time. Tracing is paused while
+ * the guard logs in, so traces never hold the password.
+ */
+class SessionGuard {
+  /**
+   * Constructor
+   * @param {Page} page - Playwright page object
+   * @param {Object} options - Guard options
+   * @param {string} options.jiraUrl - Jira base URL (401s from other hosts are ignored; default: the page's host)
+   * @param {string} options.username - Jira account email for re-login
+   * @param {string} options.password - Jira account password for re-login
+   * @param {string} options.totpSecret - TOTP secret for re-login (default: JIRA_TOTP_SECRET)
+   * @param {string} options.storageStatePath - Shared storage state file to refresh
+   * @param {RegExp} options.loginUrlPattern - URLs that mean "not logged in"
+   * @param {Object} options.envNames - Variables the credentials came from, for messages (default: JIRA_USERNAME, ...)
+   */
+  constructor(page, options) {
+    this.page = page;
+    this.options = { loginUrlPattern: DEFAULT_LOGIN_URL_PATTERN, ...options };
+    this.unauthorized = false;
+    this.lastAppUrl = null;
+    this.sessionLoadedAt = Date.now();
+    this.recoveries = 0;
+    this.recovering = false;
+
+    this.onResponse = (response) => {
+      if (response.status() === 401 && this.isJiraUrl(response.url())) {
+        this.unauthorized = true;
+      }
+    };
+    this.onFrameNavigated = (frame) => {
+      const url = frame.url();
+      if (frame === this.page.mainFrame() && this.isJiraUrl(url) && !this.isLoginUrl(url)) {
+        this.lastAppUrl = url;
+      }
+    };
+  }
+
+  /**
+   * Create a guard for a page and start watching it
+   * @param {Page} page - Playwright page object
+   * @param {Object} options - Guard options (see constructor)
+   * @returns {SessionGuard} The attached guard
+   */
+  static attach(page, options) {
+    const guard = new SessionGuard(page, options);
+    page.on('response', guard.onResponse);
+    page.on('framenavigated', guard.onFrameNavigated);
+    guards.set(page, guard);
+    return guard;
+  }
+
+  /**
+   * Get the guard attached to a page
+   * @param {Page} page - Playwright page object
+   * @returns {SessionGuard|null} Attached guard, or null if the page is unguarded
+   */
+  static for(page) {
+    return guards.get(page) || null;
+  }
+
+  /**
+   * Stop watching the page
+   */
+  detach() {
+    this.page.off('response', this.onResponse);
+    this.page.off('framenavigated', this.onFrameNavigated);
+    guards.delete(this.page);
+  }
+
+  /**
+   * Check if a URL is a login screen
+   * @param {string} url - URL to check
+   * @returns {boolean} True if the URL is a login page
+   */
+  isLoginUrl(url) {
+    return this.options.loginUrlPattern.test(url);
+  }
+
+  /**
+   * Check if a URL belongs to the Jira site
+   * @param {string} url - URL to check
+   * @returns {boolean} True if the URL is on the Jira host
+   */
+  isJiraUrl(url) {
+    try {
+      return new URL(url).host === new URL(this.options.jiraUrl || this.page.url()).host;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether the page has lost its session
+   * @returns {boolean} True if on a login page or a 401 was seen
+   */
+  isSessionExpired() {
+    return this.unauthorized || this.isLoginUrl(this.page.url());
+  }
+
+  /**
+   * Check whether a step ran into an expired session
+   * @param {Error|null} stepError - What the step threw, if anything
+   * @returns {boolean} True if the page landed on a login page, or the step
+   *   failed after a 401 from Jira
+   */
+  stepHitExpiredSession(stepError) {
+    return this.isLoginUrl(this.page.url()) || Boolean(stepError && this.unauthorized);
+  }
+
+  /**
+   * Run a step, re-authenticating and re-running it once if the session expired
+   * @param {Function} step - Async function performing the step
+   * @returns {Promise<*>} Result of the step
+   */
+  async run(step) {
+    // The re-login itself navigates through guarded page methods
+    if (this.recovering) {
+      return await step();
+    }
+
+    // Only 401s seen during this step count against it
+    this.unauthorized = false;
+    let result;
+    let stepError = null;
+    try {
+      result = await step();
+    } catch (error) {
+      stepError = error;
+    }
+
+    if (!this.stepHitExpiredSession(stepError)) {
+      if (stepError) {
+        throw stepError;
+      }
+      return result;
+    }
+
+    this.recovering = true;
+    try {
+      await this.reauthenticate();
+    } finally {
+      this.recovering = false;
+    }
+    return await step();
+  }
+
+  /**
+   * Restore the session: reuse a storage state another worker refreshed,
+   * or log in again and refresh the shared file
+   */
+  async reauthenticate() {
+    const { username, password, storageStatePath } = this.options;
+    const resumeUrl = this.lastAppUrl;
+    const context = this.page.context();
+
+    await withFileLock(storageStatePath, async () => {
+      if (this.wasRefreshedElsewhere()) {
+        const state = JSON.parse(fs.readFileSync(storageStatePath, 'utf-8'));
+        await context.addCookies(state.cookies);
+        console.log(
+          `🔄 Session expired - reusing session refreshed by another worker (${storageStatePath})`
+        );
+        return;
+      }
+
+      if (!username || !password) {
+        const envNames = { ...UNPREFIXED_ENV_NAMES, ...this.options.envNames };
+        throw new Error(
+          `Session expired and cannot re-authenticate: ${envNames.username} and ${envNames.password} are required.`
+        );
+      }
+
+      // Required lazily: LoginPage extends BasePage, which depends on this module
+      const { LoginPage } = require('../../pages/LoginPage');
+      const loginPage = new LoginPage(this.page, {
+        jiraUrl: this.options.jiraUrl,
+        totpSecret: this.options.totpSecret,
+      });
+      try {
+        await withTracingPaused(context, async () => {
+          await loginPage.login(username, password);
+          await loginPage.waitForLoginToComplete();
+        });
+      } catch (error) {
+        throw new Error(`Session expired and re-authentication failed: ${error.message}`);
+      }
+
+      writeFileAtomic(storageStatePath, JSON.stringify(await context.storageState(), null, 2));
+      console.log(`🔄 Session expired - logged in again and refreshed ${storageStatePath}`);
+    }, reloginLockOptions());
+
+    this.unauthorized = false;
+    this.sessionLoadedAt = Date.now();
+    this.recoveries += 1;
+
+    if (resumeUrl && this.page.url() !== resumeUrl) {
+      await this.page.goto(resumeUrl);
+    }
+  }
+
+  /**
+   * Check if the storage state file changed after this page loaded its session
+   * @returns {boolean} True if another worker wrote a newer session
+   */
+  wasRefreshedElsewhere() {
+    try {
+      return fs.statSync(this.options.storageStatePath).mtimeMs > this.sessionLoadedAt;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = SessionGuard;
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const { request } = require('@playwright/test');
+
+/**
+ * StoredSessionStrategy
+ *
+ * Reuses an existing storage state file when it is still valid: the file
+ * must parse, hold unexpired cookies, and be accepted by Jira's REST API.
+ * Throws when the session cannot be reused so the next strategy can run.
+ */
+class StoredSessionStrategy {
+  /**
+   * Constructor
+   * @param {Object} options - Authentication options
+   * @param {string} options.jiraUrl - Jira base URL
+   * @param {string} options.storageStatePath - Storage state file to reuse
+   */
+  constructor(options) {
+    this.name = 'storage';
+    this.options = options;
+  }
+
+  /**
+   * Environment variables this strategy cannot run without
+   * @returns {string[]} Missing variable names
+   */
+  getMissingEnv() {
+    return this.options.jiraUrl ? [] : ['JIRA_URL'];
+  }
+
+  /**
+   * Verify the stored session instead of logging in again
+   */
+  async authenticate() {
+    const { jiraUrl, storageStatePath } = this.options;
+
+    if (!fs.existsSync(storageStatePath)) {
+      throw new Error(`No stored session found at ${storageStatePath}`);
+    }
+
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(storageStatePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Stored session ${storageStatePath} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(state.cookies) || state.cookies.length === 0) {
+      throw new Error(`Stored session ${storageStatePath} contains no cookies`);
+    }
+
+    const nowInSeconds = Date.now() / 1000;
+    const expired = state.cookies.filter(
+      (cookie) => cookie.expires > 0 && cookie.expires < nowInSeconds
+    );
+    if (expired.length > 0) {
+      throw new Error(
+        `Stored session ${storageStatePath} has expired cookies: ${expired.map((c) => c.name).join(', ')}`
+      );
+    }
+
+    const context = await request.newContext({ storageState: storageStatePath });
+    try {
+      const endpoint = new URL('/rest/api/3/myself', jiraUrl).toString();
+      const response = await context.get(endpoint, { failOnStatusCode: false, maxRedirects: 0 });
+      if (!response.ok()) {
+        throw new Error(
+          `Stored session ${storageStatePath} was rejected: GET ${endpoint} returned ${response.status()}`
+        );
+      }
+    } finally {
+      await context.dispose();
+    }
+  }
+}
+
+module.exports = StoredSessionStrategy;
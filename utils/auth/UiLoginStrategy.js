@@ -0,0 +1,68 @@
+const playwright = require('@playwright/test');
+const { LoginPage } = require('../../pages/LoginPage');
+const { UNPREFIXED_ENV_NAMES } = require('./roles');
+
+/**
+ * UiLoginStrategy
+ *
+ * Authenticates by driving the Jira login form through the LoginPage page
+ * object (the original globalSetup behavior), then saves the browser
+ * context's storage state.
+ */
+class UiLoginStrategy {
+  /**
+   * Constructor
+   * @param {Object} options - Authentication options
+   * @param {string} options.jiraUrl - Jira base URL
+   * @param {string} options.username - Jira account email
+   * @param {string} options.password - Jira account password
+   * @param {string} options.totpSecret - TOTP secret for two-step verification (default: JIRA_TOTP_SECRET)
+   * @param {string} options.storageStatePath - Where to write the storage state
+   * @param {string} options.browserName - Browser to log in with (chromium, firefox, webkit)
+   * @param {Object} options.envNames - Variables the credentials came from, for messages (default: JIRA_USERNAME, ...)
+   */
+  constructor(options) {
+    this.name = 'ui';
+    this.options = options;
+    this.envNames = { ...UNPREFIXED_ENV_NAMES, ...options.envNames };
+  }
+
+  /**
+   * Environment variables this strategy cannot run without
+   * @returns {string[]} Missing variable names
+   */
+  getMissingEnv() {
+    const { jiraUrl, username, password } = this.options;
+    return [
+      !jiraUrl && 'JIRA_URL',
+      !username && this.envNames.username,
+      !password && this.envNames.password,
+    ].filter(Boolean);
+  }
+
+  /**
+   * Log in through the UI and save the session
+   */
+  async authenticate() {
+    const { jiraUrl, username, password, totpSecret, storageStatePath, browserName } = this.options;
+    const browserType = playwright[browserName];
+    if (!browserType) {
+      throw new Error(`Unknown browser "${browserName}" for UI login. Use chromium, firefox or webkit.`);
+    }
+
+    const browser = await browserType.launch();
+    try {
+      const page = await browser.newPage();
+      const loginPage = new LoginPage(page, { jiraUrl, totpSecret });
+
+      await loginPage.login(username, password);
+      await loginPage.waitForLoginToComplete();
+
+      await page.context().storageState({ path: storageStatePath });
+    } finally {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = UiLoginStrategy;
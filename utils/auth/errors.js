@@ -0,0 +1,146 @@
+/**
+ * Authentication errors
+ *
+ * Distinct error types for login outcomes that callers may want to handle
+ * differently from a generic timeout.
+ */
+
+/**
+ * Jira asked for a verification code but no TOTP secret is configured
+ */
+class TotpSecretMissingError extends Error {
+  constructor(message = 'Two-step verification is required but JIRA_TOTP_SECRET is not set.') {
+    super(message);
+    this.name = 'TotpSecretMissingError';
+  }
+}
+
+/**
+ * Jira rejected the submitted verification code
+ */
+class TotpCodeRejectedError extends Error {
+  /**
+   * Constructor
+   * @param {string} message - Error message (usually Jira's inline error text)
+   */
+  constructor(message) {
+    super(`Verification code was rejected: ${message}`);
+    this.name = 'TotpCodeRejectedError';
+  }
+}
+
+/**
+ * Login was redirected to an identity provider page no adapter knows
+ */
+class IdpAdapterNotFoundError extends Error {
+  /**
+   * Constructor
+   * @param {string} url - URL of the unrecognised identity provider page
+   */
+  constructor(url) {
+    super(
+      `Login was redirected to ${url}, but no identity provider adapter matches it. Add one to JIRA_IDP_ADAPTERS.`
+    );
+    this.name = 'IdpAdapterNotFoundError';
+    this.url = url;
+  }
+}
+
+/**
+ * Login did not reach Jira. Subclasses say why; every instance carries the
+ * URL the browser stopped on and a screenshot of that page.
+ */
+class LoginFailedError extends Error {
+  /**
+   * Constructor
+   * @param {string} message - What went wrong
+   * @param {Object} details - Page state when the failure was detected
+   * @param {string} details.url - Current page URL
+   * @param {string|null} details.screenshotPath - Screenshot of the page (null if it could not be taken)
+   * @param {string} details.pageMessage - Error text shown on the page, if any
+   */
+  constructor(message, { url = null, screenshotPath = null, pageMessage = '' } = {}) {
+    super(
+      [
+        message,
+        pageMessage && `  Page says: ${pageMessage}`,
+        `  URL: ${url || 'unknown'}`,
+        `  Screenshot: ${screenshotPath || 'not captured'}`,
+      ]
+        .filter(Boolean)
+        .join('\n')
+    );
+    this.name = 'LoginFailedError';
+    this.url = url;
+    this.screenshotPath = screenshotPath;
+    this.pageMessage = pageMessage;
+  }
+}
+
+/**
+ * Atlassian rejected the password for a known account
+ */
+class WrongPasswordError extends LoginFailedError {
+  constructor(details) {
+    super('Login failed: the password was rejected. Check JIRA_PASSWORD.', details);
+    this.name = 'WrongPasswordError';
+  }
+}
+
+/**
+ * Atlassian has no account for the email address
+ */
+class UnknownAccountError extends LoginFailedError {
+  constructor(details) {
+    super('Login failed: no Atlassian account exists for this email. Check JIRA_USERNAME.', details);
+    this.name = 'UnknownAccountError';
+  }
+}
+
+/**
+ * The account is locked, usually after too many failed attempts
+ */
+class AccountLockedError extends LoginFailedError {
+  constructor(details) {
+    super(
+      'Login failed: the Atlassian account is locked. Unlock it (or wait for the lock to expire) before retrying.',
+      details
+    );
+    this.name = 'AccountLockedError';
+  }
+}
+
+/**
+ * Atlassian asked for a CAPTCHA, which automated logins cannot answer
+ */
+class CaptchaChallengeError extends LoginFailedError {
+  constructor(details) {
+    super(
+      'Login failed: Atlassian is showing a CAPTCHA challenge. Log in once by hand from this machine, or use JIRA_AUTH_STRATEGY=api.',
+      details
+    );
+    this.name = 'CaptchaChallengeError';
+  }
+}
+
+/**
+ * Login landed on a page the login flow does not recognise
+ */
+class UnexpectedLoginPageError extends LoginFailedError {
+  constructor(details) {
+    super('Login failed: stopped on an unexpected page.', details);
+    this.name = 'UnexpectedLoginPageError';
+  }
+}
+
+module.exports = {
+  TotpSecretMissingError,
+  TotpCodeRejectedError,
+  IdpAdapterNotFoundError,
+  LoginFailedError,
+  WrongPasswordError,
+  UnknownAccountError,
+  AccountLockedError,
+  CaptchaChallengeError,
+  UnexpectedLoginPageError,
+};
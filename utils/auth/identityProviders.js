@@ -0,0 +1,139 @@
+/**
+ * Identity provider login adapters
+ *
+ * Sites with SSO send the browser from the Atlassian email step to an
+ * external identity provider (IdP). An adapter describes one IdP login form:
+ *
+ *   {
+ *     name: 'okta',
+ *     host: '*.okta.com',             // host glob (host[:port]) or RegExp
+ *     usernameField: '#username',      // selectors on the IdP page
+ *     nextButton: '#next',             // optional: identifier-first forms
+ *     passwordField: '#password',
+ *     submitButton: '#submit',
+ *     staySignedInButton: '#decline',  // optional: "Stay signed in?" prompt to dismiss
+ *     errorMessage: '.error',          // optional: inline sign-in error, for diagnostics
+ *   }
+ *
+ * Okta and Microsoft Entra ID (Azure AD) adapters are built in. More can be
+ * listed in a JSON or JS file named by JIRA_IDP_ADAPTERS; they are tried
+ * before the built-in ones.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Atlassian account pages that are part of the normal login, not an external IdP
+const ATLASSIAN_ACCOUNT_HOSTS = ['id.atlassian.com', 'auth.atlassian.com'];
+
+const REQUIRED_ADAPTER_FIELDS = ['name', 'host', 'usernameField', 'passwordField', 'submitButton'];
+
+const BUILT_IN_IDP_ADAPTERS = [
+  {
+    name: 'okta',
+    host: /(^|\.)okta(preview)?\.com$/,
+    usernameField: 'input[name="identifier"], #okta-signin-username',
+    nextButton: 'input[type="submit"][value="Next"]',
+    passwordField: 'input[name="credentials.passcode"], #okta-signin-password',
+    submitButton: 'input[type="submit"][value="Verify"], #okta-signin-submit',
+    errorMessage: '.o-form-error-container, .okta-form-infobox-error',
+  },
+  {
+    name: 'entra-id',
+    host: /^login\.(microsoftonline|windows)\.(com|net)$/,
+    usernameField: 'input[name="loginfmt"]',
+    nextButton: '#idSIButton9',
+    passwordField: 'input[name="passwd"]',
+    submitButton: '#idSIButton9',
+    staySignedInButton: '#idBtn_Back',
+    errorMessage: '#usernameError, #passwordError',
+  },
+];
+
+/**
+ * Turn a host glob like "*.okta.com" or "127.0.0.1:4011" into a RegExp
+ * @param {string|RegExp} host - Host glob or RegExp
+ * @returns {RegExp} Pattern matched against URL host (and hostname)
+ */
+function toHostPattern(host) {
+  if (host instanceof RegExp) {
+    return host;
+  }
+  const escaped = host
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^.]+');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Check an adapter definition and compile its host pattern
+ * @param {Object} adapter - Adapter definition
+ * @returns {Object} Adapter with `hostPattern`
+ */
+function normalizeAdapter(adapter) {
+  const missing = REQUIRED_ADAPTER_FIELDS.filter((field) => !adapter[field]);
+  if (missing.length > 0) {
+    throw new Error(
+      `Identity provider adapter "${adapter.name || '(unnamed)'}" is missing: ${missing.join(', ')}`
+    );
+  }
+  return { ...adapter, hostPattern: toHostPattern(adapter.host) };
+}
+
+/**
+ * Load adapters: the custom ones (if any) followed by the built-in ones
+ * @param {string|Object[]} adaptersPath - JSON or JS file exporting an array of
+ *   adapters (JIRA_IDP_ADAPTERS), or the array itself
+ * @returns {Object[]} Adapters in match order
+ */
+function loadIdpAdapters(adaptersPath) {
+  let custom = [];
+  if (Array.isArray(adaptersPath)) {
+    custom = adaptersPath;
+  } else if (adaptersPath) {
+    const resolved = path.resolve(adaptersPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Identity provider adapters file ${resolved} does not exist.`);
+    }
+    custom = require(resolved);
+    if (!Array.isArray(custom)) {
+      throw new Error(`Identity provider adapters file ${resolved} must export an array.`);
+    }
+  }
+  return [...custom, ...BUILT_IN_IDP_ADAPTERS].map(normalizeAdapter);
+}
+
+/**
+ * Find the adapter for an IdP page
+ * @param {string} url - Current page URL
+ * @param {Object[]} adapters - Adapters from loadIdpAdapters()
+ * @returns {Object|null} Matching adapter, or null if none matches
+ */
+function findIdpAdapter(url, adapters) {
+  const { host, hostname } = new URL(url);
+  return (
+    adapters.find((adapter) => adapter.hostPattern.test(host) || adapter.hostPattern.test(hostname)) ||
+    null
+  );
+}
+
+/**
+ * Check whether a URL is outside both the Jira site and Atlassian's own login pages
+ * @param {string} url - URL to check
+ * @param {string} jiraUrl - Jira base URL
+ * @returns {boolean} True if the browser has been sent to an external IdP
+ */
+function isIdentityProviderUrl(url, jiraUrl) {
+  if (!/^https?:/.test(url)) {
+    return false;
+  }
+  const { host, hostname } = new URL(url);
+  return host !== new URL(jiraUrl).host && !ATLASSIAN_ACCOUNT_HOSTS.includes(hostname);
+}
+
+module.exports = {
+  BUILT_IN_IDP_ADAPTERS,
+  loadIdpAdapters,
+  findIdpAdapter,
+  isIdentityProviderUrl,
+};
@@ -0,0 +1,114 @@
+/**
+ * Authentication strategies
+ *
+ * Pluggable ways of producing the storage state file that tests start from:
+ * - ui: drive the login form with LoginPage (default)
+ * - api: basic auth with an API token over HTTP, no browser
+ * - storage: reuse an existing storage state file if it is still valid
+ *
+ * JIRA_AUTH_STRATEGY selects one strategy or a comma-separated fallback
+ * chain (e.g. "storage,api"); the first strategy that succeeds wins.
+ */
+const UiLoginStrategy = require('./UiLoginStrategy');
+const ApiTokenStrategy = require('./ApiTokenStrategy');
+const StoredSessionStrategy = require('./StoredSessionStrategy');
+
+const AUTH_STRATEGIES = {
+  ui: UiLoginStrategy,
+  api: ApiTokenStrategy,
+  storage: StoredSessionStrategy,
+};
+
+const DEFAULT_AUTH_STRATEGY = 'ui';
+
+/**
+ * Build strategy instances from a JIRA_AUTH_STRATEGY value
+ * @param {string} strategySpec - Strategy name or comma-separated chain
+ * @param {Object} options - Options passed to every strategy
+ * @returns {Object[]} Strategy instances in the order they should be tried
+ */
+function createAuthStrategies(strategySpec = DEFAULT_AUTH_STRATEGY, options = {}) {
+  const names = strategySpec
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (names.length === 0) {
+    names.push(DEFAULT_AUTH_STRATEGY);
+  }
+
+  return names.map((name) => {
+    const Strategy = AUTH_STRATEGIES[name];
+    if (!Strategy) {
+      throw new Error(
+        `Unknown authentication strategy "${name}". Allowed: ${Object.keys(AUTH_STRATEGIES).join(', ')}`
+      );
+    }
+    return new Strategy(options);
+  });
+}
+
+/**
+ * Run strategies in order until one produces a session
+ * @param {Object[]} strategies - Strategy instances from createAuthStrategies()
+ * @returns {Promise<string>} Name of the strategy that succeeded
+ */
+async function authenticate(strategies) {
+  const failures = [];
+
+  for (const strategy of strategies) {
+    const missing = strategy.getMissingEnv();
+    if (missing.length > 0) {
+      failures.push(
+        `${strategy.name}: missing required environment variables: ${missing.join(', ')}. Set them in the environment, .env, JIRA_CREDENTIALS_FILE or JIRA_CREDENTIALS_COMMAND.`
+      );
+      continue;
+    }
+
+    try {
+      await strategy.authenticate();
+      return strategy.name;
+    } catch (error) {
+      failures.push(`${strategy.name}: ${error.message}`);
+      if (strategies.length > 1) {
+        console.warn(`⚠️  Authentication strategy "${strategy.name}" did not succeed: ${error.message}`);
+      }
+    }
+  }
+
+  throw new Error(`All authentication strategies failed:\n  - ${failures.join('\n  - ')}`);
+}
+
+/**
+ * Pick the browser the UI strategy should log in with.
+ * JIRA_AUTH_BROWSER wins; otherwise the first project selected with
+ * --project (or the first configured project) decides.
+ * @param {Object} config - Playwright FullConfig passed to globalSetup
+ * @param {string[]} argv - Command line arguments
+ * @returns {string} chromium, firefox or webkit
+ */
+function resolveBrowserName(config, argv = process.argv) {
+  if (process.env.JIRA_AUTH_BROWSER) {
+    return process.env.JIRA_AUTH_BROWSER;
+  }
+
+  const projects = (config && config.projects) || [];
+  const selected = argv
+    .map((arg, index) => (arg === '--project' ? argv[index + 1] : arg.match(/^--project=(.+)$/)?.[1]))
+    .filter(Boolean);
+  const project = projects.find((p) => selected.includes(p.name)) || projects[0];
+  const use = (project && project.use) || {};
+
+  return use.browserName || use.defaultBrowserType || 'chromium';
+}
+
+module.exports = {
+  AUTH_STRATEGIES,
+  DEFAULT_AUTH_STRATEGY,
+  createAuthStrategies,
+  authenticate,
+  resolveBrowserName,
+  UiLoginStrategy,
+  ApiTokenStrategy,
+  StoredSessionStrategy,
+};
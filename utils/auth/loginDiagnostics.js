@@ -0,0 +1,60 @@
+/**
+ * Login diagnostics
+ *
+ * Recognises why a login stopped short of Jira from what the page shows:
+ * the URL, the inline error message and whether a CAPTCHA is on screen.
+ * LoginPage checks these signals after each submit and raises the matching
+ * error from ./errors, with a screenshot of the page.
+ */
+const {
+  WrongPasswordError,
+  UnknownAccountError,
+  AccountLockedError,
+  CaptchaChallengeError,
+  UnexpectedLoginPageError,
+} = require('./errors');
+
+// Inline error messages on the Atlassian login form
+const LOGIN_ERROR_SELECTOR = '[data-testid="form-error"], [data-testid="login-error"], #login-error';
+
+// CAPTCHA widgets Atlassian shows after repeated failed attempts
+const CAPTCHA_SELECTOR =
+  'iframe[src*="recaptcha"], iframe[src*="hcaptcha"], [data-testid="captcha"], #captcha';
+
+// Checked in order; the first match wins
+const LOGIN_FAILURE_RULES = [
+  { ErrorType: CaptchaChallengeError, matches: ({ captchaShown }) => captchaShown },
+  {
+    ErrorType: AccountLockedError,
+    matches: ({ pageMessage }) => /locked|too many (failed|unsuccessful)/i.test(pageMessage),
+  },
+  {
+    ErrorType: UnknownAccountError,
+    matches: ({ url, pageMessage }) =>
+      /\/signup([/?#]|$)/.test(url) ||
+      /(couldn't|could not|can't) find (an |your )?account|no account/i.test(pageMessage),
+  },
+  {
+    ErrorType: WrongPasswordError,
+    matches: ({ pageMessage }) => /incorrect|wrong|invalid|didn't work/i.test(pageMessage),
+  },
+];
+
+/**
+ * Pick the error type for a failed login
+ * @param {Object} signals - What the page shows
+ * @param {string} signals.url - Current page URL
+ * @param {string} signals.pageMessage - Inline error text ('' if none)
+ * @param {boolean} signals.captchaShown - Whether a CAPTCHA is visible
+ * @returns {Function} Error class from ./errors
+ */
+function classifyLoginFailure({ url = '', pageMessage = '', captchaShown = false }) {
+  const rule = LOGIN_FAILURE_RULES.find(({ matches }) => matches({ url, pageMessage, captchaShown }));
+  return rule ? rule.ErrorType : UnexpectedLoginPageError;
+}
+
+module.exports = {
+  LOGIN_ERROR_SELECTOR,
+  CAPTCHA_SELECTOR,
+  classifyLoginFailure,
+};
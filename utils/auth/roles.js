@@ -0,0 +1,161 @@
+/**
+ * User roles
+ *
+ * Named Jira accounts that tests can run as, each with its own credentials
+ * and cached storage state file. Credentials come from role-prefixed
+ * variables, e.g. JIRA_ADMIN_USERNAME / JIRA_ADMIN_PASSWORD /
+ * JIRA_ADMIN_API_TOKEN / JIRA_ADMIN_TOTP_SECRET, looked up through the
+ * credential providers (environment, .env, credentials file, command).
+ *
+ * The member role is the default account: it falls back to the unprefixed
+ * JIRA_USERNAME / JIRA_PASSWORD variables and keeps using storageState.json.
+ * The anonymous role has no credentials and starts from an empty storage state.
+ */
+const { getCredentialStore } = require('../credentials');
+
+const DEFAULT_ROLE = 'member';
+
+const ROLES = {
+  admin: { envPrefix: 'JIRA_ADMIN', storageStatePath: '.auth/admin.json' },
+  member: {
+    envPrefix: 'JIRA_MEMBER',
+    fallbackPrefix: 'JIRA',
+    storageStatePath: 'storageState.json',
+  },
+  viewer: { envPrefix: 'JIRA_VIEWER', storageStatePath: '.auth/viewer.json' },
+  anonymous: { anonymous: true },
+};
+
+// Storage state of a browser with no session at all
+const EMPTY_STORAGE_STATE = { cookies: [], origins: [] };
+
+// Variable name suffix of each credential
+const CREDENTIAL_SUFFIXES = {
+  username: 'USERNAME',
+  password: 'PASSWORD',
+  apiToken: 'API_TOKEN',
+  totpSecret: 'TOTP_SECRET',
+};
+
+// Variables credentials are read from when no role is involved
+const UNPREFIXED_ENV_NAMES = Object.fromEntries(
+  Object.entries(CREDENTIAL_SUFFIXES).map(([key, suffix]) => [key, `JIRA_${suffix}`])
+);
+
+/**
+ * Look up a role definition
+ * @param {string} roleName - Role name
+ * @returns {Object} Role definition with its name
+ */
+function getRole(roleName = DEFAULT_ROLE) {
+  const role = ROLES[roleName];
+  if (!role) {
+    throw new Error(`Unknown role "${roleName}". Allowed: ${Object.keys(ROLES).join(', ')}`);
+  }
+  return { name: roleName, ...role };
+}
+
+/**
+ * Get the storage state a browser context for a role should start from
+ * @param {string} roleName - Role name
+ * @returns {string|Object} Path of the role's session file, or an empty state for anonymous
+ */
+function getRoleStorageState(roleName) {
+  const role = getRole(roleName);
+  return role.anonymous ? EMPTY_STORAGE_STATE : role.storageStatePath;
+}
+
+/**
+ * Read a role's credentials
+ * @param {string} roleName - Role name
+ * @param {CredentialStore} credentials - Where to look (default: the shared credential store)
+ * @returns {Object} { username, password, apiToken, totpSecret } (values may be undefined)
+ */
+function getRoleCredentials(roleName, credentials = getCredentialStore()) {
+  const role = getRole(roleName);
+  if (role.anonymous) {
+    return {};
+  }
+
+  const read = (suffix) =>
+    credentials.get(`${role.envPrefix}_${suffix}`) ||
+    (role.fallbackPrefix ? credentials.get(`${role.fallbackPrefix}_${suffix}`) : undefined);
+
+  return {
+    username: read('USERNAME'),
+    password: read('PASSWORD'),
+    apiToken: read('API_TOKEN'),
+    totpSecret: read('TOTP_SECRET'),
+  };
+}
+
+/**
+ * Name the variables a role's credentials are read from, for messages.
+ * A credential found under one of the role's variables is named by that
+ * variable; a missing one by every variable it could be set in, e.g.
+ * "JIRA_MEMBER_PASSWORD or JIRA_PASSWORD".
+ * @param {string} roleName - Role name
+ * @param {CredentialStore} credentials - Where to look (default: the shared credential store)
+ * @returns {Object} { username, password, apiToken, totpSecret } variable names
+ */
+function getRoleEnvNames(roleName, credentials = getCredentialStore()) {
+  const role = getRole(roleName);
+  if (role.anonymous) {
+    return {};
+  }
+
+  const name = (suffix) => {
+    const candidates = [role.envPrefix, role.fallbackPrefix].filter(Boolean).map((prefix) => `${prefix}_${suffix}`);
+    return candidates.find((variable) => credentials.get(variable)) || candidates.join(' or ');
+  };
+
+  return Object.fromEntries(Object.entries(CREDENTIAL_SUFFIXES).map(([key, suffix]) => [key, name(suffix)]));
+}
+
+/**
+ * Check whether any credentials are configured for a role
+ * @param {string} roleName - Role name
+ * @param {CredentialStore} credentials - Where to look (default: the shared credential store)
+ * @returns {boolean} True if the role can be authenticated
+ */
+function hasRoleCredentials(roleName, credentials = getCredentialStore()) {
+  const { username } = getRoleCredentials(roleName, credentials);
+  return Boolean(username);
+}
+
+/**
+ * Decide which roles globalSetup should prepare sessions for.
+ * JIRA_ROLES lists them explicitly; otherwise the default role and every
+ * role with credentials configured. The anonymous role needs no session.
+ * @param {string} rolesSpec - Comma-separated role names (JIRA_ROLES)
+ * @param {CredentialStore} credentials - Where to look (default: the shared credential store)
+ * @returns {string[]} Role names
+ */
+function resolveRoles(rolesSpec, credentials = getCredentialStore()) {
+  if (rolesSpec) {
+    return rolesSpec
+      .split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean)
+      .map((name) => getRole(name))
+      .filter((role) => !role.anonymous)
+      .map((role) => role.name);
+  }
+
+  return Object.keys(ROLES).filter(
+    (name) => name === DEFAULT_ROLE || (!ROLES[name].anonymous && hasRoleCredentials(name, credentials))
+  );
+}
+
+module.exports = {
+  DEFAULT_ROLE,
+  ROLES,
+  EMPTY_STORAGE_STATE,
+  UNPREFIXED_ENV_NAMES,
+  getRole,
+  getRoleStorageState,
+  getRoleCredentials,
+  getRoleEnvNames,
+  hasRoleCredentials,
+  resolveRoles,
+};
@@ -0,0 +1,135 @@
+/**
+ * TOTP
+ *
+ * Time-based one-time passwords (RFC 6238, built on RFC 4226 HOTP) for
+ * Jira accounts with two-step verification. Codes are generated locally
+ * from the base32 shared secret shown when the authenticator app was
+ * enrolled; no external service is involved.
+ *
+ * Every function takes the timestamp explicitly (defaulting to Date.now()),
+ * so callers and tests can run against a fixed clock.
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_DEFAULTS = {
+  PERIOD: 30, // seconds each code is valid for
+  DIGITS: 6,
+  ALGORITHM: 'sha1',
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input - Base32 encoded secret
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeBase32(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  if (cleaned.length === 0) {
+    throw new Error('TOTP secret is empty');
+  }
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`TOTP secret is not valid base32: unexpected character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {Buffer} key - Shared secret bytes
+ * @param {number} counter - Moving factor
+ * @param {Object} options - Code options
+ * @param {number} options.digits - Code length (default: 6)
+ * @param {string} options.algorithm - HMAC hash: sha1, sha256 or sha512 (default: sha1)
+ * @returns {string} Zero-padded code
+ */
+function generateHotp(key, counter, { digits = TOTP_DEFAULTS.DIGITS, algorithm = TOTP_DEFAULTS.ALGORITHM } = {}) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Generate the TOTP code valid at a point in time (RFC 6238)
+ * @param {string} secret - Base32 encoded shared secret
+ * @param {Object} options - Code options
+ * @param {number} options.timestamp - Unix time in milliseconds (default: now)
+ * @param {number} options.period - Time step in seconds (default: 30)
+ * @param {number} options.digits - Code length (default: 6)
+ * @param {string} options.algorithm - HMAC hash (default: sha1)
+ * @returns {string} Zero-padded code
+ */
+function generateTotp(
+  secret,
+  { timestamp = Date.now(), period = TOTP_DEFAULTS.PERIOD, digits, algorithm } = {}
+) {
+  const counter = Math.floor(timestamp / 1000 / period);
+  return generateHotp(decodeBase32(secret), counter, { digits, algorithm });
+}
+
+/**
+ * Check a code against the current time step and its neighbours
+ * @param {string} code - Code to verify
+ * @param {string} secret - Base32 encoded shared secret
+ * @param {Object} options - Verification options
+ * @param {number} options.timestamp - Unix time in milliseconds (default: now)
+ * @param {number} options.window - Number of adjacent steps accepted for clock drift (default: 1)
+ * @param {number} options.period - Time step in seconds (default: 30)
+ * @returns {boolean} True if the code is valid
+ */
+function verifyTotp(
+  code,
+  secret,
+  { timestamp = Date.now(), window = 1, period = TOTP_DEFAULTS.PERIOD, digits, algorithm } = {}
+) {
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = generateTotp(secret, {
+      timestamp: timestamp + drift * period * 1000,
+      period,
+      digits,
+      algorithm,
+    });
+    if (candidate === String(code)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Seconds until the code valid at a timestamp rolls over
+ * @param {number} timestamp - Unix time in milliseconds (default: now)
+ * @param {number} period - Time step in seconds (default: 30)
+ * @returns {number} Seconds remaining in the current time step
+ */
+function getSecondsRemaining(timestamp = Date.now(), period = TOTP_DEFAULTS.PERIOD) {
+  return period - ((timestamp / 1000) % period);
+}
+
+module.exports = {
+  TOTP_DEFAULTS,
+  decodeBase32,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  getSecondsRemaining,
+};
@@ -1,3 +1,7 @@
+// Defaults for every site; a site profile (see utils/profiles) overrides any of them.
+// Requiring this module gives the defaults: the profile named by JIRA_PROFILE, or
+// a Playwright project's `profile` option, is switched in by global setup and by
+// the worker fixtures (see utils/fixtures.js), so unit tests see the defaults.
 module.exports = {
   // Status constants
   OPEN_STATUSES: ['Open', 'To Do', 'In Progress'],
@@ -6,10 +10,29 @@ module.exports = {
   // All allowed statuses (whitelist for validation)
   ALLOWED_STATUSES: ['Open', 'To Do', 'In Progress', 'Done', 'Closed'],
   
-  // JQL query patterns for validation
+  // Loose text checks on JQL; utils/jql compares queries by meaning
   OPEN_STATUSES_JQL_PATTERN: /status\s*=\s*"?(?:Open|To Do|In Progress)"?/i,
   CLOSED_STATUSES_JQL_PATTERN: /status\s*=\s*"?(?:Done|Closed)"?/i,
 
+  // Sort orders of the Status and Priority columns: statuses in workflow
+  // order, priorities from lowest to highest (see utils/sortOrder.js)
+  STATUS_ORDER: ['To Do', 'Open', 'In Progress', 'Done', 'Closed'],
+  PRIORITY_ORDER: ['Lowest', 'Low', 'Medium', 'High', 'Highest'],
+
+  // Jira's ordering when basic mode has no sort selected
+  BASIC_MODE_ORDER_BY: [{ field: 'created', direction: 'DESC' }],
+
+  // What result validation does when a search returns no rows
+  EMPTY_RESULTS_POLICIES: ['pass', 'warn', 'fail'],
+  EMPTY_RESULTS: 'warn',
+
+  // Most distinct rows read when following result pages or scrolling
+  RESULT_ROW_LIMIT: 1000,
+
+  // How far the shown result count may be from the search API's approximate
+  // count, as a share of it (rounded down, so counts under 20 must match)
+  API_COUNT_TOLERANCE: 0.05,
+
   // Timeout constants (in milliseconds)
   TIMEOUTS: {
     PAGE_LOAD: 30000,      // 30 seconds for page navigation and load
@@ -17,4 +40,10 @@ module.exports = {
     QUICK_ACTION: 5000,    // 5 seconds for quick actions like clicks
     FILTER_CLEAR: 1000,    // 1 second for filter clearing
   },
+
+  // Page object locators to replace, by page class and property
+  SELECTORS: {},
+
+  // Name of the active site profile; null for the defaults
+  PROFILE: null,
 };
@@ -0,0 +1,91 @@
+const { execSync } = require('child_process');
+const dotenv = require('dotenv');
+const { registerSecretsIn } = require('./masking');
+
+// Placeholder replaced with the variable name in per-key commands
+const KEY_PLACEHOLDER = '{key}';
+
+const DEFAULT_COMMAND_TIMEOUT = 30000;
+
+/**
+ * CommandProvider
+ *
+ * Reads credentials from the output of a local command, for password
+ * managers and vault CLIs. Two forms are supported:
+ * - a command containing {key} runs once per variable and its first output
+ *   line is the value, e.g. "pass show jira/{key}"
+ * - any other command runs once and prints JSON or KEY=VALUE lines,
+ *   e.g. "vault kv get -format=json -field=data secret/jira"
+ * A per-key command that exits non-zero means the variable is not set.
+ */
+class CommandProvider {
+  /**
+   * Constructor
+   * @param {string} command - Shell command to run
+   * @param {Object} options - Command options
+   * @param {number} options.timeout - Milliseconds before the command is killed (default: 30000)
+   */
+  constructor(command, { timeout = DEFAULT_COMMAND_TIMEOUT } = {}) {
+    this.name = 'command';
+    this.command = command;
+    this.timeout = timeout;
+    this.perKey = command.includes(KEY_PLACEHOLDER);
+    this.cache = new Map();
+    this.values = null;
+  }
+
+  /**
+   * Run a command and return its standard output
+   * @param {string} command - Shell command
+   * @returns {string} Standard output
+   */
+  run(command) {
+    return execSync(command, {
+      encoding: 'utf-8',
+      timeout: this.timeout,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  }
+
+  /**
+   * Look up a credential
+   * @param {string} key - Variable name, e.g. JIRA_PASSWORD
+   * @returns {string|undefined} Value, or undefined if not set
+   */
+  get(key) {
+    if (this.perKey) {
+      if (!this.cache.has(key)) {
+        let value;
+        try {
+          value = this.run(this.command.split(KEY_PLACEHOLDER).join(key)).split(/\r?\n/)[0].trim();
+        } catch (error) {
+          value = undefined;
+        }
+        this.cache.set(key, value || undefined);
+      }
+      return this.cache.get(key);
+    }
+
+    if (!this.values) {
+      let output;
+      try {
+        output = this.run(this.command);
+      } catch (error) {
+        // The command itself may echo secrets on failure, so only report how it ended
+        const reason = error.code === 'ETIMEDOUT' ? 'timed out' : `exited with status ${error.status}`;
+        throw new Error(`Credentials command "${this.command}" ${reason}.`);
+      }
+      try {
+        this.values = output.trim().startsWith('{') ? JSON.parse(output) : dotenv.parse(output);
+      } catch (error) {
+        throw new Error(`Credentials command "${this.command}" did not print valid JSON.`);
+      }
+      registerSecretsIn(this.values);
+    }
+
+    const value = this.values[key];
+    return value === undefined || value === null || value === '' ? undefined : String(value);
+  }
+}
+
+module.exports = CommandProvider;
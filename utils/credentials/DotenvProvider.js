@@ -0,0 +1,38 @@
+const fs = require('fs');
+const dotenv = require('dotenv');
+const { registerSecretsIn } = require('./masking');
+
+/**
+ * DotenvProvider
+ *
+ * Reads credentials from a .env file without copying them into
+ * process.env. A missing file simply provides nothing.
+ */
+class DotenvProvider {
+  /**
+   * Constructor
+   * @param {string} filePath - Path of the .env file (default: .env in the working directory)
+   */
+  constructor(filePath = '.env') {
+    this.name = 'dotenv';
+    this.filePath = filePath;
+    this.values = null;
+  }
+
+  /**
+   * Look up a credential
+   * @param {string} key - Variable name, e.g. JIRA_PASSWORD
+   * @returns {string|undefined} Value, or undefined if not set
+   */
+  get(key) {
+    if (!this.values) {
+      this.values = fs.existsSync(this.filePath)
+        ? dotenv.parse(fs.readFileSync(this.filePath))
+        : {};
+      registerSecretsIn(this.values);
+    }
+    return this.values[key] || undefined;
+  }
+}
+
+module.exports = DotenvProvider;
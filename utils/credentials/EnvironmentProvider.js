@@ -0,0 +1,30 @@
+const { registerSecretsIn } = require('./masking');
+
+/**
+ * EnvironmentProvider
+ *
+ * Reads credentials from the process environment. Variables exported in
+ * the shell or CI job win over every other source.
+ */
+class EnvironmentProvider {
+  /**
+   * Constructor
+   * @param {Object} env - Environment to read (default: process.env)
+   */
+  constructor(env = process.env) {
+    this.name = 'environment';
+    this.env = env;
+    registerSecretsIn(env);
+  }
+
+  /**
+   * Look up a credential
+   * @param {string} key - Variable name, e.g. JIRA_PASSWORD
+   * @returns {string|undefined} Value, or undefined if not set
+   */
+  get(key) {
+    return this.env[key] || undefined;
+  }
+}
+
+module.exports = EnvironmentProvider;
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerSecretsIn } = require('./masking');
+
+// Repository root; credentials files must live outside it so they can't be committed
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Parse an INI file into a flat key/value object.
+ * Sections only group keys; a key keeps its own name whatever section it is in.
+ * @param {string} content - INI file content
+ * @returns {Object} Key/value pairs
+ */
+function parseIni(content) {
+  const values = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith(';') || line.startsWith('#') || /^\[.*\]$/.test(line)) {
+      continue;
+    }
+
+    const separator = line.indexOf('=');
+    if (separator === -1) {
+      continue;
+    }
+
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim().replace(/^(["'])(.*)\1$/, '$2');
+    values[key] = value;
+  }
+
+  return values;
+}
+
+/**
+ * FileProvider
+ *
+ * Reads credentials from a JSON or INI file kept outside the repository,
+ * e.g. ~/.config/jira-tests/credentials.json. JSON files hold a flat object
+ * of variable names to values; any other extension is parsed as INI.
+ */
+class FileProvider {
+  /**
+   * Constructor
+   * @param {string} filePath - Credentials file path (a leading ~ means the home directory)
+   */
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = path.resolve(filePath.replace(/^~(?=$|[/\\])/, os.homedir()));
+    this.values = null;
+  }
+
+  /**
+   * Read and parse the file on first use
+   * @returns {Object} Key/value pairs
+   */
+  load() {
+    if (this.values) {
+      return this.values;
+    }
+
+    if (!path.relative(REPO_ROOT, this.filePath).startsWith('..')) {
+      throw new Error(
+        `Credentials file ${this.filePath} is inside the repository. Move it outside the project so it cannot be committed.`
+      );
+    }
+    if (!fs.existsSync(this.filePath)) {
+      throw new Error(`Credentials file ${this.filePath} does not exist.`);
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf-8');
+    if (path.extname(this.filePath).toLowerCase() === '.json') {
+      try {
+        this.values = JSON.parse(content);
+      } catch (error) {
+        // JSON.parse errors quote the content, which would print the secrets
+        throw new Error(`Credentials file ${this.filePath} is not valid JSON.`);
+      }
+    } else {
+      this.values = parseIni(content);
+    }
+
+    registerSecretsIn(this.values);
+    return this.values;
+  }
+
+  /**
+   * Look up a credential
+   * @param {string} key - Variable name, e.g. JIRA_PASSWORD
+   * @returns {string|undefined} Value, or undefined if not set
+   */
+  get(key) {
+    const value = this.load()[key];
+    return value === undefined || value === null || value === '' ? undefined : String(value);
+  }
+}
+
+module.exports = FileProvider;
+module.exports.parseIni = parseIni;
@@ -0,0 +1,133 @@
+/**
+ * Credentials
+ *
+ * Layered credential lookup. Each variable (JIRA_URL, JIRA_PASSWORD,
+ * JIRA_ADMIN_API_TOKEN, ...) is read from the first provider that has it:
+ *
+ *   1. environment - variables exported in the shell or CI job
+ *   2. dotenv      - the project's .env file
+ *   3. file        - JSON or INI file outside the repo (JIRA_CREDENTIALS_FILE)
+ *   4. command     - output of a local command (JIRA_CREDENTIALS_COMMAND)
+ *
+ * The command runs last so password managers are only asked for what the
+ * other sources don't provide. Secret variables (JIRA_*PASSWORD, *TOKEN,
+ * *SECRET) are registered for masking as soon as their provider loads, and
+ * any other secret value as soon as it is read.
+ */
+const EnvironmentProvider = require('./EnvironmentProvider');
+const DotenvProvider = require('./DotenvProvider');
+const FileProvider = require('./FileProvider');
+const CommandProvider = require('./CommandProvider');
+const { isSecretKey, registerSecret, maskSecrets, installConsoleMasking } = require('./masking');
+
+/**
+ * CredentialStore
+ *
+ * Asks providers in order and returns the first value found.
+ */
+class CredentialStore {
+  /**
+   * Constructor
+   * @param {Object[]} providers - Providers in precedence order (each has name and get(key))
+   */
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * Find a credential and the provider it came from
+   * @param {string} key - Variable name
+   * @returns {Object|null} { value, source }, or null if no provider has it
+   */
+  lookup(key) {
+    for (const provider of this.providers) {
+      const value = provider.get(key);
+      if (value !== undefined) {
+        if (isSecretKey(key)) {
+          registerSecret(value);
+        }
+        return { value, source: provider.name };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get a credential value
+   * @param {string} key - Variable name
+   * @returns {string|undefined} Value, or undefined if no provider has it
+   */
+  get(key) {
+    const found = this.lookup(key);
+    return found ? found.value : undefined;
+  }
+
+  /**
+   * Names of the providers consulted, in order
+   * @returns {string[]} Provider names
+   */
+  describe() {
+    return this.providers.map((provider) => provider.name);
+  }
+}
+
+/**
+ * Build the default provider chain
+ * @param {Object} options - Store options
+ * @param {Object} options.env - Environment to read (default: process.env)
+ * @param {string} options.dotenvPath - .env file path (default: .env)
+ * @returns {CredentialStore} Credential store
+ */
+function createCredentialStore({ env = process.env, dotenvPath = '.env' } = {}) {
+  const environment = new EnvironmentProvider(env);
+  const dotenv = new DotenvProvider(dotenvPath);
+  const providers = [environment, dotenv];
+
+  // The file and command locations may themselves come from the shell or .env
+  const setting = (key) => environment.get(key) || dotenv.get(key);
+  if (setting('JIRA_CREDENTIALS_FILE')) {
+    providers.push(new FileProvider(setting('JIRA_CREDENTIALS_FILE')));
+  }
+  if (setting('JIRA_CREDENTIALS_COMMAND')) {
+    providers.push(new CommandProvider(setting('JIRA_CREDENTIALS_COMMAND')));
+  }
+
+  return new CredentialStore(providers);
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared credential store, created on first use
+ * @returns {CredentialStore} Credential store
+ */
+function getCredentialStore() {
+  if (!defaultStore) {
+    defaultStore = createCredentialStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Get a credential from the shared store
+ * @param {string} key - Variable name
+ * @returns {string|undefined} Value, or undefined if no provider has it
+ */
+function getCredential(key) {
+  return getCredentialStore().get(key);
+}
+
+module.exports = {
+  CredentialStore,
+  createCredentialStore,
+  getCredentialStore,
+  getCredential,
+  isSecretKey,
+  maskSecrets,
+  registerSecret,
+  installConsoleMasking,
+  EnvironmentProvider,
+  DotenvProvider,
+  FileProvider,
+  CommandProvider,
+};
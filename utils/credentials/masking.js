@@ -0,0 +1,105 @@
+const util = require('util');
+
+const MASK = '********';
+
+// Values shorter than this are too likely to match ordinary text
+const MIN_SECRET_LENGTH = 4;
+
+// Variables whose values must never be printed
+const SECRET_KEY_PATTERN = /(PASSWORD|TOKEN|SECRET)$/;
+
+// Only the suite's own variables count; other tools' tokens are not ours to mask
+const CREDENTIAL_KEY_PREFIX = 'JIRA_';
+
+const secrets = new Set();
+let consoleMaskingInstalled = false;
+
+/**
+ * Remember a value that must never be printed
+ * @param {string} value - Secret value (password, API token, TOTP secret)
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Check whether a variable holds a secret
+ * @param {string} key - Variable name
+ * @returns {boolean} True for passwords, tokens and secrets
+ */
+function isSecretKey(key) {
+  return SECRET_KEY_PATTERN.test(key);
+}
+
+/**
+ * Remember every secret a credential source holds, whether or not it is
+ * ever read, so a value that reaches output some other way is still masked
+ * @param {Object} values - Variable names to values, as loaded by a provider
+ */
+function registerSecretsIn(values) {
+  for (const [key, value] of Object.entries(values || {})) {
+    if (key.startsWith(CREDENTIAL_KEY_PREFIX) && isSecretKey(key) && value !== undefined && value !== null) {
+      registerSecret(String(value));
+    }
+  }
+}
+
+/**
+ * Replace every registered secret in a string with a mask
+ * @param {string} text - Text that may contain secrets
+ * @returns {string} Masked text
+ */
+function maskSecrets(text) {
+  if (typeof text !== 'string' || secrets.size === 0) {
+    return text;
+  }
+
+  // Also as sent in URLs and form bodies; longest first, so a secret
+  // containing another one is masked whole
+  const forms = [...secrets].flatMap((secret) => [
+    secret,
+    encodeURIComponent(secret),
+    new URLSearchParams({ secret }).toString().slice('secret='.length),
+  ]);
+  return [...new Set(forms)]
+    .sort((a, b) => b.length - a.length)
+    .reduce((masked, secret) => masked.split(secret).join(MASK), text);
+}
+
+/**
+ * Patch console methods so registered secrets are masked before printing.
+ * Console output is what Playwright attaches to results as stdout/stderr in
+ * the HTML report, so masking it here keeps secrets out of the report too.
+ * @param {Console} target - Console to patch (default: global console)
+ */
+function installConsoleMasking(target = console) {
+  if (target === console && consoleMaskingInstalled) {
+    return;
+  }
+
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = target[method].bind(target);
+    target[method] = (...args) => {
+      if (secrets.size === 0) {
+        original(...args);
+        return;
+      }
+      original(maskSecrets(util.format(...args)));
+    };
+  }
+
+  if (target === console) {
+    consoleMaskingInstalled = true;
+  }
+}
+
+module.exports = {
+  MASK,
+  isSecretKey,
+  registerSecret,
+  registerSecretsIn,
+  maskSecrets,
+  installConsoleMasking,
+};
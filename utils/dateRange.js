@@ -0,0 +1,229 @@
+/**
+ * Date ranges of the basic search date criteria (Created, Updated, Due)
+ *
+ * A range is one of:
+ * - { type: 'withinLast', amount, unit }: from `amount` units ago until now
+ * - { type: 'moreThan', amount, unit }: up to `amount` units ago
+ * - { type: 'between', from, to }: whole days from `from` to `to` (YYYY-MM-DD),
+ *   either of which may be left out
+ * with unit one of minutes, hours, days or weeks.
+ *
+ * Days are days in a time zone: the browser's, which is the one Jira uses to
+ * show dates and to read the dates typed into the filter.
+ */
+
+const DATE_RANGE_TYPES = ['withinLast', 'moreThan', 'between'];
+const DATE_UNITS = {
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+  weeks: 7 * 24 * 60 * 60 * 1000,
+};
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}))?$/;
+// What Jira puts in a date cell's datetime attribute, e.g. 2025-12-01T08:15:00.000+0100
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * Check a date range and fill in its defaults
+ * @param {Object} range - Date range (see module comment)
+ * @returns {Object} The range, with `from`/`to` set to '' when left out
+ * @throws {Error} On an unknown type or unit, a bad amount or a bad day
+ */
+function validateDateRange(range) {
+  const { type } = range || {};
+  if (!DATE_RANGE_TYPES.includes(type)) {
+    throw new Error(`Unknown date range type "${type}". Use: ${DATE_RANGE_TYPES.join(', ')}`);
+  }
+
+  if (type === 'between') {
+    const { from = '', to = '' } = range;
+    for (const day of [from, to]) {
+      if (day && !DAY_PATTERN.test(day)) {
+        throw new Error(`Date "${day}" must be written YYYY-MM-DD`);
+      }
+    }
+    if (!from && !to) {
+      throw new Error('A "between" date range needs a from or a to date');
+    }
+    if (from && to && from > to) {
+      throw new Error(`Date range starts after it ends: ${from} to ${to}`);
+    }
+    return { type, from, to };
+  }
+
+  const { amount, unit } = range;
+  if (!Number.isInteger(amount) || amount < 1) {
+    throw new Error(`Date range amount must be a whole number of at least 1, got ${amount}`);
+  }
+  if (!(unit in DATE_UNITS)) {
+    throw new Error(`Unknown date range unit "${unit}". Use: ${Object.keys(DATE_UNITS).join(', ')}`);
+  }
+  return { type, amount, unit };
+}
+
+/**
+ * Describe a date range the way the criterion pill does
+ * @param {Object} range - Date range
+ * @returns {string} e.g. 'within the last 7 days' or 'between 2025-11-01 and 2025-11-30'
+ */
+function describeDateRange(range) {
+  const { type, amount, unit, from, to } = validateDateRange(range);
+  if (type === 'withinLast') {
+    return `within the last ${amount} ${unit}`;
+  }
+  if (type === 'moreThan') {
+    return `more than ${amount} ${unit} ago`;
+  }
+  if (from && to) {
+    return `between ${from} and ${to}`;
+  }
+  return from ? `on or after ${from}` : `on or before ${to}`;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {number} instant - Time in ms
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Berlin'
+ * @returns {number} Offset in ms (positive east of UTC)
+ */
+function getTimeZoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time in a time zone stands for
+ * @param {number[]} wallClock - [year, month (1-12), day, hours, minutes]
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Time in ms
+ */
+function zonedTimeToInstant([year, month, day, hours = 0, minutes = 0], timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+  const offset = getTimeZoneOffset(asUtc, timeZone);
+  // The offset at the guess can differ from the one at the result around DST changes
+  const correctedOffset = getTimeZoneOffset(asUtc - offset, timeZone);
+  return asUtc - correctedOffset;
+}
+
+/**
+ * Start of a day in a time zone
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Time in ms
+ */
+function startOfDay(day, timeZone) {
+  const [, year, month, date] = day.match(DAY_PATTERN).map(Number);
+  return zonedTimeToInstant([year, month, date], timeZone);
+}
+
+/**
+ * Start of the next day in a time zone
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Time in ms
+ */
+function startOfNextDay(day, timeZone) {
+  const [, year, month, date] = day.match(DAY_PATTERN).map(Number);
+  return zonedTimeToInstant([year, month, date + 1], timeZone);
+}
+
+/**
+ * Window of time a date range covers
+ * @param {Object} range - Date range
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - IANA time zone of the browser
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Object} { start, end } in ms: start inclusive, end exclusive, null when open
+ */
+function resolveDateWindow(range, { timeZone, now = Date.now() }) {
+  const { type, amount, unit, from, to } = validateDateRange(range);
+  if (type === 'withinLast') {
+    return { start: now - amount * DATE_UNITS[unit], end: null };
+  }
+  if (type === 'moreThan') {
+    return { start: null, end: now - amount * DATE_UNITS[unit] };
+  }
+  return {
+    start: from ? startOfDay(from, timeZone) : null,
+    end: to ? startOfNextDay(to, timeZone) : null,
+  };
+}
+
+/**
+ * Time span a date in the results stands for: a whole minute for
+ * 'YYYY-MM-DD HH:mm', a whole day for 'YYYY-MM-DD', and the instant itself for
+ * an ISO timestamp with its offset, as read from the cell's datetime or title
+ * attribute whatever date format the profile shows
+ * @param {string} text - Date as shown, in the browser's time zone, or an ISO timestamp
+ * @param {string} timeZone - IANA time zone of the browser
+ * @returns {Object} { start, end } in ms (end exclusive)
+ * @throws {Error} If the text is not a date in any of these formats
+ */
+function parseShownDate(text, timeZone) {
+  const trimmed = text.trim();
+  if (ISO_TIMESTAMP_PATTERN.test(trimmed)) {
+    const start = Date.parse(trimmed);
+    return { start, end: start + 1 };
+  }
+  const match = trimmed.match(DATE_TIME_PATTERN);
+  if (!match) {
+    throw new Error(
+      `Cannot read "${text}" as a date (expected YYYY-MM-DD, YYYY-MM-DD HH:mm or an ISO timestamp with an offset)`
+    );
+  }
+  const [, year, month, day, hours, minutes] = match;
+  if (hours === undefined) {
+    const date = `${year}-${month}-${day}`;
+    return { start: startOfDay(date, timeZone), end: startOfNextDay(date, timeZone) };
+  }
+  const start = zonedTimeToInstant([year, month, day, hours, minutes].map(Number), timeZone);
+  return { start, end: start + DATE_UNITS.minutes };
+}
+
+/**
+ * Find shown dates that fall outside a date range. A date passes when any
+ * part of the minute or day it shows lies in the window, since the results
+ * round times down.
+ * @param {Object[]} dates - { key, value } per result, value as shown or an ISO timestamp
+ *   ('' when the field is empty)
+ * @param {Object} range - Date range
+ * @param {Object} options - { timeZone, now } (see resolveDateWindow)
+ * @returns {Object[]} Results outside the range ({ key, value }); empty fields count as outside
+ */
+function findDatesOutsideRange(dates, range, options) {
+  const window = resolveDateWindow(range, options);
+  return dates.filter(({ value }) => {
+    if (!value) {
+      return true;
+    }
+    const { start, end } = parseShownDate(value, options.timeZone);
+    return (window.start !== null && end <= window.start) || (window.end !== null && start >= window.end);
+  });
+}
+
+module.exports = {
+  DATE_RANGE_TYPES,
+  DATE_UNITS,
+  validateDateRange,
+  describeDateRange,
+  getTimeZoneOffset,
+  zonedTimeToInstant,
+  resolveDateWindow,
+  parseShownDate,
+  findDatesOutsideRange,
+};
@@ -0,0 +1,99 @@
+/**
+ * File locking helpers
+ *
+ * Cross-process coordination for files shared between Playwright workers
+ * (e.g. storageState.json). The lock is a sibling directory created with
+ * mkdir, which is atomic on every platform Node supports. Its holder touches
+ * it while the function runs, so only a lock whose holder died goes stale,
+ * however long the function takes.
+ */
+const fs = require('fs');
+
+/**
+ * Run a function while holding an exclusive lock on a file path
+ * @param {string} targetPath - File the lock protects
+ * @param {Function} fn - Async function to run while the lock is held
+ * @param {Object} options - Lock options
+ * @param {number} options.timeout - Max time to wait for the lock in ms (default: 30000)
+ * @param {number} options.staleAfter - Time in ms since the holder last touched the lock after which
+ *   it counts as abandoned and is broken (default: 60000)
+ * @param {number} options.retryInterval - Delay between attempts in ms (default: 100)
+ * @returns {Promise<*>} Result of fn
+ */
+async function withFileLock(
+  targetPath,
+  fn,
+  { timeout = 30000, staleAfter = 60000, retryInterval = 100 } = {}
+) {
+  const lockPath = `${targetPath}.lock`;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      fs.mkdirSync(lockPath);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (isStale(lockPath, staleAfter)) {
+        fs.rmSync(lockPath, { recursive: true, force: true });
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out after ${timeout}ms waiting for lock on ${targetPath}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, retryInterval));
+    }
+  }
+
+  const heartbeat = setInterval(() => touch(lockPath), Math.max(staleAfter / 3, retryInterval));
+  heartbeat.unref();
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    fs.rmSync(lockPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Mark a held lock as alive by updating its modification time
+ * @param {string} lockPath - Lock directory
+ */
+function touch(lockPath) {
+  const now = new Date();
+  try {
+    fs.utimesSync(lockPath, now, now);
+  } catch {
+    // Released or broken meanwhile; the finally block or the new holder owns it now
+  }
+}
+
+/**
+ * Check whether a lock directory was left behind by a crashed process
+ * @param {string} lockPath - Lock directory
+ * @param {number} staleAfter - Max lock age in ms
+ * @returns {boolean} True if the lock is older than staleAfter
+ */
+function isStale(lockPath, staleAfter) {
+  try {
+    return Date.now() - fs.statSync(lockPath).mtimeMs > staleAfter;
+  } catch {
+    // Lock disappeared between mkdir and stat; retry immediately
+    return true;
+  }
+}
+
+/**
+ * Write a file so readers never observe partial content
+ * @param {string} targetPath - Destination file
+ * @param {string} content - File content
+ */
+function writeFileAtomic(targetPath, content) {
+  const tempPath = `${targetPath}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, targetPath);
+}
+
+module.exports = { withFileLock, writeFileAtomic };
@@ -0,0 +1,225 @@
+/**
+ * Test fixtures
+ *
+ * Extends Playwright's `test` with project-wide fixtures. Specs should import
+ * `test` and `expect` from this module instead of '@playwright/test'.
+ *
+ * - role: option naming the account the test runs as (default: member);
+ *   select another with `test.use({ role: 'viewer' })`
+ * - storageState: the cached session file of the selected role (empty for anonymous)
+ * - page: guarded by a SessionGuard, so an expired session detected by a
+ *   page object step triggers a re-login and a single retry of that step
+ * - pageAs: opens a page in a separate browser context for another role,
+ *   e.g. `const viewerPage = await pageAs('viewer')`
+ * - profile: worker option naming the site profile (see utils/profiles) the
+ *   constants come from (default: JIRA_PROFILE); set it per Playwright project
+ *   with `use: { profile: 'acme' }`
+ * - harMode: off, record or replay (default: JIRA_HAR_MODE); record saves the
+ *   test's traffic to a HAR file, replay answers every request from it and
+ *   reports requests that were never recorded (see utils/har)
+ * - seedIssues: option declaring the issues a test needs, e.g.
+ *   `test.use({ seedIssues: [{ type: 'Bug', status: 'Done' }] })`
+ * - jiraApi: JiraRestClient authenticated with the page's session
+ * - seededIssues: creates the declared issues through the REST API with the
+ *   page's session before the test and deletes them afterwards (see utils/seeding)
+ * - statusCatalog: the instance's statuses by category (see utils/jira/statusCatalog),
+ *   read once per worker from the REST API, or from the status snapshot when
+ *   JIRA_STATUS_SOURCE=snapshot and in replay
+ *
+ * `expect` carries the JQL matchers (toConstrainExactly, toHaveJqlOrderBy,
+ * toBeEquivalentJql) from utils/jql.
+ *
+ * Importing this module also masks credential secrets in console output,
+ * which Playwright attaches to the HTML report.
+ */
+const path = require('path');
+const base = require('@playwright/test');
+const SessionGuard = require('./auth/SessionGuard');
+const {
+  DEFAULT_ROLE,
+  getRole,
+  getRoleStorageState,
+  getRoleCredentials,
+  getRoleEnvNames,
+  EMPTY_STORAGE_STATE,
+} = require('./auth/roles');
+const { getCredential, installConsoleMasking } = require('./credentials');
+const {
+  resolveHarMode,
+  getHarPath,
+  startHarRecording,
+  startHarReplay,
+  finishHarRecordings,
+} = require('./har');
+const JiraRestClient = require('./jira/JiraRestClient');
+const { createStatusCatalogLoader, DEFAULT_STATUS_SNAPSHOT } = require('./jira/statusCatalog');
+const { createRunLabel, seedIssues, deleteIssues } = require('./seeding');
+const { jqlMatchers } = require('./jql');
+const constants = require('./constants');
+const { activateProfile } = require('./profiles');
+
+installConsoleMasking();
+
+// One label for every issue this worker seeds, so a crashed run can be swept
+const seedRunLabel = createRunLabel();
+
+// Statuses only change with the instance's workflows, so each worker reads them once
+// (a failed read is retried by the next test)
+const loadWorkerStatusCatalog = createStatusCatalogLoader();
+
+/**
+ * Start guarding a page with the credentials of a role
+ * @param {Page} page - Playwright page object
+ * @param {string} roleName - Role the page is logged in as
+ * @returns {SessionGuard|null} Attached guard, or null for the anonymous role
+ */
+function guardPage(page, roleName) {
+  const role = getRole(roleName);
+  if (role.anonymous) {
+    return null;
+  }
+
+  const { username, password, totpSecret } = getRoleCredentials(roleName);
+  return SessionGuard.attach(page, {
+    jiraUrl: getCredential('JIRA_URL'),
+    username,
+    password,
+    totpSecret,
+    storageStatePath: role.storageStatePath,
+    envNames: getRoleEnvNames(roleName),
+  });
+}
+
+/**
+ * Report requests a replayed test made that its HAR had no response for.
+ * They are attached to the test and logged; JIRA_HAR_STRICT fails the test.
+ * @param {string[]} unmatched - Requests as "METHOD url"
+ * @param {TestInfo} testInfo - Playwright test info
+ */
+async function reportUnmatchedRequests(unmatched, testInfo) {
+  if (unmatched.length === 0) {
+    return;
+  }
+
+  const list = unmatched.join('\n');
+  await testInfo.attach('har-unmatched-requests', { body: list, contentType: 'text/plain' });
+  const message = `${unmatched.length} request(s) had no recorded response in ${getHarPath(testInfo)}:\n${list}`;
+  if (process.env.JIRA_HAR_STRICT) {
+    throw new Error(message);
+  }
+  console.warn(`⚠️  ${message}`);
+}
+
+const test = base.test.extend({
+  role: [DEFAULT_ROLE, { option: true }],
+
+  profile: [process.env.JIRA_PROFILE || '', { option: true, scope: 'worker' }],
+
+  // Workers run one project each, so its profile holds for the whole worker
+  activeProfile: [
+    async ({ profile }, use) => {
+      activateProfile(constants, profile);
+      await use(profile);
+    },
+    { scope: 'worker', auto: true },
+  ],
+
+  harMode: [resolveHarMode(), { option: true }],
+
+  // Replayed tests never reach Jira, so they need no session
+  storageState: async ({ role, harMode }, use) => {
+    await use(harMode === 'replay' ? EMPTY_STORAGE_STATE : getRoleStorageState(role));
+  },
+
+  page: async ({ page, role, harMode }, use, testInfo) => {
+    const context = page.context();
+    const harPath = getHarPath(testInfo);
+    let recordingPath = null;
+    let unmatched = [];
+
+    if (harMode === 'record') {
+      recordingPath = await startHarRecording(context, harPath);
+    } else if (harMode === 'replay') {
+      unmatched = await startHarReplay(context, harPath);
+    }
+    const guard = harMode === 'replay' ? null : guardPage(page, role);
+
+    await use(page);
+
+    if (guard) {
+      guard.detach();
+    }
+
+    if (recordingPath) {
+      // The HAR is only written once the context closes
+      await context.close();
+      await finishHarRecordings([
+        {
+          harPath,
+          recordingPath,
+          spec: path.relative(process.cwd(), testInfo.file),
+          title: testInfo.title,
+          jiraUrl: getCredential('JIRA_URL'),
+          passed: testInfo.status === testInfo.expectedStatus,
+        },
+      ]);
+    }
+    await reportUnmatchedRequests(unmatched, testInfo);
+  },
+
+  // page.request shares the page's cookies; it is not covered by HAR routing
+  jiraApi: async ({ page }, use) => {
+    await use(new JiraRestClient(page.request, getCredential('JIRA_URL')));
+  },
+
+  seedIssues: [[], { option: true }],
+
+  // Depends on the page's client so its cleanup runs while the context is still open
+  seededIssues: async ({ jiraApi: client, seedIssues: declarations, harMode }, use) => {
+    // Replayed runs never reach Jira; the recorded responses already hold the data
+    if (declarations.length === 0 || harMode === 'replay') {
+      await use([]);
+      return;
+    }
+
+    const issues = await seedIssues(client, declarations, {
+      runLabel: seedRunLabel,
+      defaultProject: getCredential('JIRA_SEED_PROJECT'),
+    });
+
+    await use(issues);
+
+    await deleteIssues(client, issues);
+  },
+
+  statusCatalog: async ({ jiraApi: client, harMode }, use) => {
+    // Replayed runs never reach Jira, so they read the snapshot
+    const catalog = await loadWorkerStatusCatalog({
+      source: harMode === 'replay' ? 'snapshot' : getCredential('JIRA_STATUS_SOURCE') || 'rest',
+      client,
+      snapshotPath: getCredential('JIRA_STATUS_SNAPSHOT') || DEFAULT_STATUS_SNAPSHOT,
+    });
+    await use(catalog);
+  },
+
+  pageAs: async ({ browser, contextOptions }, use) => {
+    const contexts = [];
+
+    await use(async (roleName) => {
+      const context = await browser.newContext({
+        ...contextOptions,
+        storageState: getRoleStorageState(roleName),
+      });
+      contexts.push(context);
+      const page = await context.newPage();
+      guardPage(page, roleName);
+      return page;
+    });
+
+    for (const context of contexts) {
+      await context.close();
+    }
+  },
+});
+
+module.exports = { test, expect: base.expect.extend(jqlMatchers) };
@@ -0,0 +1,96 @@
+/**
+ * HAR recordings command line
+ *
+ *   node utils/har/cli.js scrub [file.har ...]  Scrub the given (or all) recordings
+ *   node utils/har/cli.js stale                 List recordings that should be refreshed
+ *   node utils/har/cli.js refresh               Re-record the stale recordings
+ *
+ * refresh runs the tests behind stale recordings with JIRA_HAR_MODE=record
+ * against the live site, in a single browser project (JIRA_HAR_PROJECT,
+ * default: chromium).
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { getHarDir, findStaleRecordings } = require('./index');
+const { scrubHarFile } = require('./scrub');
+
+/**
+ * List every .har file under a directory
+ * @param {string} dir - Directory to search
+ * @returns {string[]} HAR file paths
+ */
+function listHarFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((dirent) => {
+    const fullPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      return listHarFiles(fullPath);
+    }
+    return dirent.name.endsWith('.har') ? [fullPath] : [];
+  });
+}
+
+/**
+ * Build the Playwright arguments that re-run the tests behind stale recordings
+ * @param {Object[]} stale - Entries from findStaleRecordings()
+ * @param {string} project - Browser project to record with
+ * @returns {string[]} Arguments for `playwright test`
+ */
+function buildRefreshArgs(stale, project) {
+  const specs = [...new Set(stale.map((entry) => entry.spec))];
+  const titles = [...new Set(stale.map((entry) => entry.title))].map((title) =>
+    title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  );
+  return ['playwright', 'test', ...specs, '--project', project, '-g', titles.join('|')];
+}
+
+/**
+ * Run a command
+ * @param {string[]} args - Command and arguments
+ * @returns {number} Exit code
+ */
+function main([command, ...args]) {
+  switch (command) {
+    case 'scrub': {
+      const files = args.length > 0 ? args : listHarFiles(getHarDir());
+      files.forEach((file) => {
+        scrubHarFile(file);
+        console.log(`🧽 Scrubbed ${file}`);
+      });
+      return 0;
+    }
+
+    case 'stale': {
+      const stale = findStaleRecordings();
+      stale.forEach((entry) => console.log(`${entry.harPath} (${entry.reason})`));
+      console.log(`${stale.length} stale recording(s)`);
+      return 0;
+    }
+
+    case 'refresh': {
+      const stale = findStaleRecordings();
+      if (stale.length === 0) {
+        console.log('✅ All recordings are fresh');
+        return 0;
+      }
+      const result = spawnSync('npx', buildRefreshArgs(stale, process.env.JIRA_HAR_PROJECT || 'chromium'), {
+        stdio: 'inherit',
+        env: { ...process.env, JIRA_HAR_MODE: 'record' },
+      });
+      return result.status === null ? 1 : result.status;
+    }
+
+    default:
+      console.error('Usage: node utils/har/cli.js <scrub [file.har ...] | stale | refresh>');
+      return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { listHarFiles, buildRefreshArgs, main };
@@ -0,0 +1,223 @@
+/**
+ * HAR record and replay
+ *
+ * JIRA_HAR_MODE switches how tests that use the project fixtures talk to Jira:
+ * - off (default): live traffic
+ * - record: every request of a test is saved to its own HAR file under
+ *   recordings/ (JIRA_HAR_DIR), scrubbed of cookies and tokens
+ * - replay: the test's HAR file answers every request, so the spec runs
+ *   offline; requests without a recorded response are aborted and reported
+ *
+ * recordings/manifest.json remembers which spec and test produced each
+ * recording, against which site and when, so stale recordings can be found
+ * and re-recorded (see ./cli.js).
+ */
+const fs = require('fs');
+const path = require('path');
+const { withFileLock, writeFileAtomic } = require('../fileLock');
+const { scrubHarFile } = require('./scrub');
+
+const HAR_MODES = ['off', 'record', 'replay'];
+
+const DEFAULT_HAR_DIR = 'recordings';
+const MANIFEST_FILE = 'manifest.json';
+
+// Recordings older than this are considered stale (JIRA_HAR_MAX_AGE_DAYS)
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+/**
+ * Read the HAR mode from the environment
+ * @param {Object} env - Environment to read (default: process.env)
+ * @returns {string} off, record or replay
+ */
+function resolveHarMode(env = process.env) {
+  const mode = (env.JIRA_HAR_MODE || 'off').trim().toLowerCase();
+  if (!HAR_MODES.includes(mode)) {
+    throw new Error(`Unknown JIRA_HAR_MODE "${mode}". Allowed: ${HAR_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Directory holding the recordings and their manifest
+ * @param {Object} env - Environment to read (default: process.env)
+ * @returns {string} Absolute directory path
+ */
+function getHarDir(env = process.env) {
+  return path.resolve(env.JIRA_HAR_DIR || DEFAULT_HAR_DIR);
+}
+
+/**
+ * Turn a test title into a file name
+ * @param {string} title - Test title
+ * @returns {string} Lower-case, dash-separated slug
+ */
+function slugify(title) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * HAR file for a test: <har dir>/<spec path>/<describe titles + test title>.har
+ * @param {TestInfo} testInfo - Playwright test info
+ * @param {string} harDir - Recordings directory
+ * @returns {string} Absolute HAR path
+ */
+function getHarPath(testInfo, harDir = getHarDir()) {
+  const specPath = path
+    .relative(testInfo.project.testDir, testInfo.file)
+    .replace(/\.(spec|test)\.[cm]?[jt]s$/, '');
+  // titlePath is [spec file, ...describe titles, test title]
+  const name = slugify(testInfo.titlePath.slice(1).join(' '));
+  return path.join(harDir, specPath, `${name}.har`);
+}
+
+/**
+ * Record a context's traffic. Playwright writes the HAR when the context
+ * closes, so it goes to a temporary file that is only kept for passing tests
+ * (see finishHarRecordings). The file is per process so workers running the
+ * same test for different browser projects don't overwrite each other.
+ * @param {BrowserContext} context - Browser context of the test
+ * @param {string} harPath - Final HAR path
+ * @returns {Promise<string>} Temporary path being recorded to
+ */
+async function startHarRecording(context, harPath) {
+  const recordingPath = `${harPath}.${process.pid}.recording`;
+  fs.mkdirSync(path.dirname(harPath), { recursive: true });
+  await context.routeFromHAR(recordingPath, {
+    update: true,
+    updateContent: 'embed',
+    updateMode: 'full',
+  });
+  return recordingPath;
+}
+
+/**
+ * Answer a context's requests from a HAR file.
+ * Requests the HAR has no entry for fall through to a catch-all route that
+ * records and aborts them.
+ * @param {BrowserContext} context - Browser context of the test
+ * @param {string} harPath - HAR file to replay
+ * @returns {Promise<string[]>} Live list of unmatched requests ("METHOD url")
+ */
+async function startHarReplay(context, harPath) {
+  if (!fs.existsSync(harPath)) {
+    throw new Error(
+      `No HAR recording at ${harPath}. Record it first with JIRA_HAR_MODE=record.`
+    );
+  }
+
+  const unmatched = [];
+  // Registered first so it only sees what routeFromHAR falls back on
+  await context.route('**/*', (route) => {
+    const request = route.request();
+    unmatched.push(`${request.method()} ${request.url()}`);
+    return route.abort('internetdisconnected');
+  });
+  await context.routeFromHAR(harPath, { notFound: 'fallback' });
+  return unmatched;
+}
+
+/**
+ * Read the recordings manifest
+ * @param {string} harDir - Recordings directory
+ * @returns {Object<string, Object>} Entries keyed by HAR path relative to harDir
+ */
+function readManifest(harDir = getHarDir()) {
+  const manifestPath = path.join(harDir, MANIFEST_FILE);
+  return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) : {};
+}
+
+/**
+ * Keep the recordings of passing tests: scrub them, move them into place
+ * and update the manifest. Recordings of failed tests are discarded so a
+ * broken run never replaces a good recording.
+ * @param {Object[]} recordings - { harPath, recordingPath, spec, title, passed, jiraUrl }
+ * @param {string} harDir - Recordings directory
+ * @returns {Promise<string[]>} HAR paths that were kept
+ */
+async function finishHarRecordings(recordings, harDir = getHarDir()) {
+  const kept = [];
+  const manifestPath = path.join(harDir, MANIFEST_FILE);
+  fs.mkdirSync(harDir, { recursive: true });
+
+  await withFileLock(manifestPath, async () => {
+    const manifest = readManifest(harDir);
+
+    for (const recording of recordings) {
+      if (!fs.existsSync(recording.recordingPath)) {
+        continue;
+      }
+      if (!recording.passed) {
+        fs.rmSync(recording.recordingPath, { force: true });
+        continue;
+      }
+
+      scrubHarFile(recording.recordingPath);
+      fs.renameSync(recording.recordingPath, recording.harPath);
+      manifest[path.relative(harDir, recording.harPath)] = {
+        spec: recording.spec,
+        title: recording.title,
+        jiraUrl: recording.jiraUrl,
+        recordedAt: new Date().toISOString(),
+      };
+      kept.push(recording.harPath);
+    }
+
+    writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2));
+  });
+
+  return kept;
+}
+
+/**
+ * Find recordings that should be refreshed: older than the max age, or
+ * recorded before their spec file last changed
+ * @param {Object} options - Options
+ * @param {string} options.harDir - Recordings directory
+ * @param {number} options.maxAgeDays - Max age in days (default: JIRA_HAR_MAX_AGE_DAYS or 30)
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Object[]} Stale entries ({ harPath, spec, title, recordedAt, reason })
+ */
+function findStaleRecordings({
+  harDir = getHarDir(),
+  maxAgeDays = Number(process.env.JIRA_HAR_MAX_AGE_DAYS) || DEFAULT_MAX_AGE_DAYS,
+  now = Date.now(),
+} = {}) {
+  const stale = [];
+
+  for (const [relativePath, entry] of Object.entries(readManifest(harDir))) {
+    const harPath = path.join(harDir, relativePath);
+    const recordedAt = Date.parse(entry.recordedAt);
+    let reason = null;
+
+    if (!fs.existsSync(harPath)) {
+      reason = 'recording is missing';
+    } else if (now - recordedAt > maxAgeDays * 24 * 60 * 60 * 1000) {
+      reason = `older than ${maxAgeDays} days`;
+    } else if (fs.existsSync(entry.spec) && fs.statSync(entry.spec).mtimeMs > recordedAt) {
+      reason = 'spec changed since recording';
+    }
+
+    if (reason) {
+      stale.push({ harPath, ...entry, reason });
+    }
+  }
+
+  return stale;
+}
+
+module.exports = {
+  HAR_MODES,
+  DEFAULT_HAR_DIR,
+  resolveHarMode,
+  getHarDir,
+  getHarPath,
+  startHarRecording,
+  startHarReplay,
+  readManifest,
+  finishHarRecordings,
+  findStaleRecordings,
+};
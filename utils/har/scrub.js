@@ -0,0 +1,157 @@
+/**
+ * HAR scrubbing
+ *
+ * Removes authentication material from recorded HAR files before they are
+ * kept or committed: cookies, auth headers, token-like query parameters and
+ * form fields, and any secret the credential providers have handed out.
+ */
+const fs = require('fs');
+const { maskSecrets } = require('../credentials');
+
+const REDACTED = 'REDACTED';
+
+// Headers that carry sessions or credentials
+const SENSITIVE_HEADERS = [
+  'cookie',
+  'set-cookie',
+  'authorization',
+  'proxy-authorization',
+  'x-atlassian-token',
+  'atl-xsrf-token',
+];
+
+// Query parameters, form fields and JSON keys that hold secrets
+const SENSITIVE_NAME_PATTERN = /pass(word|wd|code)?|token|secret|otp|jwt|session|ticket|xsrf|csrf/i;
+
+/**
+ * Redact secret-looking parameters in a URL
+ * @param {string} url - Request URL
+ * @returns {string} URL with sensitive query values redacted
+ */
+function scrubUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (SENSITIVE_NAME_PATTERN.test(name)) {
+      parsed.searchParams.set(name, REDACTED);
+    }
+  }
+  return parsed.toString();
+}
+
+/**
+ * Redact sensitive header values
+ * @param {Object[]} headers - HAR headers ({ name, value })
+ * @returns {Object[]} Scrubbed headers
+ */
+function scrubHeaders(headers = []) {
+  return headers.map((header) =>
+    SENSITIVE_HEADERS.includes(header.name.toLowerCase()) ? { ...header, value: REDACTED } : header
+  );
+}
+
+/**
+ * Redact secret-looking keys anywhere in a JSON value
+ * @param {*} value - Parsed JSON
+ * @returns {*} Scrubbed copy
+ */
+function scrubJson(value) {
+  if (Array.isArray(value)) {
+    return value.map(scrubJson);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, inner]) => [
+        key,
+        SENSITIVE_NAME_PATTERN.test(key) && typeof inner !== 'object' ? REDACTED : scrubJson(inner),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Redact secrets in a request body
+ * @param {Object} postData - HAR postData ({ mimeType, text, params })
+ * @returns {Object} Scrubbed postData
+ */
+function scrubPostData(postData) {
+  if (!postData) {
+    return postData;
+  }
+
+  const scrubbed = { ...postData };
+  if (Array.isArray(postData.params)) {
+    scrubbed.params = postData.params.map((param) =>
+      SENSITIVE_NAME_PATTERN.test(param.name) ? { ...param, value: REDACTED } : param
+    );
+  }
+
+  const mimeType = postData.mimeType || '';
+  if (typeof postData.text === 'string') {
+    if (mimeType.includes('application/x-www-form-urlencoded')) {
+      const form = new URLSearchParams(postData.text);
+      for (const name of [...form.keys()]) {
+        if (SENSITIVE_NAME_PATTERN.test(name)) {
+          form.set(name, REDACTED);
+        }
+      }
+      scrubbed.text = form.toString();
+    } else if (mimeType.includes('json')) {
+      try {
+        scrubbed.text = JSON.stringify(scrubJson(JSON.parse(postData.text)));
+      } catch (error) {
+        // Not valid JSON after all; the secret masking below still applies
+      }
+    }
+  }
+  return scrubbed;
+}
+
+/**
+ * Remove authentication material from a parsed HAR
+ * @param {Object} har - Parsed HAR ({ log: { entries } })
+ * @returns {Object} Scrubbed HAR
+ */
+function scrubHar(har) {
+  const entries = har.log.entries.map((entry) => ({
+    ...entry,
+    request: {
+      ...entry.request,
+      url: scrubUrl(entry.request.url),
+      headers: scrubHeaders(entry.request.headers),
+      cookies: [],
+      queryString: (entry.request.queryString || []).map((param) =>
+        SENSITIVE_NAME_PATTERN.test(param.name) ? { ...param, value: REDACTED } : param
+      ),
+      postData: scrubPostData(entry.request.postData),
+    },
+    response: {
+      ...entry.response,
+      headers: scrubHeaders(entry.response.headers),
+      cookies: [],
+    },
+  }));
+
+  // Secrets can also be echoed in response bodies; mask them everywhere
+  return JSON.parse(maskSecrets(JSON.stringify({ ...har, log: { ...har.log, entries } })));
+}
+
+/**
+ * Scrub a HAR file in place
+ * @param {string} harPath - HAR file path
+ */
+function scrubHarFile(harPath) {
+  const har = JSON.parse(fs.readFileSync(harPath, 'utf-8'));
+  fs.writeFileSync(harPath, JSON.stringify(scrubHar(har), null, 2));
+}
+
+module.exports = {
+  REDACTED,
+  scrubHar,
+  scrubHarFile,
+};
@@ -0,0 +1,164 @@
+/**
+ * JiraRestClient
+ *
+ * Thin wrapper over the Jira Cloud REST API (v3) for test data and
+ * cross-checks. It sends requests through a Playwright APIRequestContext, so
+ * it is authenticated the same way as that context: the browser session of
+ * a page (`page.request`) or basic auth set up by the caller.
+ */
+class JiraRestClient {
+  /**
+   * Constructor
+   * @param {APIRequestContext} request - Playwright request context
+   * @param {string} jiraUrl - Jira base URL
+   */
+  constructor(request, jiraUrl) {
+    this.request = request;
+    this.jiraUrl = jiraUrl;
+  }
+
+  /**
+   * Send a request and parse the JSON reply
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Path under the Jira base URL, e.g. /rest/api/3/issue
+   * @param {Object} data - JSON body
+   * @returns {Promise<Object|null>} Parsed body, or null for empty replies
+   */
+  async send(method, endpoint, data) {
+    const url = new URL(endpoint, this.jiraUrl).toString();
+    const response = await this.request.fetch(url, {
+      method,
+      data,
+      // Cookie-authenticated writes need this to pass Jira's XSRF check
+      headers: { 'X-Atlassian-Token': 'no-check', Accept: 'application/json' },
+      failOnStatusCode: false,
+    });
+
+    const text = await response.text();
+    if (!response.ok()) {
+      throw new Error(`Jira REST ${method} ${endpoint} returned ${response.status()}: ${text.slice(0, 500)}`);
+    }
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Create an issue
+   * @param {Object} fields - Issue fields
+   * @param {string} fields.project - Project key
+   * @param {string} fields.type - Issue type name, e.g. Bug
+   * @param {string} fields.summary - Summary
+   * @param {string[]} fields.labels - Labels
+   * @returns {Promise<Object>} { id, key }
+   */
+  async createIssue({ project, type, summary, labels = [] }) {
+    return this.send('POST', '/rest/api/3/issue', {
+      fields: {
+        project: { key: project },
+        issuetype: { name: type },
+        summary,
+        labels,
+      },
+    });
+  }
+
+  /**
+   * Read an issue
+   * @param {string} key - Issue key
+   * @returns {Promise<Object>} Issue ({ key, fields })
+   */
+  async getIssue(key) {
+    return this.send('GET', `/rest/api/3/issue/${encodeURIComponent(key)}`);
+  }
+
+  /**
+   * Transitions available from an issue's current status
+   * @param {string} key - Issue key
+   * @returns {Promise<Object[]>} Transitions ({ id, name, to: { name } })
+   */
+  async getTransitions(key) {
+    const { transitions } = await this.send('GET', `/rest/api/3/issue/${encodeURIComponent(key)}/transitions`);
+    return transitions;
+  }
+
+  /**
+   * Move an issue along a workflow transition
+   * @param {string} key - Issue key
+   * @param {string} transitionId - Transition id from getTransitions()
+   */
+  async transitionIssue(key, transitionId) {
+    await this.send('POST', `/rest/api/3/issue/${encodeURIComponent(key)}/transitions`, {
+      transition: { id: transitionId },
+    });
+  }
+
+  /**
+   * Delete an issue
+   * @param {string} key - Issue key
+   */
+  async deleteIssue(key) {
+    await this.send('DELETE', `/rest/api/3/issue/${encodeURIComponent(key)}`);
+  }
+
+  /**
+   * Search issues with JQL, following pages until all results are read
+   * @param {string} jql - JQL query
+   * @param {Object} options - Search options
+   * @param {string[]} options.fields - Fields to return (default: summary, status, labels)
+   * @param {number} options.maxResults - Page size (default: 100)
+   * @returns {Promise<Object[]>} Issues ({ key, fields })
+   */
+  async searchIssues(jql, { fields = ['summary', 'status', 'labels'], maxResults = 100 } = {}) {
+    const issues = [];
+    let nextPageToken;
+
+    do {
+      const page = await this.send('POST', '/rest/api/3/search/jql', {
+        jql,
+        fields,
+        maxResults,
+        ...(nextPageToken ? { nextPageToken } : {}),
+      });
+      issues.push(...page.issues);
+      nextPageToken = page.isLast ? undefined : page.nextPageToken;
+    } while (nextPageToken);
+
+    return issues;
+  }
+
+  /**
+   * Number of issues a JQL query matches, as the search API counts them
+   * @param {string} jql - JQL query
+   * @returns {Promise<number>} Count; Jira may approximate very large counts
+   */
+  async countIssues(jql) {
+    const { count } = await this.send('POST', '/rest/api/3/search/approximate-count', { jql });
+    return count;
+  }
+
+  /**
+   * Every status of the instance, with its category
+   * @returns {Promise<Object[]>} Statuses ({ id, name, statusCategory: { key, name } })
+   */
+  async getStatuses() {
+    return await this.send('GET', '/rest/api/3/status');
+  }
+
+  /**
+   * Get a saved filter
+   * @param {string} id - Filter id
+   * @returns {Promise<Object>} { id, name, description, jql, favourite, sharePermissions, editPermissions, ... }
+   */
+  async getFilter(id) {
+    return await this.send('GET', `/rest/api/3/filter/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Delete a saved filter
+   * @param {string} id - Filter id
+   */
+  async deleteFilter(id) {
+    await this.send('DELETE', `/rest/api/3/filter/${encodeURIComponent(id)}`);
+  }
+}
+
+module.exports = JiraRestClient;
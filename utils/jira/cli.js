@@ -0,0 +1,54 @@
+/**
+ * Jira instance snapshots
+ *
+ *   node utils/jira/cli.js statuses [--out recordings/statuses.json]
+ *
+ * Reads every status of the instance and its category from the REST API and
+ * writes them as the status snapshot that replayed runs and
+ * JIRA_STATUS_SOURCE=snapshot load (see statusCatalog.js). The output
+ * defaults to JIRA_STATUS_SNAPSHOT or recordings/statuses.json. Authenticates
+ * like the seeded issue sweep.
+ */
+const JiraRestClient = require('./JiraRestClient');
+const { getCredential, installConsoleMasking } = require('../credentials');
+const { parseOptions, createRequestContext } = require('../seeding/cli');
+const { loadStatusCatalog, DEFAULT_STATUS_SNAPSHOT } = require('./statusCatalog');
+
+/**
+ * Run a command
+ * @param {string[]} args - Command and arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main([command, ...args]) {
+  if (command !== 'statuses') {
+    console.error('Usage: node utils/jira/cli.js statuses [--out FILE]');
+    return 1;
+  }
+
+  installConsoleMasking();
+  const options = parseOptions(args);
+  const file = options.out || getCredential('JIRA_STATUS_SNAPSHOT') || DEFAULT_STATUS_SNAPSHOT;
+  const context = await createRequestContext();
+  try {
+    const catalog = await loadStatusCatalog({ client: new JiraRestClient(context, getCredential('JIRA_URL')) });
+    catalog.saveSnapshot(file);
+    console.log(`📸 Wrote ${catalog.getStatuses().length} status(es) to ${file}`);
+    return 0;
+  } finally {
+    await context.dispose();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (error) => {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+  );
+}
+
+module.exports = { main };
@@ -0,0 +1,93 @@
+/**
+ * Search cross-check
+ *
+ * Compares the issues the Filters results table shows with what the Jira
+ * search API returns for the same JQL, so missing issues are caught and not
+ * just unexpected statuses. The result is a structured diff:
+ *
+ *   {
+ *     jql: 'status = "Done" ORDER BY created DESC',
+ *     uiCount: 2, apiCount: 3, matches: false,
+ *     missing: [{ key: 'QA-7', status: 'Done' }],         // in the API, not on screen
+ *     extra: [],                                          // on screen, not in the API
+ *     statusMismatches: [{ key: 'QA-4', uiStatus: 'Closed', apiStatus: 'Done' }],
+ *   }
+ *
+ * Every result is compared, on every page of the table or scrolled into view
+ * (see FiltersPage.getResultRows), and reading fewer than the results counter
+ * shows fails the check rather than reporting the rest as missing.
+ */
+
+/**
+ * Diff the rows shown in the UI against API search results
+ * @param {Object[]} uiRows - Rows from the results table ({ key, status })
+ * @param {Object[]} apiIssues - Issues from JiraRestClient.searchIssues() ({ key, fields })
+ * @param {string} jql - Query both came from (for reporting)
+ * @returns {Object} Diff (see module comment)
+ */
+function diffSearchResults(uiRows, apiIssues, jql = '') {
+  const apiByKey = new Map(apiIssues.map((issue) => [issue.key, issue.fields.status.name]));
+  const uiByKey = new Map(uiRows.map((row) => [row.key, row.status]));
+
+  const missing = [...apiByKey]
+    .filter(([key]) => !uiByKey.has(key))
+    .map(([key, status]) => ({ key, status }));
+  const extra = [...uiByKey]
+    .filter(([key]) => !apiByKey.has(key))
+    .map(([key, status]) => ({ key, status }));
+  const statusMismatches = [...uiByKey]
+    .filter(([key, status]) => apiByKey.has(key) && apiByKey.get(key) !== status)
+    .map(([key, uiStatus]) => ({ key, uiStatus, apiStatus: apiByKey.get(key) }));
+
+  return {
+    jql,
+    uiCount: uiRows.length,
+    apiCount: apiIssues.length,
+    matches:
+      uiRows.length === apiIssues.length &&
+      missing.length === 0 &&
+      extra.length === 0 &&
+      statusMismatches.length === 0,
+    missing,
+    extra,
+    statusMismatches,
+  };
+}
+
+/**
+ * Describe a diff for assertion messages
+ * @param {Object} diff - Result of diffSearchResults()
+ * @returns {string} Multi-line summary
+ */
+function formatSearchDiff(diff) {
+  if (diff.matches) {
+    return `UI and search API agree on ${diff.uiCount} issue(s) for: ${diff.jql}`;
+  }
+
+  const lines = [`UI and search API disagree for: ${diff.jql}`, `  Count: UI ${diff.uiCount}, API ${diff.apiCount}`];
+  diff.missing.forEach(({ key, status }) => lines.push(`  Missing from UI: ${key} (${status})`));
+  diff.extra.forEach(({ key, status }) => lines.push(`  Not in API results: ${key} (${status})`));
+  diff.statusMismatches.forEach(({ key, uiStatus, apiStatus }) =>
+    lines.push(`  Status of ${key}: UI "${uiStatus}", API "${apiStatus}"`)
+  );
+  return lines.join('\n');
+}
+
+/**
+ * Run the JQL shown on the Filters page through the search API and diff the results
+ * @param {FiltersPage} filtersPage - Filters page in JQL mode
+ * @param {JiraRestClient} client - REST client
+ * @returns {Promise<Object>} Diff (see module comment)
+ */
+async function crossCheckSearchResults(filtersPage, client) {
+  const jql = await filtersPage.getJQLQueryText();
+  const uiRows = await filtersPage.getResultRows();
+  const apiIssues = await client.searchIssues(jql, { fields: ['status'] });
+  return diffSearchResults(uiRows, apiIssues, jql);
+}
+
+module.exports = {
+  diffSearchResults,
+  formatSearchDiff,
+  crossCheckSearchResults,
+};
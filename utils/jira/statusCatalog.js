@@ -0,0 +1,220 @@
+/**
+ * Status catalog
+ *
+ * The statuses of a Jira instance and the category each belongs to (To Do,
+ * In Progress or Done), so checks can ask "is every result done?" instead of
+ * comparing against a fixed list of English status names. Custom workflow
+ * statuses such as "In Review" or "Won't Do" are covered by their category.
+ *
+ * A catalog is read from the REST status endpoint (/rest/api/3/status) or
+ * from a JSON snapshot of it, which replayed and offline runs use since they
+ * never reach Jira:
+ *
+ *   { "statuses": [{ "name": "In Review", "category": "In Progress" }, ...] }
+ *
+ * `node utils/jira/cli.js statuses` writes the snapshot.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Category names by the key Jira uses for them
+const STATUS_CATEGORIES = { new: 'To Do', indeterminate: 'In Progress', done: 'Done' };
+const DEFAULT_STATUS_SNAPSHOT = path.join(__dirname, '..', '..', 'recordings', 'statuses.json');
+const STATUS_SOURCES = ['rest', 'snapshot'];
+
+/**
+ * Category name of a category key or name
+ * @param {string} category - e.g. 'done', 'Done' or 'In Progress'
+ * @returns {string} Category name
+ * @throws {Error} If it is not a status category
+ */
+function normalizeCategory(category) {
+  const text = String(category).trim().toLowerCase();
+  const match = Object.entries(STATUS_CATEGORIES).find(([key, name]) => [key, name.toLowerCase()].includes(text));
+  if (!match) {
+    throw new Error(`Unknown status category "${category}". Use: ${Object.values(STATUS_CATEGORIES).join(', ')}`);
+  }
+  return match[1];
+}
+
+class StatusCatalog {
+  /**
+   * Constructor
+   * @param {Object[]} statuses - { name, category } per status; category is a
+   *   category name or key. Jira allows the same name in several projects, so a
+   *   name may be listed more than once, even with different categories.
+   */
+  constructor(statuses) {
+    this.categories = new Map();
+    this.names = new Map();
+    for (const { name, category } of statuses) {
+      const key = name.toLowerCase();
+      if (!this.names.has(key)) {
+        this.names.set(key, name);
+        this.categories.set(key, new Set());
+      }
+      this.categories.get(key).add(normalizeCategory(category));
+    }
+  }
+
+  /**
+   * Build from the reply of GET /rest/api/3/status
+   * @param {Object[]} statuses - { name, statusCategory: { key } } per status
+   * @returns {StatusCatalog} Catalog
+   */
+  static fromRest(statuses) {
+    return new StatusCatalog(statuses.map(({ name, statusCategory }) => ({ name, category: statusCategory.key })));
+  }
+
+  /**
+   * Read a snapshot written by saveSnapshot()
+   * @param {string} file - Snapshot path
+   * @returns {StatusCatalog} Catalog
+   * @throws {Error} If the file is missing or holds no statuses
+   */
+  static fromSnapshot(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Status snapshot ${file} does not exist. Write it with: node utils/jira/cli.js statuses`);
+    }
+    const { statuses } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(statuses) || statuses.length === 0) {
+      throw new Error(`Status snapshot ${file} holds no statuses`);
+    }
+    return new StatusCatalog(statuses);
+  }
+
+  /**
+   * Status names, as Jira spells them
+   * @returns {string[]} Names
+   */
+  getStatuses() {
+    return [...this.names.values()];
+  }
+
+  /**
+   * Check if the instance has a status (names are case-insensitive, as in Jira)
+   * @param {string} name - Status name
+   * @returns {boolean} True if known
+   */
+  has(name) {
+    return this.names.has(name.toLowerCase());
+  }
+
+  /**
+   * Category of a status
+   * @param {string} name - Status name
+   * @returns {string} Category name
+   * @throws {Error} If the status is unknown or its name is used in several categories
+   */
+  getCategory(name) {
+    const categories = [...this.getCategories(name)];
+    if (categories.length > 1) {
+      throw new Error(`Status "${name}" is used in several categories: ${categories.join(', ')}`);
+    }
+    return categories[0];
+  }
+
+  /**
+   * Every category a status name is used in
+   * @param {string} name - Status name
+   * @returns {Set<string>} Category names
+   * @throws {Error} If the status is unknown
+   */
+  getCategories(name) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown status "${name}". Statuses on this instance: ${this.getStatuses().join(', ')}`);
+    }
+    return this.categories.get(name.toLowerCase());
+  }
+
+  /**
+   * Statuses in a category
+   * @param {string} category - Category name or key
+   * @returns {string[]} Status names
+   */
+  getStatusesInCategory(category) {
+    const name = normalizeCategory(category);
+    return [...this.names].filter(([key]) => this.categories.get(key).has(name)).map(([, status]) => status);
+  }
+
+  /**
+   * Check if a status is in one of some categories
+   * @param {string} name - Status name
+   * @param {string[]} categories - Category names or keys
+   * @returns {boolean} True if it is (false for unknown statuses)
+   */
+  isInCategory(name, categories) {
+    if (!this.has(name)) {
+      return false;
+    }
+    const wanted = [].concat(categories).map(normalizeCategory);
+    return [...this.getCategories(name)].some((category) => wanted.includes(category));
+  }
+
+  /**
+   * Snapshot of the catalog, as read by fromSnapshot()
+   * @returns {Object} { statuses: [{ name, category }] }
+   */
+  toSnapshot() {
+    return {
+      statuses: [...this.names].flatMap(([key, name]) =>
+        [...this.categories.get(key)].map((category) => ({ name, category }))
+      ),
+    };
+  }
+
+  /**
+   * Write the snapshot
+   * @param {string} file - Snapshot path
+   */
+  saveSnapshot(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(this.toSnapshot(), null, 2)}\n`);
+  }
+}
+
+/**
+ * Load the catalog of an instance
+ * @param {Object} options - Options
+ * @param {string} options.source - rest or snapshot (default: rest)
+ * @param {JiraRestClient} options.client - Client for the rest source
+ * @param {string} options.snapshotPath - Snapshot for the snapshot source (default: recordings/statuses.json)
+ * @returns {Promise<StatusCatalog>} Catalog
+ */
+async function loadStatusCatalog({ source = 'rest', client, snapshotPath = DEFAULT_STATUS_SNAPSHOT } = {}) {
+  if (!STATUS_SOURCES.includes(source)) {
+    throw new Error(`Unknown status source "${source}". Use: ${STATUS_SOURCES.join(', ')}`);
+  }
+  if (source === 'snapshot') {
+    return StatusCatalog.fromSnapshot(snapshotPath);
+  }
+  return StatusCatalog.fromRest(await client.getStatuses());
+}
+
+/**
+ * Loader that reads the catalog once and hands every later caller the same
+ * one, e.g. once per worker. A load that fails (say, a transient REST error)
+ * is forgotten, so the next caller tries again instead of getting its error.
+ * @returns {Function} Function of loadStatusCatalog's options, resolving to the catalog
+ */
+function createStatusCatalogLoader() {
+  let load = null;
+  return (options) => {
+    if (!load) {
+      load = loadStatusCatalog(options).catch((error) => {
+        load = null;
+        throw error;
+      });
+    }
+    return load;
+  };
+}
+
+module.exports = {
+  StatusCatalog,
+  STATUS_CATEGORIES,
+  DEFAULT_STATUS_SNAPSHOT,
+  normalizeCategory,
+  loadStatusCatalog,
+  createStatusCatalogLoader,
+};
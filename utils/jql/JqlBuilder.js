@@ -0,0 +1,194 @@
+/**
+ * JqlBuilder
+ *
+ * Builds JQL from structured clauses and always writes it the same way
+ * (canonical JQL), so two builders with the same criteria produce the same
+ * string whatever order the criteria were added in:
+ * - clauses are joined with AND in a fixed field order (project, issuetype,
+ *   status, assignee, reporter, then any other field alphabetically)
+ * - one value is written `field = value`, several `field in (a, b)`, sorted
+ * - values are quoted only when JQL needs it; functions like currentUser()
+ *   and EMPTY stay bare
+ * - ORDER BY comes last
+ *
+ *   new JqlBuilder().status(['To Do', 'Open']).project('QA').orderBy('created', 'DESC').toString()
+ *   // project = QA AND status in (Open, "To Do") ORDER BY created DESC
+ */
+const { tokenize } = require('./tokenizer');
+
+// Clause order of canonical JQL; other fields follow alphabetically
+const FIELD_ORDER = ['project', 'issuetype', 'status', 'assignee', 'reporter'];
+
+// Field names Jira accepts for the same field
+const FIELD_ALIASES = { type: 'issuetype', due: 'duedate' };
+
+// Words JQL treats as keywords, so values spelled like them need quotes
+const RESERVED_WORDS = ['and', 'or', 'not', 'in', 'is', 'was', 'order', 'by', 'asc', 'desc'];
+
+/**
+ * Canonical name of a field
+ * @param {string} field - Field name as written
+ * @returns {string} Lower-case name with aliases resolved
+ */
+function normalizeField(field) {
+  const name = field.trim().toLowerCase();
+  return FIELD_ALIASES[name] || name;
+}
+
+/**
+ * Write a value the way canonical JQL does
+ * @param {string} value - Value
+ * @returns {string} Bare or double-quoted value
+ */
+function formatValue(value) {
+  const text = String(value);
+  if (/^[A-Za-z_][\w.]*\(\)$/.test(text) || /^(EMPTY|NULL)$/i.test(text)) {
+    return text;
+  }
+  if (/^[\w.@-]+$/.test(text) && !RESERVED_WORDS.includes(text.toLowerCase())) {
+    return text;
+  }
+  return `"${text.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Sort clauses into canonical field order
+ * @param {string} a - Field name
+ * @param {string} b - Field name
+ * @returns {number} Sort order
+ */
+function compareFields(a, b) {
+  const rank = (field) => (FIELD_ORDER.includes(field) ? FIELD_ORDER.indexOf(field) : FIELD_ORDER.length);
+  return rank(a) - rank(b) || a.localeCompare(b);
+}
+
+class JqlBuilder {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.clauses = new Map();
+    this.ordering = [];
+  }
+
+  /**
+   * Build from criteria as picked in basic mode
+   * @param {Object} criteria - { project, issuetype, status, assignee, reporter, orderBy, ... };
+   *   each field is a value or an array of values; orderBy is { field, direction } or an array of them
+   * @returns {JqlBuilder} Builder
+   */
+  static fromCriteria({ orderBy = [], ...fields } = {}) {
+    const builder = new JqlBuilder();
+    Object.entries(fields).forEach(([field, values]) => builder.where(field, values));
+    [].concat(orderBy).forEach(({ field, direction }) => builder.orderBy(field, direction));
+    return builder;
+  }
+
+  /**
+   * Constrain a field to one or more values (adds to values given before)
+   * @param {string} field - Field name
+   * @param {string|string[]} values - Allowed values
+   * @returns {JqlBuilder} This builder
+   */
+  where(field, values) {
+    const list = [].concat(values).filter((value) => value !== undefined && value !== null && value !== '');
+    if (list.length === 0) {
+      return this;
+    }
+    const name = normalizeField(field);
+    const existing = this.clauses.get(name) || [];
+    this.clauses.set(name, [...new Set([...existing, ...list.map(String)])]);
+    return this;
+  }
+
+  /**
+   * Constrain the project
+   * @param {string|string[]} keys - Project keys
+   * @returns {JqlBuilder} This builder
+   */
+  project(keys) {
+    return this.where('project', keys);
+  }
+
+  /**
+   * Constrain the status
+   * @param {string|string[]} statuses - Status names
+   * @returns {JqlBuilder} This builder
+   */
+  status(statuses) {
+    return this.where('status', statuses);
+  }
+
+  /**
+   * Constrain the assignee
+   * @param {string|string[]} users - Account ids, or functions like currentUser()
+   * @returns {JqlBuilder} This builder
+   */
+  assignee(users) {
+    return this.where('assignee', users);
+  }
+
+  /**
+   * Add a sort key
+   * @param {string} field - Field to sort by
+   * @param {string} direction - ASC or DESC (default: ASC)
+   * @returns {JqlBuilder} This builder
+   */
+  orderBy(field, direction = 'ASC') {
+    const dir = direction.toUpperCase();
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new Error(`Sort direction must be ASC or DESC, got "${direction}"`);
+    }
+    this.ordering.push({ field: normalizeField(field), direction: dir });
+    return this;
+  }
+
+  /**
+   * Canonical JQL
+   * @returns {string} JQL
+   */
+  toString() {
+    const where = [...this.clauses.keys()]
+      .sort(compareFields)
+      .map((field) => {
+        const values = [...this.clauses.get(field)]
+          .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }))
+          .map(formatValue);
+        return values.length === 1 ? `${field} = ${values[0]}` : `${field} in (${values.join(', ')})`;
+      })
+      .join(' AND ');
+    const order = this.ordering.map(({ field, direction }) => `${field} ${direction}`).join(', ');
+
+    return [where, order && `ORDER BY ${order}`].filter(Boolean).join(' ');
+  }
+}
+
+/**
+ * Give a query a new ORDER BY, keeping its clauses as written
+ *
+ *   withOrderBy('status = Done ORDER BY created DESC', [{ field: 'key', direction: 'ASC' }])
+ *   // status = Done ORDER BY key ASC
+ * @param {string} jql - JQL query, with or without ORDER BY
+ * @param {Object[]} orderBy - Sort keys ({ field, direction }), direction ASC or DESC (default: ASC)
+ * @returns {string} JQL
+ * @throws {JqlSyntaxError} On unterminated strings
+ * @throws {Error} If a direction is neither ASC nor DESC
+ */
+function withOrderBy(jql, orderBy) {
+  const order = new JqlBuilder();
+  orderBy.forEach(({ field, direction = 'ASC' }) => order.orderBy(field, direction));
+
+  // ORDER BY always ends a query; a quoted "order" is a value, not the keyword
+  const tokens = tokenize(jql);
+  const start = tokens.findIndex(
+    (token, index) =>
+      token.type === 'word' &&
+      token.value.toLowerCase() === 'order' &&
+      tokens[index + 1]?.type === 'word' &&
+      tokens[index + 1].value.toLowerCase() === 'by'
+  );
+  const where = (start === -1 ? jql : jql.slice(0, tokens[start].position)).trim();
+  return [where, order.toString()].filter(Boolean).join(' ');
+}
+
+module.exports = { JqlBuilder, normalizeField, formatValue, withOrderBy };
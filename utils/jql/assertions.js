@@ -0,0 +1,113 @@
+/**
+ * JQL assertions
+ *
+ * Checks on what a query means rather than how it is written. Each check
+ * returns { pass, message } so it can back a Playwright matcher; the assert*
+ * versions throw instead.
+ *
+ * The matchers are registered on the `expect` exported by utils/fixtures:
+ *
+ *   expect(jql).toConstrainExactly('status', ['Open', 'To Do', 'In Progress']);
+ *   expect(jql).toHaveJqlOrderBy([{ field: 'created', direction: 'DESC' }]);
+ *   expect(jql).toBeEquivalentJql('status in (Open, "To Do") ORDER BY created DESC');
+ */
+const { normalizeField } = require('./JqlBuilder');
+const {
+  getFieldConstraint,
+  describeConstraint,
+  describeOrderBy,
+  compareJql,
+} = require('./compare');
+const { parseJql } = require('./parser');
+
+/**
+ * Check that a query limits a field to exactly a set of values
+ * @param {string} jql - JQL query
+ * @param {string} field - Field name
+ * @param {string[]} values - Values the field must be limited to
+ * @returns {Object} { pass, message }
+ */
+function checkConstrainsExactly(jql, field, values) {
+  const constraint = getFieldConstraint(jql, field);
+  const wanted = new Set(values.map((value) => value.toLowerCase()));
+  const pass =
+    constraint.kind === 'only' &&
+    constraint.values.size === wanted.size &&
+    [...constraint.values.keys()].every((key) => wanted.has(key));
+
+  return {
+    pass,
+    message: `Expected ${normalizeField(field)} to be limited to exactly {${values.join(', ')}}, query allows ${describeConstraint(constraint)}: ${jql}`,
+  };
+}
+
+/**
+ * Check a query's ORDER BY (a missing direction counts as ASC)
+ * @param {string} jql - JQL query
+ * @param {Object[]} orderBy - Expected sort keys ({ field, direction })
+ * @returns {Object} { pass, message }
+ */
+function checkOrderBy(jql, orderBy) {
+  const actual = describeOrderBy(parseJql(jql).orderBy);
+  const expected = describeOrderBy(orderBy.map(({ field, direction }) => ({ field: normalizeField(field), direction })));
+
+  return {
+    pass: actual.toLowerCase() === expected.toLowerCase(),
+    message: `Expected ORDER BY ${expected}, query orders by ${actual}: ${jql}`,
+  };
+}
+
+/**
+ * Check that two queries mean the same
+ * @param {string} jql - JQL query
+ * @param {string} expected - JQL it should be equivalent to
+ * @returns {Object} { pass, message }
+ */
+function checkEquivalent(jql, expected) {
+  const { equal, differences } = compareJql(jql, expected);
+  return {
+    pass: equal,
+    message: equal
+      ? `Expected JQL to differ from "${expected}": ${jql}`
+      : `JQL is not equivalent to "${expected}":\n  ${differences.join('\n  ')}\n  Actual: ${jql}`,
+  };
+}
+
+/**
+ * Throw unless a check passed
+ * @param {Object} result - { pass, message }
+ */
+function assertCheck({ pass, message }) {
+  if (!pass) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Wrap a check as a Playwright matcher (supports .not)
+ * @param {Function} check - Check returning { pass, message }
+ * @returns {Function} Matcher
+ */
+function toMatcher(check) {
+  return function matcher(received, ...args) {
+    const { pass, message } = check(received, ...args);
+    return { pass, message: () => (this.isNot ? `Did not expect: ${message}` : message) };
+  };
+}
+
+// Matchers for expect.extend()
+const jqlMatchers = {
+  toConstrainExactly: toMatcher(checkConstrainsExactly),
+  toHaveJqlOrderBy: toMatcher(checkOrderBy),
+  toBeEquivalentJql: toMatcher(checkEquivalent),
+};
+
+module.exports = {
+  checkConstrainsExactly,
+  checkOrderBy,
+  checkEquivalent,
+  assertConstrainsExactly: (...args) => assertCheck(checkConstrainsExactly(...args)),
+  assertOrderBy: (...args) => assertCheck(checkOrderBy(...args)),
+  assertEquivalent: (...args) => assertCheck(checkEquivalent(...args)),
+  jqlMatchers,
+};
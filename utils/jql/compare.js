@@ -0,0 +1,444 @@
+/**
+ * Semantic JQL comparison
+ *
+ * Works out, from the parsed query, which values each field may take in the
+ * results (a field constraint):
+ *
+ *   { kind: 'any' }                       // the query does not restrict the field
+ *   { kind: 'only', values }              // one of these values
+ *   { kind: 'except', values }            // anything but these values
+ *   { kind: 'unknown', signature }        // ~, >, WAS, ...: compared by text only
+ *
+ * `status = Open OR status = "To Do"`, `status in ("To Do", Open)` and
+ * `NOT status not in (Open, "To Do")` all give only {Open, To Do}; a query
+ * that silently dropped one of the statuses does not. Values compare
+ * case-insensitively, like Jira does. getFieldConstraint() projects the
+ * query onto one field, so for `(status = Open AND project = QA) OR
+ * status = Done` the status constraint is only {Open, Done}.
+ *
+ * compareJql() compares whole queries instead: NOT is pushed down, nested
+ * AND/OR are flattened, operands are sorted, and clauses on the same field
+ * are folded only within the same AND or OR. A query that is an AND of
+ * field constraints is then diffed field by field; one that ORs different
+ * fields together keeps its branches, since a per-field projection would
+ * lose which values go together, and is reported as not comparable field
+ * by field unless both queries normalize to the same tree.
+ */
+const { JqlBuilder, formatValue, normalizeField } = require('./JqlBuilder');
+const { parseJql } = require('./parser');
+const { BASIC_MODE_ORDER_BY } = require('../constants');
+
+// Jira's ordering when basic mode has no sort selected (set by the active profile)
+const DEFAULT_ORDER_BY = BASIC_MODE_ORDER_BY;
+
+const ANY = { kind: 'any' };
+
+/**
+ * Parse a query unless it already is an AST
+ * @param {string|Object} query - JQL or a query node from parseJql()
+ * @returns {Object} Query node
+ */
+function toAst(query) {
+  return typeof query === 'string' ? parseJql(query) : query;
+}
+
+/**
+ * Text of an operand, as canonical JQL writes it
+ * @param {Object} operand - Operand node
+ * @returns {string} Text
+ */
+function operandText(operand) {
+  switch (operand.type) {
+    case 'empty':
+      return 'EMPTY';
+    case 'function':
+      return `${operand.name}(${operand.args.map(operandText).join(', ')})`;
+    case 'list':
+      return `(${operand.values.map(operandText).join(', ')})`;
+    default:
+      return formatValue(operand.value);
+  }
+}
+
+/**
+ * Values of an operand, keyed case-insensitively
+ * @param {Object} operand - Operand node
+ * @returns {Map<string, string>} Lower-case key -> value as written
+ */
+function operandValues(operand) {
+  const values = operand.type === 'list' ? operand.values : [operand];
+  return new Map(
+    values.map((value) => {
+      const text = value.type === 'value' ? value.value : operandText(value);
+      return [text.toLowerCase(), text];
+    })
+  );
+}
+
+/**
+ * Constraint a single clause puts on its field
+ * @param {Object} clause - Clause node
+ * @returns {Object} Field constraint
+ */
+function clauseConstraint(clause) {
+  switch (clause.operator) {
+    case '=':
+    case 'in':
+    case 'is':
+      return { kind: 'only', values: operandValues(clause.operand) };
+    case '!=':
+    case 'not in':
+    case 'is not':
+      return { kind: 'except', values: operandValues(clause.operand) };
+    default:
+      return {
+        kind: 'unknown',
+        signature: `${clause.field} ${clause.operator} ${operandText(clause.operand)}`.toLowerCase(),
+      };
+  }
+}
+
+/**
+ * Constraint when a condition does not hold
+ * @param {Object} constraint - Field constraint
+ * @returns {Object} Complement
+ */
+function complement(constraint) {
+  if (constraint.kind === 'only') {
+    return { kind: 'except', values: constraint.values };
+  }
+  if (constraint.kind === 'except') {
+    return { kind: 'only', values: constraint.values };
+  }
+  if (constraint.kind === 'unknown') {
+    return { kind: 'unknown', signature: `not (${constraint.signature})` };
+  }
+  return constraint;
+}
+
+const keep = (values, predicate) => new Map([...values].filter(([key]) => predicate(key)));
+const merge = (a, b) => new Map([...a, ...b]);
+
+/**
+ * Constraint when both hold (AND)
+ * @param {Object} a - Field constraint
+ * @param {Object} b - Field constraint
+ * @returns {Object} Intersection
+ */
+function intersect(a, b) {
+  if (a.kind === 'any') {
+    return b;
+  }
+  if (b.kind === 'any') {
+    return a;
+  }
+  if (a.kind === 'unknown' || b.kind === 'unknown') {
+    return { kind: 'unknown', signature: [signatureOf(a), signatureOf(b)].sort().join(' and ') };
+  }
+  if (a.kind === 'only' && b.kind === 'only') {
+    return { kind: 'only', values: keep(a.values, (key) => b.values.has(key)) };
+  }
+  if (a.kind === 'except' && b.kind === 'except') {
+    return { kind: 'except', values: merge(a.values, b.values) };
+  }
+  const [only, except] = a.kind === 'only' ? [a, b] : [b, a];
+  return { kind: 'only', values: keep(only.values, (key) => !except.values.has(key)) };
+}
+
+/**
+ * Constraint when either holds (OR)
+ * @param {Object} a - Field constraint
+ * @param {Object} b - Field constraint
+ * @returns {Object} Union
+ */
+function unite(a, b) {
+  if (a.kind === 'any' || b.kind === 'any') {
+    return ANY;
+  }
+  if (a.kind === 'unknown' || b.kind === 'unknown') {
+    return { kind: 'unknown', signature: [signatureOf(a), signatureOf(b)].sort().join(' or ') };
+  }
+  if (a.kind === 'only' && b.kind === 'only') {
+    return { kind: 'only', values: merge(a.values, b.values) };
+  }
+  if (a.kind === 'except' && b.kind === 'except') {
+    return { kind: 'except', values: keep(a.values, (key) => b.values.has(key)) };
+  }
+  const [only, except] = a.kind === 'only' ? [a, b] : [b, a];
+  return { kind: 'except', values: keep(except.values, (key) => !only.values.has(key)) };
+}
+
+/**
+ * Text that identifies a constraint, for comparing unknown ones
+ * @param {Object} constraint - Field constraint
+ * @returns {string} Signature
+ */
+function signatureOf(constraint) {
+  if (constraint.kind === 'unknown') {
+    return constraint.signature;
+  }
+  if (constraint.kind === 'any') {
+    return 'any';
+  }
+  return `${constraint.kind} (${[...constraint.values.keys()].sort().join(', ')})`;
+}
+
+/**
+ * Work out which values a field may take in the results of a query
+ * @param {string|Object} query - JQL or a query node from parseJql()
+ * @param {string} field - Field name (aliases allowed)
+ * @returns {Object} Field constraint (see module comment)
+ */
+function getFieldConstraint(query, field) {
+  const name = normalizeField(field);
+
+  // NOT is pushed down to the clauses (De Morgan), so it stays exact per field
+  const project = (node, negated) => {
+    switch (node.type) {
+      case 'clause':
+        if (node.field !== name) {
+          return ANY;
+        }
+        return negated ? complement(clauseConstraint(node)) : clauseConstraint(node);
+      case 'not':
+        return project(node.clause, !negated);
+      case 'and':
+      case 'or': {
+        const combine = (node.type === 'and') !== negated ? intersect : unite;
+        return node.clauses.map((clause) => project(clause, negated)).reduce(combine);
+      }
+      default:
+        return ANY;
+    }
+  };
+
+  const { where } = toAst(query);
+  return where ? project(where, false) : ANY;
+}
+
+/**
+ * Normalize a condition for comparison. The result is `{ type: 'true' }`
+ * (no restriction), `{ type: 'field', field, constraint }`, or
+ * `{ type: 'and' | 'or', operands }` with flattened, sorted operands in
+ * which each field appears at most once as a direct operand.
+ * @param {Object} node - Node from parseJql(), or null
+ * @param {boolean} negated - Whether a NOT applies to the node
+ * @returns {Object} Normalized node
+ */
+function normalizeCondition(node, negated = false) {
+  if (!node) {
+    return { type: 'true' };
+  }
+  if (node.type === 'clause') {
+    const constraint = clauseConstraint(node);
+    return { type: 'field', field: node.field, constraint: negated ? complement(constraint) : constraint };
+  }
+  if (node.type === 'not') {
+    return normalizeCondition(node.clause, !negated);
+  }
+
+  const type = (node.type === 'and') !== negated ? 'and' : 'or';
+  const combine = type === 'and' ? intersect : unite;
+  const operands = node.clauses
+    .map((clause) => normalizeCondition(clause, negated))
+    .flatMap((operand) => (operand.type === type ? operand.operands : [operand]));
+
+  // Fold clauses on the same field within this AND or OR only
+  const fields = new Map();
+  const branches = [];
+  for (const operand of operands) {
+    if (operand.type === 'field') {
+      const seen = fields.get(operand.field);
+      fields.set(operand.field, seen ? combine(seen, operand.constraint) : operand.constraint);
+    } else if (operand.type === 'true') {
+      if (type === 'or') {
+        return operand;
+      }
+    } else {
+      branches.push(operand);
+    }
+  }
+
+  const folded = [...fields].map(([field, constraint]) =>
+    isUnrestricted(constraint) ? { type: 'true' } : { type: 'field', field, constraint }
+  );
+  if (type === 'or' && folded.some((operand) => operand.type === 'true')) {
+    return { type: 'true' };
+  }
+  const kept = [...folded.filter((operand) => operand.type !== 'true'), ...branches].sort((a, b) =>
+    nodeSignature(a) < nodeSignature(b) ? -1 : 1
+  );
+  if (kept.length === 0) {
+    return { type: 'true' };
+  }
+  return kept.length === 1 ? kept[0] : { type, operands: kept };
+}
+
+/**
+ * Check whether a constraint lets every value through
+ * @param {Object} constraint - Field constraint
+ * @returns {boolean} True for any, or anything except nothing
+ */
+function isUnrestricted(constraint) {
+  return constraint.kind === 'any' || (constraint.kind === 'except' && constraint.values.size === 0);
+}
+
+/**
+ * Text that identifies a normalized condition
+ * @param {Object} node - Node from normalizeCondition()
+ * @returns {string} Signature
+ */
+function nodeSignature(node) {
+  switch (node.type) {
+    case 'field':
+      return `${node.field} ${signatureOf(node.constraint)}`;
+    case 'and':
+    case 'or':
+      return `${node.type} (${node.operands.map(nodeSignature).join('; ')})`;
+    default:
+      return 'true';
+  }
+}
+
+/**
+ * Describe a normalized condition in words
+ * @param {Object} node - Node from normalizeCondition()
+ * @returns {string} Description
+ */
+function describeCondition(node) {
+  switch (node.type) {
+    case 'field':
+      return `${node.field} ${describeConstraint(node.constraint)}`;
+    case 'and':
+    case 'or':
+      return `(${node.operands.map(describeCondition).join(` ${node.type.toUpperCase()} `)})`;
+    default:
+      return 'any issue';
+  }
+}
+
+/**
+ * Constraint on each field of a condition that is an AND of field constraints
+ * @param {Object} node - Node from normalizeCondition()
+ * @returns {Map<string, Object>|null} Field -> constraint, or null if the
+ *   condition ORs fields together and cannot be split by field
+ */
+function splitByField(node) {
+  if (node.type === 'true') {
+    return new Map();
+  }
+  const operands = node.type === 'and' ? node.operands : [node];
+  if (!operands.every((operand) => operand.type === 'field')) {
+    return null;
+  }
+  return new Map(operands.map(({ field, constraint }) => [field, constraint]));
+}
+
+/**
+ * Describe a field constraint in words
+ * @param {Object} constraint - Field constraint
+ * @returns {string} Description
+ */
+function describeConstraint(constraint) {
+  const list = (values) => `{${[...values.values()].join(', ')}}`;
+  switch (constraint.kind) {
+    case 'only':
+      return constraint.values.size === 0 ? 'no value at all' : `one of ${list(constraint.values)}`;
+    case 'except':
+      return `anything except ${list(constraint.values)}`;
+    case 'unknown':
+      return `"${constraint.signature}"`;
+    default:
+      return 'any value';
+  }
+}
+
+/**
+ * Describe an ORDER BY list
+ * @param {Object[]} orderBy - Sort keys ({ field, direction })
+ * @returns {string} e.g. "created DESC, key ASC"
+ */
+function describeOrderBy(orderBy) {
+  return orderBy.map(({ field, direction }) => `${field} ${direction || 'ASC'}`).join(', ') || '(none)';
+}
+
+/**
+ * Compare two constraints on a field
+ * @param {string} field - Field name
+ * @param {Object} got - Constraint found
+ * @param {Object} want - Constraint wanted
+ * @returns {string[]} Differences (empty if equal)
+ */
+function diffConstraints(field, got, want) {
+  if (got.kind === 'only' && want.kind === 'only') {
+    const missing = [...want.values].filter(([key]) => !got.values.has(key)).map(([, value]) => value);
+    const extra = [...got.values].filter(([key]) => !want.values.has(key)).map(([, value]) => value);
+    return [
+      missing.length > 0 && `${field}: missing ${missing.join(', ')}`,
+      extra.length > 0 && `${field}: unexpected ${extra.join(', ')}`,
+    ].filter(Boolean);
+  }
+  if (signatureOf(got) === signatureOf(want)) {
+    return [];
+  }
+  if (got.kind === 'any') {
+    return [`${field}: missing clause (expected ${describeConstraint(want)})`];
+  }
+  if (want.kind === 'any') {
+    return [`${field}: unexpected clause (${describeConstraint(got)})`];
+  }
+  return [`${field}: expected ${describeConstraint(want)}, got ${describeConstraint(got)}`];
+}
+
+/**
+ * Compare two queries by meaning: the same conditions, once normalized, and the same ordering
+ * @param {string|Object} actual - JQL found (e.g. shown by FiltersPage), or its AST
+ * @param {string|Object} expected - JQL wanted (e.g. from JqlBuilder), or its AST
+ * @returns {Object} { equal, differences: string[] }
+ */
+function compareJql(actual, expected) {
+  const got = toAst(actual);
+  const want = toAst(expected);
+  const gotCondition = normalizeCondition(got.where);
+  const wantCondition = normalizeCondition(want.where);
+  const gotFields = splitByField(gotCondition);
+  const wantFields = splitByField(wantCondition);
+
+  const differences = [];
+  if (gotFields && wantFields) {
+    const fields = [...new Set([...wantFields.keys(), ...gotFields.keys()])];
+    differences.push(
+      ...fields.flatMap((field) => diffConstraints(field, gotFields.get(field) || ANY, wantFields.get(field) || ANY))
+    );
+  } else if (nodeSignature(gotCondition) !== nodeSignature(wantCondition)) {
+    differences.push(
+      `not comparable field by field (OR across fields): expected ${describeCondition(wantCondition)}, ` +
+        `got ${describeCondition(gotCondition)}`
+    );
+  }
+  if (describeOrderBy(got.orderBy).toLowerCase() !== describeOrderBy(want.orderBy).toLowerCase()) {
+    differences.push(`ORDER BY: expected ${describeOrderBy(want.orderBy)}, got ${describeOrderBy(got.orderBy)}`);
+  }
+
+  return { equal: differences.length === 0, differences };
+}
+
+/**
+ * JQL FiltersPage should display for criteria picked in basic mode.
+ * Basic mode falls back to Jira's default ordering when no sort is chosen.
+ * @param {Object} criteria - Criteria as taken by JqlBuilder.fromCriteria()
+ * @returns {string} Canonical JQL
+ */
+function expectedJqlForBasicMode(criteria = {}) {
+  const orderBy = criteria.orderBy && [].concat(criteria.orderBy).length > 0 ? criteria.orderBy : DEFAULT_ORDER_BY;
+  return JqlBuilder.fromCriteria({ ...criteria, orderBy }).toString();
+}
+
+module.exports = {
+  DEFAULT_ORDER_BY,
+  getFieldConstraint,
+  describeConstraint,
+  describeOrderBy,
+  compareJql,
+  expectedJqlForBasicMode,
+};
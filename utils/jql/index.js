@@ -0,0 +1,40 @@
+/**
+ * JQL helpers
+ *
+ * - tokenize / parseJql: JQL to tokens and to an AST
+ * - JqlBuilder: canonical JQL from structured clauses; withOrderBy: a query with a new ORDER BY
+ * - compareJql: whether two queries mean the same; getFieldConstraint: the values one field may take
+ * - expectedJqlForBasicMode: the JQL FiltersPage should show for basic-mode criteria
+ * - assert* and jqlMatchers: assertions on meaning (see ./assertions.js)
+ */
+const { tokenize, JqlSyntaxError } = require('./tokenizer');
+const { parseJql } = require('./parser');
+const { JqlBuilder, withOrderBy } = require('./JqlBuilder');
+const {
+  DEFAULT_ORDER_BY,
+  compareJql,
+  getFieldConstraint,
+  expectedJqlForBasicMode,
+} = require('./compare');
+const {
+  assertConstrainsExactly,
+  assertOrderBy,
+  assertEquivalent,
+  jqlMatchers,
+} = require('./assertions');
+
+module.exports = {
+  tokenize,
+  parseJql,
+  JqlSyntaxError,
+  JqlBuilder,
+  withOrderBy,
+  DEFAULT_ORDER_BY,
+  compareJql,
+  getFieldConstraint,
+  expectedJqlForBasicMode,
+  assertConstrainsExactly,
+  assertOrderBy,
+  assertEquivalent,
+  jqlMatchers,
+};
@@ -0,0 +1,235 @@
+/**
+ * JQL parser
+ *
+ * Parses JQL into an AST:
+ *
+ *   { type: 'query', where: <node> | null, orderBy: [{ field, direction }] }
+ *
+ * where a node is one of
+ *   { type: 'or', clauses: [<node>, ...] }
+ *   { type: 'and', clauses: [<node>, ...] }
+ *   { type: 'not', clause: <node> }
+ *   { type: 'clause', field, operator, operand }
+ *
+ * and an operand one of
+ *   { type: 'value', value, quoted }
+ *   { type: 'function', name, args: [<operand>, ...] }
+ *   { type: 'list', values: [<operand>, ...] }
+ *   { type: 'empty' }                                  // EMPTY or NULL
+ *
+ * Field names are lower-cased and aliases resolved (type -> issuetype);
+ * operators are lower-case (=, !=, >, >=, <, <=, ~, !~, in, not in, is,
+ * is not, was, was not, was in, was not in); direction is ASC, DESC or null
+ * when the query does not say. History predicates (BEFORE, DURING, ...) are
+ * not supported.
+ */
+const { tokenize, JqlSyntaxError } = require('./tokenizer');
+const { normalizeField } = require('./JqlBuilder');
+
+const COMPARISON_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', '~', '!~'];
+
+// Operators whose operand is a list or a function returning one
+const LIST_OPERATORS = ['in', 'not in', 'was in', 'was not in'];
+
+/**
+ * Parse JQL into an AST
+ * @param {string} jql - JQL query
+ * @returns {Object} Query node (see module comment)
+ * @throws {JqlSyntaxError} If the query is not valid JQL
+ */
+function parseJql(jql) {
+  const tokens = tokenize(jql);
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[index + offset];
+  const next = () => tokens[index++];
+  const fail = (message, token = peek()) => {
+    throw new JqlSyntaxError(message, jql, token ? token.position : jql.length);
+  };
+  const isWord = (token, ...words) =>
+    Boolean(token) && token.type === 'word' && words.includes(token.value.toLowerCase());
+  const isOperator = (token, ...operators) =>
+    Boolean(token) && token.type === 'operator' && operators.includes(token.value);
+  const expect = (type, description) => {
+    if (!peek() || peek().type !== type) {
+      fail(`Expected ${description}`);
+    }
+    return next();
+  };
+
+  const parseValue = () => {
+    const token = peek();
+    if (!token || (token.type !== 'word' && token.type !== 'string')) {
+      fail('Expected a value');
+    }
+    next();
+    if (token.type === 'word' && peek() && peek().type === 'lparen') {
+      return parseFunction(token.value);
+    }
+    if (token.type === 'word' && isWord(token, 'empty', 'null')) {
+      return { type: 'empty' };
+    }
+    return { type: 'value', value: token.value, quoted: token.type === 'string' };
+  };
+
+  const parseFunction = (name) => {
+    expect('lparen', '"("');
+    const args = [];
+    if (peek() && peek().type !== 'rparen') {
+      args.push(parseValue());
+      while (peek() && peek().type === 'comma') {
+        next();
+        args.push(parseValue());
+      }
+    }
+    expect('rparen', `")" to close ${name}(`);
+    return { type: 'function', name, args };
+  };
+
+  const parseList = () => {
+    if (peek() && peek().type === 'word') {
+      // A function returning a list, e.g. membersOf("jira-users")
+      const name = next().value;
+      return parseFunction(name);
+    }
+    expect('lparen', '"(" to start a list');
+    const values = [parseValue()];
+    while (peek() && peek().type === 'comma') {
+      next();
+      values.push(parseValue());
+    }
+    expect('rparen', '")" to close the list');
+    return { type: 'list', values };
+  };
+
+  const parseOperator = () => {
+    const token = peek();
+    if (token && token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      next();
+      return token.value;
+    }
+    if (isWord(token, 'in')) {
+      next();
+      return 'in';
+    }
+    if (isWord(token, 'not') && isWord(peek(1), 'in')) {
+      index += 2;
+      return 'not in';
+    }
+    if (isWord(token, 'is')) {
+      next();
+      if (isWord(peek(), 'not')) {
+        next();
+        return 'is not';
+      }
+      return 'is';
+    }
+    if (isWord(token, 'was')) {
+      next();
+      let operator = 'was';
+      if (isWord(peek(), 'not')) {
+        next();
+        operator += ' not';
+      }
+      if (isWord(peek(), 'in')) {
+        next();
+        operator += ' in';
+      }
+      return operator;
+    }
+    return fail(token ? `Unknown operator "${token.value}"` : 'Expected an operator');
+  };
+
+  const parseClause = () => {
+    const fieldToken = peek();
+    if (!fieldToken || (fieldToken.type !== 'word' && fieldToken.type !== 'string')) {
+      fail('Expected a field name');
+    }
+    if (fieldToken.type === 'word' && isWord(fieldToken, 'and', 'or', 'order')) {
+      fail(`Expected a field name, found "${fieldToken.value}"`);
+    }
+    next();
+
+    const field = normalizeField(fieldToken.value);
+    const operator = parseOperator();
+    let operand;
+    if (LIST_OPERATORS.includes(operator)) {
+      operand = parseList();
+    } else if (operator === 'is' || operator === 'is not') {
+      operand = parseValue();
+      if (operand.type !== 'empty') {
+        fail(`"${operator}" only takes EMPTY or NULL`, tokens[index - 1]);
+      }
+    } else {
+      operand = parseValue();
+    }
+    return { type: 'clause', field, operator, operand };
+  };
+
+  const parsePrimary = () => {
+    if (peek() && peek().type === 'lparen') {
+      next();
+      const node = parseOr();
+      expect('rparen', '")"');
+      return node;
+    }
+    return parseClause();
+  };
+
+  const parseNot = () => {
+    if (isWord(peek(), 'not') || isOperator(peek(), '!')) {
+      next();
+      return { type: 'not', clause: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const clauses = [parseNot()];
+    while (isWord(peek(), 'and') || isOperator(peek(), '&&')) {
+      next();
+      clauses.push(parseNot());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'and', clauses };
+  };
+
+  const parseOr = () => {
+    const clauses = [parseAnd()];
+    while (isWord(peek(), 'or') || isOperator(peek(), '||')) {
+      next();
+      clauses.push(parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'or', clauses };
+  };
+
+  const parseOrderBy = () => {
+    next();
+    if (!isWord(next(), 'by')) {
+      fail('Expected BY after ORDER', tokens[index - 1]);
+    }
+    const orderBy = [];
+    do {
+      if (orderBy.length > 0) {
+        next();
+      }
+      const fieldToken = peek();
+      if (!fieldToken || (fieldToken.type !== 'word' && fieldToken.type !== 'string')) {
+        fail('Expected a field to order by');
+      }
+      next();
+      const direction = isWord(peek(), 'asc', 'desc') ? next().value.toUpperCase() : null;
+      orderBy.push({ field: normalizeField(fieldToken.value), direction });
+    } while (peek() && peek().type === 'comma');
+    return orderBy;
+  };
+
+  const where = peek() && !isWord(peek(), 'order') ? parseOr() : null;
+  const orderBy = isWord(peek(), 'order') ? parseOrderBy() : [];
+  if (peek()) {
+    fail(`Unexpected "${peek().value}"`);
+  }
+
+  return { type: 'query', where, orderBy };
+}
+
+module.exports = { parseJql };
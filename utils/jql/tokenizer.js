@@ -0,0 +1,95 @@
+/**
+ * JQL tokenizer
+ *
+ * Splits JQL into tokens for the parser:
+ *   { type, value, position }
+ * where type is one of:
+ * - string: a quoted value ("To Do" or 'To Do'), unescaped
+ * - word: a bare field name, value, keyword or function name
+ * - operator: = != > >= < <= ~ !~ and the symbolic logical operators && || !
+ * - lparen, rparen, comma
+ *
+ * Keywords (AND, IN, ORDER, ...) are left as words; the parser decides from
+ * context whether a word is a keyword or a value.
+ */
+
+class JqlSyntaxError extends Error {
+  /**
+   * Constructor
+   * @param {string} message - What is wrong
+   * @param {string} jql - The query
+   * @param {number} position - Character offset of the problem
+   */
+  constructor(message, jql, position) {
+    super(`${message} at position ${position}: ${jql}`);
+    this.name = 'JqlSyntaxError';
+    this.jql = jql;
+    this.position = position;
+  }
+}
+
+// Longest first, so ">=" is not read as ">" followed by "="
+const OPERATORS = ['!=', '>=', '<=', '!~', '&&', '||', '=', '>', '<', '~', '!'];
+
+const PUNCTUATION = { '(': 'lparen', ')': 'rparen', ',': 'comma' };
+
+/**
+ * Split JQL into tokens
+ * @param {string} jql - JQL query
+ * @returns {Object[]} Tokens
+ * @throws {JqlSyntaxError} On unterminated strings
+ */
+function tokenize(jql) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < jql.length) {
+    const char = jql[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = position + 1;
+      while (end < jql.length && jql[end] !== char) {
+        if (jql[end] === '\\' && end + 1 < jql.length) {
+          end++;
+        }
+        value += jql[end++];
+      }
+      if (end >= jql.length) {
+        throw new JqlSyntaxError('Unterminated string', jql, position);
+      }
+      tokens.push({ type: 'string', value, position });
+      position = end + 1;
+      continue;
+    }
+
+    if (PUNCTUATION[char]) {
+      tokens.push({ type: PUNCTUATION[char], value: char, position });
+      position++;
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => jql.startsWith(op, position));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position });
+      position += operator.length;
+      continue;
+    }
+
+    const word = jql.slice(position).match(/^[^\s"'(),=!<>~&|]+/);
+    if (!word) {
+      throw new JqlSyntaxError(`Unexpected character "${char}"`, jql, position);
+    }
+    tokens.push({ type: 'word', value: word[0], position });
+    position += word[0].length;
+  }
+
+  return tokens;
+}
+
+module.exports = { tokenize, JqlSyntaxError };
@@ -0,0 +1,301 @@
+/**
+ * Site profiles
+ *
+ * The suite runs against several Jira sites with their own workflows,
+ * latencies and markup. A profile lists the constants (utils/constants.js) a
+ * site needs changed; everything it leaves out keeps its default:
+ *
+ *   // profiles/acme.json
+ *   {
+ *     "description": "Acme: review step in the workflow, slow search",
+ *     "OPEN_STATUSES": ["To Do", "In Progress", "In Review"],
+ *     "CLOSED_STATUSES": ["Done", "Won't Do"],
+ *     "ALLOWED_STATUSES": ["To Do", "In Progress", "In Review", "Done", "Won't Do"],
+ *     "STATUS_ORDER": ["To Do", "In Progress", "In Review", "Done", "Won't Do"],
+ *     "OPEN_STATUSES_JQL_PATTERN": "status\\s*=\\s*\"?(?:To Do|In Progress|In Review)\"?",
+ *     "EMPTY_RESULTS": "fail",
+ *     "TIMEOUTS": { "PAGE_LOAD": 60000 },
+ *     "SELECTORS": { "FiltersPage": { "resultsTable": "#issue-table", "keyTable.cellLocator": "td.key" } }
+ *   }
+ *
+ * Profiles are JSON or CommonJS files in profiles/ (JIRA_PROFILE_DIR for
+ * another directory). JIRA_PROFILE, or a Playwright project's `profile`
+ * option, selects one. Profiles are checked against PROFILE_SCHEMA when they
+ * load, and every problem found stops the run before any test starts.
+ *
+ * SELECTORS replace locators of page objects by page class and property;
+ * a dotted property reaches into a component, e.g. "keyTable.cellLocator".
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE_DIR = path.join(__dirname, '..', '..', 'profiles');
+const PAGES_DIR = path.join(__dirname, '..', '..', 'pages');
+const PROFILE_NAME_PATTERN = /^[\w-]+$/;
+
+// Defaults of each object the profiles have changed, to start over from when switching
+const defaultsByTarget = new WeakMap();
+
+const isStatusList = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string' && item.trim() !== '');
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isSortKey = (value) =>
+  isPlainObject(value) && typeof value.field === 'string' && ['ASC', 'DESC'].includes(value.direction);
+
+/**
+ * Check a JQL pattern: a RegExp, or a string compiled case-insensitively
+ * @param {*} value - Pattern
+ * @returns {string|null} Problem, or null
+ */
+function checkPattern(value) {
+  if (value instanceof RegExp) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    return 'must be a regular expression or a string';
+  }
+  try {
+    new RegExp(value, 'i');
+    return null;
+  } catch (error) {
+    return `is not a valid regular expression (${error.message})`;
+  }
+}
+
+/**
+ * Pages whose locators SELECTORS can replace
+ * @returns {string[]} Page class names
+ */
+function getPageNames() {
+  return fs
+    .readdirSync(PAGES_DIR)
+    .filter((file) => file.endsWith('Page.js') && file !== 'BasePage.js')
+    .map((file) => file.replace(/\.js$/, ''));
+}
+
+/**
+ * Check that SELECTORS properties name locators a page has, on a page object
+ * built without a browser (page constructors only set locators)
+ * @param {string} pageName - Page class name
+ * @param {string[]} properties - Properties, e.g. ['resultsTable', 'keyTable.cellLocator']
+ * @returns {string[]} Problems
+ */
+function checkPageLocators(pageName, properties) {
+  const Page = require(path.join(PAGES_DIR, pageName))[pageName];
+  const page = new Page({});
+  return properties
+    .filter((property) => !page.findLocator(property))
+    .map((property) => `.${pageName}.${property} is not a locator of ${pageName}`);
+}
+
+// What each profile key may hold. `check` returns the problems of a value;
+// `defaults` are the current constants, for keys that must match them.
+const PROFILE_SCHEMA = {
+  description: {
+    check: (value) => (typeof value === 'string' ? [] : ['must be a string']),
+  },
+  OPEN_STATUSES: {
+    check: (value) => (isStatusList(value) ? [] : ['must be a non-empty list of status names']),
+  },
+  CLOSED_STATUSES: {
+    check: (value) => (isStatusList(value) ? [] : ['must be a non-empty list of status names']),
+  },
+  ALLOWED_STATUSES: {
+    check: (value) => (isStatusList(value) ? [] : ['must be a non-empty list of status names']),
+  },
+  OPEN_STATUSES_JQL_PATTERN: {
+    check: (value) => [checkPattern(value)].filter(Boolean),
+  },
+  CLOSED_STATUSES_JQL_PATTERN: {
+    check: (value) => [checkPattern(value)].filter(Boolean),
+  },
+  STATUS_ORDER: {
+    check: (value) => (isStatusList(value) ? [] : ['must be a non-empty list of status names']),
+  },
+  PRIORITY_ORDER: {
+    check: (value) => (isStatusList(value) ? [] : ['must be a non-empty list of priority names']),
+  },
+  BASIC_MODE_ORDER_BY: {
+    check: (value) =>
+      Array.isArray(value) && value.every(isSortKey)
+        ? []
+        : ['must be a list of { "field": "...", "direction": "ASC" or "DESC" }'],
+  },
+  EMPTY_RESULTS: {
+    check: (value, defaults) =>
+      defaults.EMPTY_RESULTS_POLICIES.includes(value)
+        ? []
+        : [`must be one of: ${defaults.EMPTY_RESULTS_POLICIES.join(', ')}`],
+  },
+  RESULT_ROW_LIMIT: {
+    check: (value) => (Number.isInteger(value) && value > 0 ? [] : ['must be a positive whole number of rows']),
+  },
+  TIMEOUTS: {
+    check: (value, defaults) => {
+      if (!isPlainObject(value)) {
+        return ['must be an object of timeouts in ms'];
+      }
+      const known = Object.keys(defaults.TIMEOUTS);
+      return Object.entries(value).flatMap(([name, ms]) => {
+        if (!known.includes(name)) {
+          return [`has unknown timeout "${name}" (known: ${known.join(', ')})`];
+        }
+        return Number.isFinite(ms) && ms > 0 ? [] : [`.${name} must be a positive number of ms`];
+      });
+    },
+  },
+  SELECTORS: {
+    check: (value) => {
+      if (!isPlainObject(value)) {
+        return ['must be an object of locators by page class'];
+      }
+      const pages = getPageNames();
+      return Object.entries(value).flatMap(([page, locators]) => {
+        if (!pages.includes(page)) {
+          return [`has unknown page "${page}" (known: ${pages.join(', ')})`];
+        }
+        if (!isPlainObject(locators)) {
+          return [`.${page} must be an object of locators by property`];
+        }
+        const problems = Object.entries(locators)
+          .filter(([, locator]) => typeof locator !== 'string' || locator.trim() === '')
+          .map(([property]) => `.${page}.${property} must be a non-empty locator string`);
+        return [...problems, ...checkPageLocators(page, Object.keys(locators))];
+      });
+    },
+  },
+};
+
+/**
+ * Find the problems of a profile
+ * @param {Object} profile - Profile contents
+ * @param {Object} defaults - Constants the profile overrides
+ * @returns {string[]} Problems, e.g. 'TIMEOUTS has unknown timeout "PAGE_LAOD" (known: ...)'
+ */
+function validateProfile(profile, defaults) {
+  if (!isPlainObject(profile)) {
+    return ['a profile must be an object'];
+  }
+  return Object.entries(profile).flatMap(([key, value]) => {
+    if (!(key in PROFILE_SCHEMA)) {
+      return [`unknown setting "${key}" (known: ${Object.keys(PROFILE_SCHEMA).join(', ')})`];
+    }
+    // Problems about a part of the value start with its path, e.g. '.PAGE_LOAD must be ...'
+    return PROFILE_SCHEMA[key]
+      .check(value, defaults)
+      .map((problem) => (problem.startsWith('.') ? `${key}${problem}` : `${key} ${problem}`));
+  });
+}
+
+/**
+ * Read and validate a profile
+ * @param {string} name - Profile name, the file name without .json or .js
+ * @param {Object} defaults - Constants the profile overrides
+ * @param {string} dir - Profile directory (default: JIRA_PROFILE_DIR or profiles/)
+ * @returns {Object} Profile contents
+ * @throws {Error} If the profile is missing, unreadable or invalid
+ */
+function loadProfile(name, defaults, dir = process.env.JIRA_PROFILE_DIR || DEFAULT_PROFILE_DIR) {
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw new Error(`Profile name "${name}" may only use letters, digits, "_" and "-"`);
+  }
+  const file = ['.json', '.js'].map((extension) => path.join(dir, `${name}${extension}`)).find(fs.existsSync);
+  if (!file) {
+    const available = fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter((entry) => /\.(json|js)$/.test(entry)).map((entry) => entry.replace(/\.\w+$/, ''))
+      : [];
+    throw new Error(`Unknown profile "${name}". Profiles in ${dir}: ${available.join(', ') || 'none'}`);
+  }
+
+  let profile;
+  try {
+    profile = file.endsWith('.json') ? JSON.parse(fs.readFileSync(file, 'utf8')) : require(file);
+  } catch (error) {
+    throw new Error(`Cannot read profile "${name}" (${file}): ${error.message}`);
+  }
+  const problems = validateProfile(profile, defaults);
+  if (problems.length > 0) {
+    throw new Error(`Profile "${name}" (${file}) is invalid:\n${problems.map((problem) => `- ${problem}`).join('\n')}`);
+  }
+  return profile;
+}
+
+/**
+ * Copy constants deeply enough that changing the copy leaves the original alone
+ * @param {Object} constants - Constants
+ * @returns {Object} Copy
+ */
+function copyConstants(constants) {
+  return Object.fromEntries(
+    Object.entries(constants).map(([key, value]) => {
+      if (Array.isArray(value)) {
+        return [key, [...value]];
+      }
+      if (isPlainObject(value) && !(value instanceof RegExp)) {
+        return [key, copyConstants(value)];
+      }
+      return [key, value];
+    })
+  );
+}
+
+/**
+ * Constants with a profile applied
+ * @param {Object} defaults - Default constants
+ * @param {Object} profile - Valid profile
+ * @returns {Object} New constants
+ */
+function mergeProfile(defaults, { description, ...settings }) {
+  const constants = copyConstants(defaults);
+  for (const [key, value] of Object.entries(settings)) {
+    if (key.endsWith('_PATTERN')) {
+      constants[key] = typeof value === 'string' ? new RegExp(value, 'i') : value;
+    } else if (key === 'TIMEOUTS' || key === 'SELECTORS') {
+      constants[key] = { ...constants[key], ...copyConstants(value) };
+    } else if (Array.isArray(value)) {
+      constants[key] = [...value];
+    } else {
+      constants[key] = value;
+    }
+  }
+  return constants;
+}
+
+/**
+ * Switch a constants object to a profile, in place, so modules that already
+ * hold it (or one of its lists) see the profile's values
+ * @param {Object} target - Constants object, e.g. require('utils/constants')
+ * @param {string} name - Profile name; empty for the defaults
+ * @param {Object} options - Options
+ * @param {string} options.dir - Profile directory
+ * @returns {Object} The target
+ */
+function activateProfile(target, name, { dir } = {}) {
+  if (!defaultsByTarget.has(target)) {
+    defaultsByTarget.set(target, copyConstants(target));
+  }
+  const defaults = defaultsByTarget.get(target);
+  const constants = name ? mergeProfile(defaults, loadProfile(name, defaults, dir)) : copyConstants(defaults);
+
+  for (const [key, value] of Object.entries(constants)) {
+    if (Array.isArray(target[key])) {
+      target[key].splice(0, target[key].length, ...value);
+    } else if (isPlainObject(target[key]) && !(target[key] instanceof RegExp)) {
+      Object.keys(target[key]).forEach((property) => delete target[key][property]);
+      Object.assign(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  target.PROFILE = name || null;
+  return target;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_DIR,
+  PROFILE_SCHEMA,
+  validateProfile,
+  loadProfile,
+  mergeProfile,
+  activateProfile,
+};
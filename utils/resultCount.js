@@ -0,0 +1,130 @@
+/**
+ * Result counts Jira shows above the search results
+ *
+ * The indicator reads either as a range of a total, "1–50 of 137", or as a
+ * total alone, "137 issues" (or "work items" on newer sites), in the language
+ * of the user's profile. Totals use the locale's thousands separator:
+ * "1,337", "1.337", "1 337" or "1'337".
+ */
+
+// Numbers with or without thousands separators
+const NUMBER = String.raw`\d{1,3}(?:[.,\u00a0\u202f' ]\d{3})+|\d+`;
+
+// The word between a range and its total, by language
+const RANGE_WORDS = {
+  en: ['of'],
+  de: ['von'],
+  fr: ['sur'],
+  es: ['de'],
+  pt: ['de'],
+  it: ['di'],
+  nl: ['van'],
+  pl: ['z'],
+  ja: ['/'],
+};
+
+// What the total alone counts, by language
+const TOTAL_WORDS = {
+  en: ['issues', 'issue', 'work items', 'work item'],
+  de: ['Vorgänge', 'Vorgang', 'Arbeitselemente', 'Arbeitselement'],
+  fr: ['tickets', 'ticket', 'éléments de travail', 'élément de travail'],
+  es: ['incidencias', 'incidencia', 'elementos de trabajo', 'elemento de trabajo'],
+  pt: ['itens', 'item', 'itens de trabalho', 'item de trabalho'],
+  it: ['ticket', 'elementi di lavoro', 'elemento di lavoro'],
+  nl: ['issues', 'issue', 'werkitems', 'werkitem'],
+  pl: ['zgłoszenia', 'zgłoszeń', 'zgłoszenie', 'elementy pracy', 'elementów pracy'],
+  ja: ['件の課題', '件の作業項目', '件'],
+};
+
+// How each language says nothing matched
+const ZERO_PHRASES = {
+  en: ['No issues', 'No work items'],
+  de: ['Keine Vorgänge', 'Keine Arbeitselemente'],
+  fr: ['Aucun ticket', 'Aucun élément de travail'],
+  es: ['No hay incidencias', 'No hay elementos de trabajo'],
+  pt: ['Nenhum item', 'Nenhum item de trabalho'],
+  it: ['Nessun ticket', 'Nessun elemento di lavoro'],
+  nl: ['Geen issues', 'Geen werkitems'],
+  pl: ['Brak zgłoszeń', 'Brak elementów pracy'],
+  ja: ['課題はありません', '作業項目はありません'],
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const alternatives = (words) =>
+  [...new Set(words)]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+
+const RANGE_PATTERN = new RegExp(
+  `(${NUMBER})\\s*[–—-]\\s*(${NUMBER})\\s*(?:${alternatives(Object.values(RANGE_WORDS).flat())})\\s*(${NUMBER})`,
+  'iu'
+);
+const TOTAL_PATTERN = new RegExp(`^\\s*(${NUMBER})\\s*(?:${alternatives(Object.values(TOTAL_WORDS).flat())})`, 'iu');
+// A phrase ends where letters and digits do: \b knows only ASCII ones, so it fails after "zgłoszeń" or "ありません"
+const ZERO_PATTERN = new RegExp(
+  `^\\s*(?:${alternatives(Object.values(ZERO_PHRASES).flat())})(?![\\p{L}\\p{N}])`,
+  'iu'
+);
+
+/**
+ * Read a number written with any thousands separator
+ * @param {string} text - Number, e.g. '1,337' or '1 337'
+ * @returns {number} Number
+ */
+function parseCountNumber(text) {
+  return Number(text.replace(/\D/g, ''));
+}
+
+/**
+ * Read a result count indicator
+ * @param {string} text - Indicator text, e.g. '1–50 of 137', '137 issues', '51–100 von 1.337'
+ * @returns {{total: number, from: number|null, to: number|null}} Total, and the
+ *   range of results shown when the indicator has one
+ * @throws {Error} If the text is not a result count
+ */
+function parseResultCount(text) {
+  const range = text.match(RANGE_PATTERN);
+  if (range) {
+    return { total: parseCountNumber(range[3]), from: parseCountNumber(range[1]), to: parseCountNumber(range[2]) };
+  }
+  const total = text.match(TOTAL_PATTERN);
+  if (total) {
+    return { total: parseCountNumber(total[1]), from: null, to: null };
+  }
+  if (ZERO_PATTERN.test(text)) {
+    return { total: 0, from: null, to: null };
+  }
+  throw new Error(`Cannot read a result count from "${text}". Expected e.g. "1–50 of 137" or "137 issues"`);
+}
+
+/**
+ * Compare a result count with what a test expects
+ * @param {number} count - Result count
+ * @param {Object} expected - Expectations, each optional
+ * @param {number} expected.exactly - Exact count
+ * @param {number} expected.atLeast - Minimum count
+ * @param {number} expected.atMost - Maximum count
+ * @returns {string[]} Unmet expectations, e.g. 'expected at least 1 result(s), found 0'
+ */
+function checkResultCount(count, { exactly, atLeast, atMost } = {}) {
+  const problems = [];
+  if (exactly !== undefined && count !== exactly) {
+    problems.push(`expected exactly ${exactly} result(s), found ${count}`);
+  }
+  if (atLeast !== undefined && count < atLeast) {
+    problems.push(`expected at least ${atLeast} result(s), found ${count}`);
+  }
+  if (atMost !== undefined && count > atMost) {
+    problems.push(`expected at most ${atMost} result(s), found ${count}`);
+  }
+  return problems;
+}
+
+module.exports = {
+  RANGE_WORDS,
+  TOTAL_WORDS,
+  ZERO_PHRASES,
+  parseResultCount,
+  checkResultCount,
+};
@@ -0,0 +1,87 @@
+/**
+ * Seeded issue sweep
+ *
+ *   node utils/seeding/cli.js sweep [--max-age-hours 6] [--project QA]
+ *
+ * Deletes issues labelled by the seeding fixture whose run started longer
+ * ago than the max age (default: JIRA_SEED_MAX_AGE_HOURS or 6), i.e. data
+ * left behind by runs that crashed before their cleanup. Authenticates with
+ * the member account's API token when set, otherwise its saved session.
+ */
+const { request } = require('@playwright/test');
+const JiraRestClient = require('../jira/JiraRestClient');
+const { DEFAULT_ROLE, getRoleStorageState, getRoleCredentials } = require('../auth/roles');
+const { getCredential, installConsoleMasking } = require('../credentials');
+const { sweepOrphanedIssues } = require('./index');
+
+/**
+ * Read `--name value` options
+ * @param {string[]} args - Command line arguments
+ * @returns {Object<string, string>} Option values by name
+ */
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+      throw new Error(`Unexpected argument "${args[i]}"`);
+    }
+    options[args[i].slice(2)] = args[i + 1];
+  }
+  return options;
+}
+
+/**
+ * Request context for the member account
+ * @returns {Promise<APIRequestContext>} Authenticated request context
+ */
+async function createRequestContext() {
+  const { username, apiToken } = getRoleCredentials(DEFAULT_ROLE);
+  if (username && apiToken) {
+    const credentials = Buffer.from(`${username}:${apiToken}`).toString('base64');
+    return request.newContext({
+      storageState: { cookies: [], origins: [] },
+      extraHTTPHeaders: { Authorization: `Basic ${credentials}` },
+    });
+  }
+  return request.newContext({ storageState: getRoleStorageState(DEFAULT_ROLE) });
+}
+
+/**
+ * Run a command
+ * @param {string[]} args - Command and arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main([command, ...args]) {
+  if (command !== 'sweep') {
+    console.error('Usage: node utils/seeding/cli.js sweep [--max-age-hours N] [--project KEY]');
+    return 1;
+  }
+
+  installConsoleMasking();
+  const options = parseOptions(args);
+  const context = await createRequestContext();
+  try {
+    const deleted = await sweepOrphanedIssues(new JiraRestClient(context, getCredential('JIRA_URL')), {
+      maxAgeHours: options['max-age-hours'] ? Number(options['max-age-hours']) : undefined,
+      project: options.project || getCredential('JIRA_SEED_PROJECT'),
+    });
+    console.log(`🧹 Swept ${deleted.length} orphaned seeded issue(s)${deleted.length ? `: ${deleted.join(', ')}` : ''}`);
+    return 0;
+  } finally {
+    await context.dispose();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (error) => {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+  );
+}
+
+module.exports = { parseOptions, createRequestContext, main };
@@ -0,0 +1,216 @@
+/**
+ * Issue seeding
+ *
+ * Creates the issues a test needs through the Jira REST API, moves them into
+ * the requested statuses and deletes them again afterwards. A declaration
+ * looks like:
+ *
+ *   { type: 'Bug', status: 'Done' }              // project from JIRA_SEED_PROJECT
+ *   { project: 'QA', type: 'Task', status: 'In Progress', summary: 'Paging' }
+ *
+ * Every seeded issue carries the SEED_LABEL label plus a label naming the run
+ * that created it, so issues left behind by a crashed run can be found and
+ * swept later (see sweepOrphanedIssues and ./cli.js).
+ */
+
+// Label on every seeded issue
+const SEED_LABEL = 'qa-seed';
+
+// Per-run label: qa-seed-run-<start time in epoch seconds>-<process id>
+const RUN_LABEL_PATTERN = /^qa-seed-run-(\d+)-\d+$/;
+
+// Seeded issues older than this are assumed abandoned (JIRA_SEED_MAX_AGE_HOURS)
+const DEFAULT_SWEEP_AGE_HOURS = 6;
+
+// Give up on reaching a status after this many transitions
+const MAX_TRANSITION_STEPS = 10;
+
+/**
+ * Build the label for one seeding run
+ * @param {number} now - Start time in ms (default: Date.now())
+ * @returns {string} Run label
+ */
+function createRunLabel(now = Date.now()) {
+  return `${SEED_LABEL}-run-${Math.floor(now / 1000)}-${process.pid}`;
+}
+
+/**
+ * Read the start time out of a run label
+ * @param {string[]} labels - Issue labels
+ * @returns {number|null} Start time in ms, or null if no run label is present
+ */
+function getRunStartTime(labels = []) {
+  for (const label of labels) {
+    const match = label.match(RUN_LABEL_PATTERN);
+    if (match) {
+      return Number(match[1]) * 1000;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the next transition towards a status. Jira only tells us the
+ * transitions out of the current status, so the workflow is learned as the
+ * issue moves: take the shortest known path to the target, or otherwise to
+ * the nearest status whose transitions have not been seen yet.
+ * @param {Map<string, Object[]>} workflow - Transitions seen so far, by lower-case status name
+ * @param {string} current - Current status
+ * @param {string} target - Wanted status
+ * @returns {Object|null} Transition to take now, or null if the target is unreachable
+ */
+function planNextTransition(workflow, current, target) {
+  const goal = target.toLowerCase();
+  const start = current.toLowerCase();
+  const firstStep = new Map([[start, null]]);
+  const queue = [start];
+  let fallback = null;
+
+  while (queue.length > 0) {
+    const status = queue.shift();
+    if (status === goal) {
+      return firstStep.get(status);
+    }
+    if (!workflow.has(status)) {
+      fallback = fallback || firstStep.get(status);
+      continue;
+    }
+    for (const transition of workflow.get(status)) {
+      const next = transition.to.name.toLowerCase();
+      if (!firstStep.has(next)) {
+        firstStep.set(next, firstStep.get(status) || transition);
+        queue.push(next);
+      }
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Move an issue into a status, through as many transitions as the workflow needs
+ * @param {JiraRestClient} client - REST client
+ * @param {string} key - Issue key
+ * @param {string} target - Wanted status
+ */
+async function transitionToStatus(client, key, target) {
+  const issue = await client.getIssue(key);
+  let current = issue.fields.status.name;
+  const workflow = new Map();
+
+  for (let step = 0; current.toLowerCase() !== target.toLowerCase(); step++) {
+    if (step === MAX_TRANSITION_STEPS) {
+      throw new Error(`Could not move ${key} to "${target}" within ${MAX_TRANSITION_STEPS} transitions.`);
+    }
+
+    workflow.set(current.toLowerCase(), await client.getTransitions(key));
+    const transition = planNextTransition(workflow, current, target);
+    if (!transition) {
+      throw new Error(`No workflow path from "${current}" to "${target}" for ${key}.`);
+    }
+    await client.transitionIssue(key, transition.id);
+    current = transition.to.name;
+  }
+}
+
+/**
+ * Create and transition the declared issues
+ * @param {JiraRestClient} client - REST client
+ * @param {Object[]} declarations - Issues to create ({ project, type, status, summary })
+ * @param {Object} options - Options
+ * @param {string} options.runLabel - Label of this run (see createRunLabel)
+ * @param {string} options.defaultProject - Project for declarations without one (JIRA_SEED_PROJECT)
+ * @returns {Promise<Object[]>} Seeded issues ({ key, project, type, status, summary, labels })
+ */
+async function seedIssues(client, declarations, { runLabel, defaultProject } = {}) {
+  const seeded = [];
+
+  try {
+    for (const [index, declaration] of declarations.entries()) {
+      const project = declaration.project || defaultProject;
+      if (!project) {
+        throw new Error('Seeded issues need a project. Set JIRA_SEED_PROJECT or give one in the declaration.');
+      }
+      if (!declaration.type) {
+        throw new Error(`Seeded issue #${index + 1} needs a type, e.g. { type: 'Bug' }.`);
+      }
+
+      const summary =
+        declaration.summary || `[${SEED_LABEL}] ${declaration.type} in ${declaration.status || 'initial status'}`;
+      const labels = [SEED_LABEL, runLabel];
+      const { key } = await client.createIssue({ project, type: declaration.type, summary, labels });
+      const issue = { key, project, type: declaration.type, status: null, summary, labels };
+      seeded.push(issue);
+
+      if (declaration.status) {
+        await transitionToStatus(client, key, declaration.status);
+      }
+      issue.status = (await client.getIssue(key)).fields.status.name;
+    }
+  } catch (error) {
+    // Don't leave half a data set behind
+    await deleteIssues(client, seeded);
+    throw error;
+  }
+
+  return seeded;
+}
+
+/**
+ * Delete seeded issues, carrying on past failures
+ * @param {JiraRestClient} client - REST client
+ * @param {Object[]} issues - Issues from seedIssues()
+ * @returns {Promise<string[]>} Keys that could not be deleted
+ */
+async function deleteIssues(client, issues) {
+  const failed = [];
+  for (const { key } of issues) {
+    try {
+      await client.deleteIssue(key);
+    } catch (error) {
+      console.warn(`⚠️  Could not delete seeded issue ${key}: ${error.message}`);
+      failed.push(key);
+    }
+  }
+  return failed;
+}
+
+/**
+ * Delete seeded issues left behind by runs that did not clean up
+ * @param {JiraRestClient} client - REST client
+ * @param {Object} options - Options
+ * @param {number} options.maxAgeHours - Only sweep runs older than this
+ *   (default: JIRA_SEED_MAX_AGE_HOURS or 6), so live runs are left alone
+ * @param {string} options.project - Limit the sweep to one project
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Promise<string[]>} Keys that were deleted
+ */
+async function sweepOrphanedIssues(
+  client,
+  {
+    maxAgeHours = Number(process.env.JIRA_SEED_MAX_AGE_HOURS) || DEFAULT_SWEEP_AGE_HOURS,
+    project,
+    now = Date.now(),
+  } = {}
+) {
+  const jql = [project && `project = "${project}"`, `labels = "${SEED_LABEL}"`].filter(Boolean).join(' AND ');
+  const cutoff = now - maxAgeHours * 60 * 60 * 1000;
+
+  const orphans = (await client.searchIssues(jql, { fields: ['labels'] })).filter((issue) => {
+    const startedAt = getRunStartTime(issue.fields.labels);
+    return startedAt === null || startedAt < cutoff;
+  });
+
+  const failed = await deleteIssues(client, orphans);
+  return orphans.map((issue) => issue.key).filter((key) => !failed.includes(key));
+}
+
+module.exports = {
+  SEED_LABEL,
+  createRunLabel,
+  getRunStartTime,
+  planNextTransition,
+  transitionToStatus,
+  seedIssues,
+  deleteIssues,
+  sweepOrphanedIssues,
+};
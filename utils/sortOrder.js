@@ -0,0 +1,187 @@
+/**
+ * Sort orders of result columns
+ *
+ * Comparators that tell whether search results are in the order Jira sorts
+ * a column by, given two cell texts:
+ * - Issue keys naturally, by project then number, so PROJ-9 comes before PROJ-10
+ * - Statuses and priorities by their place in an ordered list (the workflow's
+ *   statuses, the priorities from lowest to highest), not alphabetically
+ * - Dates by time: the ISO timestamps date cells carry (see
+ *   TableComponent.getRows with `times`), whatever format the profile shows,
+ *   or dates shown as 'YYYY-MM-DD' or 'YYYY-MM-DD HH:mm'
+ * - Anything else as text, ignoring case
+ *
+ * Empty cells, including the "Unassigned", "None" and "Unresolved" Jira shows
+ * for them, come before any value: first in ascending order, last in descending.
+ */
+const constants = require('./constants');
+const { parseShownDate } = require('./dateRange');
+
+// What the results show in a cell whose field is empty
+const EMPTY_CELLS = ['', 'None', 'Unassigned', 'Unresolved'];
+
+const ISSUE_KEY_PATTERN = /^([A-Za-z][A-Za-z0-9_]*)-(\d+)$/;
+
+// Columns Jira sorts by time
+const DATE_COLUMNS = ['created', 'updated', 'due', 'due date', 'resolved', 'last viewed'];
+
+const isEmptyCell = (value) => value === null || value === undefined || EMPTY_CELLS.includes(String(value).trim());
+
+/**
+ * Wrap a comparator of values so empty cells sort before any value
+ * @param {Function} compare - Comparator of two non-empty cell texts
+ * @returns {Function} Comparator of any two cell texts
+ */
+function emptyFirst(compare) {
+  return (a, b) => {
+    const [emptyA, emptyB] = [isEmptyCell(a), isEmptyCell(b)];
+    if (emptyA || emptyB) {
+      return Number(emptyB) - Number(emptyA);
+    }
+    return compare(String(a).trim(), String(b).trim());
+  };
+}
+
+/**
+ * Compare texts, ignoring case and accents
+ * @param {string} a - Cell text
+ * @param {string} b - Cell text
+ * @returns {number} Negative, zero or positive, as for Array.prototype.sort
+ */
+const compareText = emptyFirst((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
+
+/**
+ * Compare numbers, e.g. story points
+ * @param {string} a - Cell text
+ * @param {string} b - Cell text
+ * @returns {number} Negative, zero or positive
+ * @throws {Error} If a cell is not a number
+ */
+const compareNumbers = emptyFirst((a, b) => {
+  const [x, y] = [a, b].map((text) => {
+    const number = Number(text);
+    if (Number.isNaN(number)) {
+      throw new Error(`Cannot sort "${text}" as a number`);
+    }
+    return number;
+  });
+  return x - y;
+});
+
+/**
+ * Compare issue keys naturally: by project, then by number (PROJ-9 < PROJ-10)
+ * @param {string} a - Issue key
+ * @param {string} b - Issue key
+ * @returns {number} Negative, zero or positive
+ * @throws {Error} If a cell is not an issue key
+ */
+const compareNaturalKeys = emptyFirst((a, b) => {
+  const [x, y] = [a, b].map((text) => {
+    const match = text.match(ISSUE_KEY_PATTERN);
+    if (!match) {
+      throw new Error(`Cannot sort "${text}" as an issue key (expected e.g. PROJ-123)`);
+    }
+    return { project: match[1], number: Number(match[2]) };
+  });
+  return compareText(x.project, y.project) || x.number - y.number;
+});
+
+/**
+ * Compare dates by time, read as parseShownDate reads them. Shown dates are
+ * read alike whatever the browser's time zone, since every row is shown in the
+ * same one.
+ * @param {string} a - ISO timestamp with an offset, or date as shown
+ * @param {string} b - ISO timestamp with an offset, or date as shown
+ * @returns {number} Negative, zero or positive
+ * @throws {Error} If a cell is not a date
+ */
+const compareDates = emptyFirst((a, b) => {
+  const [x, y] = [a, b].map((text) => {
+    try {
+      return parseShownDate(text, 'UTC').start;
+    } catch {
+      throw new Error(
+        `Cannot sort "${text}" as a date (expected an ISO timestamp with an offset, YYYY-MM-DD or YYYY-MM-DD HH:mm)`
+      );
+    }
+  });
+  return x - y;
+});
+
+/**
+ * Comparator by position in an ordered list, e.g. statuses in workflow order
+ * @param {string[]} order - Values from first to last (matched ignoring case)
+ * @param {string} what - What the values are, for errors (default: 'value')
+ * @returns {Function} Comparator of two cell texts
+ * @throws {Error} From the comparator, if a cell is not in the list
+ */
+function compareByPosition(order, what = 'value') {
+  const positions = new Map(order.map((value, index) => [value.toLowerCase(), index]));
+  return emptyFirst((a, b) => {
+    const [x, y] = [a, b].map((text) => {
+      if (!positions.has(text.toLowerCase())) {
+        throw new Error(`Cannot sort ${what} "${text}": it is not in the sort order ${order.join(', ')}`);
+      }
+      return positions.get(text.toLowerCase());
+    });
+    return x - y;
+  });
+}
+
+/**
+ * Comparator Jira sorts a results column by
+ * @param {string} column - Column name, e.g. 'Key', 'Status' or 'Created'
+ * @param {Object} options - Orders, each optional
+ * @param {string[]} options.statusOrder - Statuses in workflow order (default: STATUS_ORDER)
+ * @param {string[]} options.priorityOrder - Priorities from lowest to highest (default: PRIORITY_ORDER)
+ * @returns {Function} Comparator of two cell texts
+ */
+function getColumnComparator(column, options = {}) {
+  const { statusOrder = constants.STATUS_ORDER, priorityOrder = constants.PRIORITY_ORDER } = options;
+  const name = column.trim().toLowerCase();
+  if (name === 'key' || name === 'issue key') {
+    return compareNaturalKeys;
+  }
+  if (name === 'status') {
+    return compareByPosition(statusOrder, 'status');
+  }
+  if (name === 'priority') {
+    return compareByPosition(priorityOrder, 'priority');
+  }
+  if (DATE_COLUMNS.includes(name)) {
+    return compareDates;
+  }
+  return compareText;
+}
+
+/**
+ * Find neighbouring rows that are out of order
+ * @param {Object[]} rows - Rows keyed by column name, in the order shown
+ * @param {string} column - Column the rows should be sorted by
+ * @param {string} direction - 'ASC' or 'DESC'
+ * @param {Function} compare - Comparator of two cell texts (default: getColumnComparator(column))
+ * @returns {Object[]} { index, before, after } for each row (`after`, at `index`)
+ *   that should have come before the row shown above it (`before`)
+ * @throws {Error} If the direction is neither ASC nor DESC
+ */
+function findOrderViolations(rows, column, direction = 'ASC', compare = getColumnComparator(column)) {
+  const dir = direction.toUpperCase();
+  if (dir !== 'ASC' && dir !== 'DESC') {
+    throw new Error(`Sort direction must be ASC or DESC, got "${direction}"`);
+  }
+  const sign = dir === 'DESC' ? -1 : 1;
+  return rows
+    .map((after, index) => ({ index, before: rows[index - 1], after }))
+    .filter(({ index, before, after }) => index > 0 && sign * compare(before[column], after[column]) > 0);
+}
+
+module.exports = {
+  EMPTY_CELLS,
+  compareText,
+  compareNumbers,
+  compareNaturalKeys,
+  compareDates,
+  compareByPosition,
+  getColumnComparator,
+  findOrderViolations,
+};